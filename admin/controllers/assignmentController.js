@@ -0,0 +1,493 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { archiveRows } = require('./trashController');
+
+/**
+ * Assignment Controller
+ * Handles driver-to-vehicle assignment history with effective dates
+ */
+
+// Columns returned for an assignment joined with its driver and vehicle
+const assignmentSelect = `
+  SELECT
+    va.id,
+    va.driver_id,
+    d.rick,
+    d.name as driver_name,
+    va.vehicle_id,
+    v.plate_code,
+    v.plate_no,
+    v.rick_no,
+    va.assigned_from,
+    va.assigned_to,
+    va.notes,
+    va.assigned_by,
+    va.unassigned_by,
+    va.created_at,
+    va.updated_at
+  FROM vehicle_assignments va
+  JOIN drivers d ON d.id = va.driver_id
+  JOIN vehicles v ON v.id = va.vehicle_id
+`;
+
+// Helper function to validate an optional date/timestamp input
+const isValidDateInput = (value) => {
+  return value === undefined || value === null || value === '' || !isNaN(new Date(value).getTime());
+};
+
+/**
+ * Find the driver(s) who held a plate at a given moment
+ * Exported so other controllers (e.g. fine attribution) can resolve plates
+ * @param {Object} options - { plateNo, plateCode, at }
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ */
+const findDriverForPlate = async ({ plateNo, plateCode, at }, db = { query }) => {
+  const params = [String(plateNo).trim(), at];
+  let plateCodeClause = '';
+
+  if (plateCode) {
+    plateCodeClause = 'AND UPPER(v.plate_code) = UPPER($3)';
+    params.push(String(plateCode).trim());
+  }
+
+  const result = await db.query(`
+    ${assignmentSelect}
+    WHERE v.plate_no = $1
+      ${plateCodeClause}
+      AND va.assigned_from <= $2::timestamp
+      AND (va.assigned_to IS NULL OR va.assigned_to > $2::timestamp)
+    ORDER BY va.assigned_from DESC
+  `, params);
+
+  return result.rows;
+};
+
+// Shared implementation for both assign endpoints (driver side and vehicle side)
+const createAssignment = async (req, res, driverId, vehicleId) => {
+  const { assigned_from, assigned_to, notes } = req.body;
+
+  if (!driverId || isNaN(driverId) || !vehicleId || isNaN(vehicleId)) {
+    return sendValidationError(res, 'Valid driver and vehicle IDs are required');
+  }
+
+  if (!isValidDateInput(assigned_from) || !isValidDateInput(assigned_to)) {
+    return sendValidationError(res, 'assigned_from and assigned_to must be valid dates');
+  }
+
+  if (assigned_from && assigned_to && new Date(assigned_to) <= new Date(assigned_from)) {
+    return sendValidationError(res, 'assigned_to must be after assigned_from');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the driver and vehicle so concurrent assignments are serialized
+    const driverResult = await client.query(
+      'SELECT id, rick, name FROM drivers WHERE id = $1 AND is_archived = false FOR UPDATE',
+      [driverId]
+    );
+    if (driverResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Driver');
+    }
+
+    const vehicleResult = await client.query(
+      'SELECT id, plate_code, plate_no FROM vehicles WHERE id = $1 AND is_archived = false FOR UPDATE',
+      [vehicleId]
+    );
+    if (vehicleResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Vehicle');
+    }
+
+    const periodResult = await client.query(
+      `SELECT COALESCE($1::timestamp, CURRENT_TIMESTAMP::timestamp) as assigned_from,
+              $2::timestamp as assigned_to,
+              COALESCE($1::timestamp, CURRENT_TIMESTAMP::timestamp) <= CURRENT_TIMESTAMP::timestamp as started,
+              COALESCE($2::timestamp::date <= CURRENT_DATE, false) as ended`,
+      [assigned_from || null, assigned_to || null]
+    );
+    const period = periodResult.rows[0];
+
+    if (period.assigned_to && period.assigned_to <= period.assigned_from) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, 'assigned_to must be after assigned_from');
+    }
+
+    // Reject any assignment of this vehicle or this driver that overlaps the requested period
+    const overlapResult = await client.query(`
+      ${assignmentSelect}
+      WHERE (va.vehicle_id = $1 OR va.driver_id = $2)
+        AND va.assigned_from < COALESCE($4::timestamp, 'infinity'::timestamp)
+        AND COALESCE(va.assigned_to, 'infinity'::timestamp) > $3::timestamp
+      ORDER BY va.assigned_from ASC
+    `, [vehicleId, driverId, period.assigned_from, period.assigned_to]);
+
+    if (overlapResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: 'Assignment overlaps an existing assignment for this driver or vehicle',
+        conflicts: overlapResult.rows,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const insertResult = await client.query(`
+      INSERT INTO vehicle_assignments (
+        driver_id, vehicle_id, assigned_from, assigned_to, notes, assigned_by, start_applied, end_applied
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [
+      driverId,
+      vehicleId,
+      period.assigned_from,
+      period.assigned_to,
+      notes || null,
+      req.user ? req.user.id : null,
+      period.started,
+      period.ended
+    ]);
+
+    // Keep the legacy vehicles.rick_no link in sync with the current holder;
+    // a start or end dated later is applied by applyDueAssignments when it comes
+    if (period.started && !period.ended) {
+      await client.query(
+        `UPDATE vehicles SET rick_no = $1, status = 'in_use', updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [driverResult.rows[0].rick, vehicleId]
+      );
+    }
+
+    const assignmentResult = await client.query(
+      `${assignmentSelect} WHERE va.id = $1`,
+      [insertResult.rows[0].id]
+    );
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, assignmentResult.rows[0], 'Vehicle assigned successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating vehicle assignment:', error);
+    sendError(res, 'Failed to assign vehicle', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// Shared implementation for both unassign endpoints: closes the open assignment
+const closeAssignment = async (req, res, column, id) => {
+  const { assigned_to } = req.body || {};
+
+  if (!id || isNaN(id)) {
+    return sendValidationError(res, 'A valid ID is required');
+  }
+
+  if (!isValidDateInput(assigned_to)) {
+    return sendValidationError(res, 'assigned_to must be a valid date');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const openResult = await client.query(
+      `SELECT id, vehicle_id, assigned_from FROM vehicle_assignments
+       WHERE ${column} = $1 AND assigned_to IS NULL
+       FOR UPDATE`,
+      [id]
+    );
+
+    if (openResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Open assignment');
+    }
+
+    const openAssignment = openResult.rows[0];
+
+    const endResult = await client.query(
+      `SELECT COALESCE($1::timestamp, CURRENT_TIMESTAMP::timestamp) as assigned_to,
+              COALESCE($1::timestamp, CURRENT_TIMESTAMP::timestamp)::date <= CURRENT_DATE as ended`,
+      [assigned_to || null]
+    );
+    const endAt = endResult.rows[0].assigned_to;
+
+    if (endAt <= openAssignment.assigned_from) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, 'assigned_to must be after the assignment start date');
+    }
+
+    await client.query(`
+      UPDATE vehicle_assignments
+      SET assigned_to = $1, unassigned_by = $2, end_applied = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+    `, [endAt, req.user ? req.user.id : null, endResult.rows[0].ended, openAssignment.id]);
+
+    // Keep the legacy vehicles.rick_no link in sync once the driver has actually handed the vehicle back;
+    // an end date after today leaves the vehicle with the driver until applyDueAssignments runs on that day
+    if (endResult.rows[0].ended) {
+      await client.query(`
+        UPDATE vehicles
+        SET rick_no = NULL,
+            status = CASE WHEN status = 'in_use' THEN 'available' ELSE status END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [openAssignment.vehicle_id]);
+    }
+
+    const assignmentResult = await client.query(
+      `${assignmentSelect} WHERE va.id = $1`,
+      [openAssignment.id]
+    );
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, assignmentResult.rows[0], 'Vehicle unassigned successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error closing vehicle assignment:', error);
+    sendError(res, 'Failed to unassign vehicle', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/admin/drivers/:id/vehicle - Assign a vehicle to a driver
+const assignVehicleToDriver = async (req, res) => {
+  return createAssignment(req, res, req.params.id, req.body.vehicle_id);
+};
+
+// POST /api/admin/vehicles/:id/driver - Assign a driver to a vehicle
+const assignDriverToVehicle = async (req, res) => {
+  return createAssignment(req, res, req.body.driver_id, req.params.id);
+};
+
+// DELETE /api/admin/drivers/:id/vehicle - End the driver's current vehicle assignment
+const unassignDriverVehicle = async (req, res) => {
+  return closeAssignment(req, res, 'driver_id', req.params.id);
+};
+
+// DELETE /api/admin/vehicles/:id/driver - End the vehicle's current driver assignment
+const unassignVehicleDriver = async (req, res) => {
+  return closeAssignment(req, res, 'vehicle_id', req.params.id);
+};
+
+// GET /api/admin/drivers/:id/assignments - Get a driver's vehicle assignment history
+const getDriverAssignments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const driverResult = await query('SELECT id FROM drivers WHERE id = $1', [id]);
+    if (driverResult.rows.length === 0) {
+      return sendNotFound(res, 'Driver');
+    }
+
+    const result = await query(
+      `${assignmentSelect} WHERE va.driver_id = $1 ORDER BY va.assigned_from DESC`,
+      [id]
+    );
+
+    sendSuccess(res, {
+      current: result.rows.find(row => row.assigned_to === null) || null,
+      assignments: result.rows
+    }, 'Driver assignments retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching driver assignments:', error);
+    sendError(res, 'Failed to fetch driver assignments', 500, error);
+  }
+};
+
+// GET /api/admin/vehicles/:id/assignments - Get a vehicle's driver assignment history
+const getVehicleAssignments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const vehicleResult = await query('SELECT id FROM vehicles WHERE id = $1', [id]);
+    if (vehicleResult.rows.length === 0) {
+      return sendNotFound(res, 'Vehicle');
+    }
+
+    const result = await query(
+      `${assignmentSelect} WHERE va.vehicle_id = $1 ORDER BY va.assigned_from DESC`,
+      [id]
+    );
+
+    sendSuccess(res, {
+      current: result.rows.find(row => row.assigned_to === null) || null,
+      assignments: result.rows
+    }, 'Vehicle assignments retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching vehicle assignments:', error);
+    sendError(res, 'Failed to fetch vehicle assignments', 500, error);
+  }
+};
+
+// GET /api/admin/vehicles/plate/:plate_no/driver?at=...&plate_code=... - Who had plate X at time Y
+const getDriverByPlateAt = async (req, res) => {
+  try {
+    const { plate_no } = req.params;
+    const { at, plate_code = '' } = req.query;
+
+    if (!at || !isValidDateInput(at)) {
+      return sendValidationError(res, 'Query parameter "at" must be a valid date or timestamp');
+    }
+
+    const rows = await findDriverForPlate({ plateNo: plate_no, plateCode: plate_code, at });
+
+    if (rows.length === 0) {
+      return sendNotFound(res, `Assignment for plate ${plate_no} at ${at}`);
+    }
+
+    sendSuccess(res, {
+      plate_no,
+      plate_code: plate_code || null,
+      at,
+      // More than one match means the plate number exists under several plate codes
+      ambiguous: rows.length > 1,
+      assignments: rows
+    }, 'Driver for plate retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching driver by plate:', error);
+    sendError(res, 'Failed to fetch driver by plate', 500, error);
+  }
+};
+
+/**
+ * Mirror assignment starts and ends dated after they were saved onto vehicles.rick_no and status
+ * createAssignment and closeAssignment only update the vehicle for changes that take effect at once
+ * and flag them applied; this applies the rest once their date has come and gives the vehicle the
+ * driver holding it now (end dates apply from the start of that day, as in closeAssignment).
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ * @returns {Array<Object>} Vehicles updated: [{ id, rick_no, status }]
+ */
+const applyDueAssignments = async (db = { query }) => {
+  const result = await db.query(`
+    WITH due AS (
+      UPDATE vehicle_assignments
+      SET start_applied = true,
+          end_applied = COALESCE(assigned_to::date <= CURRENT_DATE, false)
+      WHERE (start_applied = false AND assigned_from <= CURRENT_TIMESTAMP)
+         OR (end_applied = false AND assigned_to::date <= CURRENT_DATE)
+      RETURNING vehicle_id
+    ),
+    holders AS (
+      SELECT DISTINCT due.vehicle_id, (
+        SELECT d.rick
+        FROM vehicle_assignments va
+        JOIN drivers d ON d.id = va.driver_id
+        WHERE va.vehicle_id = due.vehicle_id
+          AND va.assigned_from <= CURRENT_TIMESTAMP
+          AND (va.assigned_to IS NULL OR va.assigned_to::date > CURRENT_DATE)
+        ORDER BY va.assigned_from DESC
+        LIMIT 1
+      ) as rick
+      FROM due
+    )
+    UPDATE vehicles v
+    SET rick_no = h.rick,
+        status = CASE
+          WHEN h.rick IS NOT NULL THEN 'in_use'
+          WHEN v.status = 'in_use' THEN 'available'
+          ELSE v.status
+        END,
+        updated_at = CURRENT_TIMESTAMP
+    FROM holders h
+    WHERE v.id = h.vehicle_id AND v.is_archived = false
+    RETURNING v.id, v.rick_no, v.status
+  `);
+  return result.rows;
+};
+
+/**
+ * Move drivers or vehicles to the trash and end their assignments in the same transaction
+ * Assignments in effect end now and ones that have not started yet are removed; the vehicles
+ * an archived driver held are released (rick_no cleared, in_use -> available).
+ * @param {String} resource - 'drivers' or 'vehicles'
+ * @param {Array<Number>} ids
+ * @param {Number} userId - User archiving the rows
+ * @returns {Array<Object>} Archived rows (see archiveRows)
+ */
+const archiveAssignedRows = async (resource, ids, userId) => {
+  const column = resource === 'drivers' ? 'driver_id' : 'vehicle_id';
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const archived = await archiveRows(resource, ids, userId, client);
+    const archivedIds = archived.map(row => row.id);
+
+    if (archivedIds.length > 0) {
+      await client.query(
+        `DELETE FROM vehicle_assignments WHERE ${column} = ANY($1) AND assigned_from > CURRENT_TIMESTAMP::timestamp`,
+        [archivedIds]
+      );
+
+      const endedResult = await client.query(`
+        UPDATE vehicle_assignments
+        SET assigned_to = CURRENT_TIMESTAMP::timestamp, unassigned_by = $2,
+            start_applied = true, end_applied = true, updated_at = CURRENT_TIMESTAMP
+        WHERE ${column} = ANY($1) AND COALESCE(assigned_to, 'infinity'::timestamp) > CURRENT_TIMESTAMP::timestamp
+        RETURNING vehicle_id
+      `, [archivedIds, userId || null]);
+
+      if (endedResult.rows.length > 0) {
+        await client.query(`
+          UPDATE vehicles
+          SET rick_no = NULL,
+              status = CASE WHEN status = 'in_use' THEN 'available' ELSE status END,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ANY($1)
+        `, [endedResult.rows.map(row => row.vehicle_id)]);
+      }
+    }
+
+    await client.query('COMMIT');
+    return archived;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const runAssignmentSync = async () => {
+  try {
+    const updated = await applyDueAssignments();
+    if (updated.length > 0) {
+      console.log(`🚗 Applied due assignments to ${updated.length} vehicle(s)`);
+    }
+  } catch (error) {
+    console.error('Error applying due vehicle assignments:', error);
+  }
+};
+
+/**
+ * Start the assignment sync
+ * Runs shortly after start-up (to catch up after downtime) and then every hour
+ */
+const startAssignmentSync = () => {
+  setTimeout(runAssignmentSync, 30 * 1000).unref();
+  setInterval(runAssignmentSync, 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  assignVehicleToDriver,
+  assignDriverToVehicle,
+  unassignDriverVehicle,
+  unassignVehicleDriver,
+  getDriverAssignments,
+  getVehicleAssignments,
+  getDriverByPlateAt,
+  findDriverForPlate,
+  applyDueAssignments,
+  startAssignmentSync,
+  archiveAssignedRows
+};
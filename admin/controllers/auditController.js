@@ -0,0 +1,172 @@
+const { query } = require('../../shared/database/connection');
+const { sendSuccess, sendError } = require('../../shared/utils/response');
+
+/**
+ * Audit Controller
+ * Handles browsing the admin audit log written by the audit middleware
+ */
+
+// GET /api/admin/audit - Get audit log entries with filtering and pagination
+const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      size = 50,
+      actor_id = '',
+      actor = '',
+      entity_type = '',
+      entity_id = '',
+      action = '',
+      method = '',
+      route = '',
+      from = '',
+      to = ''
+    } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(size) || 50, 1), 500);
+    const offset = (pageNum - 1) * limitNum;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (actor_id) {
+      whereClause += ` AND a.actor_id = $${paramCount}`;
+      params.push(parseInt(actor_id));
+      paramCount++;
+    }
+
+    if (actor) {
+      whereClause += ` AND a.actor_username ILIKE $${paramCount}`;
+      params.push(`%${actor}%`);
+      paramCount++;
+    }
+
+    if (entity_type) {
+      whereClause += ` AND a.entity_type = $${paramCount}`;
+      params.push(entity_type);
+      paramCount++;
+    }
+
+    if (entity_id) {
+      whereClause += ` AND a.entity_id = $${paramCount}`;
+      params.push(String(entity_id));
+      paramCount++;
+    }
+
+    if (action) {
+      whereClause += ` AND a.action = $${paramCount}`;
+      params.push(action);
+      paramCount++;
+    }
+
+    if (method) {
+      whereClause += ` AND a.method = $${paramCount}`;
+      params.push(String(method).toUpperCase());
+      paramCount++;
+    }
+
+    if (route) {
+      whereClause += ` AND a.route ILIKE $${paramCount}`;
+      params.push(`%${route}%`);
+      paramCount++;
+    }
+
+    if (from) {
+      whereClause += ` AND a.created_at >= $${paramCount}::date`;
+      params.push(from);
+      paramCount++;
+    }
+
+    if (to) {
+      whereClause += ` AND a.created_at < $${paramCount}::date + INTERVAL '1 day'`;
+      params.push(to);
+      paramCount++;
+    }
+
+    const countResult = await query(`SELECT COUNT(*) FROM audit_logs a ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await query(`
+      SELECT
+        a.id,
+        a.actor_id,
+        a.actor_username,
+        a.actor_role,
+        a.method,
+        a.route,
+        a.action,
+        a.entity_type,
+        a.entity_id,
+        a.before_data,
+        a.after_data,
+        a.request_body,
+        a.status_code,
+        a.ip_address,
+        a.user_agent,
+        a.created_at
+      FROM audit_logs a
+      ${whereClause}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `, [...params, limitNum, offset]);
+
+    sendSuccess(res, {
+      logs: result.rows,
+      pagination: {
+        page: pageNum,
+        size: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    }, 'Audit log retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    sendError(res, 'Failed to fetch audit log', 500, error);
+  }
+};
+
+// GET /api/admin/audit/entity/:entityType/:entityId - Get the change history of one record
+const getEntityHistory = async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    // Bulk deletes store a comma-separated id list, so match the id inside it too
+    const result = await query(`
+      SELECT
+        a.id,
+        a.actor_id,
+        a.actor_username,
+        a.actor_role,
+        a.method,
+        a.route,
+        a.action,
+        a.before_data,
+        a.after_data,
+        a.request_body,
+        a.ip_address,
+        a.created_at
+      FROM audit_logs a
+      WHERE a.entity_type = $1
+        AND (a.entity_id = $2 OR $2 = ANY(string_to_array(a.entity_id, ',')))
+      ORDER BY a.created_at ASC, a.id ASC
+    `, [entityType, String(entityId)]);
+
+    sendSuccess(res, {
+      entity_type: entityType,
+      entity_id: entityId,
+      history: result.rows
+    }, 'Entity history retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching entity history:', error);
+    sendError(res, 'Failed to fetch entity history', 500, error);
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getEntityHistory
+};
@@ -123,7 +123,7 @@ const login = async (req, res) => {
       `SELECT u.id, u.name, u.username, u.email, u.password_hash, u.role_id, r.name as role_name
        FROM users u
        LEFT JOIN roles r ON u.role_id = r.id
-       WHERE u.username = $1 OR u.email = $1`,
+       WHERE (u.username = $1 OR u.email = $1) AND u.is_archived = false`,
       [username]
     );
 
@@ -198,7 +198,7 @@ const refreshToken = async (req, res) => {
       `SELECT u.id, u.username, u.email, u.refresh_token, r.name as role_name
        FROM users u
        LEFT JOIN roles r ON u.role_id = r.id
-       WHERE u.id = $1`,
+       WHERE u.id = $1 AND u.is_archived = false`,
       [decoded.userId]
     );
 
@@ -1,5 +1,12 @@
 const { query, pool } = require('../../shared/database/connection');
 const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { archiveRows } = require('./trashController');
+const { emitEvent } = require('../../shared/notifications/events');
+const { insertWithReference } = require('../../shared/utils/bookingReference');
+const { DOCUMENT_OWNERS } = require('../../shared/utils/documentTypes');
+const { BOOKING_TRANSITIONS, applyBookingTransition } = require('../../shared/utils/bookingStatus');
+const { findActiveCustomer, parseCustomerId } = require('./customerController');
+const config = require('../../config');
 
 /**
  * Booking Controller
@@ -15,13 +22,14 @@ const getAllBookings = async (req, res) => {
       sort = 'created_at', 
       order = 'desc',
       search = '',
-      status = ''
+      status = '',
+      customer_id = ''
     } = req.query;
 
     const offset = page * size;
 
-    // Build dynamic query
-    let whereClause = 'WHERE 1=1';
+    // Build dynamic query (archived bookings live in the trash)
+    let whereClause = 'WHERE is_archived = false';
     const params = [];
     let paramCount = 1;
 
@@ -31,6 +39,7 @@ const getAllBookings = async (req, res) => {
         guest_name ILIKE $${paramCount} OR 
         email_id ILIKE $${paramCount} OR 
         mobile_number ILIKE $${paramCount} OR
+        reference_code ILIKE $${paramCount} OR
         car_type ILIKE $${paramCount} OR
         pickup_loc ILIKE $${paramCount} OR
         drop_loc ILIKE $${paramCount}
@@ -46,6 +55,13 @@ const getAllBookings = async (req, res) => {
       paramCount++;
     }
 
+    // Customer filtering
+    if (customer_id) {
+      whereClause += ` AND customer_id = $${paramCount}`;
+      params.push(customer_id);
+      paramCount++;
+    }
+
     // Get total count
     const countQuery = `SELECT COUNT(*) FROM bookings ${whereClause}`;
     const countResult = await query(countQuery, params);
@@ -66,7 +82,19 @@ const getAllBookings = async (req, res) => {
         email_id,
         special_note,
         assigned_driver,
+        assigned_driver_id,
+        assigned_vehicle_id,
+        estimated_duration_minutes,
+        distance_km,
+        quoted_fare,
+        final_fare,
+        series_id,
+        leg_number,
+        customer_id,
+        invoice_id,
         status,
+        reference_code,
+        source,
         created_at,
         updated_at
       FROM bookings
@@ -116,11 +144,23 @@ const getBookingById = async (req, res) => {
         email_id,
         special_note,
         assigned_driver,
+        assigned_driver_id,
+        assigned_vehicle_id,
+        estimated_duration_minutes,
+        distance_km,
+        quoted_fare,
+        final_fare,
+        series_id,
+        leg_number,
+        customer_id,
+        invoice_id,
         status,
+        reference_code,
+        source,
         created_at,
         updated_at
       FROM bookings 
-      WHERE id = $1
+      WHERE id = $1 AND is_archived = false
     `, [id]);
 
     if (result.rows.length === 0) {
@@ -147,7 +187,9 @@ const createBooking = async (req, res) => {
       guestName,
       mobileNumber,
       emailId,
-      specialNote
+      specialNote,
+      estimatedDurationMinutes,
+      customerId
     } = req.body;
 
     // Basic validation
@@ -163,7 +205,19 @@ const createBooking = async (req, res) => {
       return sendValidationError(res, { message: 'Invalid email format' });
     }
 
-    const insertResult = await query(`
+    if (!isValidDuration(estimatedDurationMinutes)) {
+      return sendValidationError(res, { message: 'estimatedDurationMinutes must be a whole number of minutes between 1 and 1440' });
+    }
+
+    // Bookings billed on account are linked to their customer
+    if (customerId !== undefined && customerId !== null && customerId !== '') {
+      const { error: customerError } = await findActiveCustomer(customerId);
+      if (customerError) {
+        return sendValidationError(res, { message: customerError });
+      }
+    }
+
+    const insertResult = await insertWithReference(referenceCode => query(`
       INSERT INTO bookings (
         car_type,
         pickup_loc,
@@ -175,11 +229,17 @@ const createBooking = async (req, res) => {
         email_id,
         special_note,
         assigned_driver,
+        assigned_driver_id,
+        assigned_vehicle_id,
+        estimated_duration_minutes,
         status,
+        reference_code,
+        source,
+        customer_id,
         created_at,
         updated_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       RETURNING 
         id,
         guest_name as name,
@@ -193,7 +253,19 @@ const createBooking = async (req, res) => {
         email_id,
         special_note,
         assigned_driver,
+        assigned_driver_id,
+        assigned_vehicle_id,
+        estimated_duration_minutes,
+        distance_km,
+        quoted_fare,
+        final_fare,
+        series_id,
+        leg_number,
+        customer_id,
+        invoice_id,
         status,
+        reference_code,
+        source,
         created_at,
         updated_at
     `, [
@@ -207,15 +279,30 @@ const createBooking = async (req, res) => {
       emailId || null,
       specialNote || null,
       null, // assigned_driver
-      'pending' // default status
-    ]);
-
-    return res.status(200).json({
+      null, // assigned_driver_id
+      null, // assigned_vehicle_id
+      estimatedDurationMinutes ? parseInt(estimatedDurationMinutes) : null,
+      'pending', // default status
+      referenceCode,
+      'admin',
+      customerId ? parseCustomerId(customerId) : null
+    ]));
+
+    res.status(200).json({
       success: true,
       message: 'Booking created successfully',
       booking: insertResult.rows[0]
     });
 
+    emitEvent('booking.created', {
+      title: `New booking for ${guestName} on ${bookingDate} ${bookingTime}`,
+      message: `${pickupLocation} to ${dropoffLocation} (${vehicleType})`,
+      entityType: 'bookings',
+      entityId: insertResult.rows[0].id,
+      data: insertResult.rows[0],
+      actorId: req.user ? req.user.id : null
+    });
+
   } catch (error) {
     console.error('Error creating booking:', error);
     sendError(res, 'Failed to create booking', 500, error);
@@ -224,30 +311,106 @@ const createBooking = async (req, res) => {
 
 // PUT /api/admin/bookings/:id - Update existing booking
 const updateBooking = async (req, res) => {
+  const { id } = req.params;
+  const {
+    vehicleType,
+    pickupLocation,
+    dropoffLocation,
+    bookingDate,
+    bookingTime,
+    guestName,
+    mobileNumber,
+    emailId,
+    specialNote,
+    estimatedDurationMinutes,
+    customerId,
+    status
+  } = req.body;
+
+  // Validate email format if provided
+  if (emailId && !isValidEmail(emailId)) {
+    return sendValidationError(res, { message: 'Invalid email format' });
+  }
+
+  if (!isValidDuration(estimatedDurationMinutes)) {
+    return sendValidationError(res, { message: 'estimatedDurationMinutes must be a whole number of minutes between 1 and 1440' });
+  }
+
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const {
-      vehicleType,
-      pickupLocation,
-      dropoffLocation,
-      bookingDate,
-      bookingTime,
-      guestName,
-      mobileNumber,
-      emailId,
-      specialNote,
-      status
-    } = req.body;
+    await client.query('BEGIN');
 
     // Check if booking exists
-    const existingResult = await query('SELECT * FROM bookings WHERE id = $1', [id]);
+    const existingResult = await client.query('SELECT * FROM bookings WHERE id = $1 AND is_archived = false FOR UPDATE', [id]);
     if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return sendNotFound(res, 'Booking');
     }
 
-    // Validate email format if provided
-    if (emailId && !isValidEmail(emailId)) {
-      return sendValidationError(res, { message: 'Invalid email format' });
+    // Status only moves through the confirm/start/complete/cancel endpoints;
+    // sending the unchanged status back with the rest of the booking is fine
+    if (status !== undefined && status !== existingResult.rows[0].status) {
+      await client.query('ROLLBACK');
+      return sendError(res, 'Booking status cannot be edited directly. Use the confirm, start, complete or cancel endpoints.', 409);
+    }
+
+    // An invoiced booking stays with the customer it was billed to until the invoice is voided
+    const newCustomerId = customerId === undefined ? undefined : (customerId === null || customerId === '' ? null : parseCustomerId(customerId));
+    if (newCustomerId === null && customerId !== null && customerId !== '') {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, { message: 'customerId must be a customer id' });
+    }
+    if (newCustomerId !== undefined && newCustomerId !== existingResult.rows[0].customer_id) {
+      if (existingResult.rows[0].invoice_id) {
+        await client.query('ROLLBACK');
+        return sendError(res, 'Booking has been invoiced. Void the invoice before changing its customer.', 409);
+      }
+      if (newCustomerId !== null) {
+        const { error: customerError } = await findActiveCustomer(newCustomerId, client);
+        if (customerError) {
+          await client.query('ROLLBACK');
+          return sendValidationError(res, { message: customerError });
+        }
+      }
+    }
+
+    // A new time or duration must still fit around the assigned driver's and vehicle's other trips,
+    // and the driver and vehicle must still be able to take a trip on the new date
+    const existing = existingResult.rows[0];
+    const timingChanged = bookingDate !== undefined || bookingTime !== undefined || estimatedDurationMinutes !== undefined;
+    if (timingChanged && (existing.assigned_driver_id || existing.assigned_vehicle_id)) {
+      // Same locks as assignDriver, so a concurrent assignment cannot slip into the new slot
+      const driverResult = existing.assigned_driver_id
+        ? await client.query('SELECT * FROM drivers WHERE id = $1 FOR UPDATE', [existing.assigned_driver_id])
+        : { rows: [] };
+      const vehicleResult = existing.assigned_vehicle_id
+        ? await client.query('SELECT * FROM vehicles WHERE id = $1 FOR UPDATE', [existing.assigned_vehicle_id])
+        : { rows: [] };
+
+      const tripDate = bookingDate !== undefined ? new Date(`${bookingDate}T00:00:00`) : existing.booking_date;
+      const problems = driverResult.rows.length > 0
+        ? getAssignmentProblems(driverResult.rows[0], vehicleResult.rows[0] || null, tripDate)
+        : [];
+      const conflicts = await findBookingConflicts({
+        bookingId: existing.id,
+        driverId: existing.assigned_driver_id,
+        vehicleId: existing.assigned_vehicle_id,
+        bookingDate: bookingDate !== undefined ? bookingDate : existing.booking_date,
+        bookingTime: bookingTime !== undefined ? bookingTime : existing.booking_time,
+        durationMinutes: estimatedDurationMinutes !== undefined ? estimatedDurationMinutes : existing.estimated_duration_minutes
+      }, client);
+
+      if (problems.length > 0 || conflicts.length > 0) {
+        await client.query('ROLLBACK');
+        return sendAssignmentConflict(
+          res,
+          conflicts.length > 0
+            ? 'The new time overlaps other bookings of the assigned driver or vehicle'
+            : 'The assigned driver or vehicle cannot take a trip on the new date',
+          problems,
+          conflicts
+        );
+      }
     }
 
     // Build dynamic update query
@@ -300,13 +463,19 @@ const updateBooking = async (req, res) => {
       updateParams.push(specialNote);
       paramCount++;
     }
-    if (status !== undefined) {
-      updateFields.push(`status = $${paramCount}`);
-      updateParams.push(status);
+    if (estimatedDurationMinutes !== undefined) {
+      updateFields.push(`estimated_duration_minutes = $${paramCount}`);
+      updateParams.push(estimatedDurationMinutes ? parseInt(estimatedDurationMinutes) : null);
+      paramCount++;
+    }
+    if (newCustomerId !== undefined) {
+      updateFields.push(`customer_id = $${paramCount}`);
+      updateParams.push(newCustomerId);
       paramCount++;
     }
 
     if (updateFields.length === 0) {
+      await client.query('ROLLBACK');
       return sendValidationError(res, { message: 'No fields to update' });
     }
 
@@ -330,80 +499,452 @@ const updateBooking = async (req, res) => {
         email_id,
         special_note,
         assigned_driver,
+        assigned_driver_id,
+        assigned_vehicle_id,
+        estimated_duration_minutes,
+        distance_km,
+        quoted_fare,
+        final_fare,
+        series_id,
+        leg_number,
+        customer_id,
+        invoice_id,
         status,
+        reference_code,
+        source,
         created_at,
         updated_at
     `;
 
-    const updateResult = await query(updateQuery, updateParams);
+    const updateResult = await client.query(updateQuery, updateParams);
+
+    await client.query('COMMIT');
 
-    return res.status(200).json({
+    res.status(200).json({
       success: true,
       message: 'Booking updated successfully',
       booking: updateResult.rows[0]
     });
 
+    emitEvent('booking.updated', {
+      title: `Booking #${updateResult.rows[0].id} for ${updateResult.rows[0].guest_name} updated`,
+      entityType: 'bookings',
+      entityId: updateResult.rows[0].id,
+      data: updateResult.rows[0],
+      actorId: req.user ? req.user.id : null
+    });
+
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error updating booking:', error);
     sendError(res, 'Failed to update booking', 500, error);
+  } finally {
+    client.release();
   }
 };
 
-// PATCH /api/admin/bookings/:id/assign-driver - Assign driver to booking
-const assignDriver = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { driver_name } = req.body;
+// Bookings that no longer hold a driver or vehicle
+const CLOSED_BOOKING_STATUSES = ['completed', 'cancelled'];
+
+/**
+ * Find active bookings of a driver and/or vehicle that overlap a trip slot
+ * A booking occupies [date + time, date + time + duration); bookings without a
+ * duration use config.bookings.defaultDurationMinutes.
+ * Exported so other controllers (e.g. scheduling) can check slots
+ * @param {Object} options - { bookingId (excluded), driverId, vehicleId, bookingDate, bookingTime, durationMinutes }
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ */
+const findBookingConflicts = async ({ bookingId, driverId, vehicleId, bookingDate, bookingTime, durationMinutes }, db = { query }) => {
+  if (!driverId && !vehicleId) return [];
+
+  const defaultDuration = config.bookings.defaultDurationMinutes;
+  const result = await db.query(`
+    SELECT
+      b.id,
+      b.reference_code,
+      b.guest_name,
+      b.booking_date,
+      b.booking_time,
+      COALESCE(b.estimated_duration_minutes, $6) as estimated_duration_minutes,
+      b.assigned_driver,
+      b.assigned_driver_id,
+      b.assigned_vehicle_id,
+      b.status,
+      CASE WHEN b.assigned_driver_id = $2 THEN 'driver' ELSE 'vehicle' END as conflict_on
+    FROM bookings b
+    WHERE b.is_archived = false
+      AND b.id <> $1
+      AND b.status <> ALL($8)
+      AND (b.assigned_driver_id = $2 OR b.assigned_vehicle_id = $3)
+      AND b.booking_date BETWEEN $4::date - 1 AND $4::date + 1
+      AND b.booking_date + b.booking_time < $4::date + $5::time + make_interval(mins => $7::int)
+      AND b.booking_date + b.booking_time + make_interval(mins => COALESCE(b.estimated_duration_minutes, $6)::int) > $4::date + $5::time
+    ORDER BY b.booking_date, b.booking_time
+  `, [
+    bookingId || 0,
+    driverId || null,
+    vehicleId || null,
+    bookingDate,
+    bookingTime,
+    defaultDuration,
+    parseInt(durationMinutes) || defaultDuration,
+    CLOSED_BOOKING_STATUSES
+  ]);
+
+  return result.rows;
+};
+
+// Helper function to list why a driver or vehicle cannot take a trip on a date:
+// inactive status, or a document that has expired by the trip date
+const getAssignmentProblems = (driver, vehicle, tripDate) => {
+  const problems = [];
+
+  if (driver.status !== 'active') {
+    problems.push(`Driver ${driver.name} is ${driver.status}`);
+  }
+
+  const expiredOn = (owner, ownerType) => Object.values(DOCUMENT_OWNERS[ownerType].types)
+    .filter(type => type.expiryField && owner[type.expiryField] && owner[type.expiryField] < tripDate)
+    .map(type => type.label);
+
+  expiredOn(driver, 'driver').forEach(label => {
+    problems.push(`Driver ${driver.name}'s ${label} has expired by the trip date`);
+  });
 
-    if (!driver_name) {
-      return sendValidationError(res, { message: 'driver_name is required' });
+  if (vehicle) {
+    const plate = [vehicle.plate_code, vehicle.plate_no].filter(Boolean).join(' ');
+    if (['maintenance', 'retired'].includes(vehicle.status)) {
+      problems.push(`Vehicle ${plate} is ${vehicle.status}`);
     }
+    expiredOn(vehicle, 'vehicle').forEach(label => {
+      problems.push(`Vehicle ${plate}'s ${label} has expired by the trip date`);
+    });
+  }
 
-    // Check if booking exists
-    const existingResult = await query('SELECT * FROM bookings WHERE id = $1', [id]);
+  return problems;
+};
+
+// Helper function to answer a rejected assignment with the reasons and overlapping bookings
+const sendAssignmentConflict = (res, message, problems, conflicts) => {
+  return res.status(409).json({
+    success: false,
+    message,
+    problems,
+    conflicts,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// PATCH /api/admin/bookings/:id/assign-driver - Assign a driver (and vehicle) to a booking
+// Expected body: { driver_id: 12, vehicle_id: 5, estimated_duration_minutes: 90 }
+// vehicle_id defaults to the driver's current vehicle; driver_id: null unassigns the booking
+const assignDriver = async (req, res) => {
+  const { id } = req.params;
+  const { driver_id, vehicle_id, estimated_duration_minutes } = req.body;
+
+  if (driver_id === undefined) {
+    return sendValidationError(res, { message: 'driver_id is required (null to unassign)' });
+  }
+  if (driver_id !== null && !Number.isInteger(Number(driver_id))) {
+    return sendValidationError(res, { message: 'driver_id must be a driver ID' });
+  }
+  if (vehicle_id !== undefined && vehicle_id !== null && !Number.isInteger(Number(vehicle_id))) {
+    return sendValidationError(res, { message: 'vehicle_id must be a vehicle ID' });
+  }
+  if (!isValidDuration(estimated_duration_minutes)) {
+    return sendValidationError(res, { message: 'estimated_duration_minutes must be a whole number of minutes between 1 and 1440' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existingResult = await client.query(
+      'SELECT * FROM bookings WHERE id = $1 AND is_archived = false FOR UPDATE',
+      [id]
+    );
     if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return sendNotFound(res, 'Booking');
     }
+    const booking = existingResult.rows[0];
 
-    // Update assigned driver
-    const updateResult = await query(`
-      UPDATE bookings 
-      SET assigned_driver = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING id, assigned_driver
-    `, [driver_name, id]);
+    if (CLOSED_BOOKING_STATUSES.includes(booking.status)) {
+      await client.query('ROLLBACK');
+      return sendError(res, `Cannot change the driver of a ${booking.status} booking`, 409);
+    }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Driver assigned successfully',
-      booking: {
-        id: updateResult.rows[0].id,
-        assigned_driver: updateResult.rows[0].assigned_driver
+    const durationMinutes = estimated_duration_minutes !== undefined
+      ? (estimated_duration_minutes ? parseInt(estimated_duration_minutes) : null)
+      : booking.estimated_duration_minutes;
+
+    let driver = null;
+    let vehicle = null;
+
+    if (driver_id !== null) {
+      // Locking the driver row serialises concurrent assignments of the same driver,
+      // so two dispatchers cannot both pass the overlap check
+      const driverResult = await client.query(
+        'SELECT * FROM drivers WHERE id = $1 AND is_archived = false FOR UPDATE',
+        [driver_id]
+      );
+      if (driverResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return sendNotFound(res, 'Driver');
+      }
+      driver = driverResult.rows[0];
+
+      let vehicleId = vehicle_id;
+      if (vehicleId === undefined) {
+        const currentResult = await client.query(
+          'SELECT vehicle_id FROM vehicle_assignments WHERE driver_id = $1 AND assigned_to IS NULL',
+          [driver.id]
+        );
+        vehicleId = currentResult.rows.length > 0 ? currentResult.rows[0].vehicle_id : null;
+      }
+
+      if (vehicleId !== null) {
+        const vehicleResult = await client.query(
+          'SELECT * FROM vehicles WHERE id = $1 AND is_archived = false FOR UPDATE',
+          [vehicleId]
+        );
+        if (vehicleResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return sendNotFound(res, 'Vehicle');
+        }
+        vehicle = vehicleResult.rows[0];
+      }
+
+      const problems = getAssignmentProblems(driver, vehicle, booking.booking_date);
+      const conflicts = await findBookingConflicts({
+        bookingId: booking.id,
+        driverId: driver.id,
+        vehicleId: vehicle ? vehicle.id : null,
+        bookingDate: booking.booking_date,
+        bookingTime: booking.booking_time,
+        durationMinutes
+      }, client);
+
+      if (problems.length > 0 || conflicts.length > 0) {
+        await client.query('ROLLBACK');
+        return sendAssignmentConflict(
+          res,
+          conflicts.length > 0 ? 'Driver or vehicle already has an overlapping booking' : 'Driver or vehicle cannot take this booking',
+          problems,
+          conflicts
+        );
       }
+    }
+
+    const updateResult = await client.query(`
+      UPDATE bookings
+      SET assigned_driver = $1,
+          assigned_driver_id = $2,
+          assigned_vehicle_id = $3,
+          estimated_duration_minutes = $4,
+          assigned_at = CASE WHEN $2::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+          assigned_by = CASE WHEN $2::int IS NULL THEN NULL ELSE $5::int END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+      RETURNING id, assigned_driver, assigned_driver_id, assigned_vehicle_id, estimated_duration_minutes, assigned_at
+    `, [
+      driver ? driver.name : null,
+      driver ? driver.id : null,
+      vehicle ? vehicle.id : null,
+      durationMinutes,
+      req.user ? req.user.id : null,
+      booking.id
+    ]);
+
+    await client.query('COMMIT');
+
+    const updated = updateResult.rows[0];
+    res.status(200).json({
+      success: true,
+      message: driver ? 'Driver assigned successfully' : 'Driver unassigned successfully',
+      booking: updated
+    });
+
+    emitEvent('booking.assigned', {
+      title: driver
+        ? `${driver.name} assigned to booking #${updated.id}`
+        : `Booking #${updated.id} unassigned from ${booking.assigned_driver || 'its driver'}`,
+      entityType: 'bookings',
+      entityId: updated.id,
+      data: {
+        ...updated,
+        previous_driver: booking.assigned_driver,
+        previous_driver_id: booking.assigned_driver_id
+      },
+      actorId: req.user ? req.user.id : null
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error assigning driver:', error);
     sendError(res, 'Failed to assign driver', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// Shared implementation for the status endpoints: applies one BOOKING_TRANSITIONS action
+const transitionBooking = async (req, res, action) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+  const userId = req.user ? req.user.id : null;
+
+  if (BOOKING_TRANSITIONS[action].reasonRequired && (!reason || !String(reason).trim())) {
+    return sendValidationError(res, `A reason is required to ${action} a booking`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existingResult = await client.query(
+      'SELECT id, status FROM bookings WHERE id = $1 AND is_archived = false FOR UPDATE',
+      [id]
+    );
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Booking');
+    }
+
+    const fromStatus = existingResult.rows[0].status;
+    const result = await applyBookingTransition(client, existingResult.rows[0], action, { reason, userId });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return sendError(res, result.error, 409);
+    }
+
+    await client.query('COMMIT');
+
+    const booking = result.booking;
+    sendSuccess(res, booking, `Booking moved from ${fromStatus} to ${booking.status}`);
+
+    emitEvent('booking.status_changed', {
+      title: `Booking #${booking.id} for ${booking.guest_name} ${booking.status.replace('_', ' ')}`,
+      message: reason ? String(reason).trim() : null,
+      entityType: 'bookings',
+      entityId: booking.id,
+      data: { ...booking, from_status: fromStatus, to_status: booking.status },
+      actorId: userId
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
 };
 
-// DELETE /api/admin/bookings/:id - Delete booking
+// POST /api/admin/bookings/:id/confirm - Confirm a pending booking
+// Expected request body (optional): { reason: "Guest confirmed by phone" }
+const confirmBooking = async (req, res) => {
+  try {
+    await transitionBooking(req, res, 'confirm');
+  } catch (error) {
+    console.error('Error confirming booking:', error);
+    sendError(res, 'Failed to confirm booking', 500, error);
+  }
+};
+
+// POST /api/admin/bookings/:id/start - Start a confirmed booking's trip
+const startBooking = async (req, res) => {
+  try {
+    await transitionBooking(req, res, 'start');
+  } catch (error) {
+    console.error('Error starting booking:', error);
+    sendError(res, 'Failed to start booking', 500, error);
+  }
+};
+
+// POST /api/admin/bookings/:id/complete - Complete a booking that is in progress
+const completeBooking = async (req, res) => {
+  try {
+    await transitionBooking(req, res, 'complete');
+  } catch (error) {
+    console.error('Error completing booking:', error);
+    sendError(res, 'Failed to complete booking', 500, error);
+  }
+};
+
+// POST /api/admin/bookings/:id/cancel - Cancel a pending or confirmed booking
+// Expected request body: { reason: "Guest cancelled" }
+const cancelBooking = async (req, res) => {
+  try {
+    await transitionBooking(req, res, 'cancel');
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    sendError(res, 'Failed to cancel booking', 500, error);
+  }
+};
+
+// GET /api/admin/bookings/:id/history - Get the status history of a booking
+const getBookingHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bookingResult = await query('SELECT id, status FROM bookings WHERE id = $1 AND is_archived = false', [id]);
+    if (bookingResult.rows.length === 0) {
+      return sendNotFound(res, 'Booking');
+    }
+
+    const historyResult = await query(`
+      SELECT
+        h.id, h.from_status, h.to_status, h.reason,
+        h.changed_by, u.username as changed_by_username,
+        h.changed_by_driver, d.name as changed_by_driver_name,
+        h.changed_at
+      FROM booking_status_history h
+      LEFT JOIN users u ON u.id = h.changed_by
+      LEFT JOIN drivers d ON d.id = h.changed_by_driver
+      WHERE h.booking_id = $1
+      ORDER BY h.changed_at ASC, h.id ASC
+    `, [id]);
+
+    sendSuccess(res, {
+      booking_id: parseInt(id),
+      status: bookingResult.rows[0].status,
+      history: historyResult.rows
+    }, 'Booking history retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching booking history:', error);
+    sendError(res, 'Failed to fetch booking history', 500, error);
+  }
+};
+
+// DELETE /api/admin/bookings/:id - Delete booking (moves it to the trash)
 const deleteBooking = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query('DELETE FROM bookings WHERE id = $1 RETURNING *', [id]);
+    const invoicedResult = await query('SELECT invoice_id FROM bookings WHERE id = $1 AND invoice_id IS NOT NULL', [id]);
+    if (invoicedResult.rows.length > 0) {
+      return sendError(res, 'Booking has been invoiced. Void the invoice before deleting it.', 409);
+    }
 
-    if (result.rows.length === 0) {
+    const archived = await archiveRows('bookings', [id], req.user ? req.user.id : null);
+
+    if (archived.length === 0) {
       return sendNotFound(res, 'Booking');
     }
 
-    return res.status(200).json({
+    res.status(200).json({
       success: true,
       message: 'Booking deleted successfully'
     });
 
+    emitEvent('booking.deleted', {
+      title: `Booking #${archived[0].id} for ${archived[0].guest_name} moved to the trash`,
+      entityType: 'bookings',
+      entityId: archived[0].id,
+      actorId: req.user ? req.user.id : null
+    });
+
   } catch (error) {
     console.error('Error deleting booking:', error);
     sendError(res, 'Failed to delete booking', 500, error);
@@ -416,12 +957,26 @@ const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+// Helper function to validate an optional trip duration in minutes (empty = configured default)
+const isValidDuration = (value) => {
+  if (value === undefined || value === null || value === '') return true;
+  const minutes = Number(value);
+  return Number.isInteger(minutes) && minutes >= 1 && minutes <= 1440;
+};
+
 module.exports = {
   getAllBookings,
   getBookingById,
   createBooking,
   updateBooking,
   assignDriver,
-  deleteBooking
+  confirmBooking,
+  startBooking,
+  completeBooking,
+  cancelBooking,
+  getBookingHistory,
+  deleteBooking,
+  findBookingConflicts,
+  getAssignmentProblems
 };
 
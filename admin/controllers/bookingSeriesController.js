@@ -0,0 +1,770 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { validateEmail } = require('../../shared/utils/validation');
+const { insertWithReference } = require('../../shared/utils/bookingReference');
+const { applyBookingTransition } = require('../../shared/utils/bookingStatus');
+const { emitEvent } = require('../../shared/notifications/events');
+const { findBookingConflicts, getAssignmentProblems } = require('./bookingController');
+const { findActiveCustomer, parseCustomerId } = require('./customerController');
+
+/**
+ * Booking Series Controller
+ * Handles recurring bookings (daily, weekly or custom dates until an end date) and
+ * multi-leg bookings (outbound + return). A series materialises normal bookings
+ * linked by series_id and leg_number; they can be edited or cancelled together
+ * here, or one by one through the booking endpoints.
+ */
+
+const FREQUENCIES = ['none', 'daily', 'weekly', 'custom'];
+const MAX_LEGS = 4;
+const MAX_LEG_DAY_OFFSET = 30;
+const MAX_SERIES_DAYS = 366;
+const MAX_SERIES_BOOKINGS = 400;
+
+// Bookings of a series that can still be edited or cancelled together
+const OPEN_STATUSES = ['pending', 'confirmed'];
+
+const SERIES_BOOKING_COLUMNS = `
+  id, reference_code, booking_date, booking_time, leg_number, car_type, pickup_loc, drop_loc,
+  guest_name, mobile_number, email_id, special_note, estimated_duration_minutes,
+  assigned_driver, assigned_driver_id, assigned_vehicle_id, customer_id, status
+`;
+
+// Helper function to validate a YYYY-MM-DD date
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+
+// Helper function to validate a 24-hour HH:MM time
+const isValidTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value));
+
+// Date arithmetic on YYYY-MM-DD strings in UTC, so server time zones and DST never shift a day
+const addDays = (date, days) => {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().substring(0, 10);
+};
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Helper function to format a date as YYYY-MM-DD in server local time
+const formatDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).substring(0, 10);
+};
+
+/**
+ * List the occurrence dates of a recurrence rule
+ * @param {Object} rule - { frequency, startDate, endDate, interval, weekdays, dates }
+ * @returns {string[]} Sorted YYYY-MM-DD dates
+ */
+const buildOccurrenceDates = ({ frequency, startDate, endDate, interval = 1, weekdays = [], dates = [] }) => {
+  const occurrences = [];
+
+  switch (frequency) {
+    case 'daily':
+      for (let date = startDate; date <= endDate; date = addDays(date, interval)) {
+        occurrences.push(date);
+      }
+      break;
+    case 'weekly': {
+      const days = weekdays.length > 0 ? [...weekdays].sort((a, b) => a - b) : [weekdayOf(startDate)];
+      for (let weekStart = addDays(startDate, -weekdayOf(startDate)); weekStart <= endDate; weekStart = addDays(weekStart, 7 * interval)) {
+        days.forEach(day => {
+          const date = addDays(weekStart, day);
+          if (date >= startDate && date <= endDate) occurrences.push(date);
+        });
+      }
+      break;
+    }
+    case 'custom':
+      occurrences.push(...[...new Set(dates)].sort());
+      break;
+    default:
+      occurrences.push(startDate);
+  }
+
+  return occurrences;
+};
+
+// Helper function to validate the fields shared by every booking of a series
+const validateSharedFields = (body, errors, { partial = false } = {}) => {
+  const required = { vehicleType: 100, guestName: 255, mobileNumber: 20 };
+
+  Object.entries(required).forEach(([field, maxLength]) => {
+    const value = body[field];
+    if (value === undefined && partial) return;
+    if (!value || !String(value).trim()) {
+      errors.push(`${field} is required`);
+    } else if (String(value).trim().length > maxLength) {
+      errors.push(`${field} must be no more than ${maxLength} characters long`);
+    }
+  });
+
+  if (body.emailId && !validateEmail(String(body.emailId))) {
+    errors.push('emailId must be a valid email address');
+  }
+
+  const duration = body.estimatedDurationMinutes;
+  if (duration !== undefined && duration !== null && duration !== '') {
+    const minutes = Number(duration);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+      errors.push('estimatedDurationMinutes must be a whole number of minutes between 1 and 1440');
+    }
+  }
+};
+
+// Helper function to check that legs follow each other: a return leg cannot start before the outbound one
+const checkLegOrder = (legs, errors) => {
+  for (let i = 1; i < legs.length; i++) {
+    const previous = legs[i - 1];
+    const current = legs[i];
+    if (current.day_offset < previous.day_offset ||
+        (current.day_offset === previous.day_offset && current.booking_time <= previous.booking_time)) {
+      errors.push(`Leg ${i + 1} must start after leg ${i}`);
+    }
+  }
+};
+
+// Helper function to validate and normalise leg templates - returns the legs in order
+const readLegs = (legs, errors) => {
+  if (!Array.isArray(legs) || legs.length === 0 || legs.length > MAX_LEGS) {
+    errors.push(`legs must be an array of 1 to ${MAX_LEGS} legs`);
+    return [];
+  }
+
+  const normalised = legs.map((leg, index) => {
+    const label = `Leg ${index + 1}`;
+    const dayOffset = leg.dayOffset === undefined ? 0 : Number(leg.dayOffset);
+
+    if (!leg.pickupLocation || !String(leg.pickupLocation).trim()) errors.push(`${label}: pickupLocation is required`);
+    if (!leg.dropoffLocation || !String(leg.dropoffLocation).trim()) errors.push(`${label}: dropoffLocation is required`);
+    if (!isValidTime(leg.bookingTime)) errors.push(`${label}: bookingTime is required in HH:MM format`);
+    if (!Number.isInteger(dayOffset) || dayOffset < 0 || dayOffset > MAX_LEG_DAY_OFFSET) {
+      errors.push(`${label}: dayOffset must be a whole number of days between 0 and ${MAX_LEG_DAY_OFFSET}`);
+    }
+
+    return {
+      leg_number: index + 1,
+      pickup_loc: String(leg.pickupLocation || '').trim(),
+      drop_loc: String(leg.dropoffLocation || '').trim(),
+      booking_time: leg.bookingTime,
+      day_offset: dayOffset
+    };
+  });
+
+  checkLegOrder(normalised, errors);
+
+  return normalised;
+};
+
+// Helper function to validate a recurrence rule - returns { frequency, startDate, endDate, interval, weekdays, dates }
+const readRecurrence = (body, legs, today, errors) => {
+  const recurrence = body.recurrence || { frequency: 'none' };
+  const frequency = recurrence.frequency || 'none';
+  const interval = recurrence.interval === undefined ? 1 : Number(recurrence.interval);
+  const weekdays = Array.isArray(recurrence.weekdays) ? recurrence.weekdays.map(Number) : [];
+  const dates = Array.isArray(recurrence.dates) ? recurrence.dates : [];
+
+  if (!FREQUENCIES.includes(frequency)) {
+    errors.push(`recurrence.frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    return null;
+  }
+
+  if (frequency === 'none' && legs.length < 2) {
+    errors.push('A series needs a recurrence or at least two legs. Use the booking endpoint for a single trip.');
+  }
+
+  if (frequency === 'custom') {
+    if (dates.length === 0 || dates.some(date => !isValidDate(date))) {
+      errors.push('recurrence.dates must be a list of YYYY-MM-DD dates');
+      return null;
+    }
+  } else if (!isValidDate(body.bookingDate)) {
+    errors.push('bookingDate (first date of the series) is required in YYYY-MM-DD format');
+    return null;
+  }
+
+  const startDate = frequency === 'custom' ? [...dates].sort()[0] : body.bookingDate;
+  const endDate = frequency === 'custom' ? [...dates].sort()[dates.length - 1] : (recurrence.endDate || null);
+
+  if (startDate < today) {
+    errors.push('A series cannot start in the past');
+  }
+
+  if (frequency === 'daily' || frequency === 'weekly') {
+    if (!isValidDate(endDate)) {
+      errors.push('recurrence.endDate is required in YYYY-MM-DD format');
+    } else if (endDate < startDate) {
+      errors.push('recurrence.endDate must be on or after bookingDate');
+    }
+    if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+      errors.push('recurrence.interval must be a whole number between 1 and 52');
+    }
+  }
+
+  if (frequency === 'weekly' && weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    errors.push('recurrence.weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+  }
+
+  if (isValidDate(endDate) && endDate > addDays(startDate, MAX_SERIES_DAYS)) {
+    errors.push(`A series can span at most ${MAX_SERIES_DAYS} days`);
+  }
+
+  return { frequency, startDate, endDate: frequency === 'none' ? null : endDate, interval, weekdays, dates };
+};
+
+// Helper function to load a series with its bookings
+const loadSeries = async (id, db = { query }) => {
+  const seriesResult = await db.query('SELECT * FROM booking_series WHERE id = $1', [id]);
+  if (seriesResult.rows.length === 0) return null;
+
+  const bookingsResult = await db.query(`
+    SELECT ${SERIES_BOOKING_COLUMNS}
+    FROM bookings
+    WHERE series_id = $1 AND is_archived = false
+    ORDER BY booking_date ASC, leg_number ASC
+  `, [id]);
+
+  return { ...seriesResult.rows[0], bookings: bookingsResult.rows };
+};
+
+// GET /api/admin/bookings/series - Get booking series
+// Query: status=active|cancelled, search (guest name or mobile number)
+const getAllSeries = async (req, res) => {
+  try {
+    const { status = '', search = '' } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (status) {
+      whereClause += ` AND s.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (search) {
+      whereClause += ` AND (s.guest_name ILIKE $${paramCount} OR s.mobile_number ILIKE $${paramCount})`;
+      params.push(`%${search}%`);
+      paramCount++;
+    }
+
+    const result = await query(`
+      SELECT
+        s.id, s.series_type, s.frequency, s.repeat_interval, s.weekdays, s.start_date, s.end_date,
+        s.car_type, s.guest_name, s.mobile_number, s.status, s.created_by, s.created_at,
+        COUNT(b.id) as total_bookings,
+        COUNT(b.id) FILTER (WHERE b.status = ANY($${paramCount}) AND b.booking_date >= CURRENT_DATE) as upcoming_bookings
+      FROM booking_series s
+      LEFT JOIN bookings b ON b.series_id = s.id AND b.is_archived = false
+      ${whereClause}
+      GROUP BY s.id
+      ORDER BY s.start_date DESC, s.id DESC
+    `, [...params, OPEN_STATUSES]);
+
+    sendSuccess(res, result.rows.map(row => ({
+      ...row,
+      total_bookings: parseInt(row.total_bookings),
+      upcoming_bookings: parseInt(row.upcoming_bookings)
+    })), 'Booking series retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching booking series:', error);
+    sendError(res, 'Failed to fetch booking series', 500, error);
+  }
+};
+
+// GET /api/admin/bookings/series/:id - Get a series with its bookings
+const getSeriesById = async (req, res) => {
+  try {
+    const series = await loadSeries(req.params.id);
+    if (!series) {
+      return sendNotFound(res, 'Booking series');
+    }
+
+    sendSuccess(res, series, 'Booking series retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching booking series:', error);
+    sendError(res, 'Failed to fetch booking series', 500, error);
+  }
+};
+
+// POST /api/admin/bookings/series - Create a recurring and/or multi-leg series
+// Expected body: { vehicleType, guestName, mobileNumber, emailId, specialNote, estimatedDurationMinutes,
+//   customerId (optional, bills every booking of the series on account), bookingDate: "2025-05-05",
+//   legs: [{ pickupLocation, dropoffLocation, bookingTime: "07:30", dayOffset: 0 }, { ..., bookingTime: "18:00" }],
+//   recurrence: { frequency: "weekly", interval: 1, weekdays: [1, 3], endDate: "2025-08-31" }   (optional)
+//   or recurrence: { frequency: "custom", dates: ["2025-05-05", "2025-05-19"] },
+//   dry_run: true (preview the bookings without creating them) }
+const createSeries = async (req, res) => {
+  const body = req.body || {};
+  const isDryRun = body.dry_run === true || body.dry_run === 'true';
+
+  const todayResult = await query('SELECT CURRENT_DATE as today').catch(error => ({ error }));
+  if (todayResult.error) {
+    console.error('Error creating booking series:', todayResult.error);
+    return sendError(res, 'Failed to create booking series', 500, todayResult.error);
+  }
+  const today = formatDate(todayResult.rows[0].today);
+
+  const errors = [];
+  validateSharedFields(body, errors);
+  const legs = readLegs(body.legs, errors);
+  const rule = readRecurrence(body, legs, today, errors);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const occurrences = buildOccurrenceDates(rule);
+  const planned = [];
+  occurrences.forEach(date => {
+    legs.forEach(leg => {
+      planned.push({
+        booking_date: addDays(date, leg.day_offset),
+        booking_time: leg.booking_time,
+        leg_number: leg.leg_number,
+        pickup_loc: leg.pickup_loc,
+        drop_loc: leg.drop_loc
+      });
+    });
+  });
+
+  if (planned.length === 0) {
+    return sendValidationError(res, 'The recurrence does not produce any dates between bookingDate and endDate');
+  }
+  if (planned.length > MAX_SERIES_BOOKINGS) {
+    return sendValidationError(res, `A series can create at most ${MAX_SERIES_BOOKINGS} bookings (this one would create ${planned.length})`);
+  }
+
+  // Series billed on account are linked to their customer, and so are all their bookings
+  const customerId = body.customerId === undefined || body.customerId === null || body.customerId === ''
+    ? null
+    : body.customerId;
+  if (customerId !== null) {
+    let customerCheck;
+    try {
+      customerCheck = await findActiveCustomer(customerId);
+    } catch (error) {
+      console.error('Error creating booking series:', error);
+      return sendError(res, 'Failed to create booking series', 500, error);
+    }
+    if (customerCheck.error) {
+      return sendValidationError(res, { message: customerCheck.error });
+    }
+  }
+
+  const seriesType = rule.frequency === 'none' ? 'multi_leg' : 'recurring';
+
+  if (isDryRun) {
+    return sendSuccess(res, {
+      dry_run: true,
+      series_type: seriesType,
+      occurrences: occurrences.length,
+      total_bookings: planned.length,
+      bookings: planned
+    }, 'Booking series preview generated');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const seriesResult = await client.query(`
+      INSERT INTO booking_series (
+        series_type, frequency, repeat_interval, weekdays, custom_dates, start_date, end_date,
+        legs, car_type, guest_name, mobile_number, customer_id, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING id
+    `, [
+      seriesType,
+      rule.frequency,
+      rule.interval,
+      rule.frequency === 'weekly' && rule.weekdays.length > 0 ? rule.weekdays : null,
+      rule.frequency === 'custom' ? [...new Set(rule.dates)].sort() : null,
+      rule.startDate,
+      rule.endDate,
+      JSON.stringify(legs),
+      String(body.vehicleType).trim(),
+      String(body.guestName).trim(),
+      String(body.mobileNumber).trim(),
+      customerId !== null ? parseCustomerId(customerId) : null,
+      req.user ? req.user.id : null
+    ]);
+    const seriesId = seriesResult.rows[0].id;
+
+    for (const booking of planned) {
+      await insertWithReference(referenceCode => client.query(`
+        INSERT INTO bookings (
+          car_type, pickup_loc, drop_loc, booking_date, booking_time, guest_name, mobile_number,
+          email_id, special_note, estimated_duration_minutes, status, reference_code, source,
+          series_id, leg_number, customer_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', $11, 'admin', $12, $13, $14)
+      `, [
+        String(body.vehicleType).trim(),
+        booking.pickup_loc,
+        booking.drop_loc,
+        booking.booking_date,
+        booking.booking_time,
+        String(body.guestName).trim(),
+        String(body.mobileNumber).trim(),
+        body.emailId || null,
+        body.specialNote || null,
+        body.estimatedDurationMinutes ? parseInt(body.estimatedDurationMinutes) : null,
+        referenceCode,
+        seriesId,
+        booking.leg_number,
+        customerId !== null ? parseCustomerId(customerId) : null
+      ]), { client });
+    }
+
+    const series = await loadSeries(seriesId, client);
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, series, `Booking series created with ${series.bookings.length} bookings`, 201);
+
+    // One event for the whole series rather than one per booking
+    emitEvent('booking.created', {
+      title: `New ${seriesType === 'recurring' ? 'recurring' : 'multi-leg'} booking series #${seriesId} for ${series.guest_name} (${series.bookings.length} bookings)`,
+      message: `${rule.frequency === 'none' ? '' : `${rule.frequency} from `}${rule.startDate}${rule.endDate ? ` to ${rule.endDate}` : ''}`,
+      entityType: 'bookings',
+      entityId: series.bookings[0].id,
+      data: { series_id: seriesId, booking_ids: series.bookings.map(booking => booking.id) },
+      actorId: req.user ? req.user.id : null
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating booking series:', error);
+    sendError(res, 'Failed to create booking series', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// PUT /api/admin/bookings/series/:id - Edit the open bookings of a series together
+// Expected body: { vehicleType, guestName, mobileNumber, emailId, specialNote, estimatedDurationMinutes,
+//   legs: [{ legNumber: 2, pickupLocation, dropoffLocation, bookingTime: "19:00" }],
+//   fromDate: "2025-06-01" (default today; earlier bookings are left as they were) }
+// Only pending and confirmed bookings change; a booking edited on its own is overwritten
+// for the fields sent here.
+const updateSeries = async (req, res) => {
+  const body = req.body || {};
+  const errors = [];
+
+  validateSharedFields(body, errors, { partial: true });
+
+  const legUpdates = body.legs === undefined ? [] : body.legs;
+  if (!Array.isArray(legUpdates)) {
+    errors.push('legs must be an array');
+  } else {
+    legUpdates.forEach((leg, index) => {
+      if (!Number.isInteger(Number(leg.legNumber))) errors.push(`legs[${index}]: legNumber is required`);
+      if (leg.bookingTime !== undefined && !isValidTime(leg.bookingTime)) {
+        errors.push(`legs[${index}]: bookingTime must be in HH:MM format`);
+      }
+      ['pickupLocation', 'dropoffLocation'].forEach(field => {
+        if (leg[field] !== undefined && !String(leg[field]).trim()) errors.push(`legs[${index}]: ${field} cannot be empty`);
+      });
+    });
+  }
+
+  if (body.fromDate !== undefined && !isValidDate(body.fromDate)) {
+    errors.push('fromDate must be in YYYY-MM-DD format');
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const seriesResult = await client.query('SELECT * FROM booking_series WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (seriesResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Booking series');
+    }
+    const series = seriesResult.rows[0];
+
+    if (series.status === 'cancelled') {
+      await client.query('ROLLBACK');
+      return sendError(res, 'Cannot edit a cancelled booking series', 409);
+    }
+
+    const unknownLeg = legUpdates.find(leg => !series.legs.some(template => template.leg_number === Number(leg.legNumber)));
+    if (unknownLeg) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, `Series has no leg ${unknownLeg.legNumber}`);
+    }
+
+    // The edited templates must still follow each other before any booking changes
+    const legs = series.legs.map(template => ({ ...template }));
+    legUpdates.forEach(leg => {
+      const template = legs.find(item => item.leg_number === Number(leg.legNumber));
+      if (leg.pickupLocation !== undefined) template.pickup_loc = String(leg.pickupLocation).trim();
+      if (leg.dropoffLocation !== undefined) template.drop_loc = String(leg.dropoffLocation).trim();
+      if (leg.bookingTime !== undefined) template.booking_time = leg.bookingTime;
+    });
+
+    const orderErrors = [];
+    checkLegOrder(legs, orderErrors);
+    if (orderErrors.length > 0) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, orderErrors);
+    }
+
+    // Bookings that change: open, not archived, on or after fromDate
+    const scope = 'series_id = $1 AND is_archived = false AND status = ANY($2) AND booking_date >= COALESCE($3::date, CURRENT_DATE)';
+    const scopeParams = [series.id, OPEN_STATUSES, body.fromDate || null];
+
+    const sharedFields = {
+      car_type: body.vehicleType,
+      guest_name: body.guestName,
+      mobile_number: body.mobileNumber,
+      email_id: body.emailId,
+      special_note: body.specialNote,
+      estimated_duration_minutes: body.estimatedDurationMinutes === undefined
+        ? undefined
+        : (body.estimatedDurationMinutes ? parseInt(body.estimatedDurationMinutes) : null)
+    };
+
+    const applyUpdate = async (fields, extraClause = '', extraParams = []) => {
+      const entries = Object.entries(fields).filter(([, value]) => value !== undefined);
+      if (entries.length === 0) return [];
+
+      const params = [...scopeParams, ...extraParams];
+      const assignments = entries.map(([column, value]) => {
+        params.push(typeof value === 'string' ? value.trim() : value);
+        return `${column} = $${params.length}`;
+      });
+
+      const result = await client.query(`
+        UPDATE bookings
+        SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE ${scope}${extraClause}
+        RETURNING id
+      `, params);
+      return result.rows.map(row => row.id);
+    };
+
+    // Same locks as updateBooking and assignDriver (bookings, then their drivers and vehicles),
+    // so a concurrent assignment cannot slip into the new slots
+    const timingChanged = sharedFields.estimated_duration_minutes !== undefined || legUpdates.some(leg => leg.bookingTime !== undefined);
+    const lockedDrivers = {};
+    const lockedVehicles = {};
+    if (timingChanged) {
+      const lockedResult = await client.query(
+        `SELECT id, assigned_driver_id, assigned_vehicle_id FROM bookings WHERE ${scope} ORDER BY id FOR UPDATE`,
+        scopeParams
+      );
+      const driverIds = [...new Set(lockedResult.rows.map(row => row.assigned_driver_id).filter(Boolean))];
+      const vehicleIds = [...new Set(lockedResult.rows.map(row => row.assigned_vehicle_id).filter(Boolean))];
+      if (driverIds.length > 0) {
+        const driverResult = await client.query('SELECT * FROM drivers WHERE id = ANY($1) ORDER BY id FOR UPDATE', [driverIds]);
+        driverResult.rows.forEach(driver => { lockedDrivers[driver.id] = driver; });
+      }
+      if (vehicleIds.length > 0) {
+        const vehicleResult = await client.query('SELECT * FROM vehicles WHERE id = ANY($1) ORDER BY id FOR UPDATE', [vehicleIds]);
+        vehicleResult.rows.forEach(vehicle => { lockedVehicles[vehicle.id] = vehicle; });
+      }
+    }
+
+    const changedIds = new Set(await applyUpdate(sharedFields));
+
+    for (const leg of legUpdates) {
+      const ids = await applyUpdate({
+        pickup_loc: leg.pickupLocation,
+        drop_loc: leg.dropoffLocation,
+        booking_time: leg.bookingTime
+      }, ' AND leg_number = $4', [Number(leg.legNumber)]);
+      ids.forEach(id => changedIds.add(id));
+    }
+
+    // New times or durations must still fit the assigned drivers' and vehicles' other trips,
+    // and the drivers and vehicles must still be able to take those trips
+    if (timingChanged && changedIds.size > 0) {
+      const assignedResult = await client.query(`
+        SELECT id, reference_code, booking_date, booking_time, estimated_duration_minutes, assigned_driver_id, assigned_vehicle_id
+        FROM bookings
+        WHERE id = ANY($1) AND (assigned_driver_id IS NOT NULL OR assigned_vehicle_id IS NOT NULL)
+      `, [[...changedIds]]);
+
+      const conflicts = [];
+      const problems = [];
+      for (const booking of assignedResult.rows) {
+        const driver = lockedDrivers[booking.assigned_driver_id];
+        const bookingProblems = driver
+          ? getAssignmentProblems(driver, lockedVehicles[booking.assigned_vehicle_id] || null, booking.booking_date)
+          : [];
+        if (bookingProblems.length > 0) {
+          problems.push({ booking_id: booking.id, reference_code: booking.reference_code, problems: bookingProblems });
+        }
+
+        const overlaps = await findBookingConflicts({
+          bookingId: booking.id,
+          driverId: booking.assigned_driver_id,
+          vehicleId: booking.assigned_vehicle_id,
+          bookingDate: booking.booking_date,
+          bookingTime: booking.booking_time,
+          durationMinutes: booking.estimated_duration_minutes
+        }, client);
+        if (overlaps.length > 0) {
+          conflicts.push({ booking_id: booking.id, reference_code: booking.reference_code, overlaps });
+        }
+      }
+
+      if (problems.length > 0 || conflicts.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: conflicts.length > 0
+            ? 'The new times overlap other bookings of the assigned drivers or vehicles'
+            : 'The assigned drivers or vehicles cannot take some of the trips',
+          problems,
+          conflicts,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    await client.query(`
+      UPDATE booking_series
+      SET car_type = COALESCE($1, car_type),
+          guest_name = COALESCE($2, guest_name),
+          mobile_number = COALESCE($3, mobile_number),
+          legs = $4,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+    `, [
+      body.vehicleType ? String(body.vehicleType).trim() : null,
+      body.guestName ? String(body.guestName).trim() : null,
+      body.mobileNumber ? String(body.mobileNumber).trim() : null,
+      JSON.stringify(legs),
+      series.id
+    ]);
+
+    const updated = await loadSeries(series.id, client);
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, { ...updated, updated_booking_ids: [...changedIds] }, `${changedIds.size} bookings of the series updated`);
+
+    if (changedIds.size > 0) {
+      emitEvent('booking.updated', {
+        title: `Booking series #${series.id} for ${updated.guest_name} updated (${changedIds.size} bookings)`,
+        entityType: 'bookings',
+        entityId: [...changedIds][0],
+        data: { series_id: series.id, booking_ids: [...changedIds] },
+        actorId: req.user ? req.user.id : null
+      });
+    }
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating booking series:', error);
+    sendError(res, 'Failed to update booking series', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/admin/bookings/series/:id/cancel - Cancel the open bookings of a series together
+// Expected body: { reason: "Contract ended", fromDate: "2025-07-01" (optional; default all open bookings) }
+// Bookings already in progress or completed are left as they are and listed as skipped
+const cancelSeries = async (req, res) => {
+  const { reason, fromDate } = req.body || {};
+  const userId = req.user ? req.user.id : null;
+
+  if (!reason || !String(reason).trim()) {
+    return sendValidationError(res, 'A reason is required to cancel a booking series');
+  }
+  if (fromDate !== undefined && !isValidDate(fromDate)) {
+    return sendValidationError(res, 'fromDate must be in YYYY-MM-DD format');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const seriesResult = await client.query('SELECT * FROM booking_series WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (seriesResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Booking series');
+    }
+    const series = seriesResult.rows[0];
+
+    const bookingsResult = await client.query(`
+      SELECT id, reference_code, booking_date, status
+      FROM bookings
+      WHERE series_id = $1 AND is_archived = false AND booking_date >= COALESCE($2::date, '-infinity'::date)
+      ORDER BY booking_date, leg_number
+      FOR UPDATE
+    `, [series.id, fromDate || null]);
+
+    const cancelled = [];
+    const skipped = [];
+    for (const booking of bookingsResult.rows) {
+      if (booking.status === 'cancelled') continue;
+      const result = await applyBookingTransition(client, booking, 'cancel', { reason, userId });
+      if (result.error) {
+        skipped.push({ id: booking.id, reference_code: booking.reference_code, status: booking.status });
+      } else {
+        cancelled.push(booking.id);
+      }
+    }
+
+    // The series itself is cancelled once none of its bookings can still happen
+    const openResult = await client.query(
+      'SELECT COUNT(*) FROM bookings WHERE series_id = $1 AND is_archived = false AND status = ANY($2)',
+      [series.id, [...OPEN_STATUSES, 'in_progress']]
+    );
+    const seriesStatus = parseInt(openResult.rows[0].count) === 0 ? 'cancelled' : series.status;
+    if (seriesStatus !== series.status) {
+      await client.query(
+        'UPDATE booking_series SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [seriesStatus, series.id]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, {
+      series_id: series.id,
+      series_status: seriesStatus,
+      cancelled_booking_ids: cancelled,
+      skipped
+    }, `${cancelled.length} bookings of the series cancelled`);
+
+    if (cancelled.length > 0) {
+      emitEvent('booking.status_changed', {
+        title: `Booking series #${series.id} for ${series.guest_name}: ${cancelled.length} bookings cancelled`,
+        message: String(reason).trim(),
+        entityType: 'bookings',
+        entityId: cancelled[0],
+        data: { series_id: series.id, booking_ids: cancelled, to_status: 'cancelled' },
+        actorId: userId
+      });
+    }
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error cancelling booking series:', error);
+    sendError(res, 'Failed to cancel booking series', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getAllSeries,
+  getSeriesById,
+  createSeries,
+  updateSeries,
+  cancelSeries,
+  buildOccurrenceDates
+};
@@ -0,0 +1,595 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { validateEmail } = require('../../shared/utils/validation');
+const config = require('../../config');
+
+/**
+ * Customer Controller
+ * Handles corporate customers billed on account: their billing terms and contacts
+ */
+
+const CUSTOMER_TYPES = ['company', 'individual'];
+
+const CUSTOMER_COLUMNS = `
+  id, name, customer_type, trn, billing_email, billing_address, phone,
+  payment_terms_days, tax_exempt, is_active, notes, created_by, created_at, updated_at
+`;
+
+const CONTACT_COLUMNS = 'id, customer_id, name, position, email, phone, is_primary, is_billing, created_at, updated_at';
+
+// Text fields of a customer and their maximum lengths
+const CUSTOMER_TEXT_FIELDS = { name: 255, trn: 50, billing_email: 255, phone: 20 };
+const CONTACT_TEXT_FIELDS = { name: 255, position: 100, email: 255, phone: 20 };
+
+const isBoolean = (value) => value === true || value === false;
+
+// Helper function to validate customer fields - returns a list of error messages
+// With partial = true only the fields present in the body are checked (updates)
+const validateCustomer = (body, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) errors.push('name is required');
+  }
+
+  Object.entries(CUSTOMER_TEXT_FIELDS).forEach(([field, maxLength]) => {
+    if (body[field] && String(body[field]).trim().length > maxLength) {
+      errors.push(`${field} must be no more than ${maxLength} characters long`);
+    }
+  });
+
+  if (body.customer_type !== undefined && !CUSTOMER_TYPES.includes(body.customer_type)) {
+    errors.push(`customer_type must be one of: ${CUSTOMER_TYPES.join(', ')}`);
+  }
+
+  if (body.billing_email && !validateEmail(String(body.billing_email))) {
+    errors.push('billing_email must be a valid email address');
+  }
+
+  if (body.payment_terms_days !== undefined) {
+    const days = Number(body.payment_terms_days);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      errors.push('payment_terms_days must be a whole number of days between 0 and 365');
+    }
+  }
+
+  ['tax_exempt', 'is_active'].forEach(field => {
+    if (body[field] !== undefined && !isBoolean(body[field])) {
+      errors.push(`${field} must be true or false`);
+    }
+  });
+
+  return errors;
+};
+
+// Helper function to validate contact fields - returns a list of error messages
+const validateContact = (body, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) errors.push('name is required');
+  }
+
+  Object.entries(CONTACT_TEXT_FIELDS).forEach(([field, maxLength]) => {
+    if (body[field] && String(body[field]).trim().length > maxLength) {
+      errors.push(`${field} must be no more than ${maxLength} characters long`);
+    }
+  });
+
+  if (body.email && !validateEmail(String(body.email))) {
+    errors.push('email must be a valid email address');
+  }
+
+  ['is_primary', 'is_billing'].forEach(field => {
+    if (body[field] !== undefined && !isBoolean(body[field])) {
+      errors.push(`${field} must be true or false`);
+    }
+  });
+
+  return errors;
+};
+
+// Helper function to trim an optional text value to null
+const optionalText = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+// Helper function to detect the unique customer name index
+const isDuplicateName = (error) => error.code === '23505' && error.constraint === 'idx_customers_name';
+
+// Helper function to read a customer id: a whole number that fits the integer column, else null
+const parseCustomerId = (value) => {
+  const text = String(value).trim();
+  if (!/^\d{1,10}$/.test(text)) return null;
+  const id = parseInt(text, 10);
+  return id > 0 && id <= 2147483647 ? id : null;
+};
+
+/**
+ * Find a customer that can take new bookings
+ * Returns { customer } or { error } when it does not exist or is inactive
+ * @param {number} customerId
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ */
+const findActiveCustomer = async (customerId, db = { query }) => {
+  const id = parseCustomerId(customerId);
+  if (id === null) {
+    return { error: 'customerId must be a customer id' };
+  }
+
+  const result = await db.query('SELECT id, name, is_active FROM customers WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    return { error: `Customer ${customerId} not found` };
+  }
+  if (!result.rows[0].is_active) {
+    return { error: `Customer ${result.rows[0].name} is inactive` };
+  }
+  return { customer: result.rows[0] };
+};
+
+// Helper function to make a contact the customer's only primary or billing contact
+const clearOtherFlags = async (client, customerId, contactId, body) => {
+  for (const flag of ['is_primary', 'is_billing']) {
+    if (body[flag] === true) {
+      await client.query(
+        `UPDATE customer_contacts SET ${flag} = false WHERE customer_id = $1 AND id <> $2 AND ${flag} = true`,
+        [customerId, contactId]
+      );
+    }
+  }
+};
+
+// GET /api/admin/customers - Get customers with pagination and filtering
+// Query: page, size, search (name, TRN, email or phone), is_active=true|false
+const getAllCustomers = async (req, res) => {
+  try {
+    const { page = 0, size = 10, search = '', is_active = '' } = req.query;
+
+    const offset = page * size;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (search) {
+      whereClause += ` AND (
+        c.name ILIKE $${paramCount} OR
+        c.trn ILIKE $${paramCount} OR
+        c.billing_email ILIKE $${paramCount} OR
+        c.phone ILIKE $${paramCount}
+      )`;
+      params.push(`%${search}%`);
+      paramCount++;
+    }
+
+    if (is_active === 'true' || is_active === 'false') {
+      whereClause += ` AND c.is_active = $${paramCount}`;
+      params.push(is_active === 'true');
+      paramCount++;
+    }
+
+    const countResult = await query(`SELECT COUNT(*) FROM customers c ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    params.push(size, offset);
+    const customersResult = await query(`
+      SELECT
+        c.id, c.name, c.customer_type, c.trn, c.billing_email, c.phone, c.payment_terms_days,
+        c.tax_exempt, c.is_active, c.created_at, c.updated_at,
+        COALESCE(open_invoices.outstanding, 0) as outstanding
+      FROM customers c
+      LEFT JOIN (
+        SELECT customer_id, SUM(total - amount_paid) as outstanding
+        FROM invoices
+        WHERE status = 'issued'
+        GROUP BY customer_id
+      ) open_invoices ON open_invoices.customer_id = c.id
+      ${whereClause}
+      ORDER BY LOWER(c.name) ASC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `, params);
+
+    sendSuccess(res, {
+      customers: customersResult.rows,
+      pagination: {
+        page: parseInt(page),
+        size: parseInt(size),
+        total,
+        totalPages: Math.ceil(total / parseInt(size)),
+        startIndex: offset,
+        endIndex: Math.min(offset + parseInt(size) - 1, total - 1)
+      }
+    }, 'Customers retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching customers:', error);
+    sendError(res, 'Failed to fetch customers', 500, error);
+  }
+};
+
+// GET /api/admin/customers/:id - Get a customer with its contacts and account summary
+const getCustomerById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const customerResult = await query(`SELECT ${CUSTOMER_COLUMNS} FROM customers WHERE id = $1`, [id]);
+    if (customerResult.rows.length === 0) {
+      return sendNotFound(res, 'Customer');
+    }
+
+    const contactsResult = await query(`
+      SELECT ${CONTACT_COLUMNS}
+      FROM customer_contacts
+      WHERE customer_id = $1
+      ORDER BY is_primary DESC, LOWER(name) ASC
+    `, [id]);
+
+    const summaryResult = await query(`
+      SELECT
+        (SELECT COUNT(*) FROM bookings WHERE customer_id = $1 AND is_archived = false) as bookings,
+        (SELECT COUNT(*) FROM bookings
+          WHERE customer_id = $1 AND is_archived = false AND status = 'completed' AND invoice_id IS NULL) as uninvoiced_bookings,
+        (SELECT COUNT(*) FROM invoices WHERE customer_id = $1 AND status = 'issued') as open_invoices,
+        (SELECT COALESCE(SUM(total - amount_paid), 0) FROM invoices WHERE customer_id = $1 AND status = 'issued') as outstanding,
+        (SELECT COALESCE(SUM(total - amount_paid), 0) FROM invoices
+          WHERE customer_id = $1 AND status = 'issued' AND due_date < CURRENT_DATE) as overdue
+    `, [id]);
+    const summary = summaryResult.rows[0];
+
+    sendSuccess(res, {
+      ...customerResult.rows[0],
+      contacts: contactsResult.rows,
+      account: {
+        currency: config.pricing.currency,
+        bookings: parseInt(summary.bookings),
+        uninvoiced_bookings: parseInt(summary.uninvoiced_bookings),
+        open_invoices: parseInt(summary.open_invoices),
+        outstanding: parseFloat(summary.outstanding),
+        overdue: parseFloat(summary.overdue)
+      }
+    }, 'Customer retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching customer:', error);
+    sendError(res, 'Failed to fetch customer', 500, error);
+  }
+};
+
+// POST /api/admin/customers - Create customer
+// Expected body: { name, customer_type: "company", trn, billing_email, billing_address, phone,
+//   payment_terms_days: 30, tax_exempt: false, notes, contacts: [{ name, position, email, phone, is_primary, is_billing }] }
+const createCustomer = async (req, res) => {
+  const body = req.body || {};
+  const contacts = body.contacts === undefined ? [] : body.contacts;
+
+  const errors = validateCustomer(body);
+  if (!Array.isArray(contacts)) {
+    errors.push('contacts must be an array');
+  } else {
+    contacts.forEach((contact, index) => {
+      validateContact(contact || {}).forEach(message => errors.push(`contacts[${index}]: ${message}`));
+    });
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const customerResult = await client.query(`
+      INSERT INTO customers (
+        name, customer_type, trn, billing_email, billing_address, phone,
+        payment_terms_days, tax_exempt, notes, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING ${CUSTOMER_COLUMNS}
+    `, [
+      String(body.name).trim(),
+      body.customer_type || 'company',
+      optionalText(body.trn),
+      optionalText(body.billing_email),
+      optionalText(body.billing_address),
+      optionalText(body.phone),
+      body.payment_terms_days !== undefined ? Number(body.payment_terms_days) : config.billing.paymentTermsDays,
+      body.tax_exempt === true,
+      optionalText(body.notes),
+      req.user ? req.user.id : null
+    ]);
+    const customer = customerResult.rows[0];
+
+    // Only the first contact flagged primary (or billing) keeps the flag
+    const savedContacts = [];
+    const flagged = { is_primary: false, is_billing: false };
+    for (const contact of contacts) {
+      const isPrimary = contact.is_primary === true && !flagged.is_primary;
+      const isBilling = contact.is_billing === true && !flagged.is_billing;
+      flagged.is_primary = flagged.is_primary || isPrimary;
+      flagged.is_billing = flagged.is_billing || isBilling;
+
+      const contactResult = await client.query(`
+        INSERT INTO customer_contacts (customer_id, name, position, email, phone, is_primary, is_billing)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING ${CONTACT_COLUMNS}
+      `, [
+        customer.id,
+        String(contact.name).trim(),
+        optionalText(contact.position),
+        optionalText(contact.email),
+        optionalText(contact.phone),
+        isPrimary,
+        isBilling
+      ]);
+      savedContacts.push(contactResult.rows[0]);
+    }
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, { ...customer, contacts: savedContacts }, 'Customer created successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (isDuplicateName(error)) {
+      return sendError(res, `A customer named ${String(body.name).trim()} already exists`, 409);
+    }
+    console.error('Error creating customer:', error);
+    sendError(res, 'Failed to create customer', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// PUT /api/admin/customers/:id - Update customer
+// Expected body: any of the fields of POST /customers except contacts, plus is_active
+// Changing payment terms or tax exemption only affects invoices generated afterwards
+const updateCustomer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    const errors = validateCustomer(body, { partial: true });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const existingResult = await query('SELECT id FROM customers WHERE id = $1', [id]);
+    if (existingResult.rows.length === 0) {
+      return sendNotFound(res, 'Customer');
+    }
+
+    const fields = {
+      name: body.name !== undefined ? String(body.name).trim() : undefined,
+      customer_type: body.customer_type,
+      trn: body.trn !== undefined ? optionalText(body.trn) : undefined,
+      billing_email: body.billing_email !== undefined ? optionalText(body.billing_email) : undefined,
+      billing_address: body.billing_address !== undefined ? optionalText(body.billing_address) : undefined,
+      phone: body.phone !== undefined ? optionalText(body.phone) : undefined,
+      payment_terms_days: body.payment_terms_days !== undefined ? Number(body.payment_terms_days) : undefined,
+      tax_exempt: body.tax_exempt,
+      is_active: body.is_active,
+      notes: body.notes !== undefined ? optionalText(body.notes) : undefined
+    };
+
+    const updateFields = [];
+    const updateParams = [];
+    let paramCount = 1;
+
+    Object.entries(fields).forEach(([column, value]) => {
+      if (value === undefined) return;
+      updateFields.push(`${column} = $${paramCount}`);
+      updateParams.push(value);
+      paramCount++;
+    });
+
+    if (updateFields.length === 0) {
+      return sendValidationError(res, 'No fields to update');
+    }
+
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    updateParams.push(id);
+
+    const updateResult = await query(`
+      UPDATE customers
+      SET ${updateFields.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING ${CUSTOMER_COLUMNS}
+    `, updateParams);
+
+    sendSuccess(res, updateResult.rows[0], 'Customer updated successfully');
+
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return sendError(res, `A customer named ${String(req.body.name).trim()} already exists`, 409);
+    }
+    console.error('Error updating customer:', error);
+    sendError(res, 'Failed to update customer', 500, error);
+  }
+};
+
+// DELETE /api/admin/customers/:id - Delete a customer without bookings or invoices
+// Customers with history are deactivated instead (PUT is_active: false)
+const deleteCustomer = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingResult = await query('SELECT id, name FROM customers WHERE id = $1', [id]);
+    if (existingResult.rows.length === 0) {
+      return sendNotFound(res, 'Customer');
+    }
+
+    const usageResult = await query(`
+      SELECT
+        (SELECT COUNT(*) FROM bookings WHERE customer_id = $1) as bookings,
+        (SELECT COUNT(*) FROM invoices WHERE customer_id = $1) as invoices
+    `, [id]);
+    const usage = usageResult.rows[0];
+
+    if (parseInt(usage.bookings) > 0 || parseInt(usage.invoices) > 0) {
+      return sendError(
+        res,
+        `Customer has ${usage.bookings} booking(s) and ${usage.invoices} invoice(s). Deactivate it instead of deleting.`,
+        409
+      );
+    }
+
+    await query('DELETE FROM customers WHERE id = $1', [id]);
+
+    sendSuccess(res, { id: existingResult.rows[0].id, name: existingResult.rows[0].name }, 'Customer deleted successfully');
+
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+    sendError(res, 'Failed to delete customer', 500, error);
+  }
+};
+
+// POST /api/admin/customers/:id/contacts - Add a contact to a customer
+// Expected body: { name, position, email, phone, is_primary, is_billing }
+const createContact = async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+
+  const errors = validateContact(body);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const customerResult = await client.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [id]);
+    if (customerResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Customer');
+    }
+
+    const contactResult = await client.query(`
+      INSERT INTO customer_contacts (customer_id, name, position, email, phone, is_primary, is_billing)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${CONTACT_COLUMNS}
+    `, [
+      id,
+      String(body.name).trim(),
+      optionalText(body.position),
+      optionalText(body.email),
+      optionalText(body.phone),
+      body.is_primary === true,
+      body.is_billing === true
+    ]);
+    const contact = contactResult.rows[0];
+
+    await clearOtherFlags(client, id, contact.id, body);
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, contact, 'Contact added successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error adding customer contact:', error);
+    sendError(res, 'Failed to add customer contact', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// PUT /api/admin/customers/:id/contacts/:contactId - Update a contact
+const updateContact = async (req, res) => {
+  const { id, contactId } = req.params;
+  const body = req.body || {};
+
+  const errors = validateContact(body, { partial: true });
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const fields = {
+    name: body.name !== undefined ? String(body.name).trim() : undefined,
+    position: body.position !== undefined ? optionalText(body.position) : undefined,
+    email: body.email !== undefined ? optionalText(body.email) : undefined,
+    phone: body.phone !== undefined ? optionalText(body.phone) : undefined,
+    is_primary: body.is_primary,
+    is_billing: body.is_billing
+  };
+
+  const updateFields = [];
+  const updateParams = [];
+  let paramCount = 1;
+
+  Object.entries(fields).forEach(([column, value]) => {
+    if (value === undefined) return;
+    updateFields.push(`${column} = $${paramCount}`);
+    updateParams.push(value);
+    paramCount++;
+  });
+
+  if (updateFields.length === 0) {
+    return sendValidationError(res, 'No fields to update');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    updateParams.push(contactId, id);
+
+    const updateResult = await client.query(`
+      UPDATE customer_contacts
+      SET ${updateFields.join(', ')}
+      WHERE id = $${paramCount} AND customer_id = $${paramCount + 1}
+      RETURNING ${CONTACT_COLUMNS}
+    `, updateParams);
+
+    if (updateResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Contact');
+    }
+
+    await clearOtherFlags(client, id, updateResult.rows[0].id, body);
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, updateResult.rows[0], 'Contact updated successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating customer contact:', error);
+    sendError(res, 'Failed to update customer contact', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// DELETE /api/admin/customers/:id/contacts/:contactId - Remove a contact
+const deleteContact = async (req, res) => {
+  try {
+    const { id, contactId } = req.params;
+
+    const result = await query(
+      'DELETE FROM customer_contacts WHERE id = $1 AND customer_id = $2 RETURNING id, name',
+      [contactId, id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendNotFound(res, 'Contact');
+    }
+
+    sendSuccess(res, result.rows[0], 'Contact removed successfully');
+
+  } catch (error) {
+    console.error('Error removing customer contact:', error);
+    sendError(res, 'Failed to remove customer contact', 500, error);
+  }
+};
+
+module.exports = {
+  getAllCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  createContact,
+  updateContact,
+  deleteContact,
+  parseCustomerId,
+  findActiveCustomer
+};
@@ -11,7 +11,7 @@ const getDriverStats = async (req, res) => {
   try {
     // Get total drivers count
     const totalDriversResult = await query(
-      'SELECT COUNT(*) as total_drivers FROM drivers'
+      'SELECT COUNT(*) as total_drivers FROM drivers WHERE is_archived = false'
     );
 
     // Get available drivers count (you can define "available" based on your business logic)
@@ -19,7 +19,7 @@ const getDriverStats = async (req, res) => {
     const availableDriversResult = await query(
       `SELECT COUNT(*) as available_drivers 
        FROM drivers 
-       WHERE status = 'active' OR status IS NULL`
+       WHERE is_archived = false AND (status = 'active' OR status IS NULL)`
     );
 
     const totalDrivers = parseInt(totalDriversResult.rows[0].total_drivers);
@@ -42,14 +42,14 @@ const getVehicleStats = async (req, res) => {
   try {
     // Get total vehicles count
     const totalVehiclesResult = await query(
-      'SELECT COUNT(*) as total_vehicles FROM vehicles'
+      'SELECT COUNT(*) as total_vehicles FROM vehicles WHERE is_archived = false'
     );
 
     // Get available vehicles count (status = 'available')
     const availableVehiclesResult = await query(
       `SELECT COUNT(*) as available_vehicles 
        FROM vehicles 
-       WHERE status = 'available'`
+       WHERE status = 'available' AND is_archived = false`
     );
 
     const totalVehicles = parseInt(totalVehiclesResult.rows[0].total_vehicles);
@@ -72,24 +72,24 @@ const getAllStats = async (req, res) => {
   try {
     // Get driver stats
     const totalDriversResult = await query(
-      'SELECT COUNT(*) as total_drivers FROM drivers'
+      'SELECT COUNT(*) as total_drivers FROM drivers WHERE is_archived = false'
     );
 
     const availableDriversResult = await query(
       `SELECT COUNT(*) as available_drivers 
        FROM drivers 
-       WHERE status = 'active' OR status IS NULL`
+       WHERE is_archived = false AND (status = 'active' OR status IS NULL)`
     );
 
     // Get vehicle stats
     const totalVehiclesResult = await query(
-      'SELECT COUNT(*) as total_vehicles FROM vehicles'
+      'SELECT COUNT(*) as total_vehicles FROM vehicles WHERE is_archived = false'
     );
 
     const availableVehiclesResult = await query(
       `SELECT COUNT(*) as available_vehicles 
        FROM vehicles 
-       WHERE status = 'available'`
+       WHERE status = 'available' AND is_archived = false`
     );
 
     // Get finance stats
@@ -116,7 +116,7 @@ const getAllStats = async (req, res) => {
 
     // Get users stats
     const totalUsersResult = await query(
-      'SELECT COUNT(*) as total_users FROM users'
+      'SELECT COUNT(*) as total_users FROM users WHERE is_archived = false'
     );
 
     // Calculate today's earnings from finance_records
@@ -269,7 +269,8 @@ const getExpiringDocuments = async (req, res) => {
               COUNT(CASE WHEN daman_expiry <= $1 AND daman_expiry >= CURRENT_DATE THEN 1 END) as expiring_daman,
               COUNT(CASE WHEN driving_licence_expiry <= $1 AND driving_licence_expiry >= CURRENT_DATE THEN 1 END) as expiring_licence,
               COUNT(CASE WHEN limo_permit_expiry <= $1 AND limo_permit_expiry >= CURRENT_DATE THEN 1 END) as expiring_permit
-       FROM drivers`,
+       FROM drivers
+       WHERE is_archived = false`,
       [futureDateStr]
     );
 
@@ -278,7 +279,8 @@ const getExpiringDocuments = async (req, res) => {
       `SELECT COUNT(*) as count,
               COUNT(CASE WHEN mulkiya_expiry <= $1 AND mulkiya_expiry >= CURRENT_DATE THEN 1 END) as expiring_mulkiya,
               COUNT(CASE WHEN vehicle_insurance_expiry <= $1 AND vehicle_insurance_expiry >= CURRENT_DATE THEN 1 END) as expiring_insurance
-       FROM vehicles`,
+       FROM vehicles
+       WHERE is_archived = false`,
       [futureDateStr]
     );
 
@@ -0,0 +1,384 @@
+const multer = require('multer');
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { getStorage, buildStorageKey, checksum } = require('../../shared/utils/documentStorage');
+const { DOCUMENT_OWNERS } = require('../../shared/utils/documentTypes');
+const config = require('../../config');
+
+/**
+ * Document Controller
+ * Handles uploaded scans of driver and vehicle papers, versioned per document type
+ */
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp', 'image/heic'];
+
+// Configure multer for document uploads (kept in memory, then written to document storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.documents.maxFileSizeMb * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported file type ${file.mimetype}. Allowed: PDF, JPEG, PNG, WEBP, HEIC`));
+    }
+  }
+});
+
+// Accept a single 'file' field and report multer errors (size, type) as validation errors
+const receiveDocument = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than ${config.documents.maxFileSizeMb} MB`
+        : error.message;
+      return sendValidationError(res, message);
+    }
+    next();
+  });
+};
+
+// Helper function to validate a YYYY-MM-DD date
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+const findOwner = async (ownerType, id, db = { query }, lock = false) => {
+  const { table } = DOCUMENT_OWNERS[ownerType];
+  const result = await db.query(
+    `SELECT * FROM ${table} WHERE id = $1 AND is_archived = false${lock ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+const findDocument = async (ownerType, ownerId, documentId, db = { query }) => {
+  const result = await db.query(
+    'SELECT * FROM documents WHERE id = $1 AND owner_type = $2 AND owner_id = $3',
+    [documentId, ownerType, ownerId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Add a new current version of a document and update the owner's linked fields
+ * Exported so the renewal workflow can attach proof the same way
+ * @param {Object} client - Transaction client; the owner row must already be locked
+ * @param {string} ownerType - 'driver' or 'vehicle'
+ * @param {Object} owner - Owner row
+ * @param {Object} details - { documentType, file, storageBackend, storageKey, expiryDate, documentNumber, notes, userId }
+ * @returns {Object} { document, linkedFields }
+ */
+const insertDocumentVersion = async (client, ownerType, owner, details) => {
+  const { table, types } = DOCUMENT_OWNERS[ownerType];
+  const typeConfig = types[details.documentType];
+
+  const versionResult = await client.query(`
+    SELECT COALESCE(MAX(version), 0) + 1 as next_version
+    FROM documents
+    WHERE owner_type = $1 AND owner_id = $2 AND document_type = $3
+  `, [ownerType, owner.id, details.documentType]);
+  const version = parseInt(versionResult.rows[0].next_version);
+
+  await client.query(`
+    UPDATE documents SET is_current = false
+    WHERE owner_type = $1 AND owner_id = $2 AND document_type = $3 AND is_current = true
+  `, [ownerType, owner.id, details.documentType]);
+
+  // Without an explicit date the scan inherits the date already on the owner
+  const expiryDate = details.expiryDate || (typeConfig.expiryField ? owner[typeConfig.expiryField] : null);
+  const documentNumber = details.documentNumber || (typeConfig.numberField ? owner[typeConfig.numberField] : null);
+
+  const insertResult = await client.query(`
+    INSERT INTO documents (
+      owner_type, owner_id, document_type, version, is_current,
+      document_number, expiry_date, notes,
+      original_name, mime_type, size_bytes, checksum,
+      storage_backend, storage_key, uploaded_by
+    ) VALUES ($1, $2, $3, $4, true, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING *
+  `, [
+    ownerType,
+    owner.id,
+    details.documentType,
+    version,
+    documentNumber || null,
+    expiryDate || null,
+    details.notes || null,
+    details.file.originalname,
+    details.file.mimetype,
+    details.file.size,
+    checksum(details.file.buffer),
+    details.storageBackend,
+    details.storageKey,
+    details.userId || null
+  ]);
+
+  const linkedFields = {};
+  if (details.expiryDate && typeConfig.expiryField) {
+    linkedFields[typeConfig.expiryField] = details.expiryDate;
+  }
+  if (details.documentNumber && typeConfig.numberField) {
+    linkedFields[typeConfig.numberField] = details.documentNumber;
+  }
+
+  const columns = Object.keys(linkedFields);
+  if (columns.length > 0) {
+    const setClause = columns.map((column, index) => `${column} = $${index + 1}`).join(', ');
+    await client.query(
+      `UPDATE ${table} SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = $${columns.length + 1}`,
+      [...columns.map(column => linkedFields[column]), owner.id]
+    );
+  }
+
+  return { document: insertResult.rows[0], linkedFields };
+};
+
+/**
+ * Remove all documents (rows and files) of purged owners
+ * @param {string} ownerType - 'driver' or 'vehicle'
+ * @param {Array<number>} ownerIds - Purged owner ids
+ * @returns {number} Number of documents removed
+ */
+const removeOwnerDocuments = async (ownerType, ownerIds) => {
+  if (ownerIds.length === 0) return 0;
+
+  const result = await query(
+    'DELETE FROM documents WHERE owner_type = $1 AND owner_id = ANY($2) RETURNING storage_backend, storage_key',
+    [ownerType, ownerIds]
+  );
+
+  for (const document of result.rows) {
+    try {
+      await getStorage(document.storage_backend).remove(document.storage_key);
+    } catch (error) {
+      console.error(`Error removing document file ${document.storage_key}:`, error);
+    }
+  }
+
+  return result.rows.length;
+};
+
+// GET /api/admin/<owner>s/:id/documents - List an owner's documents and their linked expiry fields
+const getDocuments = (ownerType) => async (req, res) => {
+  const { label, types } = DOCUMENT_OWNERS[ownerType];
+
+  try {
+    const { id } = req.params;
+    const { type = '', include_history = 'false' } = req.query;
+
+    const owner = await findOwner(ownerType, id);
+    if (!owner) {
+      return sendNotFound(res, label);
+    }
+
+    let whereClause = 'WHERE d.owner_type = $1 AND d.owner_id = $2';
+    const params = [ownerType, owner.id];
+    let paramCount = 3;
+
+    if (type) {
+      whereClause += ` AND d.document_type = $${paramCount}`;
+      params.push(type);
+      paramCount++;
+    }
+
+    if (include_history !== 'true') {
+      whereClause += ' AND d.is_current = true';
+    }
+
+    const result = await query(`
+      SELECT
+        d.id, d.document_type, d.version, d.is_current, d.document_number,
+        d.expiry_date, d.notes, d.original_name, d.mime_type, d.size_bytes,
+        d.uploaded_by, u.username as uploaded_by_username, d.created_at
+      FROM documents d
+      LEFT JOIN users u ON u.id = d.uploaded_by
+      ${whereClause}
+      ORDER BY d.document_type ASC, d.version DESC
+    `, params);
+
+    // One entry per document type with the owner's own expiry date next to the current scan
+    const kinds = Object.entries(types).map(([documentType, typeConfig]) => {
+      const current = result.rows.find(row => row.document_type === documentType && row.is_current);
+      return {
+        document_type: documentType,
+        label: typeConfig.label,
+        expiry_field: typeConfig.expiryField || null,
+        expiry_date: typeConfig.expiryField ? owner[typeConfig.expiryField] : null,
+        number_field: typeConfig.numberField || null,
+        current_document_id: current ? current.id : null
+      };
+    });
+
+    sendSuccess(res, {
+      documents: result.rows,
+      kinds
+    }, `${label} documents retrieved successfully`);
+
+  } catch (error) {
+    console.error(`Error fetching ${ownerType} documents:`, error);
+    sendError(res, `Failed to fetch ${ownerType} documents`, 500, error);
+  }
+};
+
+// POST /api/admin/<owner>s/:id/documents - Upload a new version of a document
+// Expected multipart body: file, document_type, expiry_date (YYYY-MM-DD, optional), document_number, notes
+const uploadDocument = (ownerType) => async (req, res) => {
+  const { label, types } = DOCUMENT_OWNERS[ownerType];
+  const { id } = req.params;
+  const { document_type, expiry_date, document_number, notes } = req.body;
+
+  if (!req.file) {
+    return sendValidationError(res, 'A file is required');
+  }
+  if (!document_type || !types[document_type]) {
+    return sendValidationError(res, `Invalid document_type. Must be one of: ${Object.keys(types).join(', ')}`);
+  }
+  if (expiry_date && !isValidDate(expiry_date)) {
+    return sendValidationError(res, 'expiry_date must be a valid date (YYYY-MM-DD)');
+  }
+
+  let storage;
+  let storageKey;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const owner = await findOwner(ownerType, id, client, true);
+    if (!owner) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, label);
+    }
+
+    storage = getStorage();
+    storageKey = buildStorageKey(ownerType, owner.id, document_type, req.file.originalname);
+    await storage.save(storageKey, req.file.buffer);
+
+    const { document, linkedFields } = await insertDocumentVersion(client, ownerType, owner, {
+      documentType: document_type,
+      file: req.file,
+      storageBackend: storage.name,
+      storageKey,
+      expiryDate: expiry_date,
+      documentNumber: document_number,
+      notes,
+      userId: req.user ? req.user.id : null
+    });
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, {
+      ...document,
+      linkedFields
+    }, `${types[document_type].label} version ${document.version} uploaded successfully`, 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (storage && storageKey) {
+      await storage.remove(storageKey).catch(() => {});
+    }
+    console.error(`Error uploading ${ownerType} document:`, error);
+    sendError(res, 'Failed to upload document', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// GET /api/admin/<owner>s/:id/documents/:documentId/download - Download a document version
+const downloadDocument = (ownerType) => async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+
+    const document = await findDocument(ownerType, id, documentId);
+    if (!document) {
+      return sendNotFound(res, 'Document');
+    }
+
+    const stream = getStorage(document.storage_backend).createReadStream(document.storage_key);
+
+    stream.on('error', (error) => {
+      console.error('Error reading document file:', error);
+      if (!res.headersSent) {
+        sendError(res, error.code === 'ENOENT' ? 'Document file is missing from storage' : 'Failed to read document', error.code === 'ENOENT' ? 404 : 500, error);
+      } else {
+        res.end();
+      }
+    });
+
+    stream.once('open', () => {
+      const fileName = document.original_name.replace(/[^A-Za-z0-9._-]+/g, '_');
+      res.setHeader('Content-Type', document.mime_type);
+      res.setHeader('Content-Length', document.size_bytes);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      stream.pipe(res);
+    });
+
+  } catch (error) {
+    console.error(`Error downloading ${ownerType} document:`, error);
+    sendError(res, 'Failed to download document', 500, error);
+  }
+};
+
+// DELETE /api/admin/<owner>s/:id/documents/:documentId - Delete a document version
+// The previous version becomes current again; linked expiry fields are left as they are
+const deleteDocument = (ownerType) => async (req, res) => {
+  const { id, documentId } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const document = await findDocument(ownerType, id, documentId, client);
+    if (!document) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Document');
+    }
+
+    await client.query('DELETE FROM documents WHERE id = $1', [document.id]);
+
+    let promoted = null;
+    if (document.is_current) {
+      const promoteResult = await client.query(`
+        UPDATE documents SET is_current = true
+        WHERE id = (
+          SELECT id FROM documents
+          WHERE owner_type = $1 AND owner_id = $2 AND document_type = $3
+          ORDER BY version DESC
+          LIMIT 1
+        )
+        RETURNING id, version
+      `, [ownerType, document.owner_id, document.document_type]);
+      promoted = promoteResult.rows[0] || null;
+    }
+
+    await client.query('COMMIT');
+
+    try {
+      await getStorage(document.storage_backend).remove(document.storage_key);
+    } catch (error) {
+      console.error(`Error removing document file ${document.storage_key}:`, error);
+    }
+
+    sendSuccess(res, {
+      id: document.id,
+      currentVersion: promoted
+    }, 'Document deleted successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Error deleting ${ownerType} document:`, error);
+    sendError(res, 'Failed to delete document', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  DOCUMENT_OWNERS,
+  receiveDocument,
+  findOwner,
+  insertDocumentVersion,
+  removeOwnerDocuments,
+  getDocuments,
+  uploadDocument,
+  downloadDocument,
+  deleteDocument
+};
@@ -0,0 +1,158 @@
+const bcrypt = require('bcryptjs');
+const { query } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+
+/**
+ * Driver Account Controller
+ * Handles the driver app login of a driver: create, reset the password, disable.
+ * Resetting or disabling bumps token_version, which signs the driver out everywhere.
+ */
+
+// Columns returned for an account (never the password hash)
+const accountColumns = 'id, driver_id, is_active, last_login, created_by, created_at, updated_at';
+
+// Helper function to load a non-archived driver with its app account (if any)
+const findDriverWithAccount = async (driverId) => {
+  const result = await query(`
+    SELECT d.id as driver_id, d.rick, d.name,
+      a.id, a.is_active, a.last_login, a.created_by, a.created_at, a.updated_at
+    FROM drivers d
+    LEFT JOIN driver_accounts a ON a.driver_id = d.id
+    WHERE d.id = $1 AND d.is_archived = false
+  `, [parseInt(driverId) || 0]);
+  return result.rows[0] || null;
+};
+
+// GET /api/admin/drivers/:id/app-account - Get a driver's app login
+const getDriverAccount = async (req, res) => {
+  try {
+    const row = await findDriverWithAccount(req.params.id);
+    if (!row) {
+      return sendNotFound(res, 'Driver');
+    }
+
+    sendSuccess(res, {
+      driver_id: row.driver_id,
+      rick: row.rick,
+      name: row.name,
+      has_account: row.id !== null,
+      account: row.id !== null ? {
+        id: row.id,
+        is_active: row.is_active,
+        last_login: row.last_login,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+      } : null
+    }, 'Driver app account retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching driver app account:', error);
+    sendError(res, 'Failed to fetch driver app account', 500, error);
+  }
+};
+
+// PUT /api/admin/drivers/:id/app-account - Create a driver's app login or reset its password
+// Expected body: { password: "...", is_active: true }
+// The driver signs in with their Rick and this password
+const upsertDriverAccount = async (req, res) => {
+  try {
+    const { password, is_active } = req.body;
+
+    const row = await findDriverWithAccount(req.params.id);
+    if (!row) {
+      return sendNotFound(res, 'Driver');
+    }
+
+    const hasAccount = row.id !== null;
+    if (!hasAccount && !password) {
+      return sendValidationError(res, 'Password is required to create an app account');
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < 6)) {
+      return sendValidationError(res, 'Password must be at least 6 characters long');
+    }
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+      return sendValidationError(res, 'is_active must be true or false');
+    }
+
+    let result;
+    if (!hasAccount) {
+      const passwordHash = await bcrypt.hash(password, 10);
+      result = await query(`
+        INSERT INTO driver_accounts (driver_id, password_hash, is_active, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING ${accountColumns}
+      `, [row.driver_id, passwordHash, is_active !== false, req.user.id]);
+    } else {
+      const updates = [];
+      const params = [];
+      let paramCount = 1;
+
+      if (password) {
+        updates.push(`password_hash = $${paramCount}`);
+        params.push(await bcrypt.hash(password, 10));
+        paramCount++;
+      }
+      if (is_active !== undefined) {
+        updates.push(`is_active = $${paramCount}`);
+        params.push(is_active);
+        paramCount++;
+      }
+      if (updates.length === 0) {
+        return sendValidationError(res, 'Nothing to update. Provide password and/or is_active');
+      }
+
+      // New password or disabled account: existing sessions end
+      if (password || is_active === false) {
+        updates.push('token_version = token_version + 1');
+      }
+
+      params.push(row.id);
+      result = await query(`
+        UPDATE driver_accounts
+        SET ${updates.join(', ')}
+        WHERE id = $${paramCount}
+        RETURNING ${accountColumns}
+      `, params);
+    }
+
+    sendSuccess(
+      res,
+      { rick: row.rick, name: row.name, ...result.rows[0] },
+      hasAccount ? 'Driver app account updated successfully' : 'Driver app account created successfully',
+      hasAccount ? 200 : 201
+    );
+
+  } catch (error) {
+    console.error('Error saving driver app account:', error);
+    sendError(res, 'Failed to save driver app account', 500, error);
+  }
+};
+
+// DELETE /api/admin/drivers/:id/app-account - Disable a driver's app login and end its sessions
+const disableDriverAccount = async (req, res) => {
+  try {
+    const result = await query(`
+      UPDATE driver_accounts
+      SET is_active = false, token_version = token_version + 1
+      WHERE driver_id = $1
+      RETURNING ${accountColumns}
+    `, [parseInt(req.params.id) || 0]);
+
+    if (result.rows.length === 0) {
+      return sendNotFound(res, 'Driver app account');
+    }
+
+    sendSuccess(res, result.rows[0], 'Driver app account disabled successfully');
+
+  } catch (error) {
+    console.error('Error disabling driver app account:', error);
+    sendError(res, 'Failed to disable driver app account', 500, error);
+  }
+};
+
+module.exports = {
+  getDriverAccount,
+  upsertDriverAccount,
+  disableDriverAccount
+};
@@ -1,5 +1,7 @@
 const { query, pool } = require('../../shared/database/connection');
 const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { archiveAssignedRows } = require('./assignmentController');
+const { emitEvent } = require('../../shared/notifications/events');
 
 /**
  * Driver Controller
@@ -21,8 +23,8 @@ const getAllDrivers = async (req, res) => {
 
     const offset = page * size;
 
-    // Build dynamic query
-    let whereClause = 'WHERE 1=1';
+    // Build dynamic query (archived drivers live in the trash)
+    let whereClause = 'WHERE is_archived = false';
     const params = [];
     let paramCount = 1;
 
@@ -111,7 +113,7 @@ const getDriverById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query('SELECT * FROM drivers WHERE id = $1', [id]);
+    const result = await query('SELECT * FROM drivers WHERE id = $1 AND is_archived = false', [id]);
 
     if (result.rows.length === 0) {
       return sendNotFound(res, 'Driver');
@@ -130,7 +132,7 @@ const getDriverByRick = async (req, res) => {
   try {
     const { rick } = req.params;
 
-    const result = await query('SELECT * FROM drivers WHERE rick = $1', [rick]);
+    const result = await query('SELECT * FROM drivers WHERE rick = $1 AND is_archived = false', [rick]);
 
     if (result.rows.length === 0) {
       return sendNotFound(res, 'Driver');
@@ -172,11 +174,14 @@ const createDriver = async (req, res) => {
 
     // Check if driver with same rick already exists
     const existingDriver = await query(
-      'SELECT id FROM drivers WHERE rick = $1',
+      'SELECT id, is_archived FROM drivers WHERE rick = $1',
       [rick]
     );
 
     if (existingDriver.rows.length > 0) {
+      if (existingDriver.rows[0].is_archived) {
+        return sendError(res, 'A deleted driver with this RICK is in the trash. Restore it instead of creating a new one', 409);
+      }
       return sendError(res, 'Driver with this RICK already exists', 409);
     }
 
@@ -222,6 +227,13 @@ const createDriver = async (req, res) => {
 
     sendSuccess(res, insertResult.rows[0], 'Driver created successfully', 201);
 
+    emitEvent('driver.created', {
+      title: `New driver ${insertResult.rows[0].name} (${insertResult.rows[0].rick})`,
+      entityType: 'drivers',
+      entityId: insertResult.rows[0].id,
+      actorId: req.user ? req.user.id : null
+    });
+
   } catch (error) {
     console.error('Error creating driver:', error);
     sendError(res, 'Failed to create driver', 500, error);
@@ -251,7 +263,7 @@ const updateDriver = async (req, res) => {
     } = req.body;
 
     // Check if driver exists
-    const existingResult = await query('SELECT * FROM drivers WHERE id = $1', [id]);
+    const existingResult = await query('SELECT * FROM drivers WHERE id = $1 AND is_archived = false', [id]);
     if (existingResult.rows.length === 0) {
       return sendNotFound(res, 'Driver');
     }
@@ -310,25 +322,44 @@ const updateDriver = async (req, res) => {
 
     sendSuccess(res, updateResult.rows[0], 'Driver updated successfully');
 
+    const driver = updateResult.rows[0];
+    const previousStatus = existingResult.rows[0].status;
+    emitEvent(driver.status !== previousStatus ? 'driver.status_changed' : 'driver.updated', {
+      title: driver.status !== previousStatus
+        ? `Driver ${driver.name} (${driver.rick}) is now ${driver.status}`
+        : `Driver ${driver.name} (${driver.rick}) updated`,
+      entityType: 'drivers',
+      entityId: driver.id,
+      data: driver.status !== previousStatus ? { from_status: previousStatus, to_status: driver.status } : null,
+      actorId: req.user ? req.user.id : null
+    });
+
   } catch (error) {
     console.error('Error updating driver:', error);
     sendError(res, 'Failed to update driver', 500, error);
   }
 };
 
-// DELETE /api/admin/drivers/:id - Delete driver
+// DELETE /api/admin/drivers/:id - Delete driver (moves it to the trash)
 const deleteDriver = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query('DELETE FROM drivers WHERE id = $1 RETURNING *', [id]);
+    const archived = await archiveAssignedRows('drivers', [id], req.user ? req.user.id : null);
 
-    if (result.rows.length === 0) {
+    if (archived.length === 0) {
       return sendNotFound(res, 'Driver');
     }
 
     sendSuccess(res, { id: parseInt(id) }, 'Driver deleted successfully');
 
+    emitEvent('driver.deleted', {
+      title: `Driver ${archived[0].name} (${archived[0].rick}) moved to the trash`,
+      entityType: 'drivers',
+      entityId: archived[0].id,
+      actorId: req.user ? req.user.id : null
+    });
+
   } catch (error) {
     console.error('Error deleting driver:', error);
     sendError(res, 'Failed to delete driver', 500, error);
@@ -345,14 +376,14 @@ const getDriversByStatus = async (req, res) => {
 
     const result = await query(`
       SELECT * FROM drivers 
-      WHERE status = $1
+      WHERE status = $1 AND is_archived = false
       ORDER BY created_at DESC
       LIMIT $2 OFFSET $3
     `, [status, size, offset]);
 
     // Get total count for pagination
     const countResult = await query(
-      'SELECT COUNT(*) FROM drivers WHERE status = $1',
+      'SELECT COUNT(*) FROM drivers WHERE status = $1 AND is_archived = false',
       [status]
     );
     const total = parseInt(countResult.rows[0].count);
@@ -385,6 +416,7 @@ const getDriverSummary = async (req, res) => {
         COUNT(CASE WHEN status = 'suspended' THEN 1 END) as suspended_drivers,
         COUNT(CASE WHEN status = 'on_leave' THEN 1 END) as on_leave_drivers
       FROM drivers
+      WHERE is_archived = false
     `;
 
     const summaryResult = await query(summaryQuery);
@@ -395,7 +427,7 @@ const getDriverSummary = async (req, res) => {
         category,
         COUNT(*) as count
       FROM drivers
-      WHERE category IS NOT NULL
+      WHERE category IS NOT NULL AND is_archived = false
       GROUP BY category
       ORDER BY count DESC
     `);
@@ -409,6 +441,7 @@ const getDriverSummary = async (req, res) => {
         COUNT(CASE WHEN driving_licence_expiry <= CURRENT_DATE + INTERVAL '30 days' AND driving_licence_expiry >= CURRENT_DATE THEN 1 END) as expiring_licence,
         COUNT(CASE WHEN limo_permit_expiry <= CURRENT_DATE + INTERVAL '30 days' AND limo_permit_expiry >= CURRENT_DATE THEN 1 END) as expiring_permit
       FROM drivers
+      WHERE is_archived = false
     `;
 
     const expiringDocsResult = await query(expiringDocsQuery);
@@ -441,7 +474,7 @@ const updateDriverStatus = async (req, res) => {
     }
 
     // Check if driver exists
-    const existingResult = await query('SELECT * FROM drivers WHERE id = $1', [id]);
+    const existingResult = await query('SELECT * FROM drivers WHERE id = $1 AND is_archived = false', [id]);
     if (existingResult.rows.length === 0) {
       return sendNotFound(res, 'Driver');
     }
@@ -456,6 +489,17 @@ const updateDriverStatus = async (req, res) => {
 
     sendSuccess(res, updateResult.rows[0], `Driver status updated to '${status}' successfully`);
 
+    const previousStatus = existingResult.rows[0].status;
+    if (previousStatus !== status) {
+      emitEvent('driver.status_changed', {
+        title: `Driver ${updateResult.rows[0].name} (${updateResult.rows[0].rick}) is now ${status}`,
+        entityType: 'drivers',
+        entityId: updateResult.rows[0].id,
+        data: { from_status: previousStatus, to_status: status },
+        actorId: req.user ? req.user.id : null
+      });
+    }
+
   } catch (error) {
     console.error('Error updating driver status:', error);
     sendError(res, 'Failed to update driver status', 500, error);
@@ -478,9 +522,9 @@ const bulkDeleteDrivers = async (req, res) => {
       return sendError(res, `Invalid IDs: ${invalidIds.join(', ')}`, 400);
     }
 
-    // Check which drivers exist
+    // Check which drivers exist (already archived ones count as not found)
     const existingDrivers = await query(
-      `SELECT id FROM drivers WHERE id = ANY($1)`,
+      `SELECT id FROM drivers WHERE id = ANY($1) AND is_archived = false`,
       [ids]
     );
 
@@ -491,20 +535,23 @@ const bulkDeleteDrivers = async (req, res) => {
       return sendError(res, 'No drivers found with the provided IDs', 404);
     }
 
-    // Delete the drivers
-    const deleteQuery = `
-      DELETE FROM drivers 
-      WHERE id = ANY($1) 
-      RETURNING id, rick, name
-    `;
-    const result = await query(deleteQuery, [existingIds]);
+    // Move the drivers to the trash and end their vehicle assignments
+    const archived = await archiveAssignedRows('drivers', existingIds, req.user ? req.user.id : null);
+    const deletedDrivers = archived.map(({ id, rick, name }) => ({ id, rick, name }));
 
     sendSuccess(res, {
-      deletedCount: result.rows.length,
-      deletedIds: result.rows.map(row => row.id),
+      deletedCount: deletedDrivers.length,
+      deletedIds: deletedDrivers.map(row => row.id),
       notFoundIds: notFoundIds,
-      deletedDrivers: result.rows
-    }, `Successfully deleted ${result.rows.length} driver(s)`);
+      deletedDrivers
+    }, `Successfully deleted ${deletedDrivers.length} driver(s)`);
+
+    emitEvent('driver.deleted', {
+      title: `${deletedDrivers.length} driver(s) moved to the trash`,
+      entityType: 'drivers',
+      data: { ids: deletedDrivers.map(row => row.id) },
+      actorId: req.user ? req.user.id : null
+    });
 
   } catch (error) {
     console.error('Error bulk deleting drivers:', error);
@@ -539,7 +586,7 @@ const getExpiringDrivers = async (req, res) => {
       whereConditions.push(`(limo_permit_expiry <= '${futureDateStr}' AND limo_permit_expiry >= CURRENT_DATE)`);
     }
 
-    const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' OR ') : '';
+    const whereClause = 'WHERE is_archived = false' + (whereConditions.length > 0 ? ` AND (${whereConditions.join(' OR ')})` : '');
 
     const result = await query(`
       SELECT * FROM drivers 
@@ -0,0 +1,103 @@
+const jwt = require('jsonwebtoken');
+const { domainEvents, EVENT_TYPES } = require('../../shared/notifications/events');
+
+/**
+ * Event Stream Controller
+ * Handles the live Server-Sent Events channel used by the dispatch screen instead
+ * of polling. Each connection only receives event types its user's permissions allow.
+ * Events come from this process's domainEvents, so behind several server instances
+ * a client sees the changes made through the instance it is connected to.
+ */
+
+// Event types pushed over the stream
+const LIVE_EVENT_TYPES = [
+  'booking.created',
+  'booking.updated',
+  'booking.assigned',
+  'booking.status_changed',
+  'booking.deleted',
+  'driver.status_changed',
+  'finance.uploaded'
+];
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Open connections: { res, types }
+const clients = new Set();
+let nextEventId = 1;
+
+const writeEvent = (res, id, type, payload) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+};
+
+// Fan every live event out to the connections allowed to see it
+domainEvents.on('event', (event) => {
+  if (!LIVE_EVENT_TYPES.includes(event.type) || clients.size === 0) return;
+
+  const id = nextEventId++;
+  const payload = {
+    type: event.type,
+    title: event.title,
+    entity_type: event.entityType,
+    entity_id: event.entityId,
+    data: event.data,
+    actor_id: event.actorId,
+    occurred_at: event.occurredAt
+  };
+
+  clients.forEach(client => {
+    if (!client.types.includes(event.type)) return;
+    try {
+      writeEvent(client.res, id, event.type, payload);
+    } catch (error) {
+      console.error('Error writing to event stream:', error);
+    }
+  });
+});
+
+// GET /api/admin/events/stream - Live event stream (text/event-stream)
+// Query: types=booking.created,booking.assigned (optional subset), access_token=<JWT> when headers cannot be set
+const streamEvents = (req, res) => {
+  const allowedTypes = LIVE_EVENT_TYPES.filter(type =>
+    req.user.permissions.some(permission => permission.name === EVENT_TYPES[type].permission)
+  );
+  const requestedTypes = req.query.types
+    ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+    : allowedTypes;
+  const types = allowedTypes.filter(type => requestedTypes.includes(type));
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  writeEvent(res, 0, 'ready', { user_id: req.user.id, types });
+
+  const client = { res, types };
+  clients.add(client);
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  // The stream ends when the token does; the client reconnects with a fresh one
+  const decoded = jwt.decode(req.headers.authorization.substring(7));
+  const expiresInMs = decoded && decoded.exp ? decoded.exp * 1000 - Date.now() : null;
+  const expiry = expiresInMs !== null
+    ? setTimeout(() => {
+      writeEvent(res, 0, 'token_expired', { message: 'Token expired. Please login again.' });
+      res.end();
+    }, Math.min(Math.max(expiresInMs, 0), 2147483647))
+    : null;
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (expiry) clearTimeout(expiry);
+    clients.delete(client);
+  });
+};
+
+module.exports = {
+  streamEvents
+};
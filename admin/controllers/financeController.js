@@ -2,37 +2,47 @@ const { query, pool } = require('../../shared/database/connection');
 const { sendSuccess, sendError, sendNotFound } = require('../../shared/utils/response');
 const multer = require('multer');
 const XLSX = require('xlsx');
+const { readSheetRows, normalizeHeader, parseAmount } = require('../../shared/utils/spreadsheet');
+const { loadUploadTemplate, applyUploadTemplate } = require('./financeTemplateController');
+const { findClosedPeriods, sendPeriodClosed } = require('./financePeriodController');
+const { findPostedPayslips, sendPayslipsPosted } = require('./payslipController');
+const { emitEvent } = require('../../shared/notifications/events');
+const { setAuditedChange } = require('../../shared/middleware/audit');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
+// Labels for known finance fields
+const FIELD_LABELS = {
+  'rick': 'S No.',
+  'rick_no': 'Rick',
+  'plate': 'Plate',
+  'name': 'Name',
+  'employee': 'Employee',
+  'daman': 'Daman',
+  'darb': 'DARB',
+  'fine': 'Fine',
+  'salik': 'Salik',
+  'pos': 'POS',
+  'advance': 'Advance',
+  'adnoc': 'ADNOC',
+  'trip': 'Trip',
+  'other_exp': 'Other Exp',
+  'uber_30_days': 'Uber 30 Days',
+  'careem_30_days': 'Careem 30 Days',
+  'yango_30': 'Yango 30',
+  'total_salary': 'Total Salary'
+};
+
+// Known fields that are not money columns
+const NON_MONEY_FIELDS = ['rick', 'rick_no', 'plate', 'name', 'employee'];
+
 // Helper function to format field label from key
 const formatFieldLabel = (key) => {
   // Special cases for known fields
-  const labelMap = {
-    'rick': 'S No.',
-    'rick_no': 'Rick',
-    'plate': 'Plate',
-    'name': 'Name',
-    'employee': 'Employee',
-    'daman': 'Daman',
-    'darb': 'DARB',
-    'fine': 'Fine',
-    'salik': 'Salik',
-    'pos': 'POS',
-    'advance': 'Advance',
-    'adnoc': 'ADNOC',
-    'trip': 'Trip',
-    'other_exp': 'Other Exp',
-    'uber_30_days': 'Uber 30 Days',
-    'careem_30_days': 'Careem 30 Days',
-    'yango_30': 'Yango 30',
-    'total_salary': 'Total Salary'
-  };
-  
-  if (labelMap[key]) {
-    return labelMap[key];
+  if (FIELD_LABELS[key]) {
+    return FIELD_LABELS[key];
   }
   
   // Convert snake_case or camelCase to Title Case
@@ -274,29 +284,50 @@ const updateFinance = async (req, res) => {
     delete updateData._excel_row;      // Preserve original Excel row position
     delete updateData._column_order;   // Preserve original Excel column order
 
-    // Check if record exists
-    const existingRecord = await query(
-      'SELECT id, data, year, month_name FROM finance_records WHERE id = $1',
-      [id]
-    );
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
 
-    if (existingRecord.rows.length === 0) {
-      return sendNotFound(res, 'Finance record');
-    }
+      // Check if record exists
+      const existingRecord = await client.query(
+        'SELECT id, data, year, month_name FROM finance_records WHERE id = $1 FOR UPDATE',
+        [id]
+      );
 
-    // Merge existing data with update data (preserves _excel_row from existing)
-    const currentData = existingRecord.rows[0].data;
-    const mergedData = { ...currentData, ...updateData };
+      if (existingRecord.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return sendNotFound(res, 'Finance record');
+      }
 
-    // Update the record
-    const updateQuery = `
-      UPDATE finance_records 
-      SET data = $1, updated_at = CURRENT_TIMESTAMP 
-      WHERE id = $2 
-      RETURNING id, data, year, month_name, created_at, updated_at
-    `;
+      // Closed months cannot change
+      const closedPeriods = await findClosedPeriods([existingRecord.rows[0]], client);
+      if (closedPeriods.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPeriodClosed(res, closedPeriods);
+      }
+
+      // Merge existing data with update data (preserves _excel_row from existing)
+      const currentData = existingRecord.rows[0].data;
+      const mergedData = { ...currentData, ...updateData };
+
+      // Update the record
+      const updateQuery = `
+        UPDATE finance_records 
+        SET data = $1, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = $2 
+        RETURNING id, data, year, month_name, created_at, updated_at
+      `;
 
-    const result = await query(updateQuery, [JSON.stringify(mergedData), id]);
+      result = await client.query(updateQuery, [JSON.stringify(mergedData), id]);
+
+      await client.query('COMMIT');
+    } catch (updateError) {
+      await client.query('ROLLBACK');
+      throw updateError;
+    } finally {
+      client.release();
+    }
 
     // Transform response data - flatten JSONB (exclude internal fields)
     const { _excel_row, _column_order, ...dataWithoutInternal } = result.rows[0].data || {};
@@ -323,19 +354,47 @@ const deleteFinance = async (req, res) => {
       return sendError(res, 'Invalid finance record ID', 400);
     }
 
-    // Check if record exists
-    const existingRecord = await query(
-      'SELECT id, data FROM finance_records WHERE id = $1',
-      [id]
-    );
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
 
-    if (existingRecord.rows.length === 0) {
-      return sendNotFound(res, 'Finance record');
-    }
+      // Check if record exists
+      const existingRecord = await client.query(
+        'SELECT id, data, year, month_name FROM finance_records WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (existingRecord.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return sendNotFound(res, 'Finance record');
+      }
+
+      // Closed months cannot change
+      const closedPeriods = await findClosedPeriods([existingRecord.rows[0]], client);
+      if (closedPeriods.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPeriodClosed(res, closedPeriods);
+      }
+
+      // Ledger lines of approved or issued payslips were posted from these records
+      const postedPayslips = await findPostedPayslips([existingRecord.rows[0]], client);
+      if (postedPayslips.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPayslipsPosted(res, postedPayslips);
+      }
+
+      // Delete the record
+      const deleteQuery = 'DELETE FROM finance_records WHERE id = $1 RETURNING id, data';
+      result = await client.query(deleteQuery, [id]);
 
-    // Delete the record
-    const deleteQuery = 'DELETE FROM finance_records WHERE id = $1 RETURNING id, data';
-    const result = await query(deleteQuery, [id]);
+      await client.query('COMMIT');
+    } catch (deleteError) {
+      await client.query('ROLLBACK');
+      throw deleteError;
+    } finally {
+      client.release();
+    }
 
     sendSuccess(res, {
       id: result.rows[0].id,
@@ -364,26 +423,55 @@ const bulkDeleteFinances = async (req, res) => {
       return sendError(res, `Invalid IDs: ${invalidIds.join(', ')}`, 400);
     }
 
-    // Check which records exist
-    const existingRecords = await query(
-      `SELECT id FROM finance_records WHERE id = ANY($1)`,
-      [ids]
-    );
+    const client = await pool.connect();
+    let result;
+    let notFoundIds;
+    try {
+      await client.query('BEGIN');
 
-    const existingIds = existingRecords.rows.map(row => row.id);
-    const notFoundIds = ids.filter(id => !existingIds.includes(parseInt(id)));
+      // Check which records exist
+      const existingRecords = await client.query(
+        `SELECT id, year, month_name FROM finance_records WHERE id = ANY($1) ORDER BY id FOR UPDATE`,
+        [ids]
+      );
 
-    if (existingIds.length === 0) {
-      return sendError(res, 'No records found with the provided IDs', 404);
-    }
+      const existingIds = existingRecords.rows.map(row => row.id);
+      notFoundIds = ids.filter(id => !existingIds.includes(parseInt(id)));
 
-    // Delete the records
-    const deleteQuery = `
-      DELETE FROM finance_records 
-      WHERE id = ANY($1) 
-      RETURNING id, data
-    `;
-    const result = await query(deleteQuery, [existingIds]);
+      if (existingIds.length === 0) {
+        await client.query('ROLLBACK');
+        return sendError(res, 'No records found with the provided IDs', 404);
+      }
+
+      // Refuse the whole batch if any record belongs to a closed month
+      const closedPeriods = await findClosedPeriods(existingRecords.rows, client);
+      if (closedPeriods.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPeriodClosed(res, closedPeriods);
+      }
+
+      // Ledger lines of approved or issued payslips were posted from these records
+      const postedPayslips = await findPostedPayslips(existingRecords.rows, client);
+      if (postedPayslips.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPayslipsPosted(res, postedPayslips);
+      }
+
+      // Delete the records
+      const deleteQuery = `
+        DELETE FROM finance_records 
+        WHERE id = ANY($1) 
+        RETURNING id, data
+      `;
+      result = await client.query(deleteQuery, [existingIds]);
+
+      await client.query('COMMIT');
+    } catch (deleteError) {
+      await client.query('ROLLBACK');
+      throw deleteError;
+    } finally {
+      client.release();
+    }
 
     sendSuccess(res, {
       deletedCount: result.rows.length,
@@ -426,6 +514,21 @@ const deleteField = async (req, res) => {
 
     const usageCount = parseInt(usageCheck.rows[0].usage_count);
 
+    // Records in closed months keep the field
+    const closedUsage = await query(
+      `SELECT fp.year, fp.month_name, COUNT(fr.id) as record_count
+       FROM finance_records fr
+       JOIN finance_periods fp ON fp.year = fr.year AND LOWER(fp.month_name) = LOWER(fr.month_name)
+       WHERE fr.data ? $1 AND fp.status = 'closed'
+       GROUP BY fp.year, fp.month_name`,
+      [fieldKey]
+    );
+    const closedCount = closedUsage.rows.reduce((sum, row) => sum + parseInt(row.record_count), 0);
+
+    if (usageCount > 0 && closedCount === usageCount) {
+      return sendPeriodClosed(res, closedUsage.rows);
+    }
+
     if (usageCount === 0) {
       return sendSuccess(res, {
         deletedField: fieldKey,
@@ -436,18 +539,23 @@ const deleteField = async (req, res) => {
 
     // Remove the field from all finance records
     const updateRecordsQuery = `
-      UPDATE finance_records 
+      UPDATE finance_records fr
       SET data = data - $1,
           updated_at = CURRENT_TIMESTAMP
       WHERE data ? $1
+        AND NOT EXISTS (
+          SELECT 1 FROM finance_periods fp
+          WHERE fp.year = fr.year AND LOWER(fp.month_name) = LOWER(fr.month_name) AND fp.status = 'closed'
+        )
     `;
-    await query(updateRecordsQuery, [fieldKey]);
+    const updateResult = await query(updateRecordsQuery, [fieldKey]);
 
     sendSuccess(res, {
       deletedField: fieldKey,
       usageCount: usageCount,
-      recordsUpdated: usageCount
-    }, `Field '${fieldKey}' deleted successfully and removed from ${usageCount} record(s)`);
+      recordsUpdated: updateResult.rowCount,
+      skippedClosedPeriods: closedUsage.rows
+    }, `Field '${fieldKey}' deleted successfully and removed from ${updateResult.rowCount} record(s)`);
 
   } catch (error) {
     console.error('Error deleting field:', error);
@@ -455,6 +563,361 @@ const deleteField = async (req, res) => {
   }
 };
 
+// Helper function to find the Rick column used by payslip generation
+const findRickColumn = (headers) => {
+  return headers.find(header => ['rick', 'rick no'].includes(normalizeHeader(header))) || null;
+};
+
+// Helper function to map a workbook header to a known finance key (by key or label)
+// Every header payslip generation accepts as the Rick column maps to 'rick_no' (labelled Rick),
+// so a "Rick" header is not taken for the 'rick' key, which is the S No. column
+const mapHeaderToKnownKey = (header) => {
+  if (findRickColumn([header])) return 'rick_no';
+
+  const normalized = normalizeHeader(header);
+  const byKey = Object.keys(FIELD_LABELS).find(key => normalizeHeader(key) === normalized);
+  if (byKey) return byKey;
+  return Object.keys(FIELD_LABELS).find(key => normalizeHeader(FIELD_LABELS[key]) === normalized) || null;
+};
+
+// Helper function to compare two cell values ignoring number/string formatting differences
+const valuesEqual = (a, b) => {
+  const emptyA = a === undefined || a === null || a === '';
+  const emptyB = b === undefined || b === null || b === '';
+  if (emptyA || emptyB) return emptyA && emptyB;
+
+  const numA = parseAmount(a);
+  const numB = parseAmount(b);
+  if (numA !== null && numB !== null) return numA === numB;
+
+  return String(a).trim() === String(b).trim();
+};
+
+/**
+ * Build a dry-run preview of a finance upload without writing anything
+ * Reports column mapping, unknown/missing columns, unknown Rick values,
+ * non-numeric money cells and (for updates) a row-level diff against stored records
+ * @param {Array<Object>} jsonData - Parsed worksheet rows
+ * @param {Object} options - { year, month_name, mode: 'upload' | 'update' }
+ */
+const buildUploadPreview = async (jsonData, { year, month_name, mode }) => {
+  const headers = jsonData.length > 0 ? Object.keys(jsonData[0]) : [];
+  const rickColumn = findRickColumn(headers);
+
+  // Column mapping
+  const columns = headers.map(header => {
+    const knownKey = mapHeaderToKnownKey(header);
+    return {
+      header,
+      knownKey,
+      label: knownKey ? formatFieldLabel(knownKey) : formatFieldLabel(header),
+      known: knownKey !== null
+    };
+  });
+  const mappedKeys = columns.filter(column => column.known).map(column => column.knownKey);
+  const unknownColumns = columns.filter(column => !column.known).map(column => column.header);
+  const missingColumns = Object.keys(FIELD_LABELS).filter(key => !mappedKeys.includes(key));
+
+  // Money columns: known money fields plus unknown columns whose values are mostly numeric
+  const moneyColumns = columns.filter(column => {
+    if (column.known) return !NON_MONEY_FIELDS.includes(column.knownKey);
+    if (column.header === rickColumn) return false;
+    const values = jsonData.map(row => row[column.header]).filter(value => value !== '' && value !== null);
+    const numeric = values.filter(value => parseAmount(value) !== null);
+    return values.length > 0 && numeric.length / values.length >= 0.5;
+  }).map(column => column.header);
+
+  const nonNumericCells = [];
+  jsonData.forEach((row, index) => {
+    moneyColumns.forEach(header => {
+      const value = row[header];
+      if (value !== '' && value !== null && value !== undefined && parseAmount(value) === null) {
+        nonNumericCells.push({ row: index + 1, column: header, value });
+      }
+    });
+  });
+
+  // Rick values that do not exist in drivers, and duplicates within the sheet
+  const unknownRicks = [];
+  const duplicateRicks = [];
+  if (rickColumn) {
+    const rickValues = jsonData.map(row => String(row[rickColumn]).trim()).filter(value => value !== '');
+    const seen = new Set();
+    rickValues.forEach(value => {
+      if (seen.has(value) && !duplicateRicks.includes(value)) duplicateRicks.push(value);
+      seen.add(value);
+    });
+
+    const driversResult = await query('SELECT rick FROM drivers WHERE rick = ANY($1)', [Array.from(seen)]);
+    const knownRicks = driversResult.rows.map(row => row.rick);
+    jsonData.forEach((row, index) => {
+      const value = String(row[rickColumn]).trim();
+      if (value !== '' && !knownRicks.includes(value)) {
+        unknownRicks.push({ row: index + 1, rick: value });
+      }
+    });
+  }
+
+  const preview = {
+    mode,
+    month: month_name,
+    year: parseInt(year),
+    totalRows: jsonData.length,
+    columns,
+    rickColumn,
+    missingRequiredColumns: rickColumn ? [] : ['Rick'],
+    unknownColumns,
+    missingColumns,
+    moneyColumns,
+    nonNumericCells,
+    unknownRicks,
+    duplicateRicks
+  };
+
+  // Row-level diff against what is stored for the month (update only)
+  if (mode === 'update') {
+    const storedResult = await query(`
+      SELECT id, data FROM finance_records
+      WHERE year = $1 AND month_name = $2
+      ORDER BY COALESCE((data->>'_excel_row')::integer, id) ASC
+    `, [year, month_name]);
+
+    // Match rows by Rick value when available, otherwise by Excel row position
+    const rowKey = (data, index) => {
+      const rick = rickColumn && data[rickColumn] !== undefined ? String(data[rickColumn]).trim() : '';
+      return rick !== '' ? `rick:${rick}` : `row:${index + 1}`;
+    };
+
+    const storedByKey = new Map();
+    storedResult.rows.forEach((row, index) => {
+      storedByKey.set(rowKey(row.data || {}, index), row);
+    });
+
+    const storedColumns = storedResult.rows.length > 0 && Array.isArray(storedResult.rows[0].data._column_order)
+      ? storedResult.rows[0].data._column_order
+      : [];
+
+    const rows = [];
+    const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+    jsonData.forEach((row, index) => {
+      const key = rowKey(row, index);
+      const stored = storedByKey.get(key);
+
+      if (!stored) {
+        counts.added++;
+        rows.push({ key, row: index + 1, status: 'added', after: row });
+        return;
+      }
+
+      storedByKey.delete(key);
+      const { _excel_row, _column_order, ...storedData } = stored.data || {};
+      const fieldNames = Array.from(new Set([...Object.keys(storedData), ...Object.keys(row)]));
+      const changes = fieldNames
+        .filter(field => !valuesEqual(storedData[field], row[field]))
+        .map(field => ({ field, before: storedData[field] === undefined ? null : storedData[field], after: row[field] === undefined ? null : row[field] }));
+
+      if (changes.length > 0) {
+        counts.changed++;
+        rows.push({ key, row: index + 1, id: stored.id, status: 'changed', changes });
+      } else {
+        counts.unchanged++;
+      }
+    });
+
+    storedByKey.forEach((stored, key) => {
+      const { _excel_row, _column_order, ...storedData } = stored.data || {};
+      counts.removed++;
+      rows.push({ key, id: stored.id, status: 'removed', before: storedData });
+    });
+
+    preview.diff = {
+      storedRows: storedResult.rows.length,
+      columnsAdded: headers.filter(header => !storedColumns.includes(header)),
+      columnsRemoved: storedColumns.filter(header => !headers.includes(header)),
+      counts,
+      rows
+    };
+  }
+
+  return preview;
+};
+
+// Helper function to parse the uploaded workbook, optionally through a saved upload template
+// (body.template_id may be a template id or name; body.sheet_name overrides the template's sheet)
+const parseUploadRows = async (req) => {
+  const { template_id, sheet_name } = req.body;
+
+  if (!template_id) {
+    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    return { jsonData: XLSX.utils.sheet_to_json(worksheet, { defval: '' }), template: null };
+  }
+
+  const template = await loadUploadTemplate(template_id);
+  if (!template) {
+    return { error: `Upload template '${template_id}' not found`, statusCode: 404 };
+  }
+
+  const result = applyUploadTemplate(req.file.buffer, template, sheet_name);
+  if (result.error) {
+    return { error: result.error, statusCode: 400 };
+  }
+
+  return {
+    jsonData: result.rows,
+    template: {
+      id: template.id,
+      name: template.name,
+      sheetName: result.sheetName,
+      mappedColumns: result.mappedColumns,
+      unmappedColumns: result.unmappedColumns,
+      missingSources: result.missingSources
+    }
+  };
+};
+
+// Helper function to insert rows for a month in order - maintains Excel row and column order
+const insertFinanceRows = async (client, jsonData, columnOrder, year, month_name) => {
+  const insertQuery = `
+    INSERT INTO finance_records (data, year, month_name)
+    VALUES ($1, $2, $3)
+    RETURNING id
+  `;
+
+  const insertedIds = [];
+  for (let i = 0; i < jsonData.length; i++) {
+    // Add Excel row number and column order to the data
+    const dataWithMetadata = {
+      ...jsonData[i],
+      _excel_row: i + 1,        // Track original Excel row position
+      _column_order: columnOrder // Track original Excel column order
+    };
+
+    const result = await client.query(insertQuery, [
+      JSON.stringify(dataWithMetadata),
+      year,
+      month_name
+    ]);
+    insertedIds.push(result.rows[0].id);
+  }
+
+  return insertedIds;
+};
+
+// Helper function to read the dry_run flag from a multipart body
+const isDryRun = (body) => body.dry_run === true || body.dry_run === 'true';
+
+// Announce a finished upload to the inbox and live stream subscribers
+const emitFinanceUploaded = (req, { year, month_name, mode, totalRows }) => {
+  emitEvent('finance.uploaded', {
+    title: `Finance ${mode === 'update' ? 'update' : 'upload'} for ${month_name} ${year} completed (${totalRows} rows)`,
+    entityType: 'finances',
+    data: { year: parseInt(year), month_name, mode, total_rows: totalRows },
+    actorId: req.user ? req.user.id : null
+  });
+};
+
+// Rules for combining values when the same Rick appears in more than one sheet
+const MERGE_RULES = ['sum', 'first', 'error'];
+
+// Helper function to read a list sent as a JSON array or comma-separated text (multipart fields are strings)
+const parseListParam = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String);
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed.map(String);
+  } catch (e) {
+    // Not JSON - fall back to comma-separated
+  }
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Merge rows from several sheets into one row per Rick
+ * - sum:   numeric money values are added, other values keep the first non-empty one
+ * - first: the first non-empty value wins
+ * - error: differing non-empty values are reported as conflicts
+ * Rows without a Rick are kept as they are
+ * @param {Array<Object>} sheets - [{ label, headers, rows }]
+ * @param {String} mergeRule - One of MERGE_RULES
+ * @returns {Object} { rows, columnOrder, conflicts }
+ */
+const mergeRowsByRick = (sheets, mergeRule) => {
+  const merged = new Map();
+  const unkeyedRows = [];
+  const columnOrder = [];
+  const conflicts = [];
+
+  sheets.forEach(sheet => {
+    const rickColumn = findRickColumn(sheet.headers);
+
+    // Column order is the union of all sheet headers in order of appearance,
+    // with every sheet's Rick column stored under the same 'Rick' key
+    sheet.headers.forEach(header => {
+      const key = header === rickColumn ? 'Rick' : header;
+      if (!columnOrder.includes(key)) columnOrder.push(key);
+    });
+
+    sheet.rows.forEach((row, index) => {
+      const source = `${sheet.label} row ${index + 1}`;
+      const data = {};
+      Object.keys(row).forEach(header => {
+        data[header === rickColumn ? 'Rick' : header] = row[header];
+      });
+
+      const rick = rickColumn && data.Rick !== undefined && data.Rick !== null ? String(data.Rick).trim() : '';
+      if (!rick) {
+        unkeyedRows.push(data);
+        return;
+      }
+      data.Rick = rick;
+
+      const existing = merged.get(rick);
+      if (!existing) {
+        merged.set(rick, { data, source });
+        return;
+      }
+
+      Object.keys(data).forEach(field => {
+        const value = data[field];
+        const current = existing.data[field];
+        if (field === 'Rick' || value === '' || value === null || value === undefined) return;
+
+        if (current === '' || current === null || current === undefined) {
+          existing.data[field] = value;
+          return;
+        }
+
+        const currentAmount = parseAmount(current);
+        const amount = parseAmount(value);
+        const isMoneyField = !NON_MONEY_FIELDS.includes(mapHeaderToKnownKey(field));
+        if (mergeRule === 'sum' && isMoneyField && currentAmount !== null && amount !== null) {
+          existing.data[field] = Math.round((currentAmount + amount) * 100) / 100;
+          return;
+        }
+
+        if (mergeRule === 'error' && !valuesEqual(current, value)) {
+          conflicts.push({ rick, field, value: current, source: existing.source, conflictingValue: value, conflictingSource: source });
+        }
+        // 'first' (and non-numeric values under 'sum') keep the value already merged
+      });
+    });
+  });
+
+  // Give every row the full set of columns so stored records stay uniform
+  const rows = [...[...merged.values()].map(entry => entry.data), ...unkeyedRows].map(data => {
+    const complete = {};
+    columnOrder.forEach(column => {
+      complete[column] = data[column] !== undefined ? data[column] : '';
+    });
+    return complete;
+  });
+
+  return { rows, columnOrder, conflicts };
+};
+
 // POST /api/admin/finances/upload - Upload Excel file
 const uploadFinances = async (req, res) => {
   try {
@@ -469,16 +932,28 @@ const uploadFinances = async (req, res) => {
       return sendError(res, 'Year and month_name are required', 400);
     }
 
-    // Parse Excel file into JSON array (each row becomes an object)
-    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
-    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
-// console.log(jsonData);
+
+    // Parse Excel file into JSON array (each row becomes an object), through a saved template if one is selected
+    const parsed = await parseUploadRows(req);
+    if (parsed.error) {
+      return sendError(res, parsed.error, parsed.statusCode);
+    }
+    const { jsonData, template } = parsed;
     // Validate data is not empty
     if (jsonData.length === 0) {
       return sendError(res, 'Excel file is empty', 400);
     }
 
+    // Dry run: report what would be imported without writing anything
+    if (isDryRun(req.body)) {
+      const closedPeriods = await findClosedPeriods([{ year, month_name }]);
+      if (closedPeriods.length > 0) {
+        return sendPeriodClosed(res, closedPeriods);
+      }
+      const preview = await buildUploadPreview(jsonData, { year, month_name, mode: 'upload' });
+      return sendSuccess(res, { ...preview, template }, `Preview of ${jsonData.length} finance records (nothing was saved)`);
+    }
+
     // Extract column order from first row (Excel column order)
     const columnOrder = jsonData.length > 0 ? Object.keys(jsonData[0]) : [];
 
@@ -487,33 +962,18 @@ const uploadFinances = async (req, res) => {
     try {
       await client.query('BEGIN');
 
-      const insertQuery = `
-        INSERT INTO finance_records (data, year, month_name)
-        VALUES ($1, $2, $3)
-        RETURNING id
-      `;
-
-      const insertedIds = [];
-      // Loop through jsonData array in order - maintains Excel row order
-      for (let i = 0; i < jsonData.length; i++) {
-        const rowData = jsonData[i];
-        
-        // Add Excel row number and column order to the data
-        const dataWithMetadata = {
-          ...rowData,
-          _excel_row: i + 1,        // Track original Excel row position
-          _column_order: columnOrder // Track original Excel column order
-        };
-        
-        const result = await client.query(insertQuery, [
-          JSON.stringify(dataWithMetadata), 
-          year, 
-          month_name
-        ]);
-        insertedIds.push(result.rows[0].id);
+      // Closed months cannot change - checked in the transaction so a concurrent close waits for it
+      const closedPeriods = await findClosedPeriods([{ year, month_name }], client);
+      if (closedPeriods.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPeriodClosed(res, closedPeriods);
       }
 
+      const insertedIds = await insertFinanceRows(client, jsonData, columnOrder, year, month_name);
+
       await client.query('COMMIT');
+      emitFinanceUploaded(req, { year, month_name, mode: 'upload', totalRows: jsonData.length });
+      setAuditedChange(res, { entityType: 'finances', entityIds: insertedIds });
 
       // Return success response
       return sendSuccess(res, {
@@ -521,6 +981,7 @@ const uploadFinances = async (req, res) => {
         message: 'Finance data uploaded successfully',
         month: month_name,
         year: parseInt(year),
+        template,
         totalRows: jsonData.length,
         insertedIds: insertedIds,
         firstId: insertedIds[0],
@@ -554,10 +1015,13 @@ const updateFinances = async (req, res) => {
       return sendError(res, 'Year and month_name are required', 400);
     }
 
-    // Parse Excel file into JSON array (each row becomes an object)
-    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
-    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+
+    // Parse Excel file into JSON array (each row becomes an object), through a saved template if one is selected
+    const parsed = await parseUploadRows(req);
+    if (parsed.error) {
+      return sendError(res, parsed.error, parsed.statusCode);
+    }
+    const { jsonData, template } = parsed;
 
     // Validate data is not empty
     if (jsonData.length === 0) {
@@ -578,48 +1042,50 @@ const updateFinances = async (req, res) => {
       return sendError(res, `No existing records found for ${month_name} ${year}. Use POST /upload to create new records.`, 404);
     }
 
+    // Dry run: report the row-level diff without writing anything
+    if (isDryRun(req.body)) {
+      const closedPeriods = await findClosedPeriods([{ year, month_name }]);
+      if (closedPeriods.length > 0) {
+        return sendPeriodClosed(res, closedPeriods);
+      }
+      const preview = await buildUploadPreview(jsonData, { year, month_name, mode: 'update' });
+      return sendSuccess(res, { ...preview, template }, `Preview of update for ${month_name} ${year} (nothing was saved)`);
+    }
+
     // Update existing records for this month/year
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
-      // First, delete all existing records for this month/year
+      // Closed months cannot change - checked in the transaction so a concurrent close waits for it
+      const closedPeriods = await findClosedPeriods([{ year, month_name }], client);
+      if (closedPeriods.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPeriodClosed(res, closedPeriods);
+      }
+
+      // Replacing the month would drop the records approved or issued payslips were posted from
+      const postedPayslips = await findPostedPayslips([{ year, month_name }], client);
+      if (postedPayslips.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPayslipsPosted(res, postedPayslips);
+      }
+
+      // First, delete all existing records for this month/year (kept as the audit log's before snapshot)
       const deleteQuery = `
         DELETE FROM finance_records 
         WHERE year = $1 AND month_name = $2
-        RETURNING id
+        RETURNING *
       `;
       const deletedResult = await client.query(deleteQuery, [year, month_name]);
       const deletedIds = deletedResult.rows.map(row => row.id);
 
       // Insert new records with same Excel order
-      const insertQuery = `
-        INSERT INTO finance_records (data, year, month_name)
-        VALUES ($1, $2, $3)
-        RETURNING id
-      `;
-
-      const insertedIds = [];
-      // Loop through jsonData array in order - maintains Excel row order
-      for (let i = 0; i < jsonData.length; i++) {
-        const rowData = jsonData[i];
-        
-        // Add Excel row number and column order to the data
-        const dataWithMetadata = {
-          ...rowData,
-          _excel_row: i + 1,        // Track original Excel row position
-          _column_order: columnOrder // Track original Excel column order
-        };
-        
-        const result = await client.query(insertQuery, [
-          JSON.stringify(dataWithMetadata), 
-          year, 
-          month_name
-        ]);
-        insertedIds.push(result.rows[0].id);
-      }
+      const insertedIds = await insertFinanceRows(client, jsonData, columnOrder, year, month_name);
 
       await client.query('COMMIT');
+      emitFinanceUploaded(req, { year, month_name, mode: 'update', totalRows: jsonData.length });
+      setAuditedChange(res, { entityType: 'finances', entityIds: insertedIds, before: deletedResult.rows });
 
       // Return success response
       return sendSuccess(res, {
@@ -627,6 +1093,7 @@ const updateFinances = async (req, res) => {
         message: 'Finance data updated successfully',
         month: month_name,
         year: parseInt(year),
+        template,
         totalRows: jsonData.length,
         deletedCount: deletedIds.length,
         insertedCount: insertedIds.length,
@@ -649,6 +1116,201 @@ const updateFinances = async (req, res) => {
   }
 };
 
+// POST /api/admin/finances/import - Import several sheets and/or files into one month, merged by Rick
+const importFinanceWorkbooks = async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return sendError(res, 'No Excel files uploaded', 400);
+    }
+
+    const { year, month_name, template_id } = req.body;
+    const mergeRule = req.body.merge_rule || 'error';
+    const mode = req.body.mode || 'upload';
+
+    if (!year || !month_name) {
+      return sendError(res, 'Year and month_name are required', 400);
+    }
+
+    if (!MERGE_RULES.includes(mergeRule)) {
+      return sendError(res, `merge_rule must be one of ${MERGE_RULES.join(', ')}`, 400);
+    }
+    if (!['upload', 'update'].includes(mode)) {
+      return sendError(res, 'mode must be upload or update', 400);
+    }
+
+    // Optional per-sheet templates: { "Uber": "Uber Export", "Careem": 3 }
+    let sheetTemplates = {};
+    if (req.body.sheet_templates) {
+      try {
+        sheetTemplates = typeof req.body.sheet_templates === 'string'
+          ? JSON.parse(req.body.sheet_templates)
+          : req.body.sheet_templates;
+      } catch (e) {
+        return sendError(res, 'sheet_templates must be a JSON object of sheet name to template id or name', 400);
+      }
+    }
+
+    // Sheets to import - every sheet of every file when none are listed
+    const requestedSheets = parseListParam(req.body.sheets);
+
+    const templates = {};
+    const sheets = [];
+    const sheetReport = [];
+
+    for (const file of files) {
+      const workbook = XLSX.read(file.buffer, { type: 'buffer' });
+      const sheetNames = requestedSheets.length > 0
+        ? workbook.SheetNames.filter(name => requestedSheets.includes(name))
+        : workbook.SheetNames;
+
+      for (const sheetName of sheetNames) {
+        const templateRef = sheetTemplates[sheetName] || template_id;
+        let headers;
+        let rows;
+        let templateName = null;
+
+        if (templateRef) {
+          if (!(templateRef in templates)) {
+            templates[templateRef] = await loadUploadTemplate(templateRef);
+          }
+          const template = templates[templateRef];
+          if (!template) {
+            return sendError(res, `Upload template '${templateRef}' not found`, 404);
+          }
+
+          const result = applyUploadTemplate(workbook, template, sheetName);
+          if (result.error) {
+            return sendError(res, result.error, 400);
+          }
+          rows = result.rows;
+          headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+          templateName = template.name;
+        } else {
+          ({ rows, headers } = readSheetRows(workbook, { sheetName }));
+        }
+
+        const label = files.length > 1 ? `${file.originalname} / ${sheetName}` : sheetName;
+        sheets.push({ label, headers, rows });
+        sheetReport.push({
+          file: file.originalname,
+          sheet: sheetName,
+          template: templateName,
+          rickColumn: findRickColumn(headers),
+          rows: rows.length
+        });
+      }
+    }
+
+    const foundSheets = sheetReport.map(sheet => sheet.sheet);
+    const missingSheets = requestedSheets.filter(name => !foundSheets.includes(name));
+    if (missingSheets.length > 0) {
+      return sendError(res, `Sheet(s) not found in the uploaded files: ${missingSheets.join(', ')}`, 400);
+    }
+
+    const { rows: jsonData, columnOrder, conflicts } = mergeRowsByRick(sheets, mergeRule);
+
+    if (jsonData.length === 0) {
+      return sendError(res, 'The selected sheets are empty', 400);
+    }
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Found ${conflicts.length} conflicting value(s) for the same Rick across sheets. Use merge_rule 'sum' or 'first' to combine them.`,
+        sheets: sheetReport,
+        conflicts,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (mode === 'update') {
+      const existingRecords = await query(
+        'SELECT COUNT(*) as count FROM finance_records WHERE year = $1 AND month_name = $2',
+        [year, month_name]
+      );
+      if (parseInt(existingRecords.rows[0].count) === 0) {
+        return sendError(res, `No existing records found for ${month_name} ${year}. Use mode 'upload' to create new records.`, 404);
+      }
+    }
+
+    // Dry run: report the merged result without writing anything
+    if (isDryRun(req.body)) {
+      const closedPeriods = await findClosedPeriods([{ year, month_name }]);
+      if (closedPeriods.length > 0) {
+        return sendPeriodClosed(res, closedPeriods);
+      }
+      const preview = await buildUploadPreview(jsonData, { year, month_name, mode });
+      return sendSuccess(res, {
+        ...preview,
+        mergeRule,
+        sheets: sheetReport,
+        mergedRows: jsonData.length
+      }, `Preview of ${jsonData.length} merged finance records from ${sheetReport.length} sheet(s) (nothing was saved)`);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Closed months cannot change - checked in the transaction so a concurrent close waits for it
+      const closedPeriods = await findClosedPeriods([{ year, month_name }], client);
+      if (closedPeriods.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPeriodClosed(res, closedPeriods);
+      }
+
+      // Update mode replaces the whole month, same as PUT /upload
+      let deletedRows = [];
+      if (mode === 'update') {
+        const postedPayslips = await findPostedPayslips([{ year, month_name }], client);
+        if (postedPayslips.length > 0) {
+          await client.query('ROLLBACK');
+          return sendPayslipsPosted(res, postedPayslips);
+        }
+
+        const deletedResult = await client.query(
+          'DELETE FROM finance_records WHERE year = $1 AND month_name = $2 RETURNING *',
+          [year, month_name]
+        );
+        deletedRows = deletedResult.rows;
+      }
+
+      const insertedIds = await insertFinanceRows(client, jsonData, columnOrder, year, month_name);
+
+      await client.query('COMMIT');
+      emitFinanceUploaded(req, { year, month_name, mode, totalRows: jsonData.length });
+      setAuditedChange(res, { entityType: 'finances', entityIds: insertedIds, before: mode === 'update' ? deletedRows : null });
+
+      return sendSuccess(res, {
+        success: true,
+        message: 'Finance data imported successfully',
+        month: month_name,
+        year: parseInt(year),
+        mode,
+        mergeRule,
+        sheets: sheetReport,
+        totalRows: jsonData.length,
+        deletedCount: deletedRows.length,
+        insertedCount: insertedIds.length,
+        insertedIds: insertedIds,
+        firstId: insertedIds[0],
+        lastId: insertedIds[insertedIds.length - 1]
+      }, `Successfully imported ${jsonData.length} finance records from ${sheetReport.length} sheet(s)`);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Error importing Excel files:', error);
+    sendError(res, 'Failed to import Excel files', 500, error);
+  }
+};
+
 module.exports = {
   getFinances,
   updateFinance,
@@ -657,5 +1319,6 @@ module.exports = {
   deleteField,
   uploadFinances,
   updateFinances,
+  importFinanceWorkbooks,
   upload
 };
\ No newline at end of file
@@ -0,0 +1,241 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendValidationError } = require('../../shared/utils/response');
+const { getMonthBounds } = require('./ledgerController');
+
+/**
+ * Finance Period Controller
+ * Handles month-close locking of finance records and its audit trail
+ */
+
+// Advisory lock key of a finance month - writers hold it shared, close/reopen exclusively
+const periodLockKey = (year, monthName) => `finance_period:${year}:${String(monthName).toLowerCase()}`;
+
+/**
+ * Find which of the given year/month periods are closed
+ * Exported so finance handlers can refuse changes to closed months. Call it with the
+ * transaction client of the write: the periods stay locked against close until it commits.
+ * @param {Array<Object>} periods - [{ year, month_name }]
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ * @returns {Array<Object>} Closed periods: [{ id, year, month_name, closed_at }]
+ */
+const findClosedPeriods = async (periods, db = { query }) => {
+  const valid = periods.filter(period => period && period.year && period.month_name);
+  if (valid.length === 0) return [];
+
+  const keys = [...new Set(valid.map(period => periodLockKey(period.year, period.month_name)))].sort();
+  await db.query('SELECT pg_advisory_xact_lock_shared(hashtext(key)) FROM UNNEST($1::text[]) as key', [keys]);
+
+  const result = await db.query(`
+    SELECT fp.id, fp.year, fp.month_name, fp.closed_at
+    FROM finance_periods fp
+    JOIN (
+      SELECT UNNEST($1::text[]) as year, UNNEST($2::text[]) as month_name
+    ) requested ON requested.year = fp.year AND LOWER(requested.month_name) = LOWER(fp.month_name)
+    WHERE fp.status = 'closed'
+    GROUP BY fp.id
+    ORDER BY fp.year, fp.month_name
+  `, [valid.map(period => String(period.year)), valid.map(period => String(period.month_name))]);
+
+  return result.rows;
+};
+
+// Helper function to refuse a change to closed periods
+const sendPeriodClosed = (res, closedPeriods) => {
+  const names = closedPeriods.map(period => `${period.month_name} ${period.year}`).join(', ');
+  return sendError(res, `Finance period ${names} is closed. A superadmin must reopen it before its records can change.`, 409);
+};
+
+// GET /api/admin/finances/periods - Get closed and reopened finance periods
+const getPeriods = async (req, res) => {
+  try {
+    const { year = '', status = '' } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (year) {
+      whereClause += ` AND fp.year = $${paramCount}`;
+      params.push(year);
+      paramCount++;
+    }
+
+    if (status) {
+      whereClause += ` AND fp.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    const result = await query(`
+      SELECT
+        fp.*,
+        cu.username as closed_by_username,
+        ru.username as reopened_by_username
+      FROM finance_periods fp
+      LEFT JOIN users cu ON cu.id = fp.closed_by
+      LEFT JOIN users ru ON ru.id = fp.reopened_by
+      ${whereClause}
+      ORDER BY fp.year DESC, fp.closed_at DESC
+    `, params);
+
+    sendSuccess(res, result.rows, 'Finance periods retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching finance periods:', error);
+    sendError(res, 'Failed to fetch finance periods', 500, error);
+  }
+};
+
+// GET /api/admin/finances/periods/history - Get the close/reopen audit trail
+const getPeriodHistory = async (req, res) => {
+  try {
+    const { year = '', month_name = '' } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (year) {
+      whereClause += ` AND fp.year = $${paramCount}`;
+      params.push(year);
+      paramCount++;
+    }
+
+    if (month_name) {
+      whereClause += ` AND LOWER(fp.month_name) = LOWER($${paramCount})`;
+      params.push(month_name);
+      paramCount++;
+    }
+
+    const result = await query(`
+      SELECT
+        e.id,
+        fp.year,
+        fp.month_name,
+        e.action,
+        e.reason,
+        e.performed_by,
+        u.username as performed_by_username,
+        e.performed_at
+      FROM finance_period_events e
+      JOIN finance_periods fp ON fp.id = e.period_id
+      LEFT JOIN users u ON u.id = e.performed_by
+      ${whereClause}
+      ORDER BY e.performed_at DESC, e.id DESC
+    `, params);
+
+    sendSuccess(res, result.rows, 'Finance period history retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching finance period history:', error);
+    sendError(res, 'Failed to fetch finance period history', 500, error);
+  }
+};
+
+// Shared implementation for close and reopen
+const changePeriodStatus = async (req, res, status) => {
+  const { year, month_name, reason } = req.body;
+  const userId = req.user ? req.user.id : null;
+
+  const bounds = getMonthBounds(year, month_name);
+  if (!bounds) {
+    return sendValidationError(res, 'year and a full month_name (e.g. January) are required');
+  }
+  if (status === 'open' && (!reason || !String(reason).trim())) {
+    return sendValidationError(res, 'A reason is required to reopen a finance period');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Wait for writes that checked this month while it was open
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [periodLockKey(bounds.year, bounds.month_name)]);
+
+    const existingResult = await client.query(
+      'SELECT * FROM finance_periods WHERE year = $1 AND LOWER(month_name) = LOWER($2) FOR UPDATE',
+      [bounds.year, bounds.month_name]
+    );
+    const existing = existingResult.rows[0];
+
+    if (status === 'closed' && existing && existing.status === 'closed') {
+      await client.query('ROLLBACK');
+      return sendError(res, `${bounds.month_name} ${bounds.year} is already closed`, 409);
+    }
+    if (status === 'open' && (!existing || existing.status !== 'closed')) {
+      await client.query('ROLLBACK');
+      return sendError(res, `${bounds.month_name} ${bounds.year} is not closed`, 409);
+    }
+
+    let period;
+    if (status === 'closed') {
+      const upsertResult = existing
+        ? await client.query(`
+            UPDATE finance_periods
+            SET status = 'closed', closed_by = $1, closed_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING *
+          `, [userId, existing.id])
+        : await client.query(`
+            INSERT INTO finance_periods (year, month_name, status, closed_by, closed_at)
+            VALUES ($1, $2, 'closed', $3, CURRENT_TIMESTAMP)
+            RETURNING *
+          `, [bounds.year, bounds.month_name, userId]);
+      period = upsertResult.rows[0];
+    } else {
+      const updateResult = await client.query(`
+        UPDATE finance_periods
+        SET status = 'open', reopened_by = $1, reopened_at = CURRENT_TIMESTAMP, reopen_reason = $2
+        WHERE id = $3
+        RETURNING *
+      `, [userId, String(reason).trim(), existing.id]);
+      period = updateResult.rows[0];
+    }
+
+    await client.query(`
+      INSERT INTO finance_period_events (period_id, action, reason, performed_by)
+      VALUES ($1, $2, $3, $4)
+    `, [period.id, status === 'closed' ? 'closed' : 'reopened', reason ? String(reason).trim() : null, userId]);
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, period, `${bounds.month_name} ${bounds.year} ${status === 'closed' ? 'closed' : 'reopened'} successfully`);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/admin/finances/periods/close - Close a finance month
+// Expected request body: { year: 2025, month_name: "January", reason: "Paid out" }
+const closePeriod = async (req, res) => {
+  try {
+    await changePeriodStatus(req, res, 'closed');
+  } catch (error) {
+    console.error('Error closing finance period:', error);
+    sendError(res, 'Failed to close finance period', 500, error);
+  }
+};
+
+// POST /api/admin/finances/periods/reopen - Reopen a closed finance month (superadmin only)
+// Expected request body: { year: 2025, month_name: "January", reason: "Correct Salik charges" }
+const reopenPeriod = async (req, res) => {
+  try {
+    await changePeriodStatus(req, res, 'open');
+  } catch (error) {
+    console.error('Error reopening finance period:', error);
+    sendError(res, 'Failed to reopen finance period', 500, error);
+  }
+};
+
+module.exports = {
+  getPeriods,
+  getPeriodHistory,
+  closePeriod,
+  reopenPeriod,
+  findClosedPeriods,
+  sendPeriodClosed
+};
@@ -0,0 +1,297 @@
+const { query } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { readSheetRows, normalizeHeader, parseAmount, parseSpreadsheetDate } = require('../../shared/utils/spreadsheet');
+
+/**
+ * Finance Template Controller
+ * Manages saved column mappings for finance Excel uploads and applies them to workbooks
+ */
+
+const COLUMN_TYPES = ['text', 'number', 'integer', 'currency', 'date'];
+
+// Helper function to validate a column_mappings array - returns a list of error messages
+const validateMappings = (mappings) => {
+  const errors = [];
+
+  if (!Array.isArray(mappings)) {
+    return ['column_mappings must be an array'];
+  }
+
+  const targets = new Set();
+  mappings.forEach((mapping, index) => {
+    const sources = Array.isArray(mapping.source) ? mapping.source : [mapping.source];
+
+    if (sources.length === 0 || sources.some(source => !source || typeof source !== 'string')) {
+      errors.push(`Mapping ${index + 1}: source must be a header name or an array of header names`);
+    }
+    if (!mapping.target || typeof mapping.target !== 'string' || mapping.target.startsWith('_')) {
+      errors.push(`Mapping ${index + 1}: target must be a finance key and cannot start with "_"`);
+    } else if (targets.has(mapping.target)) {
+      errors.push(`Mapping ${index + 1}: target '${mapping.target}' is mapped more than once`);
+    } else {
+      targets.add(mapping.target);
+    }
+    if (mapping.type && !COLUMN_TYPES.includes(mapping.type)) {
+      errors.push(`Mapping ${index + 1}: type must be one of ${COLUMN_TYPES.join(', ')}`);
+    }
+  });
+
+  return errors;
+};
+
+// Helper function to coerce a cell to the template column type
+// Values that cannot be coerced are kept as-is so the upload preview can flag them
+const coerceValue = (value, type) => {
+  if (value === '' || value === null || value === undefined) return '';
+
+  switch (type) {
+    case 'number':
+    case 'currency': {
+      const amount = parseAmount(value);
+      if (amount === null) return value;
+      return type === 'currency' ? Math.round(amount * 100) / 100 : amount;
+    }
+    case 'integer': {
+      const amount = parseAmount(value);
+      return amount === null ? value : Math.round(amount);
+    }
+    case 'date': {
+      const date = parseSpreadsheetDate(value);
+      return date ? date.substring(0, 10) : value;
+    }
+    case 'text':
+      return String(value).trim();
+    default:
+      return value;
+  }
+};
+
+// Load a template by id or by name
+const loadUploadTemplate = async (idOrName) => {
+  const isId = /^\d+$/.test(String(idOrName));
+  const result = await query(
+    `SELECT * FROM finance_upload_templates WHERE ${isId ? 'id = $1' : 'name = $1'}`,
+    [isId ? parseInt(idOrName) : idOrName]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Parse a workbook with a template: pick the sheet and header row, rename mapped
+ * headers to their finance keys and coerce each mapped column to its type
+ * @param {Buffer|Object} buffer - Uploaded file contents or a parsed workbook
+ * @returns {Object} { rows, sheetName, mappedColumns, unmappedColumns, missingSources, error }
+ */
+const applyUploadTemplate = (buffer, template, sheetNameOverride = null) => {
+  const sheetName = sheetNameOverride || template.sheet_name || null;
+  const sheet = readSheetRows(buffer, { sheetName, headerRow: template.header_row });
+
+  if (sheetName && !sheet.sheetNames.includes(sheetName)) {
+    return { error: `Sheet '${sheetName}' not found. Available sheets: ${sheet.sheetNames.join(', ')}` };
+  }
+
+  // Resolve each mapping to the workbook header it matches
+  const headerTargets = {};
+  const missingSources = [];
+  (template.column_mappings || []).forEach(mapping => {
+    const sources = (Array.isArray(mapping.source) ? mapping.source : [mapping.source]).map(normalizeHeader);
+    const header = sheet.headers.find(candidate => sources.includes(normalizeHeader(candidate)) && !headerTargets[candidate]);
+    if (header) {
+      headerTargets[header] = mapping;
+    } else {
+      missingSources.push(mapping.target);
+    }
+  });
+
+  const unmappedColumns = sheet.headers.filter(header => !headerTargets[header]);
+
+  const rows = sheet.rows.map(row => {
+    const mapped = {};
+    sheet.headers.forEach(header => {
+      const mapping = headerTargets[header];
+      if (mapping) {
+        mapped[mapping.target] = coerceValue(row[header], mapping.type);
+      } else if (!template.drop_unmapped) {
+        mapped[header] = row[header];
+      }
+    });
+    return mapped;
+  });
+
+  return {
+    rows,
+    sheetName: sheet.sheetName,
+    mappedColumns: Object.entries(headerTargets).map(([header, mapping]) => ({ header, target: mapping.target, type: mapping.type || 'text' })),
+    unmappedColumns,
+    missingSources
+  };
+};
+
+// GET /api/admin/finances/templates - Get all upload templates
+const getTemplates = async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT id, name, description, sheet_name, header_row, column_mappings, drop_unmapped, created_by, created_at, updated_at
+      FROM finance_upload_templates
+      ORDER BY name ASC
+    `);
+
+    sendSuccess(res, result.rows, 'Upload templates retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching upload templates:', error);
+    sendError(res, 'Failed to fetch upload templates', 500, error);
+  }
+};
+
+// GET /api/admin/finances/templates/:id - Get upload template by ID
+const getTemplateById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query('SELECT * FROM finance_upload_templates WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return sendNotFound(res, 'Upload template');
+    }
+
+    sendSuccess(res, result.rows[0], 'Upload template retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching upload template:', error);
+    sendError(res, 'Failed to fetch upload template', 500, error);
+  }
+};
+
+// POST /api/admin/finances/templates - Create upload template
+const createTemplate = async (req, res) => {
+  try {
+    const { name, description, sheet_name, header_row, column_mappings, drop_unmapped } = req.body;
+
+    if (!name || !column_mappings) {
+      return sendValidationError(res, 'Missing required fields: name, column_mappings');
+    }
+
+    const errors = validateMappings(column_mappings);
+    if (header_row !== undefined && (isNaN(header_row) || parseInt(header_row) < 1)) {
+      errors.push('header_row must be a positive number');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const existing = await query('SELECT id FROM finance_upload_templates WHERE name = $1', [name]);
+    if (existing.rows.length > 0) {
+      return sendError(res, 'Upload template with this name already exists', 409);
+    }
+
+    const insertResult = await query(`
+      INSERT INTO finance_upload_templates (name, description, sheet_name, header_row, column_mappings, drop_unmapped, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      name,
+      description || null,
+      sheet_name || null,
+      header_row ? parseInt(header_row) : 1,
+      JSON.stringify(column_mappings),
+      drop_unmapped === true,
+      req.user ? req.user.id : null
+    ]);
+
+    sendSuccess(res, insertResult.rows[0], 'Upload template created successfully', 201);
+
+  } catch (error) {
+    console.error('Error creating upload template:', error);
+    sendError(res, 'Failed to create upload template', 500, error);
+  }
+};
+
+// PUT /api/admin/finances/templates/:id - Update upload template
+const updateTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, sheet_name, header_row, column_mappings, drop_unmapped } = req.body;
+
+    const existingResult = await query('SELECT * FROM finance_upload_templates WHERE id = $1', [id]);
+    if (existingResult.rows.length === 0) {
+      return sendNotFound(res, 'Upload template');
+    }
+
+    const errors = column_mappings !== undefined ? validateMappings(column_mappings) : [];
+    if (header_row !== undefined && (isNaN(header_row) || parseInt(header_row) < 1)) {
+      errors.push('header_row must be a positive number');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (name) {
+      const duplicateCheck = await query(
+        'SELECT id FROM finance_upload_templates WHERE name = $1 AND id != $2',
+        [name, id]
+      );
+      if (duplicateCheck.rows.length > 0) {
+        return sendError(res, 'Another upload template with this name already exists', 409);
+      }
+    }
+
+    const updateResult = await query(`
+      UPDATE finance_upload_templates
+      SET
+        name = COALESCE($1, name),
+        description = COALESCE($2, description),
+        sheet_name = CASE WHEN $3::boolean THEN $4 ELSE sheet_name END,
+        header_row = COALESCE($5, header_row),
+        column_mappings = COALESCE($6, column_mappings),
+        drop_unmapped = COALESCE($7, drop_unmapped),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $8
+      RETURNING *
+    `, [
+      name,
+      description,
+      sheet_name !== undefined, // allow clearing sheet_name back to "first sheet"
+      sheet_name || null,
+      header_row !== undefined ? parseInt(header_row) : null,
+      column_mappings !== undefined ? JSON.stringify(column_mappings) : null,
+      typeof drop_unmapped === 'boolean' ? drop_unmapped : null,
+      id
+    ]);
+
+    sendSuccess(res, updateResult.rows[0], 'Upload template updated successfully');
+
+  } catch (error) {
+    console.error('Error updating upload template:', error);
+    sendError(res, 'Failed to update upload template', 500, error);
+  }
+};
+
+// DELETE /api/admin/finances/templates/:id - Delete upload template
+const deleteTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query('DELETE FROM finance_upload_templates WHERE id = $1 RETURNING id', [id]);
+
+    if (result.rows.length === 0) {
+      return sendNotFound(res, 'Upload template');
+    }
+
+    sendSuccess(res, { id: parseInt(id) }, 'Upload template deleted successfully');
+
+  } catch (error) {
+    console.error('Error deleting upload template:', error);
+    sendError(res, 'Failed to delete upload template', 500, error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  loadUploadTemplate,
+  applyUploadTemplate
+};
@@ -0,0 +1,681 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { getMonthBounds } = require('./ledgerController');
+const { emitEvent } = require('../../shared/notifications/events');
+const config = require('../../config');
+
+/**
+ * Invoice Controller
+ * Generates numbered monthly invoices for customers from their completed bookings,
+ * records payments and reports accounts receivable by age.
+ * Stored status is issued, paid or void; an issued invoice past its due date is
+ * reported as overdue.
+ */
+
+const INVOICE_STATUSES = ['issued', 'paid', 'void', 'overdue'];
+
+// Aging buckets by days past the due date (the last one is open-ended)
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Not yet due', to: 0 },
+  { key: 'days_1_30', label: '1-30 days', from: 1, to: 30 },
+  { key: 'days_31_60', label: '31-60 days', from: 31, to: 60 },
+  { key: 'days_61_90', label: '61-90 days', from: 61, to: 90 },
+  { key: 'days_over_90', label: 'Over 90 days', from: 91 }
+];
+
+// Status as reported to users: issued invoices past their due date are overdue
+const STATUS_SQL = `CASE WHEN i.status = 'issued' AND i.due_date < CURRENT_DATE THEN 'overdue' ELSE i.status END`;
+
+const INVOICE_COLUMNS = `
+  i.id, i.invoice_number, i.customer_id, c.name as customer_name, i.period_start, i.period_end,
+  i.issue_date, i.due_date, i.currency, i.subtotal, i.tax_rate, i.tax_total, i.total, i.amount_paid,
+  i.total - i.amount_paid as balance_due, ${STATUS_SQL} as status,
+  CASE WHEN i.status = 'issued' THEN GREATEST(CURRENT_DATE - i.due_date, 0) ELSE 0 END as days_overdue,
+  i.paid_at, i.void_reason, i.voided_by, i.voided_at, i.created_by, i.created_at, i.updated_at
+`;
+
+// Helper function to validate a YYYY-MM-DD date
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+
+// Helper function to format a date as YYYY-MM-DD in server local time
+const formatDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).substring(0, 10);
+};
+
+// Helper function to round money values
+const toMoney = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Build the lines of an invoice: one per booking, then the tax line
+ * @param {Array<Object>} bookings - Completed bookings with a fare
+ * @param {number} taxRate - Percent; 0 for tax-exempt customers
+ * @returns {Object} { lines, subtotal, tax_total, total }
+ */
+const buildInvoiceLines = (bookings, taxRate) => {
+  const lines = bookings.map((booking, index) => ({
+    line_number: index + 1,
+    line_type: 'booking',
+    booking_id: booking.id,
+    description: `${booking.reference_code} ${formatDate(booking.booking_date)} ${String(booking.booking_time).substring(0, 5)} - ` +
+      `${booking.pickup_loc} to ${booking.drop_loc} (${booking.car_type}, ${booking.guest_name})`,
+    amount: toMoney(booking.fare)
+  }));
+
+  const subtotal = toMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const taxTotal = toMoney(subtotal * taxRate / 100);
+
+  if (taxRate > 0) {
+    lines.push({
+      line_number: lines.length + 1,
+      line_type: 'tax',
+      booking_id: null,
+      description: `${config.billing.taxLabel} ${taxRate}%`,
+      amount: taxTotal
+    });
+  }
+
+  return { lines, subtotal, tax_total: taxTotal, total: toMoney(subtotal + taxTotal) };
+};
+
+// Helper function to take the next invoice number of a year (e.g. INV-2025-0001)
+// The counter row stays locked until the transaction ends, so numbers have no gaps
+const nextInvoiceNumber = async (client, year) => {
+  const result = await client.query(`
+    INSERT INTO invoice_sequences (year, last_number) VALUES ($1, 1)
+    ON CONFLICT (year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+    RETURNING last_number
+  `, [year]);
+  return `${config.billing.invoicePrefix}-${year}-${String(result.rows[0].last_number).padStart(4, '0')}`;
+};
+
+// Helper function to add days to a YYYY-MM-DD date
+const addDays = (date, days) => {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().substring(0, 10);
+};
+
+// Completed, not yet invoiced bookings of a customer in a period; fare is the final fare, else the quote
+const BILLABLE_BOOKINGS_SQL = `
+  SELECT id, reference_code, booking_date, booking_time, pickup_loc, drop_loc, car_type, guest_name,
+    COALESCE(final_fare, quoted_fare) as fare
+  FROM bookings
+  WHERE customer_id = $1
+    AND status = 'completed'
+    AND invoice_id IS NULL
+    AND is_archived = false
+    AND booking_date BETWEEN $2 AND $3
+  ORDER BY booking_date ASC, booking_time ASC, id ASC
+`;
+
+// GET /api/admin/invoices - Get invoices with pagination and filtering
+// Query: page, size, status (issued|paid|void|overdue), customer_id, from, to (issue date), search (number or customer)
+const getInvoices = async (req, res) => {
+  try {
+    const { page = 0, size = 10, status = '', customer_id = '', from = '', to = '', search = '' } = req.query;
+
+    const offset = page * size;
+
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return sendValidationError(res, `status must be one of: ${INVOICE_STATUSES.join(', ')}`);
+    }
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return sendValidationError(res, 'from and to must be in YYYY-MM-DD format');
+    }
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (status) {
+      whereClause += ` AND ${STATUS_SQL} = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (customer_id) {
+      whereClause += ` AND i.customer_id = $${paramCount}`;
+      params.push(customer_id);
+      paramCount++;
+    }
+
+    if (from) {
+      whereClause += ` AND i.issue_date >= $${paramCount}`;
+      params.push(from);
+      paramCount++;
+    }
+
+    if (to) {
+      whereClause += ` AND i.issue_date <= $${paramCount}`;
+      params.push(to);
+      paramCount++;
+    }
+
+    if (search) {
+      whereClause += ` AND (i.invoice_number ILIKE $${paramCount} OR c.name ILIKE $${paramCount})`;
+      params.push(`%${search}%`);
+      paramCount++;
+    }
+
+    const countResult = await query(`
+      SELECT COUNT(*) FROM invoices i JOIN customers c ON c.id = i.customer_id ${whereClause}
+    `, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    params.push(size, offset);
+    const invoicesResult = await query(`
+      SELECT ${INVOICE_COLUMNS}
+      FROM invoices i
+      JOIN customers c ON c.id = i.customer_id
+      ${whereClause}
+      ORDER BY i.issue_date DESC, i.id DESC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `, params);
+
+    sendSuccess(res, {
+      invoices: invoicesResult.rows,
+      pagination: {
+        page: parseInt(page),
+        size: parseInt(size),
+        total,
+        totalPages: Math.ceil(total / parseInt(size)),
+        startIndex: offset,
+        endIndex: Math.min(offset + parseInt(size) - 1, total - 1)
+      }
+    }, 'Invoices retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    sendError(res, 'Failed to fetch invoices', 500, error);
+  }
+};
+
+// GET /api/admin/invoices/:id - Get an invoice with its customer, lines and payments
+const getInvoiceById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invoiceResult = await query(`
+      SELECT ${INVOICE_COLUMNS}, c.trn as customer_trn, c.billing_email, c.billing_address
+      FROM invoices i
+      JOIN customers c ON c.id = i.customer_id
+      WHERE i.id = $1
+    `, [id]);
+
+    if (invoiceResult.rows.length === 0) {
+      return sendNotFound(res, 'Invoice');
+    }
+
+    const linesResult = await query(`
+      SELECT id, line_number, line_type, booking_id, description, amount
+      FROM invoice_lines
+      WHERE invoice_id = $1
+      ORDER BY line_number ASC
+    `, [id]);
+
+    const paymentsResult = await query(`
+      SELECT p.id, p.amount, p.paid_on, p.method, p.reference, p.notes, p.recorded_by,
+        u.username as recorded_by_username, p.created_at
+      FROM invoice_payments p
+      LEFT JOIN users u ON u.id = p.recorded_by
+      WHERE p.invoice_id = $1
+      ORDER BY p.paid_on ASC, p.id ASC
+    `, [id]);
+
+    sendSuccess(res, {
+      ...invoiceResult.rows[0],
+      lines: linesResult.rows,
+      payments: paymentsResult.rows
+    }, 'Invoice retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    sendError(res, 'Failed to fetch invoice', 500, error);
+  }
+};
+
+// POST /api/admin/invoices/generate - Invoice the completed bookings of a month
+// Expected body: { month_name: "January", year: 2025, customer_id (optional, default every customer),
+//   issue_date: "2025-02-01" (optional, default today), dry_run: true (preview only) }
+// Safe to re-run: bookings already on an invoice are never billed twice. Bookings without
+// a quoted or final fare are left out and listed, to be billed once their fare is set.
+const generateInvoices = async (req, res) => {
+  try {
+    const { month_name, year, customer_id, issue_date } = req.body;
+    const isDryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+    const userId = req.user ? req.user.id : null;
+
+    if (!month_name || !year) {
+      return sendValidationError(res, 'Missing required fields: month_name, year');
+    }
+
+    const bounds = getMonthBounds(year, month_name);
+    if (!bounds) {
+      return sendValidationError(res, 'month_name must be a full month name (e.g. January)');
+    }
+
+    if (issue_date !== undefined && !isValidDate(issue_date)) {
+      return sendValidationError(res, 'issue_date must be in YYYY-MM-DD format');
+    }
+
+    const todayResult = await query('SELECT CURRENT_DATE as today');
+    const issueDate = issue_date || formatDate(todayResult.rows[0].today);
+    if (issueDate < bounds.start) {
+      return sendValidationError(res, 'issue_date cannot be before the start of the invoiced month');
+    }
+
+    const customersResult = await query(`
+      SELECT c.id, c.name, c.payment_terms_days, c.tax_exempt
+      FROM customers c
+      WHERE ($1::int IS NULL OR c.id = $1)
+        AND EXISTS (
+          SELECT 1 FROM bookings b
+          WHERE b.customer_id = c.id AND b.status = 'completed' AND b.invoice_id IS NULL
+            AND b.is_archived = false AND b.booking_date BETWEEN $2 AND $3
+        )
+      ORDER BY LOWER(c.name) ASC
+    `, [customer_id || null, bounds.start, bounds.end]);
+
+    const summary = { created: [], skipped: [], missing_fare: [], failed: [] };
+
+    for (const customer of customersResult.rows) {
+      const taxRate = customer.tax_exempt ? 0 : config.billing.taxRatePercent;
+      const dueDate = addDays(issueDate, customer.payment_terms_days);
+
+      if (isDryRun) {
+        const bookingsResult = await query(BILLABLE_BOOKINGS_SQL, [customer.id, bounds.start, bounds.end]);
+        const billable = bookingsResult.rows.filter(booking => booking.fare !== null);
+        bookingsResult.rows.filter(booking => booking.fare === null).forEach(booking => {
+          summary.missing_fare.push({ customer_id: customer.id, booking_id: booking.id, reference_code: booking.reference_code });
+        });
+
+        if (billable.length === 0) {
+          summary.skipped.push({ customer_id: customer.id, name: customer.name, reason: 'No bookings with a fare' });
+          continue;
+        }
+
+        summary.created.push({
+          customer_id: customer.id,
+          name: customer.name,
+          issue_date: issueDate,
+          due_date: dueDate,
+          bookings: billable.length,
+          ...buildInvoiceLines(billable, taxRate)
+        });
+        continue;
+      }
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        // Lock the bookings so a concurrent run cannot invoice them as well
+        const bookingsResult = await client.query(`${BILLABLE_BOOKINGS_SQL} FOR UPDATE`, [customer.id, bounds.start, bounds.end]);
+        const billable = bookingsResult.rows.filter(booking => booking.fare !== null);
+        bookingsResult.rows.filter(booking => booking.fare === null).forEach(booking => {
+          summary.missing_fare.push({ customer_id: customer.id, booking_id: booking.id, reference_code: booking.reference_code });
+        });
+
+        if (billable.length === 0) {
+          await client.query('ROLLBACK');
+          summary.skipped.push({ customer_id: customer.id, name: customer.name, reason: 'No bookings with a fare' });
+          continue;
+        }
+
+        const invoice = buildInvoiceLines(billable, taxRate);
+        const invoiceNumber = await nextInvoiceNumber(client, parseInt(issueDate.substring(0, 4)));
+
+        const invoiceResult = await client.query(`
+          INSERT INTO invoices (
+            invoice_number, customer_id, period_start, period_end, issue_date, due_date, currency,
+            subtotal, tax_rate, tax_total, total, created_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING id
+        `, [
+          invoiceNumber, customer.id, bounds.start, bounds.end, issueDate, dueDate, config.pricing.currency,
+          invoice.subtotal, taxRate, invoice.tax_total, invoice.total, userId
+        ]);
+        const invoiceId = invoiceResult.rows[0].id;
+
+        for (const line of invoice.lines) {
+          await client.query(`
+            INSERT INTO invoice_lines (invoice_id, line_number, line_type, booking_id, description, amount)
+            VALUES ($1, $2, $3, $4, $5, $6)
+          `, [invoiceId, line.line_number, line.line_type, line.booking_id, line.description, line.amount]);
+        }
+
+        await client.query(
+          'UPDATE bookings SET invoice_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2)',
+          [invoiceId, billable.map(booking => booking.id)]
+        );
+
+        await client.query('COMMIT');
+
+        summary.created.push({
+          customer_id: customer.id,
+          name: customer.name,
+          invoice_id: invoiceId,
+          invoice_number: invoiceNumber,
+          due_date: dueDate,
+          bookings: billable.length,
+          total: invoice.total
+        });
+
+      } catch (customerError) {
+        await client.query('ROLLBACK');
+        console.error(`Error generating invoice for customer ${customer.id}:`, customerError);
+        summary.failed.push({ customer_id: customer.id, name: customer.name, reason: customerError.message });
+      } finally {
+        client.release();
+      }
+    }
+
+    sendSuccess(res, {
+      dry_run: isDryRun,
+      month_name: bounds.month_name,
+      year: bounds.year,
+      counts: {
+        created: summary.created.length,
+        skipped: summary.skipped.length,
+        missing_fare: summary.missing_fare.length,
+        failed: summary.failed.length
+      },
+      ...summary
+    }, isDryRun
+      ? `Invoice preview for ${bounds.month_name} ${bounds.year}`
+      : `Invoices generated for ${bounds.month_name} ${bounds.year}`);
+
+    if (!isDryRun && summary.created.length > 0) {
+      emitEvent('invoice.issued', {
+        title: `${summary.created.length} invoice(s) issued for ${bounds.month_name} ${bounds.year}`,
+        message: summary.missing_fare.length > 0 ? `${summary.missing_fare.length} completed booking(s) have no fare yet` : null,
+        entityType: 'invoices',
+        entityId: summary.created.length === 1 ? summary.created[0].invoice_id : null,
+        data: { month_name: bounds.month_name, year: bounds.year, invoice_ids: summary.created.map(item => item.invoice_id) },
+        actorId: userId
+      });
+    }
+
+  } catch (error) {
+    console.error('Error generating invoices:', error);
+    sendError(res, 'Failed to generate invoices', 500, error);
+  }
+};
+
+// POST /api/admin/invoices/:id/payments - Record a payment against an invoice
+// Expected body: { amount: 1050, paid_on: "2025-02-20" (default today), method: "bank transfer", reference, notes }
+const recordPayment = async (req, res) => {
+  const { id } = req.params;
+  const { amount, paid_on, method, reference, notes } = req.body;
+  const userId = req.user ? req.user.id : null;
+
+  const value = Number(amount);
+  if (amount === undefined || amount === null || amount === '' || isNaN(value) || value <= 0) {
+    return sendValidationError(res, 'amount must be a number greater than 0');
+  }
+  if (paid_on !== undefined && !isValidDate(paid_on)) {
+    return sendValidationError(res, 'paid_on must be in YYYY-MM-DD format');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const invoiceResult = await client.query(
+      'SELECT id, invoice_number, customer_id, issue_date, total, amount_paid, status FROM invoices WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    if (invoiceResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Invoice');
+    }
+
+    const invoice = invoiceResult.rows[0];
+    if (invoice.status !== 'issued') {
+      await client.query('ROLLBACK');
+      return sendError(res, `Cannot record a payment on an invoice that is ${invoice.status}`, 409);
+    }
+
+    if (paid_on && paid_on < formatDate(invoice.issue_date)) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, 'paid_on cannot be before the invoice issue date');
+    }
+
+    const balance = toMoney(parseFloat(invoice.total) - parseFloat(invoice.amount_paid));
+    const payment = toMoney(value);
+    if (payment > balance) {
+      await client.query('ROLLBACK');
+      return sendError(res, `Payment of ${payment} is more than the balance due of ${balance}`, 409);
+    }
+
+    const paymentResult = await client.query(`
+      INSERT INTO invoice_payments (invoice_id, amount, paid_on, method, reference, notes, recorded_by)
+      VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), $4, $5, $6, $7)
+      RETURNING id, invoice_id, amount, paid_on, method, reference, notes, recorded_by, created_at
+    `, [
+      id,
+      payment,
+      paid_on || null,
+      method ? String(method).trim() : null,
+      reference ? String(reference).trim() : null,
+      notes ? String(notes).trim() : null,
+      userId
+    ]);
+
+    const isPaid = payment === balance;
+    const updateResult = await client.query(`
+      UPDATE invoices i
+      SET amount_paid = amount_paid + $1,
+          status = CASE WHEN $2 THEN 'paid' ELSE status END,
+          paid_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE paid_at END,
+          updated_at = CURRENT_TIMESTAMP
+      FROM customers c
+      WHERE i.id = $3 AND c.id = i.customer_id
+      RETURNING ${INVOICE_COLUMNS}
+    `, [payment, isPaid, id]);
+
+    await client.query('COMMIT');
+
+    const updated = updateResult.rows[0];
+    sendSuccess(res, { ...updated, payment: paymentResult.rows[0] }, isPaid ? 'Payment recorded, invoice paid in full' : 'Payment recorded');
+
+    if (isPaid) {
+      emitEvent('invoice.paid', {
+        title: `Invoice ${updated.invoice_number} (${updated.customer_name}) paid in full`,
+        entityType: 'invoices',
+        entityId: updated.id,
+        data: { invoice_number: updated.invoice_number, total: updated.total },
+        actorId: userId
+      });
+    }
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error recording invoice payment:', error);
+    sendError(res, 'Failed to record invoice payment', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/admin/invoices/:id/void - Void an invoice without payments
+// Expected body: { reason: "Wrong customer" }
+// The number stays used; the bookings are released and billed again by the next generate run
+const voidInvoice = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  const userId = req.user ? req.user.id : null;
+
+  if (!reason || !String(reason).trim()) {
+    return sendValidationError(res, 'A reason is required to void an invoice');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const invoiceResult = await client.query('SELECT id, status, amount_paid FROM invoices WHERE id = $1 FOR UPDATE', [id]);
+    if (invoiceResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Invoice');
+    }
+
+    const invoice = invoiceResult.rows[0];
+    if (invoice.status !== 'issued') {
+      await client.query('ROLLBACK');
+      return sendError(res, `Cannot void an invoice that is ${invoice.status}`, 409);
+    }
+    if (parseFloat(invoice.amount_paid) > 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 'Cannot void an invoice with payments recorded against it', 409);
+    }
+
+    const releasedResult = await client.query(
+      'UPDATE bookings SET invoice_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE invoice_id = $1 RETURNING id',
+      [id]
+    );
+
+    const updateResult = await client.query(`
+      UPDATE invoices i
+      SET status = 'void', void_reason = $1, voided_by = $2, voided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      FROM customers c
+      WHERE i.id = $3 AND c.id = i.customer_id
+      RETURNING ${INVOICE_COLUMNS}
+    `, [String(reason).trim(), userId, id]);
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, {
+      ...updateResult.rows[0],
+      released_booking_ids: releasedResult.rows.map(row => row.id)
+    }, 'Invoice voided successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error voiding invoice:', error);
+    sendError(res, 'Failed to void invoice', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// GET /api/admin/invoices/aging?as_of=2025-03-31 - Accounts receivable aging report
+// Query: as_of (default today), customer_id, detail=true (list the open invoices of each customer)
+// Balances are as of the date: payments received after it and invoices voided after it are ignored
+const getAgingReport = async (req, res) => {
+  try {
+    const { as_of, customer_id } = req.query;
+    const includeDetail = req.query.detail === 'true';
+
+    if (as_of !== undefined && !isValidDate(as_of)) {
+      return sendValidationError(res, 'as_of must be in YYYY-MM-DD format');
+    }
+
+    const bucketColumns = AGING_BUCKETS.map(bucket => {
+      const conditions = [];
+      if (bucket.from !== undefined) conditions.push(`days_overdue >= ${bucket.from}`);
+      if (bucket.to !== undefined) conditions.push(`days_overdue <= ${bucket.to}`);
+      return `COALESCE(SUM(outstanding) FILTER (WHERE ${conditions.join(' AND ')}), 0) as ${bucket.key}`;
+    }).join(',\n        ');
+
+    const openInvoicesSql = `
+      SELECT
+        i.id, i.invoice_number, i.customer_id, i.issue_date, i.due_date,
+        i.total - COALESCE(p.paid, 0) as outstanding,
+        d.as_of - i.due_date as days_overdue
+      FROM invoices i
+      CROSS JOIN (SELECT COALESCE($1::date, CURRENT_DATE) as as_of) d
+      LEFT JOIN (
+        SELECT invoice_id, SUM(amount) as paid
+        FROM invoice_payments
+        WHERE paid_on <= COALESCE($1::date, CURRENT_DATE)
+        GROUP BY invoice_id
+      ) p ON p.invoice_id = i.id
+      WHERE i.issue_date <= d.as_of
+        AND (i.status <> 'void' OR i.voided_at::date > d.as_of)
+        AND ($2::int IS NULL OR i.customer_id = $2)
+    `;
+    const params = [as_of || null, customer_id || null];
+
+    const customersResult = await query(`
+      SELECT
+        c.id as customer_id, c.name, c.payment_terms_days,
+        COUNT(*) as invoices,
+        ${bucketColumns},
+        SUM(outstanding) as total
+      FROM (${openInvoicesSql}) o
+      JOIN customers c ON c.id = o.customer_id
+      WHERE outstanding > 0
+      GROUP BY c.id
+      ORDER BY SUM(outstanding) DESC, LOWER(c.name) ASC
+    `, params);
+
+    const detailByCustomer = {};
+    if (includeDetail) {
+      const detailResult = await query(`
+        SELECT id, invoice_number, customer_id, issue_date, due_date, outstanding, GREATEST(days_overdue, 0) as days_overdue
+        FROM (${openInvoicesSql}) o
+        WHERE outstanding > 0
+        ORDER BY due_date ASC, id ASC
+      `, params);
+      detailResult.rows.forEach(row => {
+        (detailByCustomer[row.customer_id] = detailByCustomer[row.customer_id] || []).push({
+          ...row,
+          outstanding: toMoney(row.outstanding)
+        });
+      });
+    }
+
+    const totals = { invoices: 0, total: 0 };
+    AGING_BUCKETS.forEach(bucket => { totals[bucket.key] = 0; });
+
+    const customers = customersResult.rows.map(row => {
+      const customer = {
+        customer_id: row.customer_id,
+        name: row.name,
+        payment_terms_days: row.payment_terms_days,
+        invoices: parseInt(row.invoices),
+        total: toMoney(row.total)
+      };
+      AGING_BUCKETS.forEach(bucket => {
+        customer[bucket.key] = toMoney(row[bucket.key]);
+        totals[bucket.key] = toMoney(totals[bucket.key] + customer[bucket.key]);
+      });
+      totals.invoices += customer.invoices;
+      totals.total = toMoney(totals.total + customer.total);
+
+      if (includeDetail) {
+        customer.open_invoices = detailByCustomer[row.customer_id] || [];
+      }
+      return customer;
+    });
+
+    const asOfResult = await query('SELECT COALESCE($1::date, CURRENT_DATE) as as_of', [as_of || null]);
+
+    sendSuccess(res, {
+      as_of: formatDate(asOfResult.rows[0].as_of),
+      currency: config.pricing.currency,
+      buckets: AGING_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label })),
+      customers,
+      totals
+    }, 'Receivables aging report generated successfully');
+
+  } catch (error) {
+    console.error('Error generating aging report:', error);
+    sendError(res, 'Failed to generate aging report', 500, error);
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoiceById,
+  generateInvoices,
+  recordPayment,
+  voidInvoice,
+  getAgingReport,
+  buildInvoiceLines
+};
@@ -0,0 +1,421 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { parseAmount } = require('../../shared/utils/spreadsheet');
+
+/**
+ * Ledger Controller
+ * Handles the per-driver double-entry ledger: posting finance months,
+ * payments and adjustments, and statements with running balances
+ */
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Finance record keys that are not money and are never posted
+const NON_POSTING_FIELDS = ['Rick', 'rick', 'rick_no', 'name', 'employee', 'date', 'plate'];
+
+const MANUAL_SOURCES = ['payment', 'adjustment'];
+
+const pad = (num) => String(num).padStart(2, '0');
+
+// Helper function to get the first and last day (YYYY-MM-DD) of a finance month - null when invalid
+const getMonthBounds = (year, monthName) => {
+  const index = MONTHS.findIndex(m => m.toLowerCase() === String(monthName || '').toLowerCase());
+  const yearNum = parseInt(year, 10);
+  if (index === -1 || isNaN(yearNum)) return null;
+
+  const lastDay = new Date(Date.UTC(yearNum, index + 1, 0)).getUTCDate();
+  return {
+    start: `${yearNum}-${pad(index + 1)}-01`,
+    end: `${yearNum}-${pad(index + 1)}-${pad(lastDay)}`,
+    month_name: MONTHS[index],
+    year: String(yearNum)
+  };
+};
+
+// Helper function to get the finance month ({ year, month_name }) a YYYY-MM-DD date falls in
+const getDatePeriod = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return { year: String(date.getUTCFullYear()), month_name: MONTHS[date.getUTCMonth()] };
+};
+
+// Helper function to check a YYYY-MM-DD date input
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+
+// Helper function to round money values
+const toMoney = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Balance of a driver's account before a date (positive = debit balance)
+ * @param {Number} driverId
+ * @param {String} date - YYYY-MM-DD, entries dated on or after it are excluded
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ */
+const getBalanceBefore = async (driverId, date, db = { query }) => {
+  const result = await db.query(
+    'SELECT COALESCE(SUM(debit - credit), 0) as balance FROM driver_ledger_entries WHERE driver_id = $1 AND entry_date < $2',
+    [driverId, date]
+  );
+  return toMoney(result.rows[0].balance);
+};
+
+/**
+ * Insert one ledger line outside the finance posting
+ * Exported so other workflows (e.g. document renewals) post charges the same way
+ * @param {Object} entry - { driverId, entryDate (YYYY-MM-DD), source, account, description, debit, credit, userId }
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ * @returns {Object} The inserted entry
+ */
+const insertLedgerEntry = async (entry, db = { query }) => {
+  const period = getDatePeriod(entry.entryDate);
+  const result = await db.query(`
+    INSERT INTO driver_ledger_entries
+      (driver_id, entry_date, year, month_name, source, account, description, debit, credit, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `, [
+    entry.driverId,
+    entry.entryDate,
+    period.year,
+    period.month_name,
+    entry.source,
+    entry.account,
+    entry.description || null,
+    toMoney(entry.debit),
+    toMoney(entry.credit),
+    entry.userId || null
+  ]);
+  return result.rows[0];
+};
+
+/**
+ * Opening balance of a driver for a finance month, looked up by Rick
+ * Returns null when the Rick or the month cannot be resolved
+ */
+const getOpeningBalanceForRick = async (rick, year, monthName, db = { query }) => {
+  const bounds = getMonthBounds(year, monthName);
+  if (!rick || !bounds) return null;
+
+  const driverResult = await db.query('SELECT id FROM drivers WHERE rick = $1', [rick]);
+  if (driverResult.rows.length === 0) return null;
+
+  return getBalanceBefore(driverResult.rows[0].id, bounds.start, db);
+};
+
+/**
+ * Read a driver's finance records for one month as ledger lines, without posting them
+ * Positive values become debits and negative values credits - the same
+ * convention the payslip CR/DR array has always used.
+ * @param {Object} driver - { id, rick }
+ * @param {Object} bounds - Result of getMonthBounds
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ * @returns {Array<Object>} { finance_record_id, account, debit, credit } in finance column order
+ */
+const buildFinanceEntries = async (driver, bounds, db = { query }) => {
+  const financeResult = await db.query(`
+    SELECT id, data
+    FROM finance_records
+    WHERE data->>'Rick' = $1 AND year = $2 AND month_name = $3
+    ORDER BY created_at ASC, id ASC
+  `, [driver.rick, bounds.year, bounds.month_name]);
+
+  const entries = [];
+  for (const record of financeResult.rows) {
+    for (const [account, value] of Object.entries(record.data)) {
+      if (NON_POSTING_FIELDS.includes(account) || account.startsWith('_')) continue;
+
+      const amount = parseAmount(value);
+      if (amount === null || amount === 0) continue;
+
+      entries.push({
+        finance_record_id: record.id,
+        account,
+        debit: amount > 0 ? toMoney(amount) : 0,
+        credit: amount < 0 ? toMoney(-amount) : 0
+      });
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * (Re)post a driver's finance records for one month to the ledger
+ * Existing finance entries for that month are replaced, so re-generating a
+ * payslip after a finance re-upload keeps the ledger in step with the data.
+ * @param {Object} client - Transaction client
+ * @param {Object} driver - { id, rick }
+ * @param {Object} bounds - Result of getMonthBounds
+ * @param {Object} options - { payslipId, userId }
+ * @returns {Array<Object>} Posted entries in finance column order
+ */
+const postFinanceMonth = async (client, driver, bounds, { payslipId = null, userId = null } = {}) => {
+  await client.query(`
+    DELETE FROM driver_ledger_entries
+    WHERE driver_id = $1 AND source = 'finance' AND year = $2 AND month_name = $3
+  `, [driver.id, bounds.year, bounds.month_name]);
+
+  const entries = [];
+  for (const entry of await buildFinanceEntries(driver, bounds, client)) {
+    const inserted = await client.query(`
+      INSERT INTO driver_ledger_entries
+        (driver_id, entry_date, year, month_name, source, account, debit, credit, finance_record_id, payslip_id, created_by)
+      VALUES ($1, $2, $3, $4, 'finance', $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      driver.id,
+      bounds.end,
+      bounds.year,
+      bounds.month_name,
+      entry.account,
+      entry.debit,
+      entry.credit,
+      entry.finance_record_id,
+      payslipId,
+      userId
+    ]);
+    entries.push(inserted.rows[0]);
+  }
+
+  return entries;
+};
+
+// Link a driver's finance entries for a month to the payslip issued from them
+const linkPayslipEntries = async (rick, year, monthName, payslipId, db = { query }) => {
+  const bounds = getMonthBounds(year, monthName);
+  if (!rick || !bounds) return 0;
+
+  const result = await db.query(`
+    UPDATE driver_ledger_entries e
+    SET payslip_id = $1
+    FROM drivers d
+    WHERE d.id = e.driver_id
+      AND d.rick = $2
+      AND e.source = 'finance'
+      AND e.year = $3
+      AND e.month_name = $4
+  `, [payslipId, rick, bounds.year, bounds.month_name]);
+
+  return result.rowCount;
+};
+
+/**
+ * Work out the statement period from query parameters
+ * @param {Object} params - { from, to } (YYYY-MM-DD) or { year, month_name } for a single finance month
+ * @returns {Object} { from, to } or { error }
+ */
+const resolveStatementPeriod = ({ from = '', to = '', year = '', month_name = '' }) => {
+  if (year || month_name) {
+    const bounds = getMonthBounds(year, month_name);
+    if (!bounds) {
+      return { error: 'year and a full month_name (e.g. January) are required together' };
+    }
+    from = bounds.start;
+    to = bounds.end;
+  }
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must be on or before to' };
+  }
+
+  return { from, to };
+};
+
+/**
+ * Build a driver statement with opening, running and closing balances
+ * Exported so the driver app shows exactly the statement the office sees
+ * @param {number} driverId - Driver id
+ * @param {Object} period - { from, to } (either may be empty)
+ * @returns {Object} { period, openingBalance, totalDebit, totalCredit, closingBalance, entries }
+ */
+const getDriverStatement = async (driverId, { from, to }, db = { query }) => {
+  let whereClause = 'WHERE e.driver_id = $1';
+  const params = [driverId];
+  let paramCount = 2;
+
+  if (from) {
+    whereClause += ` AND e.entry_date >= $${paramCount}`;
+    params.push(from);
+    paramCount++;
+  }
+
+  if (to) {
+    whereClause += ` AND e.entry_date <= $${paramCount}`;
+    params.push(to);
+    paramCount++;
+  }
+
+  const openingBalance = from ? await getBalanceBefore(driverId, from, db) : 0;
+
+  const entriesResult = await db.query(`
+    SELECT
+      e.id,
+      e.entry_date,
+      e.year,
+      e.month_name,
+      e.source,
+      e.account,
+      e.description,
+      e.debit,
+      e.credit,
+      e.finance_record_id,
+      e.payslip_id,
+      e.created_by,
+      e.created_at,
+      SUM(e.debit - e.credit) OVER (ORDER BY e.entry_date, e.id) as movement
+    FROM driver_ledger_entries e
+    ${whereClause}
+    ORDER BY e.entry_date ASC, e.id ASC
+  `, params);
+
+  let totalDebit = 0;
+  let totalCredit = 0;
+  const entries = entriesResult.rows.map(row => {
+    totalDebit += parseFloat(row.debit);
+    totalCredit += parseFloat(row.credit);
+    const { movement, ...entry } = row;
+    return {
+      ...entry,
+      debit: toMoney(row.debit),
+      credit: toMoney(row.credit),
+      balance: toMoney(openingBalance + parseFloat(movement))
+    };
+  });
+
+  return {
+    period: { from: from || null, to: to || null },
+    openingBalance,
+    totalDebit: toMoney(totalDebit),
+    totalCredit: toMoney(totalCredit),
+    closingBalance: toMoney(openingBalance + totalDebit - totalCredit),
+    entries
+  };
+};
+
+// GET /api/admin/drivers/:id/ledger - Driver statement with opening, running and closing balances
+// Query: from, to (YYYY-MM-DD) or year + month_name for a single finance month
+const getDriverLedger = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const driverResult = await query('SELECT id, rick, name, status FROM drivers WHERE id = $1', [id]);
+    if (driverResult.rows.length === 0) {
+      return sendNotFound(res, 'Driver');
+    }
+    const driver = driverResult.rows[0];
+
+    const period = resolveStatementPeriod(req.query);
+    if (period.error) {
+      return sendValidationError(res, period.error);
+    }
+
+    const statement = await getDriverStatement(driver.id, period);
+
+    sendSuccess(res, {
+      driver,
+      ...statement
+    }, 'Driver ledger retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching driver ledger:', error);
+    sendError(res, 'Failed to fetch driver ledger', 500, error);
+  }
+};
+
+// POST /api/admin/drivers/:id/ledger - Post a payment or adjustment to a driver's account
+// Expected request body: { entry_date: "2025-01-15", source: "payment", account: "cash", debit: 0, credit: 500, description: "..." }
+const createLedgerEntry = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    // Required here: the finance period controller requires this module for getMonthBounds
+    const { findClosedPeriods, sendPeriodClosed } = require('./financePeriodController');
+
+    const { id } = req.params;
+    const { entry_date, source = 'adjustment', account, description } = req.body;
+    const debit = toMoney(req.body.debit);
+    const credit = toMoney(req.body.credit);
+
+    const errors = [];
+    if (!entry_date || !isValidDate(entry_date)) {
+      errors.push('entry_date is required in YYYY-MM-DD format');
+    }
+    if (!MANUAL_SOURCES.includes(source)) {
+      errors.push(`source must be one of ${MANUAL_SOURCES.join(', ')}`);
+    }
+    if (!account || typeof account !== 'string') {
+      errors.push('account is required');
+    }
+    if (debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+      errors.push('Provide either a positive debit or a positive credit');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    await client.query('BEGIN');
+
+    const driverResult = await client.query('SELECT id FROM drivers WHERE id = $1', [id]);
+    if (driverResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Driver');
+    }
+
+    // Entries dated in a closed month would change balances its payslips were issued from
+    const closedPeriods = await findClosedPeriods([getDatePeriod(entry_date)], client);
+    if (closedPeriods.length > 0) {
+      await client.query('ROLLBACK');
+      return sendPeriodClosed(res, closedPeriods);
+    }
+
+    const entry = await insertLedgerEntry({
+      driverId: id,
+      entryDate: entry_date,
+      source,
+      account: account.trim(),
+      description,
+      debit,
+      credit,
+      userId: req.user ? req.user.id : null
+    }, client);
+
+    const balanceResult = await client.query(
+      'SELECT COALESCE(SUM(debit - credit), 0) as balance FROM driver_ledger_entries WHERE driver_id = $1',
+      [id]
+    );
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, {
+      entry,
+      balance: toMoney(balanceResult.rows[0].balance)
+    }, 'Ledger entry posted successfully', 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error posting ledger entry:', error);
+    sendError(res, 'Failed to post ledger entry', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getDriverLedger,
+  createLedgerEntry,
+  resolveStatementPeriod,
+  getDriverStatement,
+  getMonthBounds,
+  getDatePeriod,
+  getBalanceBefore,
+  getOpeningBalanceForRick,
+  insertLedgerEntry,
+  buildFinanceEntries,
+  postFinanceMonth,
+  linkPayslipEntries
+};
@@ -0,0 +1,249 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { runExpiryCheck } = require('../../shared/notifications/expiryNotifier');
+const { EVENT_TYPES } = require('../../shared/notifications/events');
+
+/**
+ * Notification Controller
+ * Handles the logged-in user's notification inbox and preferences,
+ * and notification jobs triggered from the admin panel
+ */
+
+// Helper function to validate a YYYY-MM-DD date
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+
+// Event types the user's permissions allow them to receive
+const getAllowedEventTypes = (user) => Object.keys(EVENT_TYPES).filter(type =>
+  user.permissions.some(permission => permission.name === EVENT_TYPES[type].permission)
+);
+
+// Every event type the user can receive, on unless they switched it off
+const loadPreferences = async (user) => {
+  const result = await query(
+    'SELECT event_type, enabled FROM notification_preferences WHERE user_id = $1',
+    [user.id]
+  );
+  const saved = result.rows.reduce((map, row) => {
+    map[row.event_type] = row.enabled;
+    return map;
+  }, {});
+
+  return getAllowedEventTypes(user).map(type => ({
+    event_type: type,
+    label: EVENT_TYPES[type].label,
+    enabled: saved[type] !== false
+  }));
+};
+
+// GET /api/admin/notifications - Get the user's notifications (unread by default)
+// Query: status=unread|read|all, type, page, size
+const getNotifications = async (req, res) => {
+  try {
+    const { status = 'unread', type = '' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const size = Math.min(parseInt(req.query.size) || 50, 200);
+    const offset = (page - 1) * size;
+
+    if (!['unread', 'read', 'all'].includes(status)) {
+      return sendValidationError(res, 'status must be one of: unread, read, all');
+    }
+
+    let whereClause = 'WHERE user_id = $1';
+    const params = [req.user.id];
+    let paramCount = 2;
+
+    if (status === 'unread') {
+      whereClause += ' AND read_at IS NULL';
+    } else if (status === 'read') {
+      whereClause += ' AND read_at IS NOT NULL';
+    }
+
+    if (type) {
+      whereClause += ` AND type = $${paramCount}`;
+      params.push(type);
+      paramCount++;
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM notifications ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].total);
+
+    const result = await query(`
+      SELECT id, type, title, message, entity_type, entity_id, data, read_at, created_at
+      FROM notifications
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `, [...params, size, offset]);
+
+    const unreadResult = await query(
+      'SELECT COUNT(*) as unread FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    sendSuccess(res, {
+      notifications: result.rows,
+      unreadCount: parseInt(unreadResult.rows[0].unread),
+      pagination: {
+        page,
+        size,
+        total,
+        totalPages: Math.ceil(total / size)
+      }
+    }, 'Notifications retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    sendError(res, 'Failed to fetch notifications', 500, error);
+  }
+};
+
+// PATCH /api/admin/notifications/:id/read - Mark one notification as read
+const markNotificationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(`
+      UPDATE notifications
+      SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, type, title, read_at
+    `, [id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return sendNotFound(res, 'Notification');
+    }
+
+    sendSuccess(res, result.rows[0], 'Notification marked as read');
+
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    sendError(res, 'Failed to mark notification as read', 500, error);
+  }
+};
+
+// PATCH /api/admin/notifications/read-all - Mark all of the user's notifications as read
+// Optional body: { type: "booking.created" } to only clear one event type
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { type } = req.body;
+
+    const params = [req.user.id];
+    let typeClause = '';
+    if (type) {
+      typeClause = ' AND type = $2';
+      params.push(type);
+    }
+
+    const result = await query(`
+      UPDATE notifications
+      SET read_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND read_at IS NULL${typeClause}
+    `, params);
+
+    sendSuccess(res, { updatedCount: result.rowCount }, `${result.rowCount} notification(s) marked as read`);
+
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    sendError(res, 'Failed to mark notifications as read', 500, error);
+  }
+};
+
+// GET /api/admin/notifications/preferences - Get the event types the user can receive and whether each is on
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const preferences = await loadPreferences(req.user);
+    sendSuccess(res, preferences, 'Notification preferences retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    sendError(res, 'Failed to fetch notification preferences', 500, error);
+  }
+};
+
+// PATCH /api/admin/notifications/preferences - Switch event types on or off
+// Expected body: { preferences: { "booking.updated": false, "payslip.generated": true } }
+const updateNotificationPreferences = async (req, res) => {
+  const { preferences } = req.body;
+
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences) || Object.keys(preferences).length === 0) {
+    return sendValidationError(res, 'preferences must be an object of event type to true/false');
+  }
+
+  const allowedTypes = getAllowedEventTypes(req.user);
+  const errors = [];
+  Object.entries(preferences).forEach(([type, enabled]) => {
+    if (!allowedTypes.includes(type)) {
+      errors.push(`Unknown or not permitted event type: ${type}`);
+    } else if (typeof enabled !== 'boolean') {
+      errors.push(`${type} must be true or false`);
+    }
+  });
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const [type, enabled] of Object.entries(preferences)) {
+      await client.query(`
+        INSERT INTO notification_preferences (user_id, event_type, enabled)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_id, event_type) DO UPDATE SET enabled = EXCLUDED.enabled
+      `, [req.user.id, type, enabled]);
+    }
+
+    await client.query('COMMIT');
+
+    const updated = await loadPreferences(req.user);
+    sendSuccess(res, updated, 'Notification preferences updated successfully');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating notification preferences:', error);
+    sendError(res, 'Failed to update notification preferences', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/admin/notifications/expiry/run - Run the document expiry check now
+// Expected body: { dry_run: true, date: "2025-05-01" (optional, defaults to today) }
+const runExpiryNotifier = async (req, res) => {
+  try {
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+    const { date } = req.body;
+
+    if (date && !isValidDate(date)) {
+      return sendValidationError(res, 'date must be in YYYY-MM-DD format');
+    }
+
+    const summary = await runExpiryCheck({ today: date || undefined, dryRun });
+
+    if (summary.skipped) {
+      return sendError(res, 'The expiry check is already running', 409);
+    }
+
+    sendSuccess(
+      res,
+      summary,
+      dryRun
+        ? `${summary.alerts.length} expiry alert(s) would be sent`
+        : `${summary.alerts.length} expiry alert(s) sent`
+    );
+
+  } catch (error) {
+    console.error('Error running expiry check:', error);
+    sendError(res, 'Failed to run expiry check', 500, error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  runExpiryNotifier
+};
@@ -1,5 +1,11 @@
-const { query } = require('../../shared/database/connection');
+const { query, pool } = require('../../shared/database/connection');
 const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { getMonthBounds, getBalanceBefore, getOpeningBalanceForRick, buildFinanceEntries, postFinanceMonth, linkPayslipEntries } = require('./ledgerController');
+const { findClosedPeriods, sendPeriodClosed } = require('./financePeriodController');
+const { renderPayslipPdf } = require('../../shared/utils/payslipPdf');
+const { emitEvent } = require('../../shared/notifications/events');
+const archiver = require('archiver');
+const config = require('../../config');
 
 // Helper function to format field label from key
 const formatFieldLabel = (key) => {
@@ -27,6 +33,103 @@ const shouldHighlightField = (key) => {
   return highlightFields.includes(key);
 };
 
+// Payslip lifecycle: only draft payslips can be edited, regenerated or deleted
+const PAYSLIP_TRANSITIONS = {
+  approve: { from: ['draft'], to: 'approved', stamp: 'approved' },
+  issue: { from: ['approved'], to: 'issued', stamp: 'issued' },
+  lock: { from: ['issued'], to: 'locked', stamp: 'locked' },
+  reopen: { from: ['approved', 'issued', 'locked'], to: 'draft', stamp: null }
+};
+
+// Helper function to refuse changes to a payslip that is no longer a draft
+const sendPayslipNotEditable = (res, status) => {
+  return sendError(res, `Payslip is ${status}. Reopen it with a reason before making changes.`, 409);
+};
+
+// Helper function to find the latest payslip of a Rick for a month
+const findPayslipForPeriod = async (rick, year, monthName, db = { query }) => {
+  const result = await db.query(`
+    SELECT id, status
+    FROM payslips
+    WHERE data->>'rick' = $1 AND year = $2 AND month_name = $3
+    ORDER BY updated_at DESC
+    LIMIT 1
+  `, [rick, String(year), monthName]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Find payslips past draft in the given year/month periods
+ * Exported so finance handlers refuse to delete or replace the records those payslips were posted from
+ * @param {Array<Object>} periods - [{ year, month_name }]
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ * @returns {Array<Object>} [{ id, rick, year, month_name, status }]
+ */
+const findPostedPayslips = async (periods, db = { query }) => {
+  const valid = periods.filter(period => period && period.year && period.month_name);
+  if (valid.length === 0) return [];
+
+  const result = await db.query(`
+    SELECT p.id, p.data->>'rick' as rick, p.year, p.month_name, p.status
+    FROM payslips p
+    JOIN (
+      SELECT UNNEST($1::text[]) as year, UNNEST($2::text[]) as month_name
+    ) requested ON requested.year = p.year AND LOWER(requested.month_name) = LOWER(p.month_name)
+    WHERE p.status <> 'draft'
+    ORDER BY p.year, p.month_name, p.id
+  `, [valid.map(period => String(period.year)), valid.map(period => String(period.month_name))]);
+
+  return result.rows;
+};
+
+// Helper function to refuse a finance change under payslips that are past draft
+const sendPayslipsPosted = (res, payslips) => {
+  const months = [...new Set(payslips.map(payslip => `${payslip.month_name} ${payslip.year}`))].join(', ');
+  return res.status(409).json({
+    success: false,
+    message: `${months} has payslips that are approved, issued or locked. Reopen them before deleting or replacing finance records.`,
+    payslips,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Save a Rick's payslip for a month, updating the current draft in place instead of adding a duplicate
+ * Runs under the same per-driver month lock as month generation. The payslip is linked to the
+ * driver holding the Rick when it is saved.
+ * @param {Object} client - Transaction client
+ * @param {Object} payslip - { rick, year, monthName, data, obopm } (obopm null keeps a draft's stored value)
+ * @returns {Object} { row, created } or { status } when the month's payslip is no longer a draft
+ */
+const savePayslipForPeriod = async (client, { rick, year, monthName, data, obopm = null }) => {
+  if (rick) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payslip:${rick}:${year}:${monthName}`]);
+
+    const currentPayslip = await findPayslipForPeriod(rick, year, monthName, client);
+    if (currentPayslip && currentPayslip.status !== 'draft') {
+      return { status: currentPayslip.status };
+    }
+    if (currentPayslip) {
+      const updateResult = await client.query(`
+        UPDATE payslips
+        SET data = $1, obopm = COALESCE($2, obopm),
+            driver_id = COALESCE(driver_id, (SELECT id FROM drivers WHERE rick = $4)),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `, [JSON.stringify(data), obopm, currentPayslip.id, rick]);
+      return { row: updateResult.rows[0], created: false };
+    }
+  }
+
+  const insertResult = await client.query(`
+    INSERT INTO payslips (data, month_name, year, obopm, driver_id, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, (SELECT id FROM drivers WHERE rick = $5), CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    RETURNING *
+  `, [JSON.stringify(data), monthName, String(year), obopm, rick || null]);
+  return { row: insertResult.rows[0], created: true };
+};
+
 // GET /api/admin/payslips - Get all payslips with pagination and filtering
 const getAllPayslips = async (req, res) => {
   try {
@@ -81,7 +184,7 @@ const getAllPayslips = async (req, res) => {
 
     // Status filtering
     if (status) {
-      whereClause += ` AND data->>'status' = $${paramCount}`;
+      whereClause += ` AND status = $${paramCount}`;
       params.push(status);
       paramCount++;
     }
@@ -102,6 +205,7 @@ const getAllPayslips = async (req, res) => {
         month_name,
         year,
         obopm,
+        status,
         created_at,
         updated_at
       FROM payslips
@@ -211,48 +315,13 @@ const getAllPayslips = async (req, res) => {
 
     // Transform data - extract and flatten JSONB structure
     const payslips = await Promise.all(payslipsResult.rows.map(async (row) => {
-      // Calculate obopm (opening balance of previous month)
+      // Opening balance is derived from the driver ledger (entries before the payslip month)
       let obopm = 0; // Default value
-      
-      try {
-        // Get the Rick ID from the data
-        const rickId = row.data?.rick;
-        
-        if (rickId) {
-          // Calculate previous month and year
-          const months = [
-            'January','February','March','April','May','June','July','August','September','October','November','December'
-          ];
-          const currentIndex = months.findIndex(m => m.toLowerCase() === (row.month_name || '').toLowerCase());
-          let prevMonthName = row.month_name;
-          let prevYear = parseInt(row.year, 10);
-          
-          if (currentIndex !== -1) {
-            if (currentIndex === 0) {
-              prevMonthName = 'December';
-              prevYear = prevYear - 1;
-            } else {
-              prevMonthName = months[currentIndex - 1];
-            }
-          }
 
-          // Fetch obopm for the exact previous period
-          const obopmQuery = `
-            SELECT obopm
-            FROM payslips
-            WHERE data->>'rick' = $1
-              AND year = $2
-              AND month_name = $3
-            ORDER BY updated_at DESC
-            LIMIT 1
-          `;
-
-          const obopmResult = await query(obopmQuery, [rickId, prevYear, prevMonthName]);
-
-          if (obopmResult.rows.length > 0 && obopmResult.rows[0].obopm !== undefined && obopmResult.rows[0].obopm !== null) {
-            obopm = parseFloat(obopmResult.rows[0].obopm) || 0;
-          }
-        }
+      try {
+        const ledgerBalance = await getOpeningBalanceForRick(row.data?.rick, row.year, row.month_name);
+        // Payslips whose Rick has no driver record keep their stored value
+        obopm = ledgerBalance !== null ? ledgerBalance : parseFloat(row.obopm) || 0;
       } catch (obopmError) {
         console.error('Error fetching opening balance:', obopmError);
         // Keep default value of 0 if there's an error
@@ -265,7 +334,8 @@ const getAllPayslips = async (req, res) => {
         obopm: obopm, // Use calculated obopm instead of stored value
         created_at: row.created_at,
         updated_at: row.updated_at,
-        ...row.data // Spread all JSONB data fields
+        ...row.data, // Spread all JSONB data fields
+        status: row.status // Workflow status column wins over any legacy data.status
       };
     }));
 
@@ -305,6 +375,13 @@ const getPayslipById = async (req, res) => {
       year: result.rows[0].year,
       obopm: result.rows[0].obopm,
       ...result.rows[0].data,
+      status: result.rows[0].status,
+      approved_by: result.rows[0].approved_by,
+      approved_at: result.rows[0].approved_at,
+      issued_by: result.rows[0].issued_by,
+      issued_at: result.rows[0].issued_at,
+      locked_by: result.rows[0].locked_by,
+      locked_at: result.rows[0].locked_at,
       created_at: result.rows[0].created_at,
       updated_at: result.rows[0].updated_at
     };
@@ -338,26 +415,61 @@ const createPayslip = async (req, res) => {
       payslipData.net_salary = payslipData.gross_salary - totalDeductions;
     }
 
+    // A Rick's month has one payslip: an existing draft is updated, anything past draft is refused
+    const bounds = getMonthBounds(payslipData.year, payslipData.month_name);
+    if (payslipData.rick && !bounds) {
+      return sendValidationError(res, 'month_name must be a full month name (e.g. January)');
+    }
+
     // Add metadata
     payslipData.status = payslipData.status || 'draft';
     payslipData.created_at = new Date().toISOString();
 
-    const insertResult = await query(`
-      INSERT INTO payslips (data, month_name, year, created_at, updated_at)
-      VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      RETURNING *
-    `, [JSON.stringify(payslipData), payslipData.month_name || null, payslipData.year || null]);
+    const client = await pool.connect();
+    let saved;
+    try {
+      await client.query('BEGIN');
+
+      saved = await savePayslipForPeriod(client, {
+        rick: payslipData.rick,
+        year: bounds ? bounds.year : payslipData.year,
+        monthName: bounds ? bounds.month_name : payslipData.month_name,
+        data: payslipData
+      });
+      if (saved.status) {
+        await client.query('ROLLBACK');
+        return sendPayslipNotEditable(res, saved.status);
+      }
+
+      await client.query('COMMIT');
+    } catch (saveError) {
+      await client.query('ROLLBACK');
+      throw saveError;
+    } finally {
+      client.release();
+    }
 
     const payslip = {
-      id: insertResult.rows[0].id,
-      month_name: insertResult.rows[0].month_name,
-      year: insertResult.rows[0].year,
-      ...insertResult.rows[0].data,
-      created_at: insertResult.rows[0].created_at,
-      updated_at: insertResult.rows[0].updated_at
+      id: saved.row.id,
+      month_name: saved.row.month_name,
+      year: saved.row.year,
+      ...saved.row.data,
+      created_at: saved.row.created_at,
+      updated_at: saved.row.updated_at
     };
 
-    sendSuccess(res, payslip, 'Payslip created successfully', 201);
+    if (saved.created) {
+      sendSuccess(res, payslip, 'Payslip created successfully', 201);
+    } else {
+      sendSuccess(res, payslip, 'Draft payslip for this month updated successfully');
+    }
+
+    emitEvent('payslip.generated', {
+      title: `Payslip for ${payslipData.employee_name} (${payslip.month_name} ${payslip.year}) needs approval`,
+      entityType: 'payslips',
+      entityId: payslip.id,
+      actorId: req.user ? req.user.id : null
+    });
 
   } catch (error) {
     console.error('Error creating payslip:', error);
@@ -376,6 +488,9 @@ const updatePayslip = async (req, res) => {
     if (existingResult.rows.length === 0) {
       return sendNotFound(res, 'Payslip');
     }
+    if (existingResult.rows[0].status !== 'draft') {
+      return sendPayslipNotEditable(res, existingResult.rows[0].status);
+    }
 
     // Merge with existing data
     const existingData = existingResult.rows[0].data;
@@ -409,10 +524,14 @@ const updatePayslip = async (req, res) => {
       paramCount++;
     }
 
-    updateQuery += ` WHERE id = $${paramCount} RETURNING *`;
+    // Only a payslip that is still a draft is written - it may have been approved since it was read
+    updateQuery += ` WHERE id = $${paramCount} AND status = 'draft' RETURNING *`;
     queryParams.push(id);
 
     const updateResult = await query(updateQuery, queryParams);
+    if (updateResult.rows.length === 0) {
+      return sendError(res, 'Payslip is no longer a draft. Reopen it with a reason before making changes.', 409);
+    }
 
     const payslip = {
       id: updateResult.rows[0].id,
@@ -436,7 +555,15 @@ const deletePayslip = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query('DELETE FROM payslips WHERE id = $1 RETURNING *', [id]);
+    const existingResult = await query('SELECT id, status FROM payslips WHERE id = $1', [id]);
+    if (existingResult.rows.length === 0) {
+      return sendNotFound(res, 'Payslip');
+    }
+    if (existingResult.rows[0].status !== 'draft') {
+      return sendPayslipNotEditable(res, existingResult.rows[0].status);
+    }
+
+    const result = await query("DELETE FROM payslips WHERE id = $1 AND status = 'draft' RETURNING *", [id]);
 
     if (result.rows.length === 0) {
       return sendNotFound(res, 'Payslip');
@@ -473,7 +600,7 @@ const getPayslipsByEmployee = async (req, res) => {
     }
 
     const result = await query(`
-      SELECT id, data, month_name, year, obopm, created_at, updated_at
+      SELECT id, data, month_name, year, obopm, status, created_at, updated_at
       FROM payslips 
       ${whereClause}
     `, params);
@@ -484,6 +611,7 @@ const getPayslipsByEmployee = async (req, res) => {
       year: row.year,
       obopm: row.obopm,
       ...row.data,
+      status: row.status,
       created_at: row.created_at,
       updated_at: row.updated_at
     }));
@@ -527,10 +655,10 @@ const getPayslipSummary = async (req, res) => {
     // Get status breakdown
     const statusBreakdown = await query(`
       SELECT 
-        data->>'status' as status,
+        status,
         COUNT(*) as count
       FROM payslips ${whereClause}
-      GROUP BY data->>'status'
+      GROUP BY status
     `, params);
 
     // Get department breakdown
@@ -556,6 +684,66 @@ const getPayslipSummary = async (req, res) => {
   }
 };
 
+/**
+ * Build the payslip JSON from a driver's finance month as ledger lines (debit = DR, credit = CR)
+ * Opening balance is everything posted to the driver before the month; the lines also carry the
+ * month's other ledger entries (payments, adjustments, renewal charges).
+ * @param {Object} db - Query runner; must be a transaction client when posting
+ * @param {Object} driver - { id, rick, name, mobile }
+ * @param {Object} bounds - Result of getMonthBounds
+ * @param {Array<Object>} financeData - The driver's finance_records rows for the month
+ * @param {Object} options - { post: also (re)post the month to the ledger, userId: user posting the entries }
+ */
+const buildPayslipData = async (db, driver, bounds, financeData, { post = false, userId = null } = {}) => {
+  const entries = post
+    ? await postFinanceMonth(db, driver, bounds, { userId })
+    : await buildFinanceEntries(driver, bounds, db);
+  const obopm = await getBalanceBefore(driver.id, bounds.start, db);
+
+  // Payments, adjustments and renewal charges dated in the month move the balance too,
+  // so they are listed after the finance lines to keep the closing balance equal to next month's opening
+  const otherResult = await db.query(`
+    SELECT account, debit, credit
+    FROM driver_ledger_entries
+    WHERE driver_id = $1 AND source <> 'finance' AND entry_date BETWEEN $2 AND $3
+    ORDER BY entry_date ASC, id ASC
+  `, [driver.id, bounds.start, bounds.end]);
+  entries.push(...otherResult.rows);
+
+  const payslipArray = entries.map(entry => ({
+    field: entry.account,
+    amount: parseFloat(entry.debit) > 0 ? parseFloat(entry.debit) : parseFloat(entry.credit), // Always positive amount
+    type: parseFloat(entry.debit) > 0 ? 'DR' : 'CR'
+  }));
+
+  const monthMovement = entries.reduce((sum, entry) => sum + parseFloat(entry.debit) - parseFloat(entry.credit), 0);
+  const closingBalance = Math.round((obopm + monthMovement) * 100) / 100;
+
+  // Get plate number from first finance record if available
+  const firstRecord = financeData[0];
+  const plateNumber = firstRecord && firstRecord.data && firstRecord.data.plate ?
+    firstRecord.data.plate.toString() : 'N/A';
+
+  return {
+    driver_name: driver.name,
+    rick: driver.rick,
+    plate: plateNumber,
+    mobile_no: driver.mobile,
+    obopm: obopm, // Opening balance
+    closing_balance: closingBalance, // Opening balance plus this month's ledger movement
+    payslip_array: payslipArray // Array with CR/DR logic
+  };
+};
+
+// Post the finance month behind a saved payslip to the ledger, linked to that payslip
+// Payslips whose Rick has no driver record have nothing to post
+const postPayslipLedger = async (client, rick, bounds, payslipId, userId = null) => {
+  const driverResult = await client.query('SELECT id, rick FROM drivers WHERE rick = $1', [rick]);
+  if (driverResult.rows.length === 0) return [];
+
+  return postFinanceMonth(client, driverResult.rows[0], bounds, { payslipId, userId });
+};
+
 // POST /api/admin/payslips/generate - Generate payslip from finance data
 // Expected request body: { Rick: "RICK001", month_name: "January", year: 2025 }
 // month_name should be the full month name (January, February, March, etc.)
@@ -565,7 +753,7 @@ const generatePayslip = async (req, res) => {
 
     // Get driver information
     const driverResult = await query(
-      'SELECT id, rick, name, mobile FROM drivers WHERE rick = $1',
+      'SELECT id, rick, name, mobile FROM drivers WHERE rick = $1 AND is_archived = false',
       [Rick]
     );
 
@@ -594,126 +782,186 @@ const generatePayslip = async (req, res) => {
       return sendError(res, `No finance records found for Rick ID ${Rick} in ${month_name} ${year}`, 404);
     }
 
+    const bounds = getMonthBounds(year, month_name);
+    if (!bounds) {
+      return sendValidationError(res, 'month_name must be a full month name (e.g. January)');
+    }
+
     // Process finance data to create payslip array with CR/DR logic
     const financeData = financeResult.rows;
     
     try {
-      // Helper function to safely get numeric value from data
-      const getNumericValue = (data, key) => {
-        if (!data || typeof data !== 'object') return 0;
-        const value = data[key];
-        if (value === undefined || value === null || value === '') return 0;
-        const numValue = parseFloat(value);
-        return isNaN(numValue) ? 0 : numValue;
-      };
+      // Preview only - the ledger is posted when the payslip is saved
+      const payslipData = await buildPayslipData({ query }, driver, bounds, financeData);
 
-      // Create payslip array from JSONB data
-      const payslipArray = [];
-      
-      // Process each finance record
-      financeData.forEach(record => {
-        const data = record.data;
-        
-        // Process each field in the finance record
-        Object.entries(data).forEach(([key, value]) => {
-          // Skip non-financial fields
-          if (['Rick', 'name', 'date', 'plate'].includes(key)) {
-            return;
-          }
-          
-          const numericValue = getNumericValue(data, key);
-          
-          // Skip zero values
-          if (numericValue === 0) {
-            return;
-          }
-          
-          // Create payslip entry
-          const payslipEntry = {
-            field: key,
-            amount: Math.abs(numericValue), // Always positive amount
-            type: numericValue < 0 ? 'CR' : 'DR' // Negative values = CR, Positive values = DR
-          };
-          
-          payslipArray.push(payslipEntry);
-        });
-      });
+    sendSuccess(res, {
+      payslip: payslipData
+    }, "Payslip generated successfully");
+
+      } catch (processingError) {
+        console.error('Error processing finance data:', processingError);
+        return sendError(res, 'Failed to process finance data for payslip generation', 500, processingError);
+      }
+    } catch (error) {
+      console.error('Error generating payslip:', error);
+      sendError(res, 'Failed to generate payslip', 500, error);
+    }
+};
+
+// POST /api/admin/payslips/generate/month - Generate and save payslips for every driver for a month
+// Expected request body: { month_name: "January", year: 2025 }
+// Safe to re-run: each driver's payslip for the month is updated in place instead of duplicated
+const generateMonthPayslips = async (req, res) => {
+  try {
+    const { month_name, year } = req.body;
 
-      // Get opening balance (obopm) from payslips table
-      let obopm = 0; // Default opening balance
+    if (!month_name || !year) {
+      return sendValidationError(res, 'Missing required fields: month_name, year');
+    }
+
+    const bounds = getMonthBounds(year, month_name);
+    if (!bounds) {
+      return sendValidationError(res, 'month_name must be a full month name (e.g. January)');
+    }
+
+    const userId = req.user ? req.user.id : null;
+
+    const driversResult = await query('SELECT id, rick, name, mobile FROM drivers WHERE is_archived = false ORDER BY rick ASC');
+
+    // Ricks with finance rows this month but no driver record cannot get a payslip
+    const orphanResult = await query(`
+      SELECT DISTINCT fr.data->>'Rick' as rick
+      FROM finance_records fr
+      LEFT JOIN drivers d ON d.rick = fr.data->>'Rick'
+      WHERE fr.year = $1 AND fr.month_name = $2
+        AND d.id IS NULL
+        AND COALESCE(fr.data->>'Rick', '') <> ''
+      ORDER BY rick
+    `, [bounds.year, bounds.month_name]);
+
+    const summary = {
+      created: [],
+      updated: [],
+      unchanged: [],
+      skipped: [],
+      failed: orphanResult.rows.map(row => ({ rick: row.rick, reason: 'No driver found with this Rick' }))
+    };
 
+    for (const driver of driversResult.rows) {
+      const client = await pool.connect();
       try {
-        // Compute previous month and year from provided month_name/year
-        const months = [
-          'January','February','March','April','May','June','July','August','September','October','November','December'
-        ];
-        const currentIndex = months.findIndex(m => m.toLowerCase() === (month_name || '').toLowerCase());
-        let prevMonthName = month_name;
-        let prevYear = parseInt(year, 10);
-        if (currentIndex !== -1) {
-          if (currentIndex === 0) {
-            prevMonthName = 'December';
-            prevYear = prevYear - 1;
-          } else {
-            prevMonthName = months[currentIndex - 1];
-          }
+        await client.query('BEGIN');
+
+        // Serialize runs for the same driver and month so re-runs never insert twice
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payslip:${driver.rick}:${bounds.year}:${bounds.month_name}`]);
+
+        // A closed month keeps its ledger and payslips as they are
+        const closedPeriods = await findClosedPeriods([bounds], client);
+        if (closedPeriods.length > 0) {
+          await client.query('ROLLBACK');
+          summary.skipped.push({ driver_id: driver.id, rick: driver.rick, name: driver.name, reason: 'Finance period is closed' });
+          continue;
+        }
+
+        const financeResult = await client.query(`
+          SELECT id, data, created_at
+          FROM finance_records
+          WHERE data->>'Rick' = $1 AND month_name = $2 AND year = $3
+          ORDER BY created_at ASC
+        `, [driver.rick, bounds.month_name, bounds.year]);
+
+        if (financeResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          summary.skipped.push({ driver_id: driver.id, rick: driver.rick, name: driver.name, reason: 'No finance data' });
+          continue;
+        }
+
+        const currentPayslip = await findPayslipForPeriod(driver.rick, bounds.year, bounds.month_name, client);
+        if (currentPayslip && currentPayslip.status !== 'draft') {
+          await client.query('ROLLBACK');
+          summary.skipped.push({ driver_id: driver.id, rick: driver.rick, name: driver.name, payslip_id: currentPayslip.id, reason: `Payslip is ${currentPayslip.status}` });
+          continue;
         }
 
-        // Fetch obopm for the exact previous period
-        const obopmQuery = `
-          SELECT obopm
+        const payslipData = await buildPayslipData(client, driver, bounds, financeResult.rows, { post: true, userId });
+        const { obopm, ...data } = payslipData;
+
+        const existingResult = await client.query(`
+          SELECT id, data, obopm
           FROM payslips
-          WHERE data->>'rick' = $1
-            AND year = $2
-            AND month_name = $3
+          WHERE data->>'rick' = $1 AND month_name = $2 AND year = $3
           ORDER BY updated_at DESC
           LIMIT 1
-        `;
-
-        const obopmResult = await query(obopmQuery, [Rick, prevYear, prevMonthName]);
-
-        if (obopmResult.rows.length > 0 && obopmResult.rows[0].obopm !== undefined && obopmResult.rows[0].obopm !== null) {
-          obopm = parseFloat(obopmResult.rows[0].obopm) || 0;
+        `, [driver.rick, bounds.month_name, bounds.year]);
+
+        let payslipId;
+        let outcome;
+        if (existingResult.rows.length === 0) {
+          const insertResult = await client.query(`
+            INSERT INTO payslips (data, month_name, year, obopm, driver_id, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            RETURNING id
+          `, [JSON.stringify(data), bounds.month_name, bounds.year, obopm, driver.id]);
+          payslipId = insertResult.rows[0].id;
+          outcome = 'created';
         } else {
-          obopm = 0;
+          const existing = existingResult.rows[0];
+          payslipId = existing.id;
+          // Keep fields the frontend may have added to the stored payslip
+          const mergedData = { ...existing.data, ...data };
+          const changed = JSON.stringify(mergedData) !== JSON.stringify(existing.data) ||
+            parseFloat(existing.obopm) !== obopm;
+
+          if (changed) {
+            await client.query(
+              'UPDATE payslips SET data = $1, obopm = $2, driver_id = COALESCE(driver_id, $4), updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+              [JSON.stringify(mergedData), obopm, payslipId, driver.id]
+            );
+          }
+          outcome = changed ? 'updated' : 'unchanged';
         }
 
-        console.log(`Opening balance (obopm) for ${Rick} for ${prevMonthName} ${prevYear}: ${obopm}`);
+        await linkPayslipEntries(driver.rick, bounds.year, bounds.month_name, payslipId, client);
 
-      } catch (obopmError) {
-        console.error('Error fetching opening balance:', obopmError);
-        // Keep default value of 0 if there's an error
-      }
+        await client.query('COMMIT');
+        summary[outcome].push({ driver_id: driver.id, rick: driver.rick, name: driver.name, payslip_id: payslipId });
 
-      // Get plate number from first finance record if available
-      const firstRecord = financeData[0];
-      const plateNumber = firstRecord && firstRecord.data && firstRecord.data.plate ? 
-        firstRecord.data.plate.toString() : 'N/A';
-
-      console.log("RickRick === ", Rick);
-
-      // Create payslip data in the desired format
-      const payslipData = {
-        driver_name: driver.name,
-        rick: Rick,
-        plate: plateNumber,
-        mobile_no: driver.mobile,
-        obopm: obopm, // Opening balance
-        payslip_array: payslipArray // Array with CR/DR logic
-      };
+      } catch (driverError) {
+        await client.query('ROLLBACK');
+        console.error(`Error generating payslip for ${driver.rick}:`, driverError);
+        summary.failed.push({ driver_id: driver.id, rick: driver.rick, name: driver.name, reason: driverError.message });
+      } finally {
+        client.release();
+      }
+    }
 
     sendSuccess(res, {
-      payslip: payslipData
-    }, "Payslip generated successfully");
-
-      } catch (processingError) {
-        console.error('Error processing finance data:', processingError);
-        return sendError(res, 'Failed to process finance data for payslip generation', 500, processingError);
-      }
-    } catch (error) {
-      console.error('Error generating payslip:', error);
-      sendError(res, 'Failed to generate payslip', 500, error);
+      month_name: bounds.month_name,
+      year: bounds.year,
+      counts: {
+        created: summary.created.length,
+        updated: summary.updated.length,
+        unchanged: summary.unchanged.length,
+        skipped: summary.skipped.length,
+        failed: summary.failed.length
+      },
+      ...summary
+    }, `Payslips generated for ${bounds.month_name} ${bounds.year}`);
+
+    const pendingCount = summary.created.length + summary.updated.length;
+    if (pendingCount > 0) {
+      emitEvent('payslip.generated', {
+        title: `${pendingCount} payslip(s) for ${bounds.month_name} ${bounds.year} need approval`,
+        entityType: 'payslips',
+        data: { month_name: bounds.month_name, year: bounds.year, created: summary.created.length, updated: summary.updated.length },
+        actorId: userId
+      });
     }
+
+  } catch (error) {
+    console.error('Error generating month payslips:', error);
+    sendError(res, 'Failed to generate month payslips', 500, error);
+  }
 };
 
 // POST /api/admin/payslips/insert - Insert generated payslip to database
@@ -727,33 +975,81 @@ const insertPayslip = async (req, res) => {
       return sendValidationError(res, 'Missing required fields: month_name, year');
     }
 
+    const bounds = getMonthBounds(year, month_name);
+    if (!bounds) {
+      return sendValidationError(res, 'month_name must be a full month name (e.g. January)');
+    }
+
     // Extract payslip data (everything except month_name, year, and obopm)
     const payslipData = { ...req.body };
     delete payslipData.month_name;
     delete payslipData.year;
     delete payslipData.obopm;
 
-    // Convert obopm to decimal, default to 0 if not provided
-    const obopmValue = obopm ? parseFloat(obopm) : 0;
+    const client = await pool.connect();
+    let saved;
+    try {
+      await client.query('BEGIN');
+
+      // A closed month keeps its ledger and payslips as they are
+      const closedPeriods = await findClosedPeriods([bounds], client);
+      if (closedPeriods.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPeriodClosed(res, closedPeriods);
+      }
+
+      // Opening balance is derived from the driver ledger; the posted obopm is
+      // only kept for payslips whose Rick has no driver record
+      const ledgerBalance = await getOpeningBalanceForRick(payslipData.rick, year, month_name, client);
+      const obopmValue = ledgerBalance !== null ? ledgerBalance : (obopm ? parseFloat(obopm) : 0);
+
+      // Save the generated payslip as JSON with separate obopm column - a draft for the month is
+      // updated in place, and a payslip past draft keeps its ledger entries untouched
+      saved = await savePayslipForPeriod(client, {
+        rick: payslipData.rick,
+        year: bounds.year,
+        monthName: bounds.month_name,
+        data: payslipData,
+        obopm: obopmValue
+      });
+      if (saved.status) {
+        await client.query('ROLLBACK');
+        return sendPayslipNotEditable(res, saved.status);
+      }
+
+      // Post the month to the ledger, referencing the payslip it was generated for
+      await postPayslipLedger(client, payslipData.rick, bounds, saved.row.id, req.user ? req.user.id : null);
 
-    // Insert the generated payslip as JSON with separate obopm column
-    const insertResult = await query(`
-      INSERT INTO payslips (data, month_name, year, obopm, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      RETURNING *
-    `, [JSON.stringify(payslipData), month_name, year.toString(), obopmValue]);
+      await client.query('COMMIT');
+    } catch (postingError) {
+      await client.query('ROLLBACK');
+      throw postingError;
+    } finally {
+      client.release();
+    }
 
     const payslip = {
-      id: insertResult.rows[0].id,
-      month_name: insertResult.rows[0].month_name,
-      year: insertResult.rows[0].year,
-      obopm: insertResult.rows[0].obopm,
-      ...insertResult.rows[0].data,
-      created_at: insertResult.rows[0].created_at,
-      updated_at: insertResult.rows[0].updated_at
+      id: saved.row.id,
+      month_name: saved.row.month_name,
+      year: saved.row.year,
+      obopm: saved.row.obopm,
+      ...saved.row.data,
+      created_at: saved.row.created_at,
+      updated_at: saved.row.updated_at
     };
 
-    sendSuccess(res, payslip, 'Payslip inserted successfully', 201);
+    if (saved.created) {
+      sendSuccess(res, payslip, 'Payslip inserted successfully', 201);
+    } else {
+      sendSuccess(res, payslip, 'Draft payslip for this month updated successfully');
+    }
+
+    emitEvent('payslip.generated', {
+      title: `Payslip for ${payslip.driver_name || payslip.rick} (${payslip.month_name} ${payslip.year}) needs approval`,
+      entityType: 'payslips',
+      entityId: payslip.id,
+      actorId: req.user ? req.user.id : null
+    });
 
   } catch (error) {
     console.error('Error inserting payslip:', error);
@@ -772,27 +1068,64 @@ const updatePayslipData = async (req, res) => {
       return sendValidationError(res, 'Missing required fields: month_name, year, rick');
     }
 
+    const bounds = getMonthBounds(year, month_name);
+    if (!bounds) {
+      return sendValidationError(res, 'month_name must be a full month name (e.g. January)');
+    }
+
+    const existingPayslip = await findPayslipForPeriod(rick, year, month_name);
+    if (existingPayslip && existingPayslip.status !== 'draft') {
+      return sendPayslipNotEditable(res, existingPayslip.status);
+    }
+
     // Extract payslip data (everything except month_name, year, and obopm)
     const payslipData = { ...req.body };
     delete payslipData.month_name;
     delete payslipData.year;
     delete payslipData.obopm;
 
-    // Convert obopm to decimal, default to 0 if not provided
-    const obopmValue = obopm ? parseFloat(obopm) : 0;
+    const client = await pool.connect();
+    let updateResult;
+    try {
+      await client.query('BEGIN');
 
-    // Update existing payslip with separate obopm column
-    const updateResult = await query(`
-      UPDATE payslips 
-      SET data = $1, obopm = $2, updated_at = CURRENT_TIMESTAMP
-      WHERE data->>'rick' = $3 
-      AND month_name = $4 
-      AND year = $5
-      RETURNING *
-    `, [JSON.stringify(payslipData), obopmValue, rick, month_name, year.toString()]);
+      // A closed month keeps its ledger and payslips as they are
+      const closedPeriods = await findClosedPeriods([bounds], client);
+      if (closedPeriods.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPeriodClosed(res, closedPeriods);
+      }
 
-    if (updateResult.rows.length === 0) {
-      return sendNotFound(res, 'Payslip not found for update');
+      // Opening balance is derived from the driver ledger; the posted obopm is
+      // only kept for payslips whose Rick has no driver record
+      const ledgerBalance = await getOpeningBalanceForRick(rick, year, month_name, client);
+      const obopmValue = ledgerBalance !== null ? ledgerBalance : (obopm ? parseFloat(obopm) : 0);
+
+      // Update existing payslip with separate obopm column
+      updateResult = await client.query(`
+        UPDATE payslips 
+        SET data = $1, obopm = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE data->>'rick' = $3 
+        AND month_name = $4 
+        AND year = $5
+        AND status = 'draft'
+        RETURNING *
+      `, [JSON.stringify(payslipData), obopmValue, rick, month_name, year.toString()]);
+
+      if (updateResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return sendNotFound(res, 'Payslip not found for update');
+      }
+
+      // Re-post the month to the ledger, referencing the payslip it was generated for
+      await postPayslipLedger(client, rick, bounds, updateResult.rows[0].id, req.user ? req.user.id : null);
+
+      await client.query('COMMIT');
+    } catch (postingError) {
+      await client.query('ROLLBACK');
+      throw postingError;
+    } finally {
+      client.release();
     }
 
     const payslip = {
@@ -813,6 +1146,262 @@ const updatePayslipData = async (req, res) => {
   }
 };
 
+// Helper function to build the printable view of a stored payslip row
+// Approved and later payslips print the obopm stored with them; drafts read the driver ledger
+// (stored obopm when the Rick has no driver record)
+const buildPrintablePayslip = async (row) => {
+  const data = row.data || {};
+  const ledgerBalance = row.status && row.status !== 'draft'
+    ? null
+    : await getOpeningBalanceForRick(data.rick, row.year, row.month_name);
+  const openingBalance = ledgerBalance !== null ? ledgerBalance : parseFloat(row.obopm) || 0;
+
+  const lines = (Array.isArray(data.payslip_array) ? data.payslip_array : []).map(item => ({
+    label: formatFieldLabel(String(item.field || '')),
+    type: item.type === 'CR' ? 'CR' : 'DR',
+    amount: parseFloat(item.amount) || 0
+  }));
+
+  const movement = lines.reduce((sum, line) => sum + (line.type === 'DR' ? line.amount : -line.amount), 0);
+
+  return {
+    month_name: row.month_name,
+    year: row.year,
+    driver_name: data.driver_name,
+    rick: data.rick,
+    plate: data.plate,
+    mobile_no: data.mobile_no,
+    lines,
+    openingBalance,
+    closingBalance: Math.round((openingBalance + movement) * 100) / 100
+  };
+};
+
+// Helper function to build a safe PDF file name for a payslip
+const payslipFileName = (payslip, id) => {
+  const parts = [payslip.rick || `payslip-${id}`, payslip.driver_name, payslip.month_name, payslip.year];
+  return `${parts.filter(Boolean).join('_').replace(/[^A-Za-z0-9_-]+/g, '-')}.pdf`;
+};
+
+// GET /api/admin/payslips/:id/pdf - Download a payslip as PDF
+const getPayslipPdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query('SELECT id, data, month_name, year, obopm, status FROM payslips WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return sendNotFound(res, 'Payslip');
+    }
+
+    const payslip = await buildPrintablePayslip(result.rows[0]);
+    const pdf = await renderPayslipPdf(payslip, config.company);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${payslipFileName(payslip, id)}"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Error rendering payslip PDF:', error);
+    sendError(res, 'Failed to render payslip PDF', 500, error);
+  }
+};
+
+// GET /api/admin/payslips/pdf?year=2025&month_name=January - Download all payslips of a month as a ZIP of PDFs
+const downloadMonthPayslips = async (req, res) => {
+  try {
+    const { year, month_name } = req.query;
+
+    if (!year || !month_name) {
+      return sendValidationError(res, 'Missing required query parameters: year, month_name');
+    }
+
+    const result = await query(`
+      SELECT id, data, month_name, year, obopm, status
+      FROM payslips
+      WHERE year = $1 AND month_name = $2
+      ORDER BY data->>'rick' ASC, id ASC
+    `, [String(year), month_name]);
+
+    if (result.rows.length === 0) {
+      return sendError(res, `No payslips found for ${month_name} ${year}`, 404);
+    }
+
+    // Render every PDF before streaming so a failure can still be reported as JSON
+    const files = [];
+    const usedNames = new Set();
+    for (const row of result.rows) {
+      const payslip = await buildPrintablePayslip(row);
+      let name = payslipFileName(payslip, row.id);
+      if (usedNames.has(name)) {
+        name = name.replace(/\.pdf$/, `_${row.id}.pdf`);
+      }
+      usedNames.add(name);
+      files.push({ name, pdf: await renderPayslipPdf(payslip, config.company) });
+    }
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (archiveError) => {
+      console.error('Error creating payslip ZIP:', archiveError);
+      res.destroy(archiveError);
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    const zipName = `payslips_${month_name}_${year}`.replace(/[^A-Za-z0-9_-]+/g, '-');
+    res.setHeader('Content-Disposition', `attachment; filename="${zipName}.zip"`);
+    archive.pipe(res);
+
+    files.forEach(file => archive.append(file.pdf, { name: file.name }));
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Error downloading payslips:', error);
+    sendError(res, 'Failed to download payslips', 500, error);
+  }
+};
+
+// Shared implementation for the payslip workflow endpoints
+const transitionPayslip = async (req, res, action) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  const transition = PAYSLIP_TRANSITIONS[action];
+  const userId = req.user ? req.user.id : null;
+
+  if (action === 'reopen' && (!reason || !String(reason).trim())) {
+    return sendValidationError(res, 'A reason is required to reopen a payslip');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existingResult = await client.query('SELECT id, status FROM payslips WHERE id = $1 FOR UPDATE', [id]);
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Payslip');
+    }
+
+    const fromStatus = existingResult.rows[0].status;
+    if (!transition.from.includes(fromStatus)) {
+      await client.query('ROLLBACK');
+      return sendError(res, `Cannot ${action} a payslip that is ${fromStatus}`, 409);
+    }
+
+    // Stamp who moved it forward; reopening clears the approval trail on the row (history keeps it)
+    const stampClause = transition.stamp
+      ? `, ${transition.stamp}_by = $2, ${transition.stamp}_at = CURRENT_TIMESTAMP`
+      : ', approved_by = NULL, approved_at = NULL, issued_by = NULL, issued_at = NULL, locked_by = NULL, locked_at = NULL';
+    const updateParams = transition.stamp ? [transition.to, userId, id] : [transition.to, id];
+
+    const updateResult = await client.query(`
+      UPDATE payslips
+      SET status = $1${stampClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${updateParams.length}
+      RETURNING id, month_name, year, status, approved_by, approved_at, issued_by, issued_at, locked_by, locked_at, updated_at
+    `, updateParams);
+
+    await client.query(`
+      INSERT INTO payslip_status_history (payslip_id, from_status, to_status, reason, changed_by)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [id, fromStatus, transition.to, reason ? String(reason).trim() : null, userId]);
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, updateResult.rows[0], `Payslip moved from ${fromStatus} to ${transition.to}`);
+
+    const payslip = updateResult.rows[0];
+    const eventType = { approve: 'payslip.approved', issue: 'payslip.issued', reopen: 'payslip.reopened' }[action];
+    if (eventType) {
+      emitEvent(eventType, {
+        title: `Payslip #${payslip.id} (${payslip.month_name} ${payslip.year}) ${transition.to === 'draft' ? 'reopened' : transition.to}`,
+        message: reason ? String(reason).trim() : null,
+        entityType: 'payslips',
+        entityId: payslip.id,
+        data: { from_status: fromStatus, to_status: transition.to },
+        actorId: userId
+      });
+    }
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/admin/payslips/:id/approve - Approve a draft payslip
+const approvePayslip = async (req, res) => {
+  try {
+    await transitionPayslip(req, res, 'approve');
+  } catch (error) {
+    console.error('Error approving payslip:', error);
+    sendError(res, 'Failed to approve payslip', 500, error);
+  }
+};
+
+// POST /api/admin/payslips/:id/issue - Issue an approved payslip to the driver
+const issuePayslip = async (req, res) => {
+  try {
+    await transitionPayslip(req, res, 'issue');
+  } catch (error) {
+    console.error('Error issuing payslip:', error);
+    sendError(res, 'Failed to issue payslip', 500, error);
+  }
+};
+
+// POST /api/admin/payslips/:id/lock - Lock an issued payslip
+const lockPayslip = async (req, res) => {
+  try {
+    await transitionPayslip(req, res, 'lock');
+  } catch (error) {
+    console.error('Error locking payslip:', error);
+    sendError(res, 'Failed to lock payslip', 500, error);
+  }
+};
+
+// POST /api/admin/payslips/:id/reopen - Move a payslip back to draft
+// Expected request body: { reason: "Wrong Salik amount" }
+const reopenPayslip = async (req, res) => {
+  try {
+    await transitionPayslip(req, res, 'reopen');
+  } catch (error) {
+    console.error('Error reopening payslip:', error);
+    sendError(res, 'Failed to reopen payslip', 500, error);
+  }
+};
+
+// GET /api/admin/payslips/:id/history - Get the status history of a payslip
+const getPayslipHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const payslipResult = await query('SELECT id, status FROM payslips WHERE id = $1', [id]);
+    if (payslipResult.rows.length === 0) {
+      return sendNotFound(res, 'Payslip');
+    }
+
+    const historyResult = await query(`
+      SELECT h.id, h.from_status, h.to_status, h.reason, h.changed_by, u.username as changed_by_username, h.changed_at
+      FROM payslip_status_history h
+      LEFT JOIN users u ON u.id = h.changed_by
+      WHERE h.payslip_id = $1
+      ORDER BY h.changed_at ASC, h.id ASC
+    `, [id]);
+
+    sendSuccess(res, {
+      payslip_id: parseInt(id),
+      status: payslipResult.rows[0].status,
+      history: historyResult.rows
+    }, 'Payslip history retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching payslip history:', error);
+    sendError(res, 'Failed to fetch payslip history', 500, error);
+  }
+};
+
 module.exports = {
   getAllPayslips,
   getPayslipById,
@@ -822,6 +1411,20 @@ module.exports = {
   getPayslipsByEmployee,
   getPayslipSummary,
   generatePayslip,
+  generateMonthPayslips,
   insertPayslip,
-  updatePayslipData
+  updatePayslipData,
+  getPayslipPdf,
+  downloadMonthPayslips,
+  approvePayslip,
+  issuePayslip,
+  lockPayslip,
+  reopenPayslip,
+  getPayslipHistory,
+  buildPrintablePayslip,
+  payslipFileName,
+  findPayslipForPeriod,
+  sendPayslipNotEditable,
+  findPostedPayslips,
+  sendPayslipsPosted
 };
\ No newline at end of file
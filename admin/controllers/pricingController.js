@@ -0,0 +1,662 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { emitEvent } = require('../../shared/notifications/events');
+const config = require('../../config');
+
+/**
+ * Pricing Controller
+ * Manages rate cards per car type with effective dates, calculates fare quotes
+ * and stores the quoted and final fare on bookings
+ */
+
+// Money and rate fields of a rate card and their limits
+const AMOUNT_FIELDS = ['base_fare', 'per_km', 'per_hour', 'minimum_fare', 'airport_fee'];
+const PERCENT_FIELDS = ['night_surcharge_percent'];
+
+const RATE_CARD_COLUMNS = `
+  id, car_type, base_fare, per_km, per_hour, minimum_fare,
+  night_surcharge_percent, night_start, night_end, airport_fee,
+  effective_from, effective_to, notes, created_by, created_at, updated_at
+`;
+
+// Helper function to validate a YYYY-MM-DD date
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+
+// Helper function to validate a 24-hour HH:MM (or HH:MM:SS) time
+const isValidTime = (value) => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(String(value));
+
+// Helper function to format a date as YYYY-MM-DD in server local time
+const formatDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).substring(0, 10);
+};
+
+const toMinutesOfDay = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Helper function to validate a complete rate card - returns a list of error messages
+const validateRateCard = (card) => {
+  const errors = [];
+
+  if (!card.car_type || !String(card.car_type).trim()) {
+    errors.push('car_type is required');
+  } else if (String(card.car_type).trim().length > 100) {
+    errors.push('car_type must be no more than 100 characters long');
+  }
+
+  AMOUNT_FIELDS.forEach(field => {
+    const value = Number(card[field]);
+    if (card[field] === '' || card[field] === null || isNaN(value) || value < 0) {
+      errors.push(`${field} must be a number of 0 or more`);
+    }
+  });
+
+  PERCENT_FIELDS.forEach(field => {
+    const value = Number(card[field]);
+    if (card[field] === '' || card[field] === null || isNaN(value) || value < 0 || value > 100) {
+      errors.push(`${field} must be a number between 0 and 100`);
+    }
+  });
+
+  ['night_start', 'night_end'].forEach(field => {
+    if (!isValidTime(card[field])) {
+      errors.push(`${field} must be a time in HH:MM format`);
+    }
+  });
+
+  if (!isValidDate(card.effective_from)) {
+    errors.push('effective_from is required in YYYY-MM-DD format');
+  }
+  if (card.effective_to && !isValidDate(card.effective_to)) {
+    errors.push('effective_to must be in YYYY-MM-DD format');
+  } else if (card.effective_to && isValidDate(card.effective_from) && card.effective_to < card.effective_from) {
+    errors.push('effective_to must be on or after effective_from');
+  }
+
+  return errors;
+};
+
+// Helper function to find cards of the same car type whose period overlaps [from, to]
+const findOverlappingRateCards = async (carType, from, to, excludeId = null, db = { query }) => {
+  const result = await db.query(`
+    SELECT id, car_type, effective_from, effective_to
+    FROM rate_cards
+    WHERE LOWER(car_type) = LOWER($1)
+      AND id <> $2
+      AND effective_from <= COALESCE($4::date, 'infinity'::date)
+      AND COALESCE(effective_to, 'infinity'::date) >= $3::date
+    ORDER BY effective_from ASC
+  `, [carType, excludeId || 0, from, to || null]);
+  return result.rows;
+};
+
+// Helper function to serialise rate card writes of a car type until the transaction ends,
+// so two cards cannot both pass the overlap check
+const lockRateCardType = async (client, carType) => {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`rate_cards:${String(carType).toLowerCase()}`]);
+};
+
+/**
+ * Find the rate card of a car type in effect on a date
+ * @param {string} carType - Booking car_type (matched case-insensitively)
+ * @param {string|Date} date - Booking date
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ */
+const findRateCard = async (carType, date, db = { query }) => {
+  const result = await db.query(`
+    SELECT ${RATE_CARD_COLUMNS}
+    FROM rate_cards
+    WHERE LOWER(car_type) = LOWER($1)
+      AND effective_from <= $2::date
+      AND (effective_to IS NULL OR effective_to >= $2::date)
+    ORDER BY effective_from DESC
+    LIMIT 1
+  `, [String(carType).trim(), date]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Calculate a fare from a rate card
+ * The night surcharge applies to the base, distance and time charges when the
+ * pickup time falls in [night_start, night_end), which may wrap past midnight.
+ * @param {Object} card - Rate card row
+ * @param {Object} trip - { distanceKm, durationMinutes, pickupTime: "HH:MM", airport: boolean }
+ * @returns {Object} { total, currency, lines, minimum_applied, rate_card, inputs }
+ */
+const calculateFare = (card, { distanceKm = 0, durationMinutes = 0, pickupTime, airport = false }) => {
+  const rate = (field) => parseFloat(card[field]) || 0;
+  const lines = [];
+
+  lines.push({ code: 'base', label: 'Base fare', amount: round2(rate('base_fare')) });
+  if (rate('per_km') > 0) {
+    lines.push({ code: 'distance', label: `Distance (${distanceKm} km)`, amount: round2(rate('per_km') * distanceKm) });
+  }
+  if (rate('per_hour') > 0) {
+    lines.push({ code: 'time', label: `Time (${durationMinutes} min)`, amount: round2(rate('per_hour') * durationMinutes / 60) });
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  const nightStart = toMinutesOfDay(card.night_start);
+  const nightEnd = toMinutesOfDay(card.night_end);
+  const pickup = pickupTime ? toMinutesOfDay(pickupTime) : null;
+  const isNight = pickup !== null && nightStart !== nightEnd && (nightStart < nightEnd
+    ? pickup >= nightStart && pickup < nightEnd
+    : pickup >= nightStart || pickup < nightEnd);
+
+  if (isNight && rate('night_surcharge_percent') > 0) {
+    lines.push({
+      code: 'night',
+      label: `Night surcharge (${rate('night_surcharge_percent')}%)`,
+      amount: round2(subtotal * rate('night_surcharge_percent') / 100)
+    });
+  }
+  if (airport && rate('airport_fee') > 0) {
+    lines.push({ code: 'airport', label: 'Airport fee', amount: round2(rate('airport_fee')) });
+  }
+
+  let total = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+  const minimumApplied = total < rate('minimum_fare');
+  if (minimumApplied) {
+    lines.push({ code: 'minimum', label: 'Minimum fare adjustment', amount: round2(rate('minimum_fare') - total) });
+    total = round2(rate('minimum_fare'));
+  }
+
+  return {
+    total,
+    currency: config.pricing.currency,
+    lines,
+    minimum_applied: minimumApplied,
+    rate_card: {
+      id: card.id,
+      car_type: card.car_type,
+      base_fare: rate('base_fare'),
+      per_km: rate('per_km'),
+      per_hour: rate('per_hour'),
+      minimum_fare: rate('minimum_fare'),
+      night_surcharge_percent: rate('night_surcharge_percent'),
+      night_start: String(card.night_start).substring(0, 5),
+      night_end: String(card.night_end).substring(0, 5),
+      airport_fee: rate('airport_fee'),
+      effective_from: formatDate(card.effective_from),
+      effective_to: formatDate(card.effective_to)
+    },
+    inputs: {
+      distance_km: distanceKm,
+      duration_minutes: durationMinutes,
+      pickup_time: pickupTime ? String(pickupTime).substring(0, 5) : null,
+      airport,
+      night: isNight
+    }
+  };
+};
+
+// Helper function to read and check the trip inputs a card needs - returns { trip } or { errors }
+// airport defaults to whether either location mentions an airport
+const readTripInputs = (card, { distance_km, duration_minutes, airport, pickup_loc, drop_loc }) => {
+  const errors = [];
+  const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+  const distanceKm = hasValue(distance_km) ? Number(distance_km) : null;
+  const durationMinutes = hasValue(duration_minutes) ? Number(duration_minutes) : null;
+
+  if (distanceKm !== null && (isNaN(distanceKm) || distanceKm < 0 || distanceKm > 5000)) {
+    errors.push('distance_km must be a number between 0 and 5000');
+  } else if (distanceKm === null && parseFloat(card.per_km) > 0) {
+    errors.push(`distance_km is required: the ${card.car_type} rate card charges per km`);
+  }
+
+  if (durationMinutes !== null && (isNaN(durationMinutes) || durationMinutes < 0 || durationMinutes > 1440)) {
+    errors.push('duration_minutes must be a number between 0 and 1440');
+  } else if (durationMinutes === null && parseFloat(card.per_hour) > 0) {
+    errors.push(`duration_minutes is required: the ${card.car_type} rate card charges per hour`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const isAirport = typeof airport === 'boolean' || airport === 'true' || airport === 'false'
+    ? airport === true || airport === 'true'
+    : /airport/i.test(`${pickup_loc || ''} ${drop_loc || ''}`);
+
+  return {
+    trip: {
+      distanceKm: distanceKm !== null ? round2(distanceKm) : 0,
+      durationMinutes: durationMinutes !== null ? Math.round(durationMinutes) : 0,
+      airport: isAirport
+    }
+  };
+};
+
+// GET /api/admin/pricing/rate-cards - Get rate cards
+// Query: car_type, active_on=YYYY-MM-DD (only cards in effect on that date)
+const getRateCards = async (req, res) => {
+  try {
+    const { car_type, active_on } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (car_type) {
+      whereClause += ` AND LOWER(car_type) = LOWER($${paramCount})`;
+      params.push(String(car_type).trim());
+      paramCount++;
+    }
+
+    if (active_on) {
+      if (!isValidDate(active_on)) {
+        return sendValidationError(res, 'active_on must be in YYYY-MM-DD format');
+      }
+      whereClause += ` AND effective_from <= $${paramCount} AND (effective_to IS NULL OR effective_to >= $${paramCount})`;
+      params.push(active_on);
+      paramCount++;
+    }
+
+    const result = await query(`
+      SELECT ${RATE_CARD_COLUMNS}
+      FROM rate_cards
+      ${whereClause}
+      ORDER BY LOWER(car_type) ASC, effective_from DESC
+    `, params);
+
+    sendSuccess(res, result.rows, 'Rate cards retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching rate cards:', error);
+    sendError(res, 'Failed to fetch rate cards', 500, error);
+  }
+};
+
+// GET /api/admin/pricing/rate-cards/:id - Get rate card by ID
+const getRateCardById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(`SELECT ${RATE_CARD_COLUMNS} FROM rate_cards WHERE id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return sendNotFound(res, 'Rate card');
+    }
+
+    sendSuccess(res, result.rows[0], 'Rate card retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching rate card:', error);
+    sendError(res, 'Failed to fetch rate card', 500, error);
+  }
+};
+
+// POST /api/admin/pricing/rate-cards - Create rate card
+// Expected body: { car_type, base_fare, per_km, per_hour, minimum_fare, night_surcharge_percent,
+//   night_start: "22:00", night_end: "06:00", airport_fee, effective_from: "2025-01-01", effective_to, notes }
+const createRateCard = async (req, res) => {
+  try {
+    const card = {
+      base_fare: 0,
+      per_km: 0,
+      per_hour: 0,
+      minimum_fare: 0,
+      night_surcharge_percent: 0,
+      night_start: '22:00',
+      night_end: '06:00',
+      airport_fee: 0,
+      ...req.body
+    };
+
+    const errors = validateRateCard(card);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const carType = String(card.car_type).trim();
+
+    const client = await pool.connect();
+    let insertResult;
+    try {
+      await client.query('BEGIN');
+      await lockRateCardType(client, carType);
+
+      const overlaps = await findOverlappingRateCards(carType, card.effective_from, card.effective_to, null, client);
+      if (overlaps.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: `A ${carType} rate card already covers part of this period. End it with effective_to first.`,
+          conflicts: overlaps,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      insertResult = await client.query(`
+        INSERT INTO rate_cards (
+          car_type, base_fare, per_km, per_hour, minimum_fare, night_surcharge_percent,
+          night_start, night_end, airport_fee, effective_from, effective_to, notes, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING ${RATE_CARD_COLUMNS}
+      `, [
+        carType,
+        card.base_fare,
+        card.per_km,
+        card.per_hour,
+        card.minimum_fare,
+        card.night_surcharge_percent,
+        card.night_start,
+        card.night_end,
+        card.airport_fee,
+        card.effective_from,
+        card.effective_to || null,
+        card.notes || null,
+        req.user ? req.user.id : null
+      ]);
+
+      await client.query('COMMIT');
+    } catch (writeError) {
+      await client.query('ROLLBACK');
+      throw writeError;
+    } finally {
+      client.release();
+    }
+
+    sendSuccess(res, insertResult.rows[0], 'Rate card created successfully', 201);
+
+  } catch (error) {
+    console.error('Error creating rate card:', error);
+    sendError(res, 'Failed to create rate card', 500, error);
+  }
+};
+
+// PUT /api/admin/pricing/rate-cards/:id - Update rate card
+// Fields not sent keep their value; effective_to: null makes the card open-ended
+const updateRateCard = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingResult = await query(`SELECT ${RATE_CARD_COLUMNS} FROM rate_cards WHERE id = $1`, [id]);
+    if (existingResult.rows.length === 0) {
+      return sendNotFound(res, 'Rate card');
+    }
+    const existing = existingResult.rows[0];
+
+    const card = {
+      ...existing,
+      night_start: String(existing.night_start).substring(0, 5),
+      night_end: String(existing.night_end).substring(0, 5),
+      effective_from: formatDate(existing.effective_from),
+      effective_to: formatDate(existing.effective_to)
+    };
+    ['car_type', ...AMOUNT_FIELDS, ...PERCENT_FIELDS, 'night_start', 'night_end', 'effective_from', 'effective_to', 'notes']
+      .forEach(field => {
+        if (req.body[field] !== undefined) card[field] = req.body[field];
+      });
+
+    const errors = validateRateCard(card);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const carType = String(card.car_type).trim();
+
+    const client = await pool.connect();
+    let updateResult;
+    try {
+      await client.query('BEGIN');
+      await lockRateCardType(client, carType);
+
+      const overlaps = await findOverlappingRateCards(carType, card.effective_from, card.effective_to, existing.id, client);
+      if (overlaps.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: `Another ${carType} rate card already covers part of this period`,
+          conflicts: overlaps,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      updateResult = await client.query(`
+        UPDATE rate_cards
+        SET car_type = $1, base_fare = $2, per_km = $3, per_hour = $4, minimum_fare = $5,
+          night_surcharge_percent = $6, night_start = $7, night_end = $8, airport_fee = $9,
+          effective_from = $10, effective_to = $11, notes = $12, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $13
+        RETURNING ${RATE_CARD_COLUMNS}
+      `, [
+        carType,
+        card.base_fare,
+        card.per_km,
+        card.per_hour,
+        card.minimum_fare,
+        card.night_surcharge_percent,
+        card.night_start,
+        card.night_end,
+        card.airport_fee,
+        card.effective_from,
+        card.effective_to || null,
+        card.notes || null,
+        existing.id
+      ]);
+      if (updateResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return sendNotFound(res, 'Rate card');
+      }
+
+      await client.query('COMMIT');
+    } catch (writeError) {
+      await client.query('ROLLBACK');
+      throw writeError;
+    } finally {
+      client.release();
+    }
+
+    sendSuccess(res, updateResult.rows[0], 'Rate card updated successfully');
+
+  } catch (error) {
+    console.error('Error updating rate card:', error);
+    sendError(res, 'Failed to update rate card', 500, error);
+  }
+};
+
+// DELETE /api/admin/pricing/rate-cards/:id - Delete a rate card no booking was quoted with
+const deleteRateCard = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const usedResult = await query('SELECT COUNT(*) FROM bookings WHERE rate_card_id = $1', [id]);
+    if (parseInt(usedResult.rows[0].count) > 0) {
+      return sendError(res, 'Bookings were quoted with this rate card. End it with effective_to instead of deleting it.', 409);
+    }
+
+    const result = await query('DELETE FROM rate_cards WHERE id = $1 RETURNING id', [id]);
+
+    if (result.rows.length === 0) {
+      return sendNotFound(res, 'Rate card');
+    }
+
+    sendSuccess(res, { id: parseInt(id) }, 'Rate card deleted successfully');
+
+  } catch (error) {
+    console.error('Error deleting rate card:', error);
+    sendError(res, 'Failed to delete rate card', 500, error);
+  }
+};
+
+// POST /api/admin/pricing/quote - Calculate a fare without a booking
+// Expected body: { car_type, booking_date: "2025-05-01", booking_time: "23:15", distance_km: 32.5,
+//   duration_minutes: 45, airport: true (optional; detected from pickup_loc/drop_loc when omitted) }
+const getQuote = async (req, res) => {
+  try {
+    const { car_type, booking_date, booking_time } = req.body;
+
+    const errors = [];
+    if (!car_type) errors.push('car_type is required');
+    if (!isValidDate(booking_date)) errors.push('booking_date is required in YYYY-MM-DD format');
+    if (!isValidTime(booking_time)) errors.push('booking_time is required in HH:MM format');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const card = await findRateCard(car_type, booking_date);
+    if (!card) {
+      return sendNotFound(res, `Rate card for ${car_type} on ${booking_date}`);
+    }
+
+    const { trip, errors: tripErrors } = readTripInputs(card, req.body);
+    if (tripErrors) {
+      return sendValidationError(res, tripErrors);
+    }
+
+    sendSuccess(res, calculateFare(card, { ...trip, pickupTime: booking_time }), 'Quote calculated successfully');
+
+  } catch (error) {
+    console.error('Error calculating quote:', error);
+    sendError(res, 'Failed to calculate quote', 500, error);
+  }
+};
+
+// POST /api/admin/bookings/:id/quote - Quote a booking and store the fare on it
+// Expected body: { distance_km: 32.5, duration_minutes: 45, airport: true }
+// Missing distance/duration fall back to the booking's stored distance and estimated duration
+const quoteBooking = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const bookingResult = await client.query(
+      'SELECT * FROM bookings WHERE id = $1 AND is_archived = false FOR UPDATE',
+      [req.params.id]
+    );
+    if (bookingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Booking');
+    }
+    const booking = bookingResult.rows[0];
+
+    if (['completed', 'cancelled'].includes(booking.status)) {
+      await client.query('ROLLBACK');
+      return sendError(res, `Cannot quote a ${booking.status} booking. Set its final fare instead.`, 409);
+    }
+
+    const card = await findRateCard(booking.car_type, booking.booking_date, client);
+    if (!card) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, `Rate card for ${booking.car_type} on ${formatDate(booking.booking_date)}`);
+    }
+
+    const { trip, errors } = readTripInputs(card, {
+      distance_km: req.body.distance_km !== undefined ? req.body.distance_km : booking.distance_km,
+      duration_minutes: req.body.duration_minutes !== undefined ? req.body.duration_minutes : booking.estimated_duration_minutes,
+      airport: req.body.airport,
+      pickup_loc: booking.pickup_loc,
+      drop_loc: booking.drop_loc
+    });
+    if (errors) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, errors);
+    }
+
+    const quote = calculateFare(card, { ...trip, pickupTime: booking.booking_time });
+
+    const updateResult = await client.query(`
+      UPDATE bookings
+      SET distance_km = $1, rate_card_id = $2, quoted_fare = $3, fare_breakdown = $4,
+        quoted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING id, reference_code, guest_name, car_type, distance_km, rate_card_id, quoted_fare, fare_breakdown, quoted_at, final_fare
+    `, [trip.distanceKm, card.id, quote.total, JSON.stringify(quote), booking.id]);
+
+    await client.query('COMMIT');
+
+    const updated = updateResult.rows[0];
+    sendSuccess(res, updated, 'Booking quoted successfully');
+
+    emitEvent('booking.updated', {
+      title: `Booking #${updated.id} quoted at ${quote.currency} ${quote.total}`,
+      entityType: 'bookings',
+      entityId: updated.id,
+      data: { id: updated.id, quoted_fare: updated.quoted_fare, previous_quoted_fare: booking.quoted_fare },
+      actorId: req.user ? req.user.id : null
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error quoting booking:', error);
+    sendError(res, 'Failed to quote booking', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// PUT /api/admin/bookings/:id/fare - Set the final fare charged for a booking
+// Expected body: { final_fare: 185.5, note: "Extra waiting time" }
+const setFinalFare = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { final_fare, note } = req.body;
+
+    const amount = Number(final_fare);
+    if (final_fare === undefined || final_fare === null || final_fare === '' || isNaN(amount) || amount < 0) {
+      return sendValidationError(res, 'final_fare must be a number of 0 or more');
+    }
+
+    const existingResult = await query('SELECT id, status, final_fare, invoice_id FROM bookings WHERE id = $1 AND is_archived = false', [id]);
+    if (existingResult.rows.length === 0) {
+      return sendNotFound(res, 'Booking');
+    }
+    if (existingResult.rows[0].status === 'cancelled') {
+      return sendError(res, 'Cannot set the fare of a cancelled booking', 409);
+    }
+    if (existingResult.rows[0].invoice_id) {
+      return sendError(res, 'Booking has been invoiced. Void the invoice before changing its fare.', 409);
+    }
+
+    // Re-checked in the UPDATE: the booking may have been invoiced or cancelled since it was read
+    const updateResult = await query(`
+      UPDATE bookings
+      SET final_fare = $1, final_fare_note = $2, final_fare_by = $3, final_fare_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND invoice_id IS NULL AND status <> 'cancelled'
+      RETURNING id, reference_code, guest_name, quoted_fare, final_fare, final_fare_note, final_fare_by, final_fare_at
+    `, [round2(amount), note ? String(note).trim() : null, req.user ? req.user.id : null, id]);
+    if (updateResult.rows.length === 0) {
+      return sendError(res, 'Booking was invoiced or cancelled while the fare was being set', 409);
+    }
+
+    const updated = updateResult.rows[0];
+    sendSuccess(res, updated, 'Final fare saved successfully');
+
+    emitEvent('booking.updated', {
+      title: `Final fare of booking #${updated.id} set to ${config.pricing.currency} ${updated.final_fare}`,
+      message: updated.final_fare_note,
+      entityType: 'bookings',
+      entityId: updated.id,
+      data: { id: updated.id, final_fare: updated.final_fare, previous_final_fare: existingResult.rows[0].final_fare },
+      actorId: req.user ? req.user.id : null
+    });
+
+  } catch (error) {
+    console.error('Error setting final fare:', error);
+    sendError(res, 'Failed to set final fare', 500, error);
+  }
+};
+
+module.exports = {
+  getRateCards,
+  getRateCardById,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard,
+  getQuote,
+  quoteBooking,
+  setFinalFare,
+  findRateCard,
+  calculateFare
+};
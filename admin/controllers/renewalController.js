@@ -0,0 +1,265 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { getStorage, buildStorageKey } = require('../../shared/utils/documentStorage');
+const { DOCUMENT_OWNERS } = require('../../shared/utils/documentTypes');
+const { findOwner, insertDocumentVersion } = require('./documentController');
+const { insertLedgerEntry, getDatePeriod } = require('./ledgerController');
+const { findClosedPeriods, sendPeriodClosed } = require('./financePeriodController');
+const { findPayslipForPeriod, sendPayslipNotEditable } = require('./payslipController');
+
+/**
+ * Renewal Controller
+ * Handles renewing driver and vehicle documents: the expiry history, cost,
+ * proof and the optional charge to the driver's account
+ */
+
+// Helper function to validate a YYYY-MM-DD date
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+
+// Helper function to format a DATE column value as YYYY-MM-DD
+const formatDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).substring(0, 10);
+};
+
+// Find the driver a vehicle was assigned to on a date, to charge a vehicle renewal to
+const findVehicleDriver = async (vehicleId, date, db = { query }) => {
+  const result = await db.query(`
+    SELECT va.driver_id
+    FROM vehicle_assignments va
+    JOIN drivers d ON d.id = va.driver_id
+    WHERE va.vehicle_id = $1
+      AND va.assigned_from <= ($2::date + INTERVAL '1 day')
+      AND (va.assigned_to IS NULL OR va.assigned_to > $2::date)
+      AND d.is_archived = false
+    ORDER BY va.assigned_from DESC
+    LIMIT 1
+  `, [vehicleId, date]);
+  return result.rows[0] ? result.rows[0].driver_id : null;
+};
+
+// GET /api/admin/<owner>s/:id/renewals - Get the renewal history of an owner's documents
+const getRenewals = (ownerType) => async (req, res) => {
+  const { label } = DOCUMENT_OWNERS[ownerType];
+
+  try {
+    const { id } = req.params;
+    const { document_type = '' } = req.query;
+
+    const owner = await findOwner(ownerType, id);
+    if (!owner) {
+      return sendNotFound(res, label);
+    }
+
+    let whereClause = 'WHERE r.owner_type = $1 AND r.owner_id = $2';
+    const params = [ownerType, owner.id];
+
+    if (document_type) {
+      whereClause += ' AND r.document_type = $3';
+      params.push(document_type);
+    }
+
+    const result = await query(`
+      SELECT
+        r.*,
+        u.username as renewed_by_username,
+        d.original_name as proof_name,
+        d.version as proof_version
+      FROM document_renewals r
+      LEFT JOIN users u ON u.id = r.renewed_by
+      LEFT JOIN documents d ON d.id = r.document_id
+      ${whereClause}
+      ORDER BY r.renewed_at DESC, r.id DESC
+    `, params);
+
+    sendSuccess(res, result.rows, `${label} renewals retrieved successfully`);
+
+  } catch (error) {
+    console.error(`Error fetching ${ownerType} renewals:`, error);
+    sendError(res, `Failed to fetch ${ownerType} renewals`, 500, error);
+  }
+};
+
+// POST /api/admin/<owner>s/:id/renewals - Renew a document
+// Expected multipart (or JSON) body: { document_type: "visa", new_expiry: "2027-05-01", cost: 1250,
+//   reference_number: "RCPT-123", renewal_date: "2025-05-02", notes: "...", document_number: "...",
+//   post_to_finance: true, charge_driver_id: 12 (vehicles only, defaults to the assigned driver) } + optional file (proof)
+const createRenewal = (ownerType) => async (req, res) => {
+  const { table, label, types } = DOCUMENT_OWNERS[ownerType];
+  const { id } = req.params;
+  const { document_type, new_expiry, reference_number, notes, document_number, charge_driver_id } = req.body;
+  const renewalDate = req.body.renewal_date || new Date().toISOString().substring(0, 10);
+  const postToFinance = req.body.post_to_finance === true || req.body.post_to_finance === 'true';
+  const cost = req.body.cost === undefined || req.body.cost === '' ? 0 : parseFloat(req.body.cost);
+
+  const renewableTypes = Object.keys(types).filter(type => types[type].expiryField);
+  const errors = [];
+  if (!renewableTypes.includes(document_type)) {
+    errors.push(`document_type must be one of: ${renewableTypes.join(', ')}`);
+  }
+  if (!new_expiry || !isValidDate(new_expiry)) {
+    errors.push('new_expiry is required in YYYY-MM-DD format');
+  }
+  if (!isValidDate(renewalDate)) {
+    errors.push('renewal_date must be in YYYY-MM-DD format');
+  }
+  if (isNaN(cost) || cost < 0) {
+    errors.push('cost must be a non-negative number');
+  }
+  if (postToFinance && !(cost > 0)) {
+    errors.push('A positive cost is required to post the renewal to finance');
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const canPostToLedger = req.user && req.user.permissions.some(permission => permission.name === 'ledger.create');
+  if (postToFinance && !canPostToLedger) {
+    return sendError(res, 'Access denied. Required permission: ledger.create', 403);
+  }
+
+  const typeConfig = types[document_type];
+  let storage;
+  let storageKey;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const owner = await findOwner(ownerType, id, client, true);
+    if (!owner) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, label);
+    }
+
+    const previousExpiry = formatDate(owner[typeConfig.expiryField]);
+    const userId = req.user ? req.user.id : null;
+
+    // Proof upload becomes the new current version of the document and moves the expiry field
+    let document = null;
+    if (req.file) {
+      storage = getStorage();
+      storageKey = buildStorageKey(ownerType, owner.id, document_type, req.file.originalname);
+      await storage.save(storageKey, req.file.buffer);
+
+      ({ document } = await insertDocumentVersion(client, ownerType, owner, {
+        documentType: document_type,
+        file: req.file,
+        storageBackend: storage.name,
+        storageKey,
+        expiryDate: new_expiry,
+        documentNumber: document_number,
+        notes: reference_number ? `Renewal ${reference_number}` : 'Renewal',
+        userId
+      }));
+    } else {
+      await client.query(
+        `UPDATE ${table} SET ${typeConfig.expiryField} = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [new_expiry, owner.id]
+      );
+      if (document_number && typeConfig.numberField) {
+        await client.query(
+          `UPDATE ${table} SET ${typeConfig.numberField} = $1 WHERE id = $2`,
+          [document_number, owner.id]
+        );
+      }
+    }
+
+    // Charge the cost to the driver (for vehicles: the driver holding it on the renewal date)
+    let ledgerEntry = null;
+    if (postToFinance) {
+      let driverId = owner.id;
+      if (ownerType === 'vehicle') {
+        if (charge_driver_id) {
+          const driverResult = await client.query('SELECT id FROM drivers WHERE id = $1 AND is_archived = false', [parseInt(charge_driver_id) || 0]);
+          driverId = driverResult.rows[0] ? driverResult.rows[0].id : null;
+        } else {
+          driverId = await findVehicleDriver(owner.id, renewalDate, client);
+        }
+      }
+
+      if (!driverId) {
+        await client.query('ROLLBACK');
+        if (storage && storageKey) await storage.remove(storageKey).catch(() => {});
+        return sendValidationError(res, charge_driver_id
+          ? 'charge_driver_id does not match an active driver'
+          : 'No driver is assigned to this vehicle on the renewal date. Provide charge_driver_id to post the cost');
+      }
+
+      // The cost lands in the renewal date's month, which must still be open with at most a draft payslip
+      const period = getDatePeriod(renewalDate);
+      const closedPeriods = await findClosedPeriods([period], client);
+      if (closedPeriods.length > 0) {
+        await client.query('ROLLBACK');
+        if (storage && storageKey) await storage.remove(storageKey).catch(() => {});
+        return sendPeriodClosed(res, closedPeriods);
+      }
+
+      const rickResult = await client.query('SELECT rick FROM drivers WHERE id = $1', [driverId]);
+      const rick = rickResult.rows[0] ? rickResult.rows[0].rick : null;
+      const payslip = rick ? await findPayslipForPeriod(rick, period.year, period.month_name, client) : null;
+      if (payslip && payslip.status !== 'draft') {
+        await client.query('ROLLBACK');
+        if (storage && storageKey) await storage.remove(storageKey).catch(() => {});
+        return sendPayslipNotEditable(res, payslip.status);
+      }
+
+      ledgerEntry = await insertLedgerEntry({
+        driverId,
+        entryDate: renewalDate,
+        source: 'renewal',
+        account: `${document_type}_renewal`,
+        description: `${typeConfig.label} renewal${ownerType === 'vehicle' ? ` (${owner.plate_code} ${owner.plate_no})` : ''}${reference_number ? ` - ${reference_number}` : ''}`,
+        debit: cost,
+        credit: 0,
+        userId
+      }, client);
+    }
+
+    const renewalResult = await client.query(`
+      INSERT INTO document_renewals (
+        owner_type, owner_id, document_type, previous_expiry, new_expiry, cost,
+        reference_number, notes, document_id, ledger_entry_id, renewed_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      ownerType,
+      owner.id,
+      document_type,
+      previousExpiry,
+      new_expiry,
+      cost,
+      reference_number || null,
+      notes || null,
+      document ? document.id : null,
+      ledgerEntry ? ledgerEntry.id : null,
+      userId
+    ]);
+
+    await client.query('COMMIT');
+
+    sendSuccess(res, {
+      renewal: renewalResult.rows[0],
+      expiryField: typeConfig.expiryField,
+      document,
+      ledgerEntry
+    }, `${typeConfig.label} renewed until ${new_expiry}`, 201);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (storage && storageKey) {
+      await storage.remove(storageKey).catch(() => {});
+    }
+    console.error(`Error renewing ${ownerType} document:`, error);
+    sendError(res, 'Failed to record renewal', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getRenewals,
+  createRenewal
+};
@@ -0,0 +1,327 @@
+const { query } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendValidationError } = require('../../shared/utils/response');
+const config = require('../../config');
+
+/**
+ * Schedule Controller
+ * Dispatch schedule for a timeline view: bookings of a date range grouped by
+ * driver and by day or week, with the unassigned bookings, the drivers who are
+ * not available (only active drivers take trips) and the free gaps between trips.
+ */
+
+const GROUP_BY = ['day', 'week'];
+const MAX_RANGE_DAYS = 62;
+const MINUTES_PER_DAY = 1440;
+
+// Helper function to validate a YYYY-MM-DD date
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+
+// Helper function to validate an HH:MM time of the working window (24:00 allowed as an end)
+const isValidWindowTime = (value) => /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/.test(String(value));
+
+// Helper function to format a date as YYYY-MM-DD in server local time
+const formatDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).substring(0, 10);
+};
+
+// Date arithmetic on YYYY-MM-DD strings in UTC, so server time zones and DST never shift a day
+const addDays = (date, days) => {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().substring(0, 10);
+};
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const toMinutesOfDay = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Helper function to turn a minute offset from the range start into "YYYY-MM-DDTHH:MM"
+const toDateTime = (from, offset) => {
+  const minutes = offset - Math.floor(offset / MINUTES_PER_DAY) * MINUTES_PER_DAY;
+  const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  return `${addDays(from, Math.floor(offset / MINUTES_PER_DAY))}T${time}`;
+};
+
+// Helper function to list the periods of the range: days, or Monday-to-Sunday weeks cut to the range
+const buildPeriods = (from, to, groupBy) => {
+  const periods = [];
+  if (groupBy === 'day') {
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      periods.push({ key: date, start: date, end: date });
+    }
+    return periods;
+  }
+
+  for (let monday = addDays(from, -((weekdayOf(from) + 6) % 7)); monday <= to; monday = addDays(monday, 7)) {
+    const sunday = addDays(monday, 6);
+    periods.push({ key: monday, start: monday > from ? monday : from, end: sunday < to ? sunday : to });
+  }
+  return periods;
+};
+
+/**
+ * Free stretches of a day's working window around a driver's trips
+ * @param {Array<Object>} trips - Trips with startOffset/endOffset in minutes from the range start
+ * @param {number} windowStart - Window start offset
+ * @param {number} windowEnd - Window end offset
+ * @returns {Array<Object>} [{ start, end, minutes }] as offsets
+ */
+const findFreeTime = (trips, windowStart, windowEnd) => {
+  const free = [];
+  let cursor = windowStart;
+
+  trips
+    .filter(trip => trip.endOffset > windowStart && trip.startOffset < windowEnd)
+    .sort((a, b) => a.startOffset - b.startOffset)
+    .forEach(trip => {
+      if (trip.startOffset > cursor) {
+        free.push({ start: cursor, end: trip.startOffset, minutes: trip.startOffset - cursor });
+      }
+      cursor = Math.max(cursor, trip.endOffset);
+    });
+
+  if (cursor < windowEnd) {
+    free.push({ start: cursor, end: windowEnd, minutes: windowEnd - cursor });
+  }
+  return free;
+};
+
+// GET /api/admin/bookings/schedule - Dispatch schedule for a date range
+// Query: from (YYYY-MM-DD, required), to (default from), group_by=day|week (default day), driver_id,
+//   day_start/day_end (working window for gaps, default 00:00-24:00), min_gap_minutes (default 30),
+//   include_cancelled=true (cancelled bookings are hidden and never occupy time by default)
+const getSchedule = async (req, res) => {
+  try {
+    const {
+      from,
+      to = from,
+      group_by = 'day',
+      driver_id = '',
+      day_start = '00:00',
+      day_end = '24:00',
+      min_gap_minutes = '30'
+    } = req.query;
+    const includeCancelled = req.query.include_cancelled === 'true';
+
+    const errors = [];
+    if (!isValidDate(from) || !isValidDate(to)) {
+      errors.push('from and to are required in YYYY-MM-DD format');
+    } else if (to < from) {
+      errors.push('to must be on or after from');
+    } else if (daysBetween(from, to) + 1 > MAX_RANGE_DAYS) {
+      errors.push(`The schedule covers at most ${MAX_RANGE_DAYS} days`);
+    }
+    if (!GROUP_BY.includes(group_by)) {
+      errors.push(`group_by must be one of: ${GROUP_BY.join(', ')}`);
+    }
+    if (!isValidWindowTime(day_start) || !isValidWindowTime(day_end) || toMinutesOfDay(day_start) >= toMinutesOfDay(day_end)) {
+      errors.push('day_start and day_end must be HH:MM times with day_start before day_end');
+    }
+    const minGap = Number(min_gap_minutes);
+    if (!Number.isInteger(minGap) || minGap < 0 || minGap > MINUTES_PER_DAY) {
+      errors.push('min_gap_minutes must be a whole number between 0 and 1440');
+    }
+    if (driver_id && !Number.isInteger(Number(driver_id))) {
+      errors.push('driver_id must be a driver id');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const defaultDuration = config.bookings.defaultDurationMinutes;
+
+    // The day before the range is read too: a late trip can run past midnight into it
+    const bookingsResult = await query(`
+      SELECT
+        b.id, b.reference_code, b.booking_date, b.booking_time,
+        COALESCE(b.estimated_duration_minutes, $3) as duration_minutes,
+        b.estimated_duration_minutes IS NULL as duration_estimated,
+        b.car_type, b.pickup_loc, b.drop_loc, b.guest_name, b.mobile_number, b.status,
+        b.assigned_driver_id, b.assigned_vehicle_id, v.plate_code, v.plate_no,
+        b.series_id, b.leg_number, b.customer_id
+      FROM bookings b
+      LEFT JOIN vehicles v ON v.id = b.assigned_vehicle_id
+      WHERE b.is_archived = false
+        AND b.booking_date BETWEEN $1::date - 1 AND $2::date
+        AND ($4::boolean OR b.status <> 'cancelled')
+        AND ($5::int IS NULL OR b.assigned_driver_id = $5 OR b.assigned_driver_id IS NULL)
+      ORDER BY b.booking_date ASC, b.booking_time ASC, b.id ASC
+    `, [from, to, defaultDuration, includeCancelled, driver_id || null]);
+
+    const trips = bookingsResult.rows.map(row => {
+      const bookingDate = formatDate(row.booking_date);
+      const startOffset = daysBetween(from, bookingDate) * MINUTES_PER_DAY + toMinutesOfDay(row.booking_time);
+      const endOffset = startOffset + parseInt(row.duration_minutes);
+      return {
+        id: row.id,
+        reference_code: row.reference_code,
+        booking_date: bookingDate,
+        start: toDateTime(from, startOffset),
+        end: toDateTime(from, endOffset),
+        duration_minutes: parseInt(row.duration_minutes),
+        duration_estimated: row.duration_estimated,
+        car_type: row.car_type,
+        pickup_loc: row.pickup_loc,
+        drop_loc: row.drop_loc,
+        guest_name: row.guest_name,
+        mobile_number: row.mobile_number,
+        status: row.status,
+        assigned_driver_id: row.assigned_driver_id,
+        assigned_vehicle_id: row.assigned_vehicle_id,
+        vehicle_plate: row.plate_no ? [row.plate_code, row.plate_no].filter(Boolean).join(' ') : null,
+        series_id: row.series_id,
+        leg_number: row.leg_number,
+        customer_id: row.customer_id,
+        overlaps: false,
+        startOffset,
+        endOffset,
+        // Cancelled bookings are shown but leave the driver free
+        occupies: row.status !== 'cancelled',
+        inRange: bookingDate >= from
+      };
+    });
+
+    // Drivers of the schedule: every current driver, plus archived ones still holding bookings
+    const assignedDriverIds = [...new Set(trips.filter(trip => trip.assigned_driver_id).map(trip => trip.assigned_driver_id))];
+    const driversResult = await query(`
+      SELECT d.id, d.name, d.rick, d.mobile, d.status, d.is_archived,
+        va.vehicle_id as current_vehicle_id, v.plate_code, v.plate_no
+      FROM drivers d
+      LEFT JOIN vehicle_assignments va ON va.driver_id = d.id AND va.assigned_to IS NULL
+      LEFT JOIN vehicles v ON v.id = va.vehicle_id
+      WHERE (d.is_archived = false OR d.id = ANY($1))
+        AND ($2::int IS NULL OR d.id = $2)
+      ORDER BY d.name ASC, d.id ASC
+    `, [assignedDriverIds, driver_id || null]);
+
+    const periods = buildPeriods(from, to, group_by);
+    const windowStartMinutes = toMinutesOfDay(day_start);
+    const windowEndMinutes = toMinutesOfDay(day_end);
+
+    // Public shape of a trip (internal offsets stripped)
+    const present = ({ startOffset, endOffset, occupies, inRange, ...trip }) => trip;
+
+    const tripsByDriver = {};
+    trips.forEach(trip => {
+      if (!trip.assigned_driver_id) return;
+      (tripsByDriver[trip.assigned_driver_id] = tripsByDriver[trip.assigned_driver_id] || []).push(trip);
+    });
+
+    const drivers = [];
+    const unavailableDrivers = [];
+
+    driversResult.rows.forEach(driver => {
+      const driverTrips = tripsByDriver[driver.id] || [];
+      const busyTrips = driverTrips.filter(trip => trip.occupies);
+
+      // Double-booked trips of the same driver
+      let latestEnd = null;
+      busyTrips.forEach(trip => {
+        if (latestEnd && trip.startOffset < latestEnd.endOffset) {
+          trip.overlaps = true;
+          latestEnd.overlaps = true;
+        }
+        if (!latestEnd || trip.endOffset > latestEnd.endOffset) latestEnd = trip;
+      });
+
+      const vehicle = driver.current_vehicle_id
+        ? { id: driver.current_vehicle_id, plate: [driver.plate_code, driver.plate_no].filter(Boolean).join(' ') }
+        : null;
+      const inRangeTrips = driverTrips.filter(trip => trip.inRange);
+
+      if (driver.is_archived || driver.status !== 'active') {
+        // Not dispatchable; any bookings still assigned to them need another driver
+        if (inRangeTrips.length > 0 || !driver.is_archived) {
+          unavailableDrivers.push({
+            driver_id: driver.id,
+            name: driver.name,
+            rick: driver.rick,
+            status: driver.is_archived ? 'archived' : driver.status,
+            bookings: inRangeTrips.map(present)
+          });
+        }
+        return;
+      }
+
+      const driverPeriods = periods.map(period => {
+        const gaps = [];
+        let busyMinutes = 0;
+        let freeMinutes = 0;
+
+        for (let date = period.start; date <= period.end; date = addDays(date, 1)) {
+          const dayOffset = daysBetween(from, date) * MINUTES_PER_DAY;
+          const free = findFreeTime(busyTrips, dayOffset + windowStartMinutes, dayOffset + windowEndMinutes);
+          const dayFree = free.reduce((sum, stretch) => sum + stretch.minutes, 0);
+
+          freeMinutes += dayFree;
+          busyMinutes += (windowEndMinutes - windowStartMinutes) - dayFree;
+          gaps.push(...free
+            .filter(stretch => stretch.minutes >= minGap)
+            .map(stretch => ({ start: toDateTime(from, stretch.start), end: toDateTime(from, stretch.end), minutes: stretch.minutes })));
+        }
+
+        const bookings = inRangeTrips.filter(trip => trip.booking_date >= period.start && trip.booking_date <= period.end);
+        return {
+          key: period.key,
+          start: period.start,
+          end: period.end,
+          booking_count: bookings.filter(trip => trip.occupies).length,
+          busy_minutes: busyMinutes,
+          free_minutes: freeMinutes,
+          bookings: bookings.map(present),
+          gaps
+        };
+      });
+
+      drivers.push({
+        driver_id: driver.id,
+        name: driver.name,
+        rick: driver.rick,
+        mobile: driver.mobile,
+        status: driver.status,
+        vehicle,
+        booking_count: driverPeriods.reduce((sum, period) => sum + period.booking_count, 0),
+        busy_minutes: driverPeriods.reduce((sum, period) => sum + period.busy_minutes, 0),
+        overlapping_bookings: inRangeTrips.filter(trip => trip.overlaps).length,
+        periods: driverPeriods
+      });
+    });
+
+    const unassigned = trips.filter(trip => !trip.assigned_driver_id && trip.inRange);
+
+    sendSuccess(res, {
+      from,
+      to,
+      group_by,
+      day_start,
+      day_end,
+      min_gap_minutes: minGap,
+      default_duration_minutes: defaultDuration,
+      periods,
+      drivers,
+      unassigned: {
+        booking_count: unassigned.length,
+        periods: periods.map(period => {
+          const bookings = unassigned.filter(trip => trip.booking_date >= period.start && trip.booking_date <= period.end);
+          return { key: period.key, start: period.start, end: period.end, booking_count: bookings.length, bookings: bookings.map(present) };
+        })
+      },
+      unavailable_drivers: unavailableDrivers
+    }, 'Schedule retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    sendError(res, 'Failed to fetch schedule', 500, error);
+  }
+};
+
+module.exports = {
+  getSchedule
+};
@@ -0,0 +1,418 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendValidationError } = require('../../shared/utils/response');
+const { readSheetRows, findColumn, parseAmount, parseSpreadsheetDate, parseSpreadsheetTime } = require('../../shared/utils/spreadsheet');
+const { findDriverForPlate } = require('./assignmentController');
+const { findClosedPeriods, sendPeriodClosed } = require('./financePeriodController');
+
+/**
+ * Traffic Charge Controller
+ * Imports traffic fine and Salik exports and attributes each line to the
+ * driver who held the vehicle at that moment
+ */
+
+const CHARGE_TYPES = ['fine', 'salik'];
+
+// Header names seen in RTA / Salik / police exports, used when no explicit mapping is given
+const COLUMN_CANDIDATES = {
+  plate: ['plate', 'plate no', 'plate number', 'plate_no', 'vehicle plate', 'vehicle plate no', 'plate #'],
+  plate_code: ['plate code', 'plate_code', 'code', 'plate category'],
+  date: ['date time', 'datetime', 'timestamp', 'date', 'transaction date', 'trip date', 'fine date', 'violation date', 'crossing date'],
+  time: ['time', 'transaction time', 'trip time', 'fine time', 'violation time', 'crossing time'],
+  amount: ['amount', 'amount aed', 'fine amount', 'toll amount', 'charge', 'value', 'aed'],
+  reference: ['reference', 'ref', 'ref no', 'ticket no', 'ticket number', 'fine no', 'fine number', 'transaction id', 'trip id']
+};
+
+// Split a plate like "A 12345", "A-12345" or "Dubai/A/12345" into code and number
+const splitPlate = (value) => {
+  const text = String(value || '').trim().toUpperCase();
+  if (!text) return { plateCode: null, plateNo: null };
+
+  const match = text.match(/([A-Z]{1,2})\s*[-/ ]?\s*(\d{1,6})$/);
+  if (match) {
+    return { plateCode: match[1], plateNo: match[2] };
+  }
+
+  const digits = text.match(/(\d{1,6})$/);
+  return { plateCode: null, plateNo: digits ? digits[1] : text };
+};
+
+// Resolve the header to use for each logical column (explicit mapping wins over detection)
+const resolveColumns = (headers, body) => {
+  const pick = (key) => {
+    const explicit = body[`${key}_column`];
+    if (explicit) return headers.includes(explicit) ? explicit : null;
+    return findColumn(headers, COLUMN_CANDIDATES[key]);
+  };
+
+  return {
+    plate: pick('plate'),
+    plate_code: pick('plate_code'),
+    date: pick('date'),
+    time: pick('time'),
+    amount: pick('amount'),
+    reference: pick('reference')
+  };
+};
+
+/**
+ * Add the charges an import matched to the month's finance records
+ * The finance field grows by the amount newly matched per Rick, so values entered by hand are kept
+ * and a re-import (which matches nothing new) leaves it unchanged.
+ * A finance row is created for drivers that have charges but no row in that month yet.
+ * @param {Object} imported - Amount newly matched by this import, keyed by Rick
+ */
+const postChargeTotals = async (client, { year, month_name, charge_type, imported }) => {
+  const ricks = Object.keys(imported);
+  if (ricks.length === 0) return [];
+
+  const totalsResult = await client.query(`
+    SELECT tc.rick, d.name as driver_name, COUNT(*) as lines, SUM(tc.amount) as total
+    FROM traffic_charges tc
+    LEFT JOIN drivers d ON d.id = tc.driver_id
+    WHERE tc.year = $1 AND LOWER(tc.month_name) = LOWER($2) AND tc.charge_type = $3
+      AND tc.status = 'matched' AND tc.rick = ANY($4)
+    GROUP BY tc.rick, d.name
+    ORDER BY tc.rick
+  `, [year, month_name, charge_type, ricks]);
+
+  // Use the header the month's sheet already has for this charge (e.g. "Fine" vs "fine")
+  const layoutResult = await client.query(`
+    SELECT data->'_column_order' as column_order,
+           (SELECT MAX((data->>'_excel_row')::integer) FROM finance_records WHERE year = $1 AND LOWER(month_name) = LOWER($2)) as last_row
+    FROM finance_records
+    WHERE year = $1 AND LOWER(month_name) = LOWER($2)
+    ORDER BY COALESCE((data->>'_excel_row')::integer, id) ASC
+    LIMIT 1
+  `, [year, month_name]);
+
+  const columnOrder = layoutResult.rows.length > 0 && Array.isArray(layoutResult.rows[0].column_order)
+    ? layoutResult.rows[0].column_order
+    : [];
+  let lastRow = layoutResult.rows.length > 0 ? parseInt(layoutResult.rows[0].last_row) || 0 : 0;
+  const fieldKey = columnOrder.find(key => key.toLowerCase() === charge_type) || charge_type;
+  const newColumnOrder = columnOrder.includes(fieldKey) ? columnOrder : [...columnOrder, fieldKey];
+
+  const posted = [];
+  for (const row of totalsResult.rows) {
+    const total = parseFloat(row.total);
+    const added = Math.round(imported[row.rick] * 100) / 100;
+
+    const financeResult = await client.query(`
+      SELECT id, data->($4::text) as value FROM finance_records
+      WHERE year = $1 AND LOWER(month_name) = LOWER($2) AND data->>'Rick' = $3
+      ORDER BY id ASC
+      LIMIT 1
+      FOR UPDATE
+    `, [year, month_name, row.rick, fieldKey]);
+
+    let financeRecordId;
+    let createdRecord = false;
+
+    if (financeResult.rows.length > 0) {
+      financeRecordId = financeResult.rows[0].id;
+      const current = parseAmount(financeResult.rows[0].value) || 0;
+      await client.query(`
+        UPDATE finance_records
+        SET data = data || jsonb_build_object($1::text, $2::numeric), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [fieldKey, Math.round((current + added) * 100) / 100, financeRecordId]);
+    } else {
+      lastRow++;
+      const insertResult = await client.query(`
+        INSERT INTO finance_records (data, year, month_name)
+        VALUES ($1, $2, $3)
+        RETURNING id
+      `, [JSON.stringify({
+        Rick: row.rick,
+        name: row.driver_name,
+        [fieldKey]: total,
+        _excel_row: lastRow,
+        _column_order: newColumnOrder.length > 0 ? newColumnOrder : ['Rick', 'name', fieldKey]
+      }), year, month_name]);
+      financeRecordId = insertResult.rows[0].id;
+      createdRecord = true;
+    }
+
+    posted.push({
+      rick: row.rick,
+      driver_name: row.driver_name,
+      field: fieldKey,
+      lines: parseInt(row.lines),
+      amount: total,
+      added,
+      finance_record_id: financeRecordId,
+      created_record: createdRecord
+    });
+  }
+
+  return posted;
+};
+
+// POST /api/admin/finances/charges/import - Import a fine/Salik export and attribute it to drivers
+const importCharges = async (req, res) => {
+  try {
+    if (!req.file) {
+      return sendError(res, 'No charges file uploaded', 400);
+    }
+
+    const { year, month_name, charge_type } = req.body;
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+
+    if (!year || !month_name || !charge_type) {
+      return sendValidationError(res, 'year, month_name and charge_type are required');
+    }
+
+    if (!CHARGE_TYPES.includes(charge_type)) {
+      return sendValidationError(res, `Invalid charge_type. Must be one of: ${CHARGE_TYPES.join(', ')}`);
+    }
+
+    // Keep CSV cells as text so day-first dates are parsed by us, not by the Excel reader
+    const { rows, headers } = readSheetRows(req.file.buffer, { rawText: true });
+
+    if (rows.length === 0) {
+      return sendError(res, 'Charges file is empty', 400);
+    }
+
+    const columns = resolveColumns(headers, req.body);
+    const missingColumns = ['plate', 'date', 'amount'].filter(key => !columns[key]);
+    if (missingColumns.length > 0) {
+      return sendValidationError(res, {
+        message: `Could not find column(s): ${missingColumns.join(', ')}. Provide them via <name>_column.`,
+        headers
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Charge totals are posted into the month's finance records, which a closed month does not allow
+      const closedPeriods = await findClosedPeriods([{ year, month_name }], client);
+      if (closedPeriods.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPeriodClosed(res, closedPeriods);
+      }
+
+      const matchedAmounts = {};
+      const unmatchedLines = [];
+      const duplicateLines = [];
+      let matchedCount = 0;
+      let matchedAmount = 0;
+
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const line = i + 2; // +1 for header row, +1 for 1-based line numbers
+
+        const split = splitPlate(row[columns.plate]);
+        const plateCode = columns.plate_code && row[columns.plate_code] !== ''
+          ? String(row[columns.plate_code]).trim().toUpperCase()
+          : split.plateCode;
+        const plateNo = split.plateNo;
+        const amount = parseAmount(row[columns.amount]);
+        const reference = columns.reference && row[columns.reference] !== '' ? String(row[columns.reference]).trim() : null;
+
+        let chargedAt = parseSpreadsheetDate(row[columns.date]);
+        if (chargedAt && columns.time && row[columns.time] !== '') {
+          const time = parseSpreadsheetTime(row[columns.time]);
+          chargedAt = time ? `${chargedAt.substring(0, 10)} ${time}` : null;
+        }
+
+        let reason = null;
+        let assignment = null;
+
+        if (!plateNo) {
+          reason = 'Missing plate number';
+        } else if (!chargedAt) {
+          reason = 'Invalid or missing date/time';
+        } else if (amount === null || amount <= 0) {
+          reason = 'Invalid or missing amount';
+        } else {
+          const matches = await findDriverForPlate({ plateNo, plateCode, at: chargedAt }, client);
+          if (matches.length === 0) {
+            reason = 'No driver assigned to this vehicle at that time';
+          } else if (matches.length > 1) {
+            reason = `Ambiguous plate: matches ${matches.map(m => `${m.plate_code} ${m.plate_no}`).join(', ')}`;
+          } else {
+            assignment = matches[0];
+          }
+        }
+
+        const insertResult = await client.query(`
+          INSERT INTO traffic_charges (
+            charge_type, year, month_name, plate_code, plate_no, charged_at, amount, reference,
+            driver_id, rick, assignment_id, status, unmatched_reason, source_file, source_line, raw_data, imported_by
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+          ON CONFLICT (
+            charge_type, COALESCE(plate_code, ''), COALESCE(plate_no, ''),
+            COALESCE(charged_at, '-infinity'::timestamp), COALESCE(amount, 0), COALESCE(reference, '')
+          )
+          DO UPDATE SET
+            year = EXCLUDED.year,
+            month_name = EXCLUDED.month_name,
+            driver_id = EXCLUDED.driver_id,
+            rick = EXCLUDED.rick,
+            assignment_id = EXCLUDED.assignment_id,
+            status = EXCLUDED.status,
+            unmatched_reason = EXCLUDED.unmatched_reason,
+            source_file = EXCLUDED.source_file,
+            source_line = EXCLUDED.source_line,
+            raw_data = EXCLUDED.raw_data,
+            imported_by = EXCLUDED.imported_by
+          WHERE traffic_charges.status = 'unmatched'
+          RETURNING id
+        `, [
+          charge_type,
+          year,
+          month_name,
+          plateCode,
+          plateNo,
+          chargedAt,
+          amount,
+          reference,
+          assignment ? assignment.driver_id : null,
+          assignment ? assignment.rick : null,
+          assignment ? assignment.id : null,
+          assignment ? 'matched' : 'unmatched',
+          reason,
+          req.file.originalname || null,
+          line,
+          JSON.stringify(row),
+          req.user ? req.user.id : null
+        ]);
+
+        // Unmatched lines from an earlier import are replaced; a charge already matched is left alone
+        if (insertResult.rows.length === 0) {
+          duplicateLines.push({ line, plate_code: plateCode, plate_no: plateNo, charged_at: chargedAt, amount, reference });
+        } else if (assignment) {
+          matchedCount++;
+          matchedAmount += amount;
+          matchedAmounts[assignment.rick] = (matchedAmounts[assignment.rick] || 0) + amount;
+        } else {
+          unmatchedLines.push({ line, plate_code: plateCode, plate_no: plateNo, charged_at: chargedAt, amount, reference, reason });
+        }
+      }
+
+      const charges = await postChargeTotals(client, {
+        year,
+        month_name,
+        charge_type,
+        imported: matchedAmounts
+      });
+
+      await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
+      return sendSuccess(res, {
+        dryRun,
+        chargeType: charge_type,
+        month: month_name,
+        year: parseInt(year),
+        columns,
+        totalLines: rows.length,
+        matchedLines: matchedCount,
+        matchedAmount: Math.round(matchedAmount * 100) / 100,
+        unmatchedCount: unmatchedLines.length,
+        duplicateCount: duplicateLines.length,
+        charges,
+        unmatchedLines,
+        duplicateLines
+      }, dryRun
+        ? `Preview: ${matchedCount} of ${rows.length} line(s) matched to drivers`
+        : `Imported ${matchedCount} of ${rows.length} ${charge_type} line(s) into ${month_name} ${year}`);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Error importing charges:', error);
+    sendError(res, 'Failed to import charges', 500, error);
+  }
+};
+
+// GET /api/admin/finances/charges - List imported charge lines with filtering
+const getCharges = async (req, res) => {
+  try {
+    const {
+      page = 0,
+      size = 10,
+      year = '',
+      month = '',
+      charge_type = '',
+      status = '',
+      rick = ''
+    } = req.query;
+
+    const offset = page * size;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (year) {
+      whereClause += ` AND year = $${paramCount}`;
+      params.push(year);
+      paramCount++;
+    }
+
+    if (month) {
+      whereClause += ` AND LOWER(month_name) = LOWER($${paramCount})`;
+      params.push(month);
+      paramCount++;
+    }
+
+    if (charge_type) {
+      whereClause += ` AND charge_type = $${paramCount}`;
+      params.push(charge_type);
+      paramCount++;
+    }
+
+    if (status) {
+      whereClause += ` AND status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (rick) {
+      whereClause += ` AND rick = $${paramCount}`;
+      params.push(rick);
+      paramCount++;
+    }
+
+    const countResult = await query(`SELECT COUNT(*), COALESCE(SUM(amount), 0) as total_amount FROM traffic_charges ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    params.push(size, offset);
+    const result = await query(`
+      SELECT id, charge_type, year, month_name, plate_code, plate_no, charged_at, amount, reference,
+             driver_id, rick, assignment_id, status, unmatched_reason, source_file, source_line, created_at
+      FROM traffic_charges
+      ${whereClause}
+      ORDER BY charged_at DESC NULLS LAST, id DESC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `, params);
+
+    sendSuccess(res, {
+      charges: result.rows,
+      totalAmount: parseFloat(countResult.rows[0].total_amount),
+      pagination: {
+        page: parseInt(page),
+        size: parseInt(size),
+        total,
+        totalPages: Math.ceil(total / parseInt(size))
+      }
+    }, 'Charges retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching charges:', error);
+    sendError(res, 'Failed to fetch charges', 500, error);
+  }
+};
+
+module.exports = {
+  importCharges,
+  getCharges
+};
@@ -0,0 +1,153 @@
+const { query } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound } = require('../../shared/utils/response');
+const config = require('../../config');
+const { removeOwnerDocuments } = require('./documentController');
+
+/**
+ * Trash Controller
+ * Handles soft deletion, restore and purge of drivers, vehicles, bookings and users
+ */
+
+// Soft-deletable resources: table, display label, the columns shown in the trash
+// and, for document owners, the owner type whose scans are removed on purge
+const TRASH_RESOURCES = {
+  drivers: { table: 'drivers', label: 'Driver', columns: 'id, rick, name, mobile, status', documentOwner: 'driver' },
+  vehicles: { table: 'vehicles', label: 'Vehicle', columns: 'id, rick_no, plate_code, plate_no, vehicle_type, model', documentOwner: 'vehicle' },
+  bookings: { table: 'bookings', label: 'Booking', columns: 'id, reference_code, guest_name, mobile_number, booking_date, booking_time, status' },
+  users: { table: 'users', label: 'User', columns: 'id, name, username, email' }
+};
+
+/**
+ * Move rows to the trash
+ * Exported so each resource's delete handlers archive instead of deleting
+ * @param {string} resource - Key of TRASH_RESOURCES
+ * @param {Array<number>} ids - Row ids
+ * @param {number|null} userId - Acting user
+ * @param {Object} db - Query runner (pool or transaction client), defaults to the pool
+ * @returns {Array<Object>} Archived rows (rows already in the trash are not returned)
+ */
+const archiveRows = async (resource, ids, userId, db = { query }) => {
+  const { table } = TRASH_RESOURCES[resource];
+
+  const result = await db.query(`
+    UPDATE ${table}
+    SET is_archived = true, archived_at = CURRENT_TIMESTAMP, archived_by = $2
+    WHERE id = ANY($1) AND is_archived = false
+    RETURNING *
+  `, [ids.map(id => parseInt(id)), userId || null]);
+
+  return result.rows;
+};
+
+// GET /api/admin/<resource>/trash - List archived rows of a resource
+const getTrash = (resource) => async (req, res) => {
+  const { table, label, columns } = TRASH_RESOURCES[resource];
+
+  try {
+    const { page = 0, size = 10 } = req.query;
+    const offset = page * size;
+
+    const countResult = await query(`SELECT COUNT(*) FROM ${table} WHERE is_archived = true`);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await query(`
+      SELECT
+        ${columns.split(', ').map(column => `t.${column}`).join(', ')},
+        t.archived_at,
+        t.archived_by,
+        u.username as archived_by_username,
+        t.archived_at + $3::int * INTERVAL '1 day' as purge_after
+      FROM ${table} t
+      LEFT JOIN users u ON u.id = t.archived_by
+      WHERE t.is_archived = true
+      ORDER BY t.archived_at DESC
+      LIMIT $1 OFFSET $2
+    `, [size, offset, config.trash.retentionDays]);
+
+    sendSuccess(res, {
+      [resource]: result.rows,
+      retentionDays: config.trash.retentionDays,
+      pagination: {
+        page: parseInt(page),
+        size: parseInt(size),
+        total,
+        totalPages: Math.ceil(total / parseInt(size))
+      }
+    }, `Archived ${label.toLowerCase()}s retrieved successfully`);
+
+  } catch (error) {
+    console.error(`Error fetching archived ${resource}:`, error);
+    sendError(res, `Failed to fetch archived ${resource}`, 500, error);
+  }
+};
+
+// POST /api/admin/<resource>/:id/restore - Restore an archived row
+const restoreItem = (resource) => async (req, res) => {
+  const { table, label } = TRASH_RESOURCES[resource];
+
+  try {
+    const { id } = req.params;
+
+    const result = await query(`
+      UPDATE ${table}
+      SET is_archived = false, archived_at = NULL, archived_by = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_archived = true
+      RETURNING *
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return sendNotFound(res, `Archived ${label.toLowerCase()}`);
+    }
+
+    const restored = result.rows[0];
+    delete restored.password_hash;
+    delete restored.refresh_token;
+
+    sendSuccess(res, restored, `${label} restored successfully`);
+
+  } catch (error) {
+    console.error(`Error restoring ${resource}:`, error);
+    sendError(res, `Failed to restore ${label.toLowerCase()}`, 500, error);
+  }
+};
+
+// DELETE /api/admin/<resource>/trash - Permanently delete rows archived longer than the retention period (superadmin only)
+const purgeTrash = (resource) => async (req, res) => {
+  const { table, label, documentOwner } = TRASH_RESOURCES[resource];
+
+  try {
+    const retentionDays = config.trash.retentionDays;
+
+    const result = await query(`
+      DELETE FROM ${table}
+      WHERE is_archived = true
+        AND archived_at < CURRENT_TIMESTAMP - $1::int * INTERVAL '1 day'
+      RETURNING id
+    `, [retentionDays]);
+
+    const purgedIds = result.rows.map(row => row.id);
+    const documentsRemoved = documentOwner ? await removeOwnerDocuments(documentOwner, purgedIds) : 0;
+
+    sendSuccess(res, {
+      purgedCount: result.rows.length,
+      purgedIds,
+      documentsRemoved,
+      retentionDays
+    }, `Permanently deleted ${result.rows.length} ${label.toLowerCase()}(s) archived more than ${retentionDays} days ago`);
+
+  } catch (error) {
+    // Rows still referenced by records without ON DELETE rules stay in the trash
+    if (error.code === '23503') {
+      return sendError(res, `Some archived ${resource} are still referenced by other records and cannot be purged`, 409, error);
+    }
+    console.error(`Error purging ${resource}:`, error);
+    sendError(res, `Failed to purge archived ${resource}`, 500, error);
+  }
+};
+
+module.exports = {
+  archiveRows,
+  getTrash,
+  restoreItem,
+  purgeTrash
+};
@@ -1,5 +1,6 @@
 const { query, pool } = require('../../shared/database/connection');
 const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { archiveRows } = require('./trashController');
 const bcrypt = require('bcryptjs');
 
 /**
@@ -21,8 +22,8 @@ const getAllUsers = async (req, res) => {
 
     const offset = page * size;
 
-    // Build dynamic query
-    let whereClause = 'WHERE 1=1';
+    // Build dynamic query (archived users live in the trash)
+    let whereClause = 'WHERE u.is_archived = false';
     const params = [];
     let paramCount = 1;
 
@@ -135,7 +136,7 @@ const getUserById = async (req, res) => {
         r.description as role_description
       FROM users u
       LEFT JOIN roles r ON u.role_id = r.id
-      WHERE u.id = $1
+      WHERE u.id = $1 AND u.is_archived = false
     `, [id]);
 
     if (result.rows.length === 0) {
@@ -189,11 +190,14 @@ const createUser = async (req, res) => {
 
     // Check if user already exists
     const existingUser = await query(
-      'SELECT id FROM users WHERE username = $1 OR email = $2',
+      'SELECT id, is_archived FROM users WHERE username = $1 OR email = $2',
       [username, email]
     );
 
     if (existingUser.rows.length > 0) {
+      if (existingUser.rows.some(user => user.is_archived)) {
+        return sendError(res, 'A deleted user with this username or email is in the trash. Restore it instead of creating a new one', 409);
+      }
       return sendError(res, 'User with this username or email already exists', 409);
     }
 
@@ -246,7 +250,7 @@ const updateUser = async (req, res) => {
     const { name, username, email, user_dob, user_contact_num, role } = req.body;
 
     // Check if user exists
-    const existingResult = await query('SELECT * FROM users WHERE id = $1', [id]);
+    const existingResult = await query('SELECT * FROM users WHERE id = $1 AND is_archived = false', [id]);
     if (existingResult.rows.length === 0) {
       return sendNotFound(res, 'User');
     }
@@ -311,14 +315,14 @@ const updateUser = async (req, res) => {
   }
 };
 
-// DELETE /api/admin/users/:id - Delete user
+// DELETE /api/admin/users/:id - Delete user (moves it to the trash)
 const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query('DELETE FROM users WHERE id = $1 RETURNING *', [id]);
+    const archived = await archiveRows('users', [id], req.user ? req.user.id : null);
 
-    if (result.rows.length === 0) {
+    if (archived.length === 0) {
       return sendNotFound(res, 'User');
     }
 
@@ -352,7 +356,7 @@ const getUsersByRole = async (req, res) => {
         r.name as role_name
       FROM users u
       LEFT JOIN roles r ON u.role_id = r.id
-      WHERE r.name = $1
+      WHERE r.name = $1 AND u.is_archived = false
       ORDER BY u.join_date DESC
       LIMIT $2 OFFSET $3
     `, [role, size, offset]);
@@ -361,7 +365,7 @@ const getUsersByRole = async (req, res) => {
     const countResult = await query(
       `SELECT COUNT(*) FROM users u
        LEFT JOIN roles r ON u.role_id = r.id
-       WHERE r.name = $1`,
+       WHERE r.name = $1 AND u.is_archived = false`,
       [role]
     );
     const total = parseInt(countResult.rows[0].count);
@@ -404,6 +408,7 @@ const getUserSummary = async (req, res) => {
         COUNT(*) as total_users,
         COUNT(DISTINCT u.role_id) as total_roles
       FROM users u
+      WHERE u.is_archived = false
     `;
 
     const summaryResult = await query(summaryQuery);
@@ -415,7 +420,7 @@ const getUserSummary = async (req, res) => {
         r.description,
         COUNT(u.id) as count
       FROM roles r
-      LEFT JOIN users u ON r.id = u.role_id
+      LEFT JOIN users u ON r.id = u.role_id AND u.is_archived = false
       GROUP BY r.id, r.name, r.description
       ORDER BY count DESC
     `);
@@ -431,6 +436,7 @@ const getUserSummary = async (req, res) => {
         r.name as role_name
       FROM users u
       LEFT JOIN roles r ON u.role_id = r.id
+      WHERE u.is_archived = false
       ORDER BY u.join_date DESC
       LIMIT 5
     `);
@@ -466,7 +472,7 @@ const updateUserRole = async (req, res) => {
     const roleId = roleResult.rows[0].id;
 
     // Check if user exists
-    const existingResult = await query('SELECT * FROM users WHERE id = $1', [id]);
+    const existingResult = await query('SELECT * FROM users WHERE id = $1 AND is_archived = false', [id]);
     if (existingResult.rows.length === 0) {
       return sendNotFound(res, 'User');
     }
@@ -511,9 +517,9 @@ const bulkDeleteUsers = async (req, res) => {
       return sendError(res, `Invalid IDs: ${invalidIds.join(', ')}`, 400);
     }
 
-    // Check which users exist
+    // Check which users exist (already archived ones count as not found)
     const existingUsers = await query(
-      `SELECT id FROM users WHERE id = ANY($1)`,
+      `SELECT id FROM users WHERE id = ANY($1) AND is_archived = false`,
       [ids]
     );
 
@@ -524,20 +530,16 @@ const bulkDeleteUsers = async (req, res) => {
       return sendError(res, 'No users found with the provided IDs', 404);
     }
 
-    // Delete the users
-    const deleteQuery = `
-      DELETE FROM users 
-      WHERE id = ANY($1) 
-      RETURNING id, name, username, email
-    `;
-    const result = await query(deleteQuery, [existingIds]);
+    // Move the users to the trash
+    const archived = await archiveRows('users', existingIds, req.user ? req.user.id : null);
+    const deletedUsers = archived.map(({ id, name, username, email }) => ({ id, name, username, email }));
 
     sendSuccess(res, {
-      deletedCount: result.rows.length,
-      deletedIds: result.rows.map(row => row.id),
+      deletedCount: deletedUsers.length,
+      deletedIds: deletedUsers.map(row => row.id),
       notFoundIds: notFoundIds,
-      deletedUsers: result.rows
-    }, `Successfully deleted ${result.rows.length} user(s)`);
+      deletedUsers
+    }, `Successfully deleted ${deletedUsers.length} user(s)`);
 
   } catch (error) {
     console.error('Error bulk deleting users:', error);
@@ -570,7 +572,7 @@ const searchUsers = async (req, res) => {
         r.name as role_name
       FROM users u
       LEFT JOIN roles r ON u.role_id = r.id
-      WHERE (
+      WHERE u.is_archived = false AND (
         u.username ILIKE $1 OR 
         u.email ILIKE $1 OR 
         u.name ILIKE $1 OR
@@ -583,7 +585,7 @@ const searchUsers = async (req, res) => {
     // Get total count for pagination
     const countResult = await query(`
       SELECT COUNT(*) FROM users u
-      WHERE (
+      WHERE u.is_archived = false AND (
         u.username ILIKE $1 OR 
         u.email ILIKE $1 OR 
         u.name ILIKE $1 OR
@@ -636,7 +638,7 @@ const updateUserPassword = async (req, res) => {
     }
 
     // Check if user exists
-    const existingResult = await query('SELECT id FROM users WHERE id = $1', [id]);
+    const existingResult = await query('SELECT id FROM users WHERE id = $1 AND is_archived = false', [id]);
     if (existingResult.rows.length === 0) {
       return sendNotFound(res, 'User');
     }
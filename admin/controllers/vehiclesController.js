@@ -1,5 +1,7 @@
 const { query, pool } = require('../../shared/database/connection');
 const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { archiveAssignedRows } = require('./assignmentController');
+const { emitEvent } = require('../../shared/notifications/events');
 
 /**
  * Vehicles Controller
@@ -27,8 +29,8 @@ const getAllVehicles = async (req, res) => {
                               'created_at', 'updated_at'];
     const sortColumn = validSortColumns.includes(sort) ? sort : 'created_at';
 
-    // Build dynamic query
-    let whereClause = 'WHERE 1=1';
+    // Build dynamic query (archived vehicles live in the trash)
+    let whereClause = 'WHERE is_archived = false';
     const params = [];
     let paramCount = 1;
 
@@ -114,7 +116,7 @@ const getVehicleById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query('SELECT * FROM vehicles WHERE id = $1', [id]);
+    const result = await query('SELECT * FROM vehicles WHERE id = $1 AND is_archived = false', [id]);
 
     if (result.rows.length === 0) {
       return sendNotFound(res, 'Vehicle');
@@ -138,14 +140,14 @@ const getVehiclesByRick = async (req, res) => {
 
     const result = await query(`
       SELECT * FROM vehicles 
-      WHERE rick_no = $1
+      WHERE rick_no = $1 AND is_archived = false
       ORDER BY created_at DESC
       LIMIT $2 OFFSET $3
     `, [rick_no, size, offset]);
 
     // Get total count for pagination
     const countResult = await query(
-      'SELECT COUNT(*) FROM vehicles WHERE rick_no = $1',
+      'SELECT COUNT(*) FROM vehicles WHERE rick_no = $1 AND is_archived = false',
       [rick_no]
     );
     const total = parseInt(countResult.rows[0].count);
@@ -189,11 +191,14 @@ const createVehicle = async (req, res) => {
 
     // Check if vehicle with same plate already exists
     const existingVehicle = await query(
-      'SELECT id FROM vehicles WHERE plate_code = $1 AND plate_no = $2',
+      'SELECT id, is_archived FROM vehicles WHERE plate_code = $1 AND plate_no = $2',
       [plate_code, plate_no]
     );
 
     if (existingVehicle.rows.length > 0) {
+      if (existingVehicle.rows[0].is_archived) {
+        return sendError(res, 'A deleted vehicle with this plate is in the trash. Restore it instead of creating a new one', 409);
+      }
       return sendError(res, 'Vehicle with this plate code and number already exists', 409);
     }
 
@@ -229,6 +234,13 @@ const createVehicle = async (req, res) => {
 
     sendSuccess(res, insertResult.rows[0], 'Vehicle created successfully', 201);
 
+    emitEvent('vehicle.created', {
+      title: `New vehicle ${insertResult.rows[0].plate_code} ${insertResult.rows[0].plate_no}`,
+      entityType: 'vehicles',
+      entityId: insertResult.rows[0].id,
+      actorId: req.user ? req.user.id : null
+    });
+
   } catch (error) {
     console.error('Error creating vehicle:', error);
     sendError(res, 'Failed to create vehicle', 500, error);
@@ -253,7 +265,7 @@ const updateVehicle = async (req, res) => {
     } = req.body;
 
     // Check if vehicle exists
-    const existingResult = await query('SELECT * FROM vehicles WHERE id = $1', [id]);
+    const existingResult = await query('SELECT * FROM vehicles WHERE id = $1 AND is_archived = false', [id]);
     if (existingResult.rows.length === 0) {
       return sendNotFound(res, 'Vehicle');
     }
@@ -302,25 +314,39 @@ const updateVehicle = async (req, res) => {
 
     sendSuccess(res, updateResult.rows[0], 'Vehicle updated successfully');
 
+    emitEvent('vehicle.updated', {
+      title: `Vehicle ${updateResult.rows[0].plate_code} ${updateResult.rows[0].plate_no} updated`,
+      entityType: 'vehicles',
+      entityId: updateResult.rows[0].id,
+      actorId: req.user ? req.user.id : null
+    });
+
   } catch (error) {
     console.error('Error updating vehicle:', error);
     sendError(res, 'Failed to update vehicle', 500, error);
   }
 };
 
-// DELETE /api/admin/vehicles/:id - Delete vehicle
+// DELETE /api/admin/vehicles/:id - Delete vehicle (moves it to the trash)
 const deleteVehicle = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query('DELETE FROM vehicles WHERE id = $1 RETURNING *', [id]);
+    const archived = await archiveAssignedRows('vehicles', [id], req.user ? req.user.id : null);
 
-    if (result.rows.length === 0) {
+    if (archived.length === 0) {
       return sendNotFound(res, 'Vehicle');
     }
 
     sendSuccess(res, { id: parseInt(id) }, 'Vehicle deleted successfully');
 
+    emitEvent('vehicle.deleted', {
+      title: `Vehicle ${archived[0].plate_code} ${archived[0].plate_no} moved to the trash`,
+      entityType: 'vehicles',
+      entityId: archived[0].id,
+      actorId: req.user ? req.user.id : null
+    });
+
   } catch (error) {
     console.error('Error deleting vehicle:', error);
     sendError(res, 'Failed to delete vehicle', 500, error);
@@ -343,9 +369,9 @@ const bulkDeleteVehicles = async (req, res) => {
       return sendError(res, `Invalid IDs: ${invalidIds.join(', ')}`, 400);
     }
 
-    // Check which vehicles exist
+    // Check which vehicles exist (already archived ones count as not found)
     const existingVehicles = await query(
-      `SELECT id FROM vehicles WHERE id = ANY($1)`,
+      `SELECT id FROM vehicles WHERE id = ANY($1) AND is_archived = false`,
       [ids]
     );
 
@@ -356,20 +382,23 @@ const bulkDeleteVehicles = async (req, res) => {
       return sendError(res, 'No vehicles found with the provided IDs', 404);
     }
 
-    // Delete the vehicles
-    const deleteQuery = `
-      DELETE FROM vehicles 
-      WHERE id = ANY($1) 
-      RETURNING id, rick_no, plate_code, plate_no
-    `;
-    const result = await query(deleteQuery, [existingIds]);
+    // Move the vehicles to the trash and end their driver assignments
+    const archived = await archiveAssignedRows('vehicles', existingIds, req.user ? req.user.id : null);
+    const deletedVehicles = archived.map(({ id, rick_no, plate_code, plate_no }) => ({ id, rick_no, plate_code, plate_no }));
 
     sendSuccess(res, {
-      deletedCount: result.rows.length,
-      deletedIds: result.rows.map(row => row.id),
+      deletedCount: deletedVehicles.length,
+      deletedIds: deletedVehicles.map(row => row.id),
       notFoundIds: notFoundIds,
-      deletedVehicles: result.rows
-    }, `Successfully deleted ${result.rows.length} vehicle(s)`);
+      deletedVehicles
+    }, `Successfully deleted ${deletedVehicles.length} vehicle(s)`);
+
+    emitEvent('vehicle.deleted', {
+      title: `${deletedVehicles.length} vehicle(s) moved to the trash`,
+      entityType: 'vehicles',
+      data: { ids: deletedVehicles.map(row => row.id) },
+      actorId: req.user ? req.user.id : null
+    });
 
   } catch (error) {
     console.error('Error bulk deleting vehicles:', error);
@@ -386,7 +415,7 @@ const getExpiringVehicles = async (req, res) => {
     futureDate.setDate(futureDate.getDate() + parseInt(days));
     const futureDateStr = futureDate.toISOString().split('T')[0];
 
-    let whereClause = 'WHERE ';
+    let whereClause = 'WHERE is_archived = false AND (';
     const conditions = [];
 
     if (type === 'mulkiya' || type === 'all') {
@@ -397,7 +426,7 @@ const getExpiringVehicles = async (req, res) => {
       conditions.push(`vehicle_insurance_expiry <= '${futureDateStr}' AND vehicle_insurance_expiry >= CURRENT_DATE`);
     }
 
-    whereClause += conditions.join(' OR ');
+    whereClause += conditions.join(' OR ') + ')';
 
     const result = await query(`
       SELECT * FROM vehicles 
@@ -433,6 +462,7 @@ const getVehicleSummary = async (req, res) => {
         COUNT(DISTINCT rick_no) as unique_ricks,
         COUNT(DISTINCT vehicle_type) as vehicle_types_count
       FROM vehicles
+      WHERE is_archived = false
     `;
 
     const summaryResult = await query(summaryQuery);
@@ -443,7 +473,7 @@ const getVehicleSummary = async (req, res) => {
         vehicle_type,
         COUNT(*) as count
       FROM vehicles
-      WHERE vehicle_type IS NOT NULL
+      WHERE vehicle_type IS NOT NULL AND is_archived = false
       GROUP BY vehicle_type
       ORDER BY count DESC
     `);
@@ -456,6 +486,7 @@ const getVehicleSummary = async (req, res) => {
         COUNT(CASE WHEN mulkiya_expiry < CURRENT_DATE THEN 1 END) as expired_mulkiya,
         COUNT(CASE WHEN vehicle_insurance_expiry < CURRENT_DATE THEN 1 END) as expired_insurance
       FROM vehicles
+      WHERE is_archived = false
     `;
 
     const expiringResult = await query(expiringQuery);
@@ -9,14 +9,52 @@ const usersController = require('../controllers/usersController');
 const vehiclesController = require('../controllers/vehiclesController');
 const dashboardController = require('../controllers/dashboardController');
 const bookingController = require('../controllers/bookingController');
+const assignmentController = require('../controllers/assignmentController');
+const trafficChargeController = require('../controllers/trafficChargeController');
+const financeTemplateController = require('../controllers/financeTemplateController');
+const ledgerController = require('../controllers/ledgerController');
+const financePeriodController = require('../controllers/financePeriodController');
+const auditController = require('../controllers/auditController');
+const trashController = require('../controllers/trashController');
+const documentController = require('../controllers/documentController');
+const renewalController = require('../controllers/renewalController');
+const notificationController = require('../controllers/notificationController');
+const eventStreamController = require('../controllers/eventStreamController');
+const driverAccountController = require('../controllers/driverAccountController');
+const pricingController = require('../controllers/pricingController');
+const bookingSeriesController = require('../controllers/bookingSeriesController');
+const customerController = require('../controllers/customerController');
+const invoiceController = require('../controllers/invoiceController');
+const scheduleController = require('../controllers/scheduleController');
 
 // Import middleware
-const { authenticate } = require('../../shared/middleware/auth');
-const { requirePermission, requireAdmin, requireManager } = require('../../shared/middleware/authorize');
+const { authenticate, acceptQueryToken } = require('../../shared/middleware/auth');
+const { requirePermission, requireAdmin, requireManager, requireSuperAdmin } = require('../../shared/middleware/authorize');
+const { auditMutations } = require('../../shared/middleware/audit');
+
+// Live event stream - registered first so it can also take the token from the query string
+router.get('/events/stream', acceptQueryToken, authenticate, eventStreamController.streamEvents);
 
 // Apply authentication to all admin routes
 router.use(authenticate);
 
+// Record every create/update/delete in the audit log
+router.use(auditMutations());
+
+// Trash routes (protected) - registered before the /:id routes so 'trash' is not read as an id
+router.get('/drivers/trash', requirePermission('drivers.delete'), trashController.getTrash('drivers'));
+router.post('/drivers/:id/restore', requirePermission('drivers.delete'), trashController.restoreItem('drivers'));
+router.delete('/drivers/trash', requireSuperAdmin(), trashController.purgeTrash('drivers'));
+router.get('/vehicles/trash', requirePermission('vehicles.delete'), trashController.getTrash('vehicles'));
+router.post('/vehicles/:id/restore', requirePermission('vehicles.delete'), trashController.restoreItem('vehicles'));
+router.delete('/vehicles/trash', requireSuperAdmin(), trashController.purgeTrash('vehicles'));
+router.get('/bookings/trash', requirePermission('bookings.delete'), trashController.getTrash('bookings'));
+router.post('/bookings/:id/restore', requirePermission('bookings.delete'), trashController.restoreItem('bookings'));
+router.delete('/bookings/trash', requireSuperAdmin(), trashController.purgeTrash('bookings'));
+router.get('/users/trash', requirePermission('users.delete'), trashController.getTrash('users'));
+router.post('/users/:id/restore', requirePermission('users.delete'), trashController.restoreItem('users'));
+router.delete('/users/trash', requireSuperAdmin(), trashController.purgeTrash('users'));
+
 // Finance routes (protected)
 router.get('/finances', requirePermission('finances.view'), financeController.getFinances);
 router.put('/finances/:id', requirePermission('finances.update'), financeController.updateFinance);
@@ -24,20 +62,48 @@ router.delete('/finances/:id', requirePermission('finances.delete'), financeCont
 router.delete('/finances', requirePermission('finances.delete'), financeController.bulkDeleteFinances);
 router.delete('/finances/fields/:fieldname', requireAdmin(), financeController.deleteField);
 router.post('/finances/upload', requirePermission('finances.upload'), financeController.upload.single('excelFile'), financeController.uploadFinances);
+router.post('/finances/import', requirePermission('finances.upload'), financeController.upload.array('excelFiles', 20), financeController.importFinanceWorkbooks);
 router.post('/finances/update', requirePermission('finances.upload'), financeController.upload.single('excelFile'), financeController.updateFinances);
 
+// Finance upload template routes (protected)
+router.get('/finances/templates', requirePermission('finances.view'), financeTemplateController.getTemplates);
+router.get('/finances/templates/:id', requirePermission('finances.view'), financeTemplateController.getTemplateById);
+router.post('/finances/templates', requirePermission('finances.upload'), financeTemplateController.createTemplate);
+router.put('/finances/templates/:id', requirePermission('finances.upload'), financeTemplateController.updateTemplate);
+router.delete('/finances/templates/:id', requirePermission('finances.upload'), financeTemplateController.deleteTemplate);
+
+// Finance month-close routes (protected)
+router.get('/finances/periods', requirePermission('finances.view'), financePeriodController.getPeriods);
+router.get('/finances/periods/history', requirePermission('finances.view'), financePeriodController.getPeriodHistory);
+router.post('/finances/periods/close', requirePermission('finances.close'), financePeriodController.closePeriod);
+router.post('/finances/periods/reopen', requireSuperAdmin(), financePeriodController.reopenPeriod);
+
+// Traffic fine / Salik attribution routes (protected)
+router.get('/finances/charges', requirePermission('finances.view'), trafficChargeController.getCharges);
+router.post('/finances/charges/import', requirePermission('finances.upload'), financeController.upload.single('chargesFile'), trafficChargeController.importCharges);
+
 // Payslip routes (protected)
 router.get('/payslips', requirePermission('payslips.view'), payslipController.getAllPayslips);
+router.get('/payslips/pdf', requirePermission('payslips.view'), payslipController.downloadMonthPayslips);
 router.get('/payslips/:id', requirePermission('payslips.view'), payslipController.getPayslipById);
+router.get('/payslips/:id/pdf', requirePermission('payslips.view'), payslipController.getPayslipPdf);
 router.post('/payslips', requirePermission('payslips.create'), payslipController.createPayslip);
 router.put('/payslips/:id', requirePermission('payslips.update'), payslipController.updatePayslip);
 router.delete('/payslips/:id', requirePermission('payslips.delete'), payslipController.deletePayslip);
 router.get('/payslips/employee/:employee_id', requirePermission('payslips.view'), payslipController.getPayslipsByEmployee);
 router.get('/payslips/summary', requirePermission('payslips.view'), payslipController.getPayslipSummary);
 router.post('/payslips/generate', requirePermission('payslips.generate'), payslipController.generatePayslip);
+router.post('/payslips/generate/month', requirePermission('payslips.generate'), payslipController.generateMonthPayslips);
 router.post('/payslips/insert', requirePermission('payslips.create'), payslipController.insertPayslip);
 router.post('/payslips/update', requirePermission('payslips.update'), payslipController.updatePayslipData);
 
+// Payslip workflow routes (protected)
+router.get('/payslips/:id/history', requirePermission('payslips.view'), payslipController.getPayslipHistory);
+router.post('/payslips/:id/approve', requirePermission('payslips.approve'), payslipController.approvePayslip);
+router.post('/payslips/:id/issue', requirePermission('payslips.issue'), payslipController.issuePayslip);
+router.post('/payslips/:id/lock', requirePermission('payslips.issue'), payslipController.lockPayslip);
+router.post('/payslips/:id/reopen', requireAdmin(), payslipController.reopenPayslip);
+
 // Driver routes (protected)
 router.get('/drivers', requirePermission('drivers.view'), driverController.getAllDrivers);
 router.get('/drivers/summary', requirePermission('drivers.view'), driverController.getDriverSummary);
@@ -51,6 +117,34 @@ router.put('/drivers/:id/status', requirePermission('drivers.update'), driverCon
 router.delete('/drivers/:id', requirePermission('drivers.delete'), driverController.deleteDriver);
 router.delete('/drivers', requirePermission('drivers.delete'), driverController.bulkDeleteDrivers);
 
+// Driver document routes (protected)
+router.get('/drivers/:id/documents', requirePermission('documents.view'), documentController.getDocuments('driver'));
+router.post('/drivers/:id/documents', requirePermission('documents.upload'), documentController.receiveDocument, documentController.uploadDocument('driver'));
+router.get('/drivers/:id/documents/:documentId/download', requirePermission('documents.view'), documentController.downloadDocument('driver'));
+router.delete('/drivers/:id/documents/:documentId', requirePermission('documents.delete'), documentController.deleteDocument('driver'));
+router.get('/drivers/:id/renewals', requirePermission('documents.view'), renewalController.getRenewals('driver'));
+router.post('/drivers/:id/renewals', requirePermission('documents.upload'), documentController.receiveDocument, renewalController.createRenewal('driver'));
+
+// Driver-to-vehicle assignment routes (protected)
+router.get('/drivers/:id/assignments', requirePermission('drivers.view'), assignmentController.getDriverAssignments);
+router.post('/drivers/:id/vehicle', requirePermission('drivers.update'), assignmentController.assignVehicleToDriver);
+router.delete('/drivers/:id/vehicle', requirePermission('drivers.update'), assignmentController.unassignDriverVehicle);
+
+// Driver app login routes (protected)
+router.get('/drivers/:id/app-account', requirePermission('drivers.view'), driverAccountController.getDriverAccount);
+router.put('/drivers/:id/app-account', requirePermission('drivers.update'), driverAccountController.upsertDriverAccount);
+router.delete('/drivers/:id/app-account', requirePermission('drivers.update'), driverAccountController.disableDriverAccount);
+
+// Driver ledger routes (protected)
+router.get('/drivers/:id/ledger', requirePermission('ledger.view'), ledgerController.getDriverLedger);
+router.post('/drivers/:id/ledger', requirePermission('ledger.create'), ledgerController.createLedgerEntry);
+
+// Vehicle-to-driver assignment routes (protected)
+router.get('/vehicles/plate/:plate_no/driver', requirePermission('vehicles.view'), assignmentController.getDriverByPlateAt);
+router.get('/vehicles/:id/assignments', requirePermission('vehicles.view'), assignmentController.getVehicleAssignments);
+router.post('/vehicles/:id/driver', requirePermission('vehicles.update'), assignmentController.assignDriverToVehicle);
+router.delete('/vehicles/:id/driver', requirePermission('vehicles.update'), assignmentController.unassignVehicleDriver);
+
 // Users routes (protected)
 router.get('/users', requirePermission('users.view'), usersController.getAllUsers);
 router.get('/users/summary', requirePermission('users.view'), usersController.getUserSummary);
@@ -75,6 +169,14 @@ router.put('/vehicles/:id', requirePermission('vehicles.update'), vehiclesContro
 router.delete('/vehicles/:id', requirePermission('vehicles.delete'), vehiclesController.deleteVehicle);
 router.delete('/vehicles', requirePermission('vehicles.delete'), vehiclesController.bulkDeleteVehicles);
 
+// Vehicle document routes (protected)
+router.get('/vehicles/:id/documents', requirePermission('documents.view'), documentController.getDocuments('vehicle'));
+router.post('/vehicles/:id/documents', requirePermission('documents.upload'), documentController.receiveDocument, documentController.uploadDocument('vehicle'));
+router.get('/vehicles/:id/documents/:documentId/download', requirePermission('documents.view'), documentController.downloadDocument('vehicle'));
+router.delete('/vehicles/:id/documents/:documentId', requirePermission('documents.delete'), documentController.deleteDocument('vehicle'));
+router.get('/vehicles/:id/renewals', requirePermission('documents.view'), renewalController.getRenewals('vehicle'));
+router.post('/vehicles/:id/renewals', requirePermission('documents.upload'), documentController.receiveDocument, renewalController.createRenewal('vehicle'));
+
 // Dashboard routes (protected)
 router.get('/dashboard/drivers', requirePermission('dashboard.view'), dashboardController.getDriverStats);
 router.get('/dashboard/vehicles', requirePermission('dashboard.view'), dashboardController.getVehicleStats);
@@ -83,10 +185,62 @@ router.get('/dashboard/expiring-documents', requirePermission('dashboard.view'),
 
 // Booking routes (protected)
 router.get('/bookings', requirePermission('bookings.view'), bookingController.getAllBookings);
+router.get('/bookings/schedule', requirePermission('bookings.view'), scheduleController.getSchedule);
+// Booking series (recurring / multi-leg) - registered before /bookings/:id
+router.get('/bookings/series', requirePermission('bookings.view'), bookingSeriesController.getAllSeries);
+router.post('/bookings/series', requirePermission('bookings.create'), bookingSeriesController.createSeries);
+router.get('/bookings/series/:id', requirePermission('bookings.view'), bookingSeriesController.getSeriesById);
+router.put('/bookings/series/:id', requirePermission('bookings.update'), bookingSeriesController.updateSeries);
+router.post('/bookings/series/:id/cancel', requirePermission('bookings.update'), bookingSeriesController.cancelSeries);
 router.get('/bookings/:id', requirePermission('bookings.view'), bookingController.getBookingById);
 router.post('/bookings', requirePermission('bookings.create'), bookingController.createBooking);
 router.put('/bookings/:id', requirePermission('bookings.update'), bookingController.updateBooking);
 router.patch('/bookings/:id/assign-driver', requirePermission('bookings.update'), bookingController.assignDriver);
+router.post('/bookings/:id/confirm', requirePermission('bookings.update'), bookingController.confirmBooking);
+router.post('/bookings/:id/start', requirePermission('bookings.update'), bookingController.startBooking);
+router.post('/bookings/:id/complete', requirePermission('bookings.update'), bookingController.completeBooking);
+router.post('/bookings/:id/cancel', requirePermission('bookings.update'), bookingController.cancelBooking);
+router.get('/bookings/:id/history', requirePermission('bookings.view'), bookingController.getBookingHistory);
+router.post('/bookings/:id/quote', requirePermission('bookings.update'), pricingController.quoteBooking);
+router.put('/bookings/:id/fare', requirePermission('bookings.update'), pricingController.setFinalFare);
 router.delete('/bookings/:id', requirePermission('bookings.delete'), bookingController.deleteBooking);
 
+// Pricing routes (protected)
+router.get('/pricing/rate-cards', requirePermission('pricing.view'), pricingController.getRateCards);
+router.get('/pricing/rate-cards/:id', requirePermission('pricing.view'), pricingController.getRateCardById);
+router.post('/pricing/rate-cards', requirePermission('pricing.manage'), pricingController.createRateCard);
+router.put('/pricing/rate-cards/:id', requirePermission('pricing.manage'), pricingController.updateRateCard);
+router.delete('/pricing/rate-cards/:id', requirePermission('pricing.manage'), pricingController.deleteRateCard);
+router.post('/pricing/quote', requirePermission('pricing.view'), pricingController.getQuote);
+
+// Customer routes (protected)
+router.get('/customers', requirePermission('customers.view'), customerController.getAllCustomers);
+router.get('/customers/:id', requirePermission('customers.view'), customerController.getCustomerById);
+router.post('/customers', requirePermission('customers.create'), customerController.createCustomer);
+router.put('/customers/:id', requirePermission('customers.update'), customerController.updateCustomer);
+router.delete('/customers/:id', requirePermission('customers.delete'), customerController.deleteCustomer);
+router.post('/customers/:id/contacts', requirePermission('customers.update'), customerController.createContact);
+router.put('/customers/:id/contacts/:contactId', requirePermission('customers.update'), customerController.updateContact);
+router.delete('/customers/:id/contacts/:contactId', requirePermission('customers.update'), customerController.deleteContact);
+
+// Invoice routes (protected) - aging and generate before /invoices/:id
+router.get('/invoices', requirePermission('invoices.view'), invoiceController.getInvoices);
+router.get('/invoices/aging', requirePermission('invoices.view'), invoiceController.getAgingReport);
+router.post('/invoices/generate', requirePermission('invoices.manage'), invoiceController.generateInvoices);
+router.get('/invoices/:id', requirePermission('invoices.view'), invoiceController.getInvoiceById);
+router.post('/invoices/:id/payments', requirePermission('invoices.manage'), invoiceController.recordPayment);
+router.post('/invoices/:id/void', requirePermission('invoices.manage'), invoiceController.voidInvoice);
+
+// Audit log routes (protected)
+router.get('/audit', requirePermission('audit.view'), auditController.getAuditLogs);
+router.get('/audit/entity/:entityType/:entityId', requirePermission('audit.view'), auditController.getEntityHistory);
+
+// Notification routes (protected; the inbox and preferences belong to the logged-in user)
+router.get('/notifications', notificationController.getNotifications);
+router.patch('/notifications/read-all', notificationController.markAllNotificationsRead);
+router.get('/notifications/preferences', notificationController.getNotificationPreferences);
+router.patch('/notifications/preferences', notificationController.updateNotificationPreferences);
+router.patch('/notifications/:id/read', notificationController.markNotificationRead);
+router.post('/notifications/expiry/run', requireAdmin(), notificationController.runExpiryNotifier);
+
 module.exports = router;
@@ -7,6 +7,7 @@ const authController = require('../controllers/authController');
 const rolesController = require('../controllers/rolesController');
 const { authenticate } = require('../../shared/middleware/auth');
 const { requireSuperAdmin, requireAdmin } = require('../../shared/middleware/authorize');
+const { auditMutations } = require('../../shared/middleware/audit');
 
 // Authentication routes (public)
 router.post('/register', authController.register);
@@ -19,6 +20,9 @@ router.post('/logout', authenticate, authController.logout);
 router.get('/me', authenticate, authController.getCurrentUser);
 router.put('/change-password', authenticate, authController.changePassword);
 
+// Record role and role-permission changes in the audit log
+router.use('/roles', auditMutations());
+
 // Role management routes (admin only)
 router.get('/roles', authenticate, requireAdmin(), rolesController.getAllRoles);
 router.get('/roles/:id', authenticate, requireAdmin(), rolesController.getRoleById);
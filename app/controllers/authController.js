@@ -0,0 +1,152 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { query } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendValidationError } = require('../../shared/utils/response');
+const config = require('../../config');
+
+/**
+ * Driver App Authentication Controller
+ * Handles driver login with Rick + password. Driver tokens are separate from
+ * admin user tokens and only open the /api/app endpoints.
+ */
+
+// Generate driver JWT tokens
+const generateDriverTokens = (account) => {
+  const accessToken = jwt.sign(
+    { driverAccountId: account.id, driverId: account.driver_id, type: 'driver', tokenVersion: account.token_version },
+    config.jwt.secret,
+    { expiresIn: '24h' } // Access token expires in 24 hours
+  );
+
+  const refreshToken = jwt.sign(
+    { driverAccountId: account.id, type: 'driver_refresh', tokenVersion: account.token_version },
+    config.jwt.secret,
+    { expiresIn: '30d' } // Drivers stay signed in on their phone for 30 days
+  );
+
+  return { accessToken, refreshToken };
+};
+
+// POST /api/app/auth/login - Driver login
+// Expected body: { rick: "R1001", password: "..." }
+const login = async (req, res) => {
+  try {
+    const { rick, password } = req.body;
+
+    if (!rick || !password) {
+      return sendValidationError(res, 'Rick and password are required');
+    }
+
+    const result = await query(
+      `SELECT a.id, a.driver_id, a.password_hash, a.token_version, d.rick, d.name, d.mobile, d.status
+       FROM driver_accounts a
+       JOIN drivers d ON d.id = a.driver_id
+       WHERE UPPER(d.rick) = UPPER($1) AND a.is_active = true AND d.is_archived = false`,
+      [String(rick).trim()]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 'Invalid Rick or password', 401);
+    }
+
+    const account = result.rows[0];
+
+    const isPasswordValid = await bcrypt.compare(password, account.password_hash);
+    if (!isPasswordValid) {
+      return sendError(res, 'Invalid Rick or password', 401);
+    }
+
+    const { accessToken, refreshToken } = generateDriverTokens(account);
+
+    await query('UPDATE driver_accounts SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [account.id]);
+
+    sendSuccess(res, {
+      driver: {
+        id: account.driver_id,
+        rick: account.rick,
+        name: account.name,
+        mobile: account.mobile,
+        status: account.status
+      },
+      accessToken,
+      refreshToken
+    }, 'Login successful');
+
+  } catch (error) {
+    console.error('Driver login error:', error);
+    sendError(res, 'Failed to login', 500, error);
+  }
+};
+
+// POST /api/app/auth/refresh - Refresh a driver's access token
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendValidationError(res, 'Refresh token is required');
+    }
+
+    const decoded = jwt.verify(refreshToken, config.jwt.secret);
+
+    if (decoded.type !== 'driver_refresh') {
+      return sendError(res, 'Invalid refresh token', 401);
+    }
+
+    const result = await query(
+      `SELECT a.id, a.driver_id, a.token_version
+       FROM driver_accounts a
+       JOIN drivers d ON d.id = a.driver_id
+       WHERE a.id = $1 AND a.is_active = true AND d.is_archived = false`,
+      [decoded.driverAccountId]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].token_version !== decoded.tokenVersion) {
+      return sendError(res, 'Invalid refresh token', 401);
+    }
+
+    const tokens = generateDriverTokens(result.rows[0]);
+
+    sendSuccess(res, {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    }, 'Token refreshed successfully');
+
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return sendError(res, 'Invalid or expired refresh token', 401);
+    }
+
+    console.error('Driver refresh token error:', error);
+    sendError(res, 'Failed to refresh token', 500, error);
+  }
+};
+
+// POST /api/app/auth/logout - Sign the driver out on every device
+const logout = async (req, res) => {
+  try {
+    await query(
+      'UPDATE driver_accounts SET token_version = token_version + 1 WHERE id = $1',
+      [req.driver.accountId]
+    );
+
+    sendSuccess(res, null, 'Logout successful');
+
+  } catch (error) {
+    console.error('Driver logout error:', error);
+    sendError(res, 'Failed to logout', 500, error);
+  }
+};
+
+// GET /api/app/auth/me - Get the logged-in driver
+const getCurrentDriver = async (req, res) => {
+  const { accountId, ...driver } = req.driver;
+  sendSuccess(res, driver, 'Driver retrieved successfully');
+};
+
+module.exports = {
+  login,
+  refreshToken,
+  logout,
+  getCurrentDriver
+};
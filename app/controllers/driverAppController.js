@@ -0,0 +1,349 @@
+const { query, pool } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { renderPayslipPdf } = require('../../shared/utils/payslipPdf');
+const { DOCUMENT_OWNERS } = require('../../shared/utils/documentTypes');
+const { emitEvent } = require('../../shared/notifications/events');
+const { applyBookingTransition } = require('../../shared/utils/bookingStatus');
+const { resolveStatementPeriod, getDriverStatement } = require('../../admin/controllers/ledgerController');
+const { buildPrintablePayslip, payslipFileName } = require('../../admin/controllers/payslipController');
+const config = require('../../config');
+
+/**
+ * Driver App Controller
+ * Handles the logged-in driver's own bookings, trip progress, payslips,
+ * ledger and documents. Every query is scoped to req.driver; ids of other
+ * drivers' rows answer 404 exactly like ids that do not exist.
+ */
+
+// Trip progress in order; a driver can only move a trip forward
+const TRIP_STATUSES = ['en_route', 'picked_up', 'completed'];
+
+// Booking status action (see BOOKING_TRANSITIONS) that follows from a trip status
+const BOOKING_ACTION_FOR_TRIP = {
+  picked_up: 'start',
+  completed: 'complete'
+};
+
+// Bookings still ahead of the driver
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+// Bookings a driver can report trip progress on: the office confirms first
+const TRIP_BOOKING_STATUSES = ['confirmed', 'in_progress'];
+
+// Payslips a driver sees: only once the office has issued them
+const VISIBLE_PAYSLIP_STATUSES = ['issued', 'locked'];
+
+// Documents expiring within this many days are flagged
+const EXPIRING_SOON_DAYS = 30;
+
+// Bookings assigned to the driver by id
+const ASSIGNED_TO_DRIVER = 'b.is_archived = false AND b.assigned_driver_id = $1';
+
+const BOOKING_COLUMNS = `
+  b.id, b.reference_code, b.car_type, b.pickup_loc, b.drop_loc, b.booking_date, b.booking_time,
+  b.guest_name, b.mobile_number, b.special_note, b.status, b.trip_status, b.trip_status_updated_at
+`;
+
+const findDriverBooking = async (driver, bookingId, db = { query }, lock = false) => {
+  const result = await db.query(`
+    SELECT ${BOOKING_COLUMNS}
+    FROM bookings b
+    WHERE b.id = $2 AND ${ASSIGNED_TO_DRIVER}${lock ? ' FOR UPDATE' : ''}
+  `, [driver.id, parseInt(bookingId) || 0]);
+  return result.rows[0] || null;
+};
+
+// GET /api/app/bookings - Get the driver's bookings
+// Query: scope=upcoming (default; not finished, from today on) | past | all
+const getMyBookings = async (req, res) => {
+  try {
+    const { scope = 'upcoming' } = req.query;
+
+    let scopeClause = '';
+    let orderBy = 'b.booking_date ASC, b.booking_time ASC';
+    if (scope === 'upcoming') {
+      scopeClause = ` AND b.booking_date >= CURRENT_DATE AND b.status IN ('${ACTIVE_BOOKING_STATUSES.join("', '")}')`;
+    } else if (scope === 'past') {
+      scopeClause = ` AND (b.booking_date < CURRENT_DATE OR b.status IN ('completed', 'cancelled'))`;
+      orderBy = 'b.booking_date DESC, b.booking_time DESC';
+    } else if (scope !== 'all') {
+      return sendValidationError(res, 'scope must be one of: upcoming, past, all');
+    }
+
+    const result = await query(`
+      SELECT ${BOOKING_COLUMNS}
+      FROM bookings b
+      WHERE ${ASSIGNED_TO_DRIVER}${scopeClause}
+      ORDER BY ${orderBy}
+      LIMIT 200
+    `, [req.driver.id]);
+
+    sendSuccess(res, result.rows, 'Bookings retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching driver bookings:', error);
+    sendError(res, 'Failed to fetch bookings', 500, error);
+  }
+};
+
+// GET /api/app/bookings/:id - Get one of the driver's bookings with its trip updates
+const getMyBookingById = async (req, res) => {
+  try {
+    const booking = await findDriverBooking(req.driver, req.params.id);
+    if (!booking) {
+      return sendNotFound(res, 'Booking');
+    }
+
+    const updatesResult = await query(
+      'SELECT trip_status, notes, created_at FROM booking_trip_updates WHERE booking_id = $1 ORDER BY created_at ASC, id ASC',
+      [booking.id]
+    );
+
+    sendSuccess(res, { ...booking, trip_updates: updatesResult.rows }, 'Booking retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching driver booking:', error);
+    sendError(res, 'Failed to fetch booking', 500, error);
+  }
+};
+
+// PATCH /api/app/bookings/:id/trip-status - Report trip progress
+// Expected body: { trip_status: "en_route" | "picked_up" | "completed", notes: "..." }
+const updateTripStatus = async (req, res) => {
+  const { trip_status, notes } = req.body;
+
+  if (!TRIP_STATUSES.includes(trip_status)) {
+    return sendValidationError(res, `trip_status must be one of: ${TRIP_STATUSES.join(', ')}`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const booking = await findDriverBooking(req.driver, req.params.id, client, true);
+    if (!booking) {
+      await client.query('ROLLBACK');
+      return sendNotFound(res, 'Booking');
+    }
+
+    if (!TRIP_BOOKING_STATUSES.includes(booking.status)) {
+      await client.query('ROLLBACK');
+      const message = booking.status === 'pending'
+        ? 'This booking is not confirmed yet'
+        : `Cannot update the trip of a ${booking.status} booking`;
+      return sendError(res, message, 409);
+    }
+
+    const currentIndex = TRIP_STATUSES.indexOf(booking.trip_status);
+    if (TRIP_STATUSES.indexOf(trip_status) <= currentIndex) {
+      await client.query('ROLLBACK');
+      return sendError(res, `Trip is already ${booking.trip_status}`, 409);
+    }
+
+    if (trip_status === 'completed' && booking.trip_status !== 'picked_up') {
+      await client.query('ROLLBACK');
+      return sendError(res, 'Mark the guest as picked up before completing the trip', 409);
+    }
+
+    // Picking up starts the booking (unless the office already did); completing the trip completes it
+    const action = BOOKING_ACTION_FOR_TRIP[trip_status];
+    if (action && !(action === 'start' && booking.status === 'in_progress')) {
+      const transition = await applyBookingTransition(client, booking, action, {
+        reason: notes,
+        driverId: req.driver.id
+      });
+      if (transition.error) {
+        await client.query('ROLLBACK');
+        return sendError(res, transition.error, 409);
+      }
+    }
+
+    const updateResult = await client.query(`
+      UPDATE bookings
+      SET trip_status = $1, trip_status_updated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, reference_code, guest_name, assigned_driver, status, trip_status, trip_status_updated_at
+    `, [trip_status, booking.id]);
+
+    await client.query(`
+      INSERT INTO booking_trip_updates (booking_id, driver_id, trip_status, notes)
+      VALUES ($1, $2, $3, $4)
+    `, [booking.id, req.driver.id, trip_status, notes ? String(notes).trim() : null]);
+
+    await client.query('COMMIT');
+
+    const updated = updateResult.rows[0];
+    sendSuccess(res, updated, `Trip marked as ${trip_status.replace('_', ' ')}`);
+
+    emitEvent(updated.status !== booking.status ? 'booking.status_changed' : 'booking.updated', {
+      title: `${req.driver.name}: booking #${updated.id} ${trip_status.replace('_', ' ')}`,
+      entityType: 'bookings',
+      entityId: updated.id,
+      data: {
+        ...updated,
+        from_status: booking.status,
+        to_status: updated.status,
+        previous_trip_status: booking.trip_status,
+        driver_id: req.driver.id
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating trip status:', error);
+    sendError(res, 'Failed to update trip status', 500, error);
+  } finally {
+    client.release();
+  }
+};
+
+// Helper function to find one of the driver's issued payslips
+const findDriverPayslip = async (driver, payslipId) => {
+  const result = await query(`
+    SELECT id, data, month_name, year, obopm, status, issued_at
+    FROM payslips
+    WHERE id = $1 AND driver_id = $2 AND status = ANY($3)
+  `, [parseInt(payslipId) || 0, driver.id, VISIBLE_PAYSLIP_STATUSES]);
+  return result.rows[0] || null;
+};
+
+// GET /api/app/payslips - Get the driver's issued payslips
+const getMyPayslips = async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT id, month_name, year, status, issued_at
+      FROM payslips
+      WHERE driver_id = $1 AND status = ANY($2)
+      ORDER BY year DESC, issued_at DESC NULLS LAST, id DESC
+    `, [req.driver.id, VISIBLE_PAYSLIP_STATUSES]);
+
+    sendSuccess(res, result.rows, 'Payslips retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching driver payslips:', error);
+    sendError(res, 'Failed to fetch payslips', 500, error);
+  }
+};
+
+// GET /api/app/payslips/:id - Get one of the driver's payslips (printable view)
+const getMyPayslipById = async (req, res) => {
+  try {
+    const row = await findDriverPayslip(req.driver, req.params.id);
+    if (!row) {
+      return sendNotFound(res, 'Payslip');
+    }
+
+    const payslip = await buildPrintablePayslip(row);
+    sendSuccess(res, { id: row.id, status: row.status, issued_at: row.issued_at, ...payslip }, 'Payslip retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching driver payslip:', error);
+    sendError(res, 'Failed to fetch payslip', 500, error);
+  }
+};
+
+// GET /api/app/payslips/:id/pdf - Download one of the driver's payslips as PDF
+const getMyPayslipPdf = async (req, res) => {
+  try {
+    const row = await findDriverPayslip(req.driver, req.params.id);
+    if (!row) {
+      return sendNotFound(res, 'Payslip');
+    }
+
+    const payslip = await buildPrintablePayslip(row);
+    const pdf = await renderPayslipPdf(payslip, config.company);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${payslipFileName(payslip, row.id)}"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Error rendering driver payslip PDF:', error);
+    sendError(res, 'Failed to render payslip PDF', 500, error);
+  }
+};
+
+// GET /api/app/ledger - Get the driver's statement
+// Query: from, to (YYYY-MM-DD) or year + month_name for a single finance month
+const getMyLedger = async (req, res) => {
+  try {
+    const period = resolveStatementPeriod(req.query);
+    if (period.error) {
+      return sendValidationError(res, period.error);
+    }
+
+    const statement = await getDriverStatement(req.driver.id, period);
+
+    // Internal references (who posted, which finance row) stay in the office
+    const entries = statement.entries.map(({ created_by, finance_record_id, ...entry }) => entry);
+
+    sendSuccess(res, { ...statement, entries }, 'Ledger retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching driver ledger:', error);
+    sendError(res, 'Failed to fetch ledger', 500, error);
+  }
+};
+
+// GET /api/app/documents - Get the driver's document expiry dates
+const getMyDocuments = async (req, res) => {
+  try {
+    const { types } = DOCUMENT_OWNERS.driver;
+
+    const driverResult = await query('SELECT * FROM drivers WHERE id = $1', [req.driver.id]);
+    const driver = driverResult.rows[0];
+
+    const documentsResult = await query(`
+      SELECT document_type, version, expiry_date, created_at
+      FROM documents
+      WHERE owner_type = 'driver' AND owner_id = $1 AND is_current = true
+    `, [req.driver.id]);
+
+    const todayResult = await query('SELECT CURRENT_DATE as today');
+    const today = todayResult.rows[0].today;
+
+    const documents = Object.entries(types)
+      .filter(([, typeConfig]) => typeConfig.expiryField || typeConfig.numberField)
+      .map(([documentType, typeConfig]) => {
+        const expiryDate = typeConfig.expiryField ? driver[typeConfig.expiryField] : null;
+        const daysLeft = expiryDate ? Math.round((expiryDate - today) / (24 * 60 * 60 * 1000)) : null;
+        const current = documentsResult.rows.find(row => row.document_type === documentType);
+
+        let state = 'missing';
+        if (daysLeft !== null) {
+          state = daysLeft < 0 ? 'expired' : daysLeft <= EXPIRING_SOON_DAYS ? 'expiring' : 'valid';
+        } else if (!typeConfig.expiryField && driver[typeConfig.numberField]) {
+          state = 'valid';
+        }
+
+        return {
+          document_type: documentType,
+          label: typeConfig.label,
+          document_number: typeConfig.numberField ? driver[typeConfig.numberField] : null,
+          expiry_date: expiryDate,
+          days_left: daysLeft,
+          state,
+          has_scan: Boolean(current),
+          uploaded_at: current ? current.created_at : null
+        };
+      });
+
+    sendSuccess(res, documents, 'Documents retrieved successfully');
+
+  } catch (error) {
+    console.error('Error fetching driver documents:', error);
+    sendError(res, 'Failed to fetch documents', 500, error);
+  }
+};
+
+module.exports = {
+  getMyBookings,
+  getMyBookingById,
+  updateTripStatus,
+  getMyPayslips,
+  getMyPayslipById,
+  getMyPayslipPdf,
+  getMyLedger,
+  getMyDocuments
+};
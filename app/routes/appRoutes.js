@@ -1,10 +1,41 @@
 const express = require('express');
 const router = express.Router();
 
-// App routes will be added here when you create your controllers
-// Example structure:
-// router.post('/auth/register', authController.register);
-// router.get('/posts', postController.getAllPosts);
-// router.post('/comments', commentController.createComment);
+// Import controllers
+const authController = require('../controllers/authController');
+const driverAppController = require('../controllers/driverAppController');
+
+// Import middleware
+const { authenticateDriver } = require('../../shared/middleware/driverAuth');
+const { rateLimit } = require('../../shared/middleware/rateLimit');
+const config = require('../../config');
+
+const { loginRateLimit } = config.app;
+
+// Driver authentication (no token needed)
+router.post('/auth/login', rateLimit({
+  windowMs: loginRateLimit.windowMinutes * 60 * 1000,
+  max: loginRateLimit.max,
+  message: 'Too many login attempts. Please try again later.'
+}), authController.login);
+router.post('/auth/refresh', authController.refreshToken);
+
+// All routes below require a driver token and only touch the driver's own data
+router.use(authenticateDriver);
+
+router.post('/auth/logout', authController.logout);
+router.get('/auth/me', authController.getCurrentDriver);
+
+// Bookings assigned to the driver
+router.get('/bookings', driverAppController.getMyBookings);
+router.get('/bookings/:id', driverAppController.getMyBookingById);
+router.patch('/bookings/:id/trip-status', driverAppController.updateTripStatus);
+
+// Payslips, ledger and documents
+router.get('/payslips', driverAppController.getMyPayslips);
+router.get('/payslips/:id', driverAppController.getMyPayslipById);
+router.get('/payslips/:id/pdf', driverAppController.getMyPayslipPdf);
+router.get('/ledger', driverAppController.getMyLedger);
+router.get('/documents', driverAppController.getMyDocuments);
 
 module.exports = router;
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 // Production/Remote Database Config (Currently Active)
 const config = {
@@ -13,10 +14,81 @@ const config = {
   server: {
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
+    trustProxy: parseInt(process.env.TRUST_PROXY) || 0,
   },
   jwt: {
     secret: process.env.JWT_SECRET || 'your_jwt_secret_key_here',
   },
+  company: {
+    name: process.env.COMPANY_NAME || 'Rick',
+    address: process.env.COMPANY_ADDRESS || '',
+    phone: process.env.COMPANY_PHONE || '',
+    email: process.env.COMPANY_EMAIL || '',
+  },
+  trash: {
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+  },
+  documents: {
+    storage: process.env.DOCUMENT_STORAGE || 'local',
+    localPath: process.env.DOCUMENT_STORAGE_PATH || path.join(__dirname, 'uploads', 'documents'),
+    maxFileSizeMb: parseInt(process.env.DOCUMENT_MAX_FILE_SIZE_MB) || 10,
+  },
+  notifications: {
+    expiry: {
+      enabled: process.env.EXPIRY_NOTIFIER_ENABLED !== 'false',
+      runAt: process.env.EXPIRY_NOTIFIER_RUN_AT || '07:00',
+      thresholds: (process.env.EXPIRY_THRESHOLDS || '60,30,7,0').split(',').map(value => parseInt(value)).filter(value => !isNaN(value)),
+      channels: (process.env.EXPIRY_CHANNELS || 'inbox').split(',').map(value => value.trim()).filter(Boolean),
+    },
+    smtp: {
+      host: process.env.SMTP_HOST || '',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      password: process.env.SMTP_PASSWORD || '',
+      from: process.env.SMTP_FROM || 'no-reply@rick.local',
+    },
+    webhook: {
+      url: process.env.NOTIFY_WEBHOOK_URL || '',
+      secret: process.env.NOTIFY_WEBHOOK_SECRET || '',
+    },
+    testTransport: {
+      path: process.env.NOTIFY_TEST_PATH || path.join(__dirname, 'logs', 'notifications.jsonl'),
+    },
+  },
+  site: {
+    bookingRateLimit: {
+      windowMinutes: parseInt(process.env.SITE_BOOKING_RATE_WINDOW_MINUTES) || 15,
+      max: parseInt(process.env.SITE_BOOKING_RATE_MAX) || 5,
+    },
+    lookupRateLimit: {
+      windowMinutes: parseInt(process.env.SITE_LOOKUP_RATE_WINDOW_MINUTES) || 15,
+      max: parseInt(process.env.SITE_LOOKUP_RATE_MAX) || 30,
+    },
+    captcha: {
+      provider: process.env.SITE_CAPTCHA_PROVIDER || 'none',
+      secret: process.env.SITE_CAPTCHA_SECRET || '',
+    },
+    maxDaysAhead: parseInt(process.env.SITE_BOOKING_MAX_DAYS_AHEAD) || 365,
+  },
+  bookings: {
+    defaultDurationMinutes: parseInt(process.env.BOOKING_DEFAULT_DURATION_MINUTES) || 120,
+  },
+  pricing: {
+    currency: process.env.PRICING_CURRENCY || 'AED',
+  },
+  app: {
+    loginRateLimit: {
+      windowMinutes: parseInt(process.env.APP_LOGIN_RATE_WINDOW_MINUTES) || 15,
+      max: parseInt(process.env.APP_LOGIN_RATE_MAX) || 10,
+    },
+  },
+  billing: {
+    invoicePrefix: process.env.BILLING_INVOICE_PREFIX || 'INV',
+    taxLabel: process.env.BILLING_TAX_LABEL || 'VAT',
+    taxRatePercent: parseFloat(process.env.BILLING_TAX_RATE_PERCENT || '5'),
+    paymentTermsDays: parseInt(process.env.BILLING_PAYMENT_TERMS_DAYS || '30'),
+  },
 };
 
 // Localhost Database Config (Commented Out)
@@ -32,10 +104,81 @@ const config = {
 //   server: {
 //     port: process.env.PORT || 3000,
 //     nodeEnv: process.env.NODE_ENV || 'development',
+//     trustProxy: parseInt(process.env.TRUST_PROXY) || 0,
 //   },
 //   jwt: {
 //     secret: process.env.JWT_SECRET || 'your_jwt_secret_key_here',
 //   },
+//   company: {
+//     name: process.env.COMPANY_NAME || 'Rick',
+//     address: process.env.COMPANY_ADDRESS || '',
+//     phone: process.env.COMPANY_PHONE || '',
+//     email: process.env.COMPANY_EMAIL || '',
+//   },
+//   trash: {
+//     retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+//   },
+//   documents: {
+//     storage: process.env.DOCUMENT_STORAGE || 'local',
+//     localPath: process.env.DOCUMENT_STORAGE_PATH || path.join(__dirname, 'uploads', 'documents'),
+//     maxFileSizeMb: parseInt(process.env.DOCUMENT_MAX_FILE_SIZE_MB) || 10,
+//   },
+//   notifications: {
+//     expiry: {
+//       enabled: process.env.EXPIRY_NOTIFIER_ENABLED !== 'false',
+//       runAt: process.env.EXPIRY_NOTIFIER_RUN_AT || '07:00',
+//       thresholds: (process.env.EXPIRY_THRESHOLDS || '60,30,7,0').split(',').map(value => parseInt(value)).filter(value => !isNaN(value)),
+//       channels: (process.env.EXPIRY_CHANNELS || 'inbox').split(',').map(value => value.trim()).filter(Boolean),
+//     },
+//     smtp: {
+//       host: process.env.SMTP_HOST || '',
+//       port: parseInt(process.env.SMTP_PORT) || 587,
+//       secure: process.env.SMTP_SECURE === 'true',
+//       user: process.env.SMTP_USER || '',
+//       password: process.env.SMTP_PASSWORD || '',
+//       from: process.env.SMTP_FROM || 'no-reply@rick.local',
+//     },
+//     webhook: {
+//       url: process.env.NOTIFY_WEBHOOK_URL || '',
+//       secret: process.env.NOTIFY_WEBHOOK_SECRET || '',
+//     },
+//     testTransport: {
+//       path: process.env.NOTIFY_TEST_PATH || path.join(__dirname, 'logs', 'notifications.jsonl'),
+//     },
+//   },
+//   site: {
+//     bookingRateLimit: {
+//       windowMinutes: parseInt(process.env.SITE_BOOKING_RATE_WINDOW_MINUTES) || 15,
+//       max: parseInt(process.env.SITE_BOOKING_RATE_MAX) || 5,
+//     },
+//     lookupRateLimit: {
+//       windowMinutes: parseInt(process.env.SITE_LOOKUP_RATE_WINDOW_MINUTES) || 15,
+//       max: parseInt(process.env.SITE_LOOKUP_RATE_MAX) || 30,
+//     },
+//     captcha: {
+//       provider: process.env.SITE_CAPTCHA_PROVIDER || 'none',
+//       secret: process.env.SITE_CAPTCHA_SECRET || '',
+//     },
+//     maxDaysAhead: parseInt(process.env.SITE_BOOKING_MAX_DAYS_AHEAD) || 365,
+//   },
+//   bookings: {
+//     defaultDurationMinutes: parseInt(process.env.BOOKING_DEFAULT_DURATION_MINUTES) || 120,
+//   },
+//   pricing: {
+//     currency: process.env.PRICING_CURRENCY || 'AED',
+//   },
+//   app: {
+//     loginRateLimit: {
+//       windowMinutes: parseInt(process.env.APP_LOGIN_RATE_WINDOW_MINUTES) || 15,
+//       max: parseInt(process.env.APP_LOGIN_RATE_MAX) || 10,
+//     },
+//   },
+//   billing: {
+//     invoicePrefix: process.env.BILLING_INVOICE_PREFIX || 'INV',
+//     taxLabel: process.env.BILLING_TAX_LABEL || 'VAT',
+//     taxRatePercent: parseFloat(process.env.BILLING_TAX_RATE_PERCENT || '5'),
+//     paymentTermsDays: parseInt(process.env.BILLING_PAYMENT_TERMS_DAYS || '30'),
+//   },
 // };
 
 module.exports = config;
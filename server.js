@@ -4,6 +4,8 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const config = require('./config');
 const { query } = require('./shared/database/connection');
+const { startExpiryScheduler } = require('./shared/notifications/expiryNotifier');
+const { startAssignmentSync } = require('./admin/controllers/assignmentController');
 
 // Import application routes
 const authRoutes = require('./admin/routes/authRoutes');
@@ -14,6 +16,9 @@ const siteRoutes = require('./site/routes/siteRoutes');
 
 const app = express();
 
+// Number of proxies in front of the app, so req.ip is the client's address (used by rate limiting)
+app.set('trust proxy', config.server.trustProxy);
+
 // CORS Configuration
 const corsOptions = {
   origin: function (origin, callback) {
@@ -97,22 +102,22 @@ app.get('/', (req, res) => {
         }
       },
       app: {
-        description: 'Mobile/web app API for authenticated users',
+        description: 'Driver mobile app API',
         baseUrl: '/api/app',
         endpoints: {
           auth: '/api/app/auth',
-          posts: '/api/app/posts',
-          comments: '/api/app/comments'
+          bookings: '/api/app/bookings',
+          payslips: '/api/app/payslips',
+          ledger: '/api/app/ledger',
+          documents: '/api/app/documents'
         }
       },
       site: {
         description: 'Public website API',
         baseUrl: '/api/site',
         endpoints: {
-          posts: '/api/site/posts',
-          categories: '/api/site/categories',
-          search: '/api/site/search',
-          comments: '/api/site/comments'
+          bookings: '/api/site/bookings',
+          bookingLookup: '/api/site/bookings/lookup'
         }
       }
     },
@@ -146,6 +151,12 @@ app.listen(PORT, () => {
   console.log(`🔧 Admin API: http://localhost:${PORT}/api/admin`);
   console.log(`📱 App API: http://localhost:${PORT}/api/app`);
   console.log(`🌐 Site API: http://localhost:${PORT}/api/site`);
+
+  if (config.notifications.expiry.enabled) {
+    startExpiryScheduler();
+  }
+
+  startAssignmentSync();
 });
 
 module.exports = app;
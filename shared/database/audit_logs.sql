@@ -0,0 +1,76 @@
+-- ============================================
+-- AUDIT LOGS TABLE SCHEMA
+-- Complete SQL script for the admin audit trail
+-- One row per successful create/update/delete under /api/admin and
+-- /api/auth/roles, written by shared/middleware/audit.js with the
+-- actor, route, entity and before/after snapshots of the row.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE AUDIT_LOGS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    actor_username VARCHAR(50),
+    actor_role VARCHAR(50),
+    method VARCHAR(10) NOT NULL,
+    route VARCHAR(255) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    entity_type VARCHAR(100) NOT NULL,
+    entity_id VARCHAR(255),
+    before_data JSONB,
+    after_data JSONB,
+    request_body JSONB,
+    status_code INTEGER,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action);
+
+-- ============================================
+-- 3. ADD AUDIT PERMISSIONS TO RBAC
+-- ============================================
+INSERT INTO permissions (name, description, resource, action) VALUES
+    ('audit.view', 'View the admin audit log', 'audit', 'view')
+ON CONFLICT (name) DO NOTHING;
+
+-- Grant audit permissions to superadmin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'superadmin'
+  AND p.resource = 'audit'
+ON CONFLICT DO NOTHING;
+
+-- Grant audit permissions to admin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'admin'
+  AND p.resource = 'audit'
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Latest changes
+-- SELECT created_at, actor_username, method, route, entity_type, entity_id
+-- FROM audit_logs
+-- ORDER BY created_at DESC
+-- LIMIT 50;
+
+-- Full history of one driver
+-- SELECT created_at, actor_username, action, before_data, after_data
+-- FROM audit_logs
+-- WHERE entity_type = 'drivers' AND entity_id = '1'
+-- ORDER BY created_at;
@@ -0,0 +1,71 @@
+-- ============================================
+-- BOOKING ASSIGNMENT SCHEMA
+-- Complete SQL script for assigning bookings by driver id
+-- bookings.assigned_driver_id          - the assigned driver (assigned_driver keeps the name for display)
+-- bookings.assigned_vehicle_id         - the vehicle used for the trip (optional)
+-- bookings.estimated_duration_minutes  - how long the trip keeps the driver busy (NULL = default)
+-- ============================================
+
+-- ============================================
+-- 1. ADD ASSIGNMENT COLUMNS TO BOOKINGS
+-- ============================================
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS assigned_driver_id INTEGER REFERENCES drivers(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS assigned_vehicle_id INTEGER REFERENCES vehicles(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS estimated_duration_minutes INTEGER;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS chk_bookings_estimated_duration;
+ALTER TABLE bookings ADD CONSTRAINT chk_bookings_estimated_duration
+    CHECK (estimated_duration_minutes IS NULL OR estimated_duration_minutes BETWEEN 1 AND 1440);
+
+COMMENT ON COLUMN bookings.assigned_driver IS 'Name of the assigned driver at assignment time (display only; assigned_driver_id is the link)';
+COMMENT ON COLUMN bookings.estimated_duration_minutes IS 'Expected trip length used for overlap checks; NULL uses the configured default';
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+-- Overlap checks look up a driver's or vehicle's bookings around a date
+CREATE INDEX IF NOT EXISTS idx_bookings_assigned_driver_id ON bookings(assigned_driver_id, booking_date) WHERE is_archived = false;
+CREATE INDEX IF NOT EXISTS idx_bookings_assigned_vehicle_id ON bookings(assigned_vehicle_id, booking_date) WHERE is_archived = false;
+
+-- ============================================
+-- 3. MAP EXISTING DRIVER NAMES TO DRIVER IDS
+-- ============================================
+-- A name is mapped only when exactly one non-archived driver carries it
+-- (trimmed, case-insensitive). Ambiguous or unknown names stay unmapped;
+-- list them with the verification query below and assign them by id.
+UPDATE bookings b
+SET assigned_driver_id = matched.driver_id,
+    assigned_driver = matched.name
+FROM (
+    SELECT LOWER(TRIM(name)) as name_key, MIN(id) as driver_id, MIN(name) as name
+    FROM drivers
+    WHERE is_archived = false
+    GROUP BY LOWER(TRIM(name))
+    HAVING COUNT(*) = 1
+) matched
+WHERE b.assigned_driver_id IS NULL
+  AND b.assigned_driver IS NOT NULL
+  AND LOWER(TRIM(b.assigned_driver)) = matched.name_key;
+
+-- ============================================
+-- 4. PERMISSIONS
+-- ============================================
+-- Assigning a driver keeps using bookings.update; no new permissions.
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Bookings whose driver name could not be mapped (unknown or shared name)
+-- SELECT id, reference_code, booking_date, assigned_driver
+-- FROM bookings
+-- WHERE assigned_driver IS NOT NULL AND assigned_driver_id IS NULL AND is_archived = false
+-- ORDER BY booking_date DESC;
+
+-- A driver's bookings on a day with their time windows
+-- SELECT id, booking_time, COALESCE(estimated_duration_minutes, 120) as duration_minutes, status
+-- FROM bookings
+-- WHERE assigned_driver_id = 1 AND booking_date = CURRENT_DATE AND is_archived = false
+-- ORDER BY booking_time;
@@ -0,0 +1,47 @@
+-- ============================================
+-- BOOKING REFERENCES SCHEMA
+-- Complete SQL script for public (website) bookings
+-- Every booking gets a reference code the guest can quote or use with
+-- their mobile number to look up the status on the website. source
+-- records where the booking came from ('admin' panel or public 'site').
+-- ============================================
+
+-- ============================================
+-- 1. ADD COLUMNS TO BOOKINGS
+-- ============================================
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS reference_code VARCHAR(20);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'admin';
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS submitted_ip VARCHAR(45);
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS chk_bookings_source;
+ALTER TABLE bookings ADD CONSTRAINT chk_bookings_source
+    CHECK (source IN ('admin', 'site'));
+
+COMMENT ON COLUMN bookings.reference_code IS 'Guest-facing booking reference, e.g. BK-7KQ2M9XA';
+COMMENT ON COLUMN bookings.source IS 'Where the booking was created: admin or site';
+
+-- ============================================
+-- 2. BACKFILL REFERENCES FOR EXISTING BOOKINGS
+-- ============================================
+UPDATE bookings
+SET reference_code = 'BK-' || UPPER(SUBSTRING(MD5(id::text || COALESCE(created_at::text, '')) FOR 8))
+WHERE reference_code IS NULL;
+
+-- ============================================
+-- 3. CREATE INDEXES (for performance)
+-- ============================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_reference_code ON bookings(reference_code);
+CREATE INDEX IF NOT EXISTS idx_bookings_source ON bookings(source);
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Bookings submitted through the website today
+-- SELECT reference_code, guest_name, booking_date, status
+-- FROM bookings
+-- WHERE source = 'site' AND created_at >= CURRENT_DATE
+-- ORDER BY created_at DESC;
+
+-- Bookings still without a reference (should be none)
+-- SELECT COUNT(*) FROM bookings WHERE reference_code IS NULL;
@@ -0,0 +1,91 @@
+-- ============================================
+-- BOOKING SERIES SCHEMA
+-- Complete SQL script for recurring and multi-leg bookings
+-- booking_series     - a recurrence rule and/or a set of legs (outbound, return, ...)
+-- bookings.series_id - every materialised booking links back to its series
+-- bookings.leg_number - position of the booking in its occurrence (1 = outbound)
+-- Each booking stays a normal booking: it can be edited, assigned or cancelled
+-- on its own, or together with the rest of the series.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE BOOKING_SERIES TABLE
+-- ============================================
+-- frequency: none (one occurrence, multi-leg), daily, weekly (on weekdays,
+-- 0 = Sunday) every repeat_interval days/weeks until end_date, or custom dates.
+-- legs holds the leg templates: [{ leg_number, pickup_loc, drop_loc, booking_time, day_offset }]
+CREATE TABLE IF NOT EXISTS booking_series (
+    id SERIAL PRIMARY KEY,
+    series_type VARCHAR(20) NOT NULL CHECK (series_type IN ('recurring', 'multi_leg')),
+    frequency VARCHAR(20) NOT NULL DEFAULT 'none' CHECK (frequency IN ('none', 'daily', 'weekly', 'custom')),
+    repeat_interval INTEGER NOT NULL DEFAULT 1 CHECK (repeat_interval BETWEEN 1 AND 52),
+    weekdays SMALLINT[],
+    custom_dates DATE[],
+    start_date DATE NOT NULL,
+    end_date DATE,
+    legs JSONB NOT NULL,
+    car_type VARCHAR(100) NOT NULL,
+    guest_name VARCHAR(255) NOT NULL,
+    mobile_number VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT check_booking_series_period CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+-- ============================================
+-- 2. LINK BOOKINGS TO THEIR SERIES
+-- ============================================
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES booking_series(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS leg_number SMALLINT;
+
+-- ============================================
+-- 3. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_bookings_series ON bookings(series_id, booking_date) WHERE series_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_booking_series_status ON booking_series(status);
+
+-- ============================================
+-- 4. CREATE TRIGGER FUNCTION (auto-update updated_at)
+-- ============================================
+CREATE OR REPLACE FUNCTION update_booking_series_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 5. CREATE TRIGGER
+-- ============================================
+DROP TRIGGER IF EXISTS trigger_update_booking_series_updated_at ON booking_series;
+CREATE TRIGGER trigger_update_booking_series_updated_at
+    BEFORE UPDATE ON booking_series
+    FOR EACH ROW
+    EXECUTE FUNCTION update_booking_series_updated_at();
+
+-- ============================================
+-- 6. PERMISSIONS
+-- ============================================
+-- Series use the booking permissions: bookings.create to create,
+-- bookings.update to edit or cancel, bookings.view to read.
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Bookings of a series by date and leg
+-- SELECT id, reference_code, booking_date, booking_time, leg_number, status
+-- FROM bookings
+-- WHERE series_id = 1 AND is_archived = false
+-- ORDER BY booking_date, leg_number;
+
+-- Active series with their open bookings
+-- SELECT s.id, s.series_type, s.frequency, s.guest_name, COUNT(b.id) as open_bookings
+-- FROM booking_series s
+-- LEFT JOIN bookings b ON b.series_id = s.id AND b.status IN ('pending', 'confirmed') AND b.is_archived = false
+-- WHERE s.status = 'active'
+-- GROUP BY s.id
+-- ORDER BY s.start_date;
@@ -0,0 +1,53 @@
+-- ============================================
+-- BOOKING STATUS WORKFLOW SCHEMA
+-- Complete SQL script for the booking lifecycle
+-- pending -> confirmed -> in_progress -> completed
+-- Cancelling is only possible while pending or confirmed. Every change goes
+-- through the confirm/start/complete/cancel endpoints (or the driver app trip
+-- updates) and is recorded in booking_status_history.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE BOOKING_STATUS_HISTORY TABLE
+-- ============================================
+-- changed_by is the office user; changed_by_driver is set instead when the
+-- change came from the driver app.
+CREATE TABLE IF NOT EXISTS booking_status_history (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    reason TEXT,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_by_driver INTEGER REFERENCES drivers(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking ON booking_status_history(booking_id, changed_at);
+
+-- ============================================
+-- 3. PERMISSIONS
+-- ============================================
+-- Status changes use bookings.update; no new permissions.
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Status history of a booking with who changed it
+-- SELECT h.from_status, h.to_status, h.reason, u.username, d.name as driver_name, h.changed_at
+-- FROM booking_status_history h
+-- LEFT JOIN users u ON u.id = h.changed_by
+-- LEFT JOIN drivers d ON d.id = h.changed_by_driver
+-- WHERE h.booking_id = 1
+-- ORDER BY h.changed_at;
+
+-- Cancellations with reasons
+-- SELECT h.booking_id, h.reason, u.username, h.changed_at
+-- FROM booking_status_history h
+-- LEFT JOIN users u ON u.id = h.changed_by
+-- WHERE h.to_status = 'cancelled'
+-- ORDER BY h.changed_at DESC;
@@ -0,0 +1,254 @@
+-- ============================================
+-- CUSTOMER BILLING SCHEMA
+-- Complete SQL script for corporate customers and invoicing
+-- customers          - companies (or regular individuals) billed on account,
+--                      with billing terms and contacts
+-- bookings           - customer_id links a booking to its customer,
+--                      invoice_id is set once the booking has been invoiced
+-- booking_series     - customer_id links a recurring/multi-leg series to its customer
+-- invoices           - numbered monthly invoices built from completed bookings
+-- invoice_lines      - one line per booking plus the tax lines
+-- invoice_payments   - payments received against an invoice
+-- Stored invoice status is issued, paid or void. An issued invoice past its
+-- due date is reported as overdue; that state is derived, not stored.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE CUSTOMERS TABLE
+-- ============================================
+-- trn is the customer's tax registration number, printed on its invoices.
+-- payment_terms_days sets the due date: issue_date + payment_terms_days.
+CREATE TABLE IF NOT EXISTS customers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    customer_type VARCHAR(20) NOT NULL DEFAULT 'company' CHECK (customer_type IN ('company', 'individual')),
+    trn VARCHAR(50),
+    billing_email VARCHAR(255),
+    billing_address TEXT,
+    phone VARCHAR(20),
+    payment_terms_days INTEGER NOT NULL DEFAULT 30 CHECK (payment_terms_days BETWEEN 0 AND 365),
+    tax_exempt BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 2. CREATE CUSTOMER_CONTACTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS customer_contacts (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    position VARCHAR(100),
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    is_primary BOOLEAN NOT NULL DEFAULT false,
+    is_billing BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 3. CREATE INVOICE TABLES
+-- ============================================
+-- invoice_sequences hands out gapless numbers per year (INV-2025-0001, ...):
+-- the counter row is locked until the invoice transaction commits.
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    year INTEGER PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id SERIAL PRIMARY KEY,
+    invoice_number VARCHAR(30) NOT NULL,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE RESTRICT,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    issue_date DATE NOT NULL,
+    due_date DATE NOT NULL,
+    currency VARCHAR(10) NOT NULL,
+    subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
+    tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    tax_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+    total DECIMAL(12,2) NOT NULL DEFAULT 0,
+    amount_paid DECIMAL(12,2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'paid', 'void')),
+    paid_at TIMESTAMP,
+    void_reason TEXT,
+    voided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    voided_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT check_invoice_period CHECK (period_end >= period_start),
+    CONSTRAINT check_invoice_due_date CHECK (due_date >= issue_date)
+);
+
+-- line_type 'booking' lines carry the booking they bill; booking_id is cleared
+-- if the booking is ever purged, the description keeps what was billed.
+CREATE TABLE IF NOT EXISTS invoice_lines (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    line_type VARCHAR(20) NOT NULL CHECK (line_type IN ('booking', 'tax')),
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    description TEXT NOT NULL,
+    amount DECIMAL(12,2) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    paid_on DATE NOT NULL,
+    method VARCHAR(50),
+    reference VARCHAR(100),
+    notes TEXT,
+    recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 4. LINK BOOKINGS TO CUSTOMERS AND INVOICES
+-- ============================================
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE RESTRICT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS invoice_id INTEGER REFERENCES invoices(id) ON DELETE SET NULL;
+
+-- A series billed on account passes its customer to every booking it creates
+ALTER TABLE booking_series ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE RESTRICT;
+
+COMMENT ON COLUMN bookings.invoice_id IS 'Invoice that billed this booking; cleared when the invoice is voided';
+
+-- ============================================
+-- 5. CREATE INDEXES (for performance)
+-- ============================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_name ON customers(LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_customer_contacts_customer ON customer_contacts(customer_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_number ON invoices(invoice_number);
+CREATE INDEX IF NOT EXISTS idx_invoices_customer ON invoices(customer_id, issue_date);
+CREATE INDEX IF NOT EXISTS idx_invoices_status_due ON invoices(status, due_date);
+CREATE INDEX IF NOT EXISTS idx_invoice_lines_invoice ON invoice_lines(invoice_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice ON invoice_payments(invoice_id, paid_on);
+CREATE INDEX IF NOT EXISTS idx_bookings_customer ON bookings(customer_id, booking_date) WHERE customer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bookings_invoice ON bookings(invoice_id) WHERE invoice_id IS NOT NULL;
+
+-- ============================================
+-- 6. CREATE TRIGGER FUNCTIONS (auto-update updated_at)
+-- ============================================
+CREATE OR REPLACE FUNCTION update_customers_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION update_customer_contacts_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION update_invoices_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 7. CREATE TRIGGERS
+-- ============================================
+DROP TRIGGER IF EXISTS trigger_update_customers_updated_at ON customers;
+CREATE TRIGGER trigger_update_customers_updated_at
+    BEFORE UPDATE ON customers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_customers_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_update_customer_contacts_updated_at ON customer_contacts;
+CREATE TRIGGER trigger_update_customer_contacts_updated_at
+    BEFORE UPDATE ON customer_contacts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_customer_contacts_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_update_invoices_updated_at ON invoices;
+CREATE TRIGGER trigger_update_invoices_updated_at
+    BEFORE UPDATE ON invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_invoices_updated_at();
+
+-- ============================================
+-- 8. ADD CUSTOMER AND INVOICE PERMISSIONS TO RBAC
+-- ============================================
+INSERT INTO permissions (name, description, resource, action) VALUES
+    ('customers.view', 'View customers and their contacts', 'customers', 'view'),
+    ('customers.create', 'Create customers', 'customers', 'create'),
+    ('customers.update', 'Update customers and their contacts', 'customers', 'update'),
+    ('customers.delete', 'Delete customers', 'customers', 'delete'),
+    ('invoices.view', 'View invoices and the receivables aging report', 'invoices', 'view'),
+    ('invoices.manage', 'Generate and void invoices and record payments', 'invoices', 'manage')
+ON CONFLICT (name) DO NOTHING;
+
+-- Grant all customer and invoice permissions to superadmin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'superadmin'
+  AND p.resource IN ('customers', 'invoices')
+ON CONFLICT DO NOTHING;
+
+-- Grant all customer and invoice permissions to admin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'admin'
+  AND p.resource IN ('customers', 'invoices')
+ON CONFLICT DO NOTHING;
+
+-- Managers maintain customers and see invoices
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'manager'
+  AND p.name IN ('customers.view', 'customers.create', 'customers.update', 'invoices.view')
+ON CONFLICT DO NOTHING;
+
+-- Employees pick customers when taking bookings
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'employee'
+  AND p.name = 'customers.view'
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Completed bookings of a month not yet invoiced, per customer
+-- SELECT c.name, COUNT(b.id) as bookings, SUM(COALESCE(b.final_fare, b.quoted_fare)) as amount
+-- FROM bookings b
+-- JOIN customers c ON c.id = b.customer_id
+-- WHERE b.status = 'completed' AND b.invoice_id IS NULL AND b.is_archived = false
+--   AND b.booking_date BETWEEN '2025-01-01' AND '2025-01-31'
+-- GROUP BY c.name;
+
+-- Open invoices with their overdue days
+-- SELECT invoice_number, issue_date, due_date, total - amount_paid as outstanding,
+--        GREATEST(CURRENT_DATE - due_date, 0) as days_overdue
+-- FROM invoices
+-- WHERE status = 'issued'
+-- ORDER BY due_date;
+
+-- Invoice totals should match their lines
+-- SELECT i.invoice_number, i.total, SUM(l.amount) as lines_total
+-- FROM invoices i
+-- JOIN invoice_lines l ON l.invoice_id = i.id
+-- GROUP BY i.id
+-- HAVING i.total <> SUM(l.amount);
@@ -0,0 +1,62 @@
+-- ============================================
+-- DOCUMENT RENEWALS TABLE SCHEMA
+-- Complete SQL script for the driver/vehicle document renewal workflow
+-- A renewal records the previous and new expiry of one document type,
+-- its cost, reference number and optional proof (a documents row), then
+-- updates the live expiry column on drivers/vehicles. The cost can be
+-- charged to the driver as a 'renewal' line in driver_ledger_entries.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE DOCUMENT_RENEWALS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS document_renewals (
+    id SERIAL PRIMARY KEY,
+    owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('driver', 'vehicle')),
+    owner_id INTEGER NOT NULL,
+    document_type VARCHAR(50) NOT NULL,
+    previous_expiry DATE,
+    new_expiry DATE NOT NULL,
+    cost DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (cost >= 0),
+    reference_number VARCHAR(100),
+    notes TEXT,
+    document_id INTEGER REFERENCES documents(id) ON DELETE SET NULL,
+    ledger_entry_id INTEGER REFERENCES driver_ledger_entries(id) ON DELETE SET NULL,
+    renewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    renewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_document_renewals_owner ON document_renewals(owner_type, owner_id, document_type, renewed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_document_renewals_renewed_at ON document_renewals(renewed_at DESC);
+
+-- ============================================
+-- 3. ALLOW RENEWAL CHARGES IN THE DRIVER LEDGER
+-- ============================================
+ALTER TABLE driver_ledger_entries DROP CONSTRAINT IF EXISTS driver_ledger_entries_source_check;
+ALTER TABLE driver_ledger_entries ADD CONSTRAINT driver_ledger_entries_source_check
+    CHECK (source IN ('opening_balance', 'finance', 'payment', 'adjustment', 'renewal'));
+
+-- ============================================
+-- 4. PERMISSIONS
+-- ============================================
+-- Listing renewals uses documents.view and recording one uses documents.upload;
+-- charging the cost to the driver additionally requires ledger.create.
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Visa renewal history of a driver
+-- SELECT previous_expiry, new_expiry, cost, reference_number, renewed_at
+-- FROM document_renewals
+-- WHERE owner_type = 'driver' AND owner_id = 1 AND document_type = 'visa'
+-- ORDER BY renewed_at DESC;
+
+-- Renewal spend per document type this year
+-- SELECT document_type, COUNT(*), SUM(cost)
+-- FROM document_renewals
+-- WHERE renewed_at >= DATE_TRUNC('year', CURRENT_DATE)
+-- GROUP BY document_type;
@@ -0,0 +1,119 @@
+-- ============================================
+-- DOCUMENTS TABLE SCHEMA
+-- Complete SQL script for driver and vehicle document scans
+-- Each upload is one version of a typed document (passport, visa,
+-- Mulkiya, ...). Uploading the same type again adds a new version and
+-- marks it current; older versions stay downloadable. The file itself
+-- lives in document storage (local disk by default) under storage_key.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE DOCUMENTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS documents (
+    id SERIAL PRIMARY KEY,
+    owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('driver', 'vehicle')),
+    owner_id INTEGER NOT NULL,
+    document_type VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    is_current BOOLEAN NOT NULL DEFAULT true,
+    document_number VARCHAR(100),
+    expiry_date DATE,
+    notes TEXT,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    checksum VARCHAR(64),
+    storage_backend VARCHAR(20) NOT NULL DEFAULT 'local',
+    storage_key VARCHAR(500) NOT NULL,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_version ON documents(owner_type, owner_id, document_type, version);
+-- At most one current version per owner and document type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_current ON documents(owner_type, owner_id, document_type) WHERE is_current = true;
+CREATE INDEX IF NOT EXISTS idx_documents_owner ON documents(owner_type, owner_id);
+CREATE INDEX IF NOT EXISTS idx_documents_expiry ON documents(expiry_date) WHERE is_current = true;
+
+-- ============================================
+-- 3. CREATE TRIGGER FUNCTION (auto-update updated_at)
+-- ============================================
+CREATE OR REPLACE FUNCTION update_documents_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 4. CREATE TRIGGER
+-- ============================================
+DROP TRIGGER IF EXISTS trigger_update_documents_updated_at ON documents;
+CREATE TRIGGER trigger_update_documents_updated_at
+    BEFORE UPDATE ON documents
+    FOR EACH ROW
+    EXECUTE FUNCTION update_documents_updated_at();
+
+-- ============================================
+-- 5. ADD DOCUMENT PERMISSIONS TO RBAC
+-- ============================================
+INSERT INTO permissions (name, description, resource, action) VALUES
+    ('documents.view', 'View and download driver and vehicle documents', 'documents', 'view'),
+    ('documents.upload', 'Upload driver and vehicle documents', 'documents', 'upload'),
+    ('documents.delete', 'Delete driver and vehicle document versions', 'documents', 'delete')
+ON CONFLICT (name) DO NOTHING;
+
+-- Grant all document permissions to superadmin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'superadmin'
+  AND p.resource = 'documents'
+ON CONFLICT DO NOTHING;
+
+-- Grant all document permissions to admin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'admin'
+  AND p.resource = 'documents'
+ON CONFLICT DO NOTHING;
+
+-- Grant view and upload to manager
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'manager'
+  AND p.name IN ('documents.view', 'documents.upload')
+ON CONFLICT DO NOTHING;
+
+-- Grant view to employee
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'employee'
+  AND p.name = 'documents.view'
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Current documents of a driver
+-- SELECT document_type, version, expiry_date, original_name
+-- FROM documents
+-- WHERE owner_type = 'driver' AND owner_id = 1 AND is_current = true;
+
+-- Drivers with no passport scan on file
+-- SELECT d.id, d.rick, d.name
+-- FROM drivers d
+-- WHERE NOT EXISTS (
+--     SELECT 1 FROM documents doc
+--     WHERE doc.owner_type = 'driver' AND doc.owner_id = d.id AND doc.document_type = 'passport'
+-- );
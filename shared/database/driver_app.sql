@@ -0,0 +1,111 @@
+-- ============================================
+-- DRIVER APP SCHEMA
+-- Complete SQL script for the driver mobile app (/api/app)
+-- driver_accounts       - app login of a driver (Rick + password), one per driver
+-- bookings.trip_status  - progress reported by the driver: en_route -> picked_up -> completed
+-- booking_trip_updates  - every trip status the driver reported
+-- ============================================
+
+-- ============================================
+-- 1. CREATE DRIVER_ACCOUNTS TABLE
+-- ============================================
+-- token_version is part of every driver token; bumping it (password reset,
+-- disabling the account) signs the driver out of every device.
+CREATE TABLE IF NOT EXISTS driver_accounts (
+    id SERIAL PRIMARY KEY,
+    driver_id INTEGER NOT NULL UNIQUE REFERENCES drivers(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    token_version INTEGER NOT NULL DEFAULT 0,
+    last_login TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 2. ADD TRIP STATUS TO BOOKINGS
+-- ============================================
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS trip_status VARCHAR(20);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS trip_status_updated_at TIMESTAMP;
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS chk_bookings_trip_status;
+ALTER TABLE bookings ADD CONSTRAINT chk_bookings_trip_status
+    CHECK (trip_status IS NULL OR trip_status IN ('en_route', 'picked_up', 'completed'));
+
+COMMENT ON COLUMN bookings.trip_status IS 'Progress reported by the driver app: en_route, picked_up or completed';
+
+-- ============================================
+-- 3. LINK PAYSLIPS TO THEIR DRIVER
+-- ============================================
+-- The app lists a driver's payslips by driver, not by the Rick stored in the
+-- payslip data, so a Rick handed to a new driver never exposes old payslips
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS driver_id INTEGER REFERENCES drivers(id) ON DELETE SET NULL;
+
+UPDATE payslips p
+SET driver_id = d.id
+FROM drivers d
+WHERE p.driver_id IS NULL
+  AND d.rick = p.data->>'rick';
+
+-- ============================================
+-- 4. CREATE BOOKING_TRIP_UPDATES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS booking_trip_updates (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    driver_id INTEGER REFERENCES drivers(id) ON DELETE SET NULL,
+    trip_status VARCHAR(20) NOT NULL CHECK (trip_status IN ('en_route', 'picked_up', 'completed')),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 5. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_booking_trip_updates_booking ON booking_trip_updates(booking_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_bookings_trip_status ON bookings(trip_status);
+CREATE INDEX IF NOT EXISTS idx_payslips_driver_id ON payslips(driver_id);
+
+-- ============================================
+-- 6. CREATE TRIGGER FUNCTION (auto-update updated_at)
+-- ============================================
+CREATE OR REPLACE FUNCTION update_driver_accounts_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 7. CREATE TRIGGER
+-- ============================================
+DROP TRIGGER IF EXISTS trigger_update_driver_accounts_updated_at ON driver_accounts;
+CREATE TRIGGER trigger_update_driver_accounts_updated_at
+    BEFORE UPDATE ON driver_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_driver_accounts_updated_at();
+
+-- ============================================
+-- 8. PERMISSIONS
+-- ============================================
+-- Creating, resetting and disabling a driver's app login uses drivers.update.
+-- Drivers themselves are not users and hold no permissions: every /api/app
+-- endpoint is scoped to the driver in the token.
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Drivers with an app login
+-- SELECT d.rick, d.name, a.is_active, a.last_login
+-- FROM driver_accounts a
+-- JOIN drivers d ON d.id = a.driver_id
+-- ORDER BY d.rick;
+
+-- Trip progress of a booking
+-- SELECT trip_status, notes, created_at
+-- FROM booking_trip_updates
+-- WHERE booking_id = 1
+-- ORDER BY created_at;
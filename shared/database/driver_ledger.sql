@@ -0,0 +1,223 @@
+-- ============================================
+-- DRIVER LEDGER TABLE SCHEMA
+-- Complete SQL script for the per-driver double-entry ledger
+-- Every line posts a debit or a credit to the driver's account against
+-- an offsetting account (a finance field such as "salik" or
+-- "uber_30_days", "cash", "opening_balance", ...). Opening and closing
+-- balances are derived from the entries (SUM(debit) - SUM(credit))
+-- instead of being copied from the previous month's payslips.obopm.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE DRIVER_LEDGER_ENTRIES TABLE
+-- ============================================
+-- source:
+--   opening_balance - balance carried over from before the ledger existed
+--   finance         - posted from a finance_records row when a payslip is generated
+--   payment         - money paid to or received from the driver
+--   adjustment      - manual correction
+CREATE TABLE IF NOT EXISTS driver_ledger_entries (
+    id SERIAL PRIMARY KEY,
+    driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    entry_date DATE NOT NULL,
+    year VARCHAR(4),
+    month_name VARCHAR(20),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('opening_balance', 'finance', 'payment', 'adjustment')),
+    account VARCHAR(100) NOT NULL,
+    description TEXT,
+    debit DECIMAL(12,2) NOT NULL DEFAULT 0,
+    credit DECIMAL(12,2) NOT NULL DEFAULT 0,
+    finance_record_id INTEGER REFERENCES finance_records(id) ON DELETE SET NULL,
+    payslip_id INTEGER REFERENCES payslips(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Each line is either a debit or a credit, never both
+    CONSTRAINT chk_driver_ledger_one_side CHECK (
+        debit >= 0 AND credit >= 0 AND (debit > 0) <> (credit > 0)
+    )
+);
+
+-- Posted lines outlive the finance row they came from, so replacing a month's
+-- finance data never removes the lines an issued payslip was built from
+ALTER TABLE driver_ledger_entries DROP CONSTRAINT IF EXISTS driver_ledger_entries_finance_record_id_fkey;
+ALTER TABLE driver_ledger_entries ADD CONSTRAINT driver_ledger_entries_finance_record_id_fkey
+    FOREIGN KEY (finance_record_id) REFERENCES finance_records(id) ON DELETE SET NULL;
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_driver_ledger_driver_date ON driver_ledger_entries(driver_id, entry_date, id);
+CREATE INDEX IF NOT EXISTS idx_driver_ledger_period ON driver_ledger_entries(driver_id, year, month_name);
+CREATE INDEX IF NOT EXISTS idx_driver_ledger_source ON driver_ledger_entries(source);
+CREATE INDEX IF NOT EXISTS idx_driver_ledger_finance_record ON driver_ledger_entries(finance_record_id);
+CREATE INDEX IF NOT EXISTS idx_driver_ledger_payslip ON driver_ledger_entries(payslip_id);
+
+-- ============================================
+-- 3. CREATE TRIGGER FUNCTION (auto-update updated_at)
+-- ============================================
+CREATE OR REPLACE FUNCTION update_driver_ledger_entries_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 4. CREATE TRIGGER
+-- ============================================
+DROP TRIGGER IF EXISTS trigger_update_driver_ledger_entries_updated_at ON driver_ledger_entries;
+CREATE TRIGGER trigger_update_driver_ledger_entries_updated_at
+    BEFORE UPDATE ON driver_ledger_entries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_driver_ledger_entries_updated_at();
+
+-- ============================================
+-- 5. BACKFILL FROM EXISTING PAYSLIPS AND FINANCE RECORDS
+-- ============================================
+-- The earliest stored payslips.obopm of each driver becomes an opening
+-- balance entry at the start of that month; finance rows from that month
+-- on are posted with the same sign convention payslips use
+-- (positive = DR, negative = CR). Safe to run more than once.
+WITH first_payslips AS (
+    SELECT DISTINCT ON (d.id)
+        d.id as driver_id,
+        p.id as payslip_id,
+        p.year,
+        p.month_name,
+        p.obopm,
+        to_date(p.year || '-' || p.month_name || '-01', 'YYYY-Month-DD') as period_start
+    FROM payslips p
+    JOIN drivers d ON d.rick = p.data->>'rick'
+    WHERE p.year ~ '^\d{4}$'
+      AND p.month_name IN ('January','February','March','April','May','June','July','August','September','October','November','December')
+    ORDER BY d.id, to_date(p.year || '-' || p.month_name || '-01', 'YYYY-Month-DD') ASC, p.id ASC
+)
+INSERT INTO driver_ledger_entries (driver_id, entry_date, year, month_name, source, account, description, debit, credit, payslip_id)
+SELECT
+    fp.driver_id,
+    fp.period_start,
+    fp.year,
+    fp.month_name,
+    'opening_balance',
+    'opening_balance',
+    'Opening balance carried over from payslips.obopm',
+    GREATEST(fp.obopm, 0),
+    GREATEST(-fp.obopm, 0),
+    fp.payslip_id
+FROM first_payslips fp
+WHERE fp.obopm IS NOT NULL
+  AND fp.obopm <> 0
+  AND NOT EXISTS (
+      SELECT 1 FROM driver_ledger_entries e
+      WHERE e.driver_id = fp.driver_id AND e.source = 'opening_balance'
+  );
+
+INSERT INTO driver_ledger_entries (driver_id, entry_date, year, month_name, source, account, debit, credit, finance_record_id, payslip_id)
+SELECT
+    d.id,
+    (to_date(fr.year || '-' || fr.month_name || '-01', 'YYYY-Month-DD') + INTERVAL '1 month' - INTERVAL '1 day')::date,
+    fr.year,
+    fr.month_name,
+    'finance',
+    kv.key,
+    GREATEST(kv.value::numeric, 0),
+    GREATEST(-kv.value::numeric, 0),
+    fr.id,
+    (SELECT p.id FROM payslips p
+      WHERE p.data->>'rick' = d.rick AND p.year = fr.year AND p.month_name = fr.month_name
+      ORDER BY p.updated_at DESC LIMIT 1)
+FROM finance_records fr
+JOIN drivers d ON d.rick = fr.data->>'Rick'
+CROSS JOIN LATERAL jsonb_each_text(fr.data) kv
+WHERE fr.year ~ '^\d{4}$'
+  AND fr.month_name IN ('January','February','March','April','May','June','July','August','September','October','November','December')
+  AND kv.key NOT IN ('Rick', 'rick', 'rick_no', 'name', 'employee', 'date', 'plate')
+  AND kv.key NOT LIKE '\_%'
+  AND kv.value ~ '^-?\d+(\.\d+)?$'
+  AND kv.value::numeric <> 0
+  -- Only months on or after the carried-over opening balance
+  AND NOT EXISTS (
+      SELECT 1 FROM driver_ledger_entries ob
+      WHERE ob.driver_id = d.id
+        AND ob.source = 'opening_balance'
+        AND ob.entry_date > to_date(fr.year || '-' || fr.month_name || '-01', 'YYYY-Month-DD')
+  )
+  AND NOT EXISTS (
+      SELECT 1 FROM driver_ledger_entries e WHERE e.finance_record_id = fr.id
+  );
+
+-- ============================================
+-- 6. ADD LEDGER PERMISSIONS TO RBAC
+-- ============================================
+INSERT INTO permissions (name, description, resource, action) VALUES
+    ('ledger.view', 'View driver ledger statements', 'ledger', 'view'),
+    ('ledger.create', 'Post driver payments and adjustments', 'ledger', 'create')
+ON CONFLICT (name) DO NOTHING;
+
+-- Grant all ledger permissions to superadmin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'superadmin'
+  AND p.resource = 'ledger'
+ON CONFLICT DO NOTHING;
+
+-- Grant all ledger permissions to admin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'admin'
+  AND p.resource = 'ledger'
+ON CONFLICT DO NOTHING;
+
+-- Grant view ledger permission to manager
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'manager'
+  AND p.resource = 'ledger'
+  AND p.action = 'view'
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- 7. USEFUL FUNCTIONS
+-- ============================================
+
+-- Balance of a driver's account before a date (debit balance is positive)
+CREATE OR REPLACE FUNCTION get_driver_balance_before(p_driver_id INTEGER, p_date DATE)
+RETURNS NUMERIC AS $$
+BEGIN
+    RETURN (
+        SELECT COALESCE(SUM(debit - credit), 0)
+        FROM driver_ledger_entries
+        WHERE driver_id = p_driver_id
+          AND entry_date < p_date
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Statement with running balance for a driver
+-- SELECT entry_date, source, account, debit, credit,
+--        SUM(debit - credit) OVER (ORDER BY entry_date, id) as balance
+-- FROM driver_ledger_entries
+-- WHERE driver_id = 1
+-- ORDER BY entry_date, id;
+
+-- Current balance of every driver
+-- SELECT d.rick, d.name, COALESCE(SUM(e.debit - e.credit), 0) as balance
+-- FROM drivers d
+-- LEFT JOIN driver_ledger_entries e ON e.driver_id = d.id
+-- GROUP BY d.id, d.rick, d.name
+-- ORDER BY d.rick;
+
+-- Check the books balance: total debits vs total credits per month
+-- SELECT year, month_name, SUM(debit) as debits, SUM(credit) as credits
+-- FROM driver_ledger_entries
+-- GROUP BY year, month_name
+-- ORDER BY year, month_name;
@@ -0,0 +1,102 @@
+-- ============================================
+-- FINANCE PERIODS TABLE SCHEMA
+-- Complete SQL script for month-close locking of finance records
+-- A closed year/month blocks uploads, updates and deletes of its
+-- finance_records until a superadmin reopens it. Every close and
+-- reopen is recorded in finance_period_events.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE FINANCE_PERIODS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS finance_periods (
+    id SERIAL PRIMARY KEY,
+    year VARCHAR(4) NOT NULL,
+    month_name VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'closed' CHECK (status IN ('open', 'closed')),
+    closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    closed_at TIMESTAMP,
+    reopened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reopened_at TIMESTAMP,
+    reopen_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 2. CREATE FINANCE_PERIOD_EVENTS TABLE (audit trail)
+-- ============================================
+CREATE TABLE IF NOT EXISTS finance_period_events (
+    id SERIAL PRIMARY KEY,
+    period_id INTEGER NOT NULL REFERENCES finance_periods(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('closed', 'reopened')),
+    reason TEXT,
+    performed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    performed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 3. CREATE INDEXES (for performance)
+-- ============================================
+-- finance_records.month_name is free text, so periods are matched case-insensitively
+CREATE UNIQUE INDEX IF NOT EXISTS idx_finance_periods_unique_month ON finance_periods(year, LOWER(month_name));
+CREATE INDEX IF NOT EXISTS idx_finance_periods_status ON finance_periods(status);
+CREATE INDEX IF NOT EXISTS idx_finance_period_events_period ON finance_period_events(period_id, performed_at);
+
+-- ============================================
+-- 4. CREATE TRIGGER FUNCTION (auto-update updated_at)
+-- ============================================
+CREATE OR REPLACE FUNCTION update_finance_periods_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 5. CREATE TRIGGER
+-- ============================================
+DROP TRIGGER IF EXISTS trigger_update_finance_periods_updated_at ON finance_periods;
+CREATE TRIGGER trigger_update_finance_periods_updated_at
+    BEFORE UPDATE ON finance_periods
+    FOR EACH ROW
+    EXECUTE FUNCTION update_finance_periods_updated_at();
+
+-- ============================================
+-- 6. ADD FINANCE PERIOD PERMISSIONS TO RBAC
+-- ============================================
+-- Reopening is superadmin-only and enforced by the route, not a permission
+INSERT INTO permissions (name, description, resource, action) VALUES
+    ('finances.close', 'Close finance months', 'finances', 'close')
+ON CONFLICT (name) DO NOTHING;
+
+-- Grant close permission to superadmin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'superadmin'
+  AND p.name = 'finances.close'
+ON CONFLICT DO NOTHING;
+
+-- Grant close permission to admin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'admin'
+  AND p.name = 'finances.close'
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Closed months
+-- SELECT year, month_name, closed_at FROM finance_periods WHERE status = 'closed' ORDER BY year, month_name;
+
+-- Who closed and reopened a month
+-- SELECT fp.year, fp.month_name, e.action, e.reason, u.username, e.performed_at
+-- FROM finance_period_events e
+-- JOIN finance_periods fp ON fp.id = e.period_id
+-- LEFT JOIN users u ON u.id = e.performed_by
+-- ORDER BY e.performed_at DESC;
@@ -0,0 +1,91 @@
+-- ============================================
+-- FINANCE UPLOAD TEMPLATES TABLE SCHEMA
+-- Complete SQL script for saved finance Excel column mappings
+-- A template maps the headers of one aggregator export (Uber, Careem,
+-- Yango, ...) to canonical finance keys, picks the sheet and header
+-- row, and declares the type each column is coerced to.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE FINANCE_UPLOAD_TEMPLATES TABLE
+-- ============================================
+-- column_mappings format:
+-- [
+--   { "source": ["RICK NO", "Rick"], "target": "Rick", "type": "text" },
+--   { "source": "Total Earnings", "target": "uber_30_days", "type": "currency" }
+-- ]
+-- type: text | number | integer | currency | date
+CREATE TABLE IF NOT EXISTS finance_upload_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    sheet_name VARCHAR(100),
+    header_row INTEGER NOT NULL DEFAULT 1 CHECK (header_row >= 1),
+    column_mappings JSONB NOT NULL DEFAULT '[]'::jsonb,
+    drop_unmapped BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_finance_upload_templates_name ON finance_upload_templates(name);
+
+-- ============================================
+-- 3. CREATE TRIGGER FUNCTION (auto-update updated_at)
+-- ============================================
+CREATE OR REPLACE FUNCTION update_finance_upload_templates_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 4. CREATE TRIGGER
+-- ============================================
+DROP TRIGGER IF EXISTS trigger_update_finance_upload_templates_updated_at ON finance_upload_templates;
+CREATE TRIGGER trigger_update_finance_upload_templates_updated_at
+    BEFORE UPDATE ON finance_upload_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_finance_upload_templates_updated_at();
+
+-- ============================================
+-- 5. INSERT SAMPLE DATA (optional for testing)
+-- ============================================
+INSERT INTO finance_upload_templates (name, description, sheet_name, header_row, column_mappings) VALUES
+    (
+        'Monthly Salary Sheet',
+        'Standard monthly accounts workbook',
+        NULL,
+        1,
+        '[
+            { "source": ["Rick", "RICK", "RICK NO", "Rick No"], "target": "Rick", "type": "text" },
+            { "source": ["Name", "Driver Name"], "target": "name", "type": "text" },
+            { "source": ["Plate", "Plate No"], "target": "plate", "type": "text" },
+            { "source": "Daman", "target": "daman", "type": "currency" },
+            { "source": "DARB", "target": "darb", "type": "currency" },
+            { "source": "Fine", "target": "fine", "type": "currency" },
+            { "source": "Salik", "target": "salik", "type": "currency" },
+            { "source": "Advance", "target": "advance", "type": "currency" },
+            { "source": "ADNOC", "target": "adnoc", "type": "currency" },
+            { "source": ["Other Exp", "Other Expenses"], "target": "other_exp", "type": "currency" },
+            { "source": ["Uber 30 Days", "Uber"], "target": "uber_30_days", "type": "currency" },
+            { "source": ["Careem 30 Days", "Careem"], "target": "careem_30_days", "type": "currency" },
+            { "source": ["Yango 30", "Yango"], "target": "yango_30", "type": "currency" },
+            { "source": "Total Salary", "target": "total_salary", "type": "currency" }
+        ]'::jsonb
+    )
+ON CONFLICT (name) DO NOTHING;
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- List templates
+-- SELECT id, name, sheet_name, header_row, jsonb_array_length(column_mappings) as mappings
+-- FROM finance_upload_templates
+-- ORDER BY name;
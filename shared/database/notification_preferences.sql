@@ -0,0 +1,62 @@
+-- ============================================
+-- NOTIFICATION PREFERENCES SCHEMA
+-- Complete SQL script for per-user notification settings
+-- Users receive every event type their permissions allow unless they
+-- switch it off; one row per (user, event type) they have changed.
+-- Requires notifications.sql (the inbox table).
+-- ============================================
+
+-- ============================================
+-- 1. CREATE NOTIFICATION_PREFERENCES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, event_type)
+);
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+-- Recipient lookups filter muted users per event type
+CREATE INDEX IF NOT EXISTS idx_notification_preferences_muted
+    ON notification_preferences(event_type, user_id) WHERE enabled = false;
+
+-- ============================================
+-- 3. CREATE TRIGGER FOR UPDATED_AT
+-- ============================================
+CREATE OR REPLACE FUNCTION update_notification_preferences_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_notification_preferences_updated_at ON notification_preferences;
+CREATE TRIGGER trigger_update_notification_preferences_updated_at
+    BEFORE UPDATE ON notification_preferences
+    FOR EACH ROW
+    EXECUTE FUNCTION update_notification_preferences_updated_at();
+
+-- ============================================
+-- 4. PERMISSIONS
+-- ============================================
+-- The inbox and preferences belong to the logged-in user, so no extra
+-- permission is needed; each event type is only delivered to users
+-- holding the permission to view the entity it is about.
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Event types a user has muted
+-- SELECT event_type FROM notification_preferences
+-- WHERE user_id = 1 AND enabled = false;
+
+-- Unread count per user
+-- SELECT user_id, COUNT(*) FROM notifications
+-- WHERE read_at IS NULL
+-- GROUP BY user_id;
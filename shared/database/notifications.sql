@@ -0,0 +1,63 @@
+-- ============================================
+-- NOTIFICATIONS SCHEMA
+-- Complete SQL script for notification delivery
+-- notifications  - in-app inbox, one row per recipient user
+-- expiry_alerts  - one row per document expiry threshold already alerted, with the
+--                  channels that delivered it, so the daily expiry job never sends
+--                  the same alert twice on a channel and retries the failed ones
+-- ============================================
+
+-- ============================================
+-- 1. CREATE NOTIFICATIONS TABLE (in-app inbox)
+-- ============================================
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    entity_type VARCHAR(50),
+    entity_id INTEGER,
+    data JSONB,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 2. CREATE EXPIRY_ALERTS TABLE (de-duplication)
+-- ============================================
+-- A renewal changes expiry_date, so the new date gets its own set of alerts
+CREATE TABLE IF NOT EXISTS expiry_alerts (
+    id SERIAL PRIMARY KEY,
+    owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('driver', 'vehicle')),
+    owner_id INTEGER NOT NULL,
+    document_type VARCHAR(50) NOT NULL,
+    expiry_date DATE NOT NULL,
+    threshold_days INTEGER NOT NULL,
+    channels TEXT[] NOT NULL DEFAULT '{}',
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 3. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id, created_at DESC) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expiry_alerts_unique
+    ON expiry_alerts(owner_type, owner_id, document_type, expiry_date, threshold_days);
+CREATE INDEX IF NOT EXISTS idx_expiry_alerts_sent_at ON expiry_alerts(sent_at DESC);
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Alerts sent today
+-- SELECT owner_type, owner_id, document_type, expiry_date, threshold_days, channels
+-- FROM expiry_alerts
+-- WHERE sent_at >= CURRENT_DATE
+-- ORDER BY threshold_days, expiry_date;
+
+-- Unread inbox of a user
+-- SELECT id, type, title, created_at FROM notifications
+-- WHERE user_id = 1 AND read_at IS NULL
+-- ORDER BY created_at DESC;
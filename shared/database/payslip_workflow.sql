@@ -0,0 +1,99 @@
+-- ============================================
+-- PAYSLIP WORKFLOW SCHEMA
+-- Complete SQL script for the payslip lifecycle
+-- draft -> approved -> issued -> locked
+-- Only draft payslips can be edited, regenerated or deleted. Any later
+-- state goes back to draft only through an explicit reopen with a reason,
+-- and every transition is recorded in payslip_status_history.
+-- ============================================
+
+-- ============================================
+-- 1. ADD STATUS COLUMNS TO PAYSLIPS
+-- ============================================
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'draft';
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP;
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS issued_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS issued_at TIMESTAMP;
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS locked_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE payslips ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP;
+
+ALTER TABLE payslips DROP CONSTRAINT IF EXISTS chk_payslips_status;
+ALTER TABLE payslips ADD CONSTRAINT chk_payslips_status
+    CHECK (status IN ('draft', 'approved', 'issued', 'locked'));
+
+-- Payslips already marked paid in their JSON data are treated as locked
+UPDATE payslips
+SET status = 'locked',
+    locked_at = COALESCE(locked_at, updated_at)
+WHERE status = 'draft'
+  AND data->>'status' = 'paid';
+
+COMMENT ON COLUMN payslips.status IS 'Lifecycle state: draft, approved, issued or locked';
+
+-- ============================================
+-- 2. CREATE PAYSLIP_STATUS_HISTORY TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS payslip_status_history (
+    id SERIAL PRIMARY KEY,
+    payslip_id INTEGER NOT NULL REFERENCES payslips(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 3. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_payslips_status_column ON payslips(status);
+CREATE INDEX IF NOT EXISTS idx_payslip_status_history_payslip ON payslip_status_history(payslip_id, changed_at);
+
+-- ============================================
+-- 4. ADD PAYSLIP WORKFLOW PERMISSIONS TO RBAC
+-- ============================================
+INSERT INTO permissions (name, description, resource, action) VALUES
+    ('payslips.approve', 'Approve draft payslips', 'payslips', 'approve'),
+    ('payslips.issue', 'Issue and lock approved payslips', 'payslips', 'issue')
+ON CONFLICT (name) DO NOTHING;
+
+-- Grant workflow permissions to superadmin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'superadmin'
+  AND p.name IN ('payslips.approve', 'payslips.issue')
+ON CONFLICT DO NOTHING;
+
+-- Grant workflow permissions to admin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'admin'
+  AND p.name IN ('payslips.approve', 'payslips.issue')
+ON CONFLICT DO NOTHING;
+
+-- Grant approve permission to manager
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'manager'
+  AND p.name = 'payslips.approve'
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Payslips per status for a month
+-- SELECT status, COUNT(*) FROM payslips
+-- WHERE year = '2025' AND month_name = 'January'
+-- GROUP BY status;
+
+-- Reopen history with reasons
+-- SELECT h.payslip_id, h.from_status, h.to_status, h.reason, u.username, h.changed_at
+-- FROM payslip_status_history h
+-- LEFT JOIN users u ON u.id = h.changed_by
+-- WHERE h.to_status = 'draft'
+-- ORDER BY h.changed_at DESC;
@@ -0,0 +1,123 @@
+-- ============================================
+-- RATE CARDS / BOOKING PRICING SCHEMA
+-- Complete SQL script for booking fares
+-- rate_cards - price rules per car_type, valid from effective_from to
+--              effective_to (NULL = open-ended). Cards of one car_type
+--              never overlap, so a date resolves to at most one card.
+-- bookings   - quoted fare (with its breakdown and rate card) and final fare
+-- ============================================
+
+-- ============================================
+-- 1. CREATE RATE_CARDS TABLE
+-- ============================================
+-- fare = base_fare + per_km * distance + per_hour * duration
+--        (+ night_surcharge_percent of that when the pickup falls in the night window)
+--        + airport_fee for airport trips, and never less than minimum_fare
+CREATE TABLE IF NOT EXISTS rate_cards (
+    id SERIAL PRIMARY KEY,
+    car_type VARCHAR(100) NOT NULL,
+    base_fare DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (base_fare >= 0),
+    per_km DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (per_km >= 0),
+    per_hour DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (per_hour >= 0),
+    minimum_fare DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (minimum_fare >= 0),
+    night_surcharge_percent DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (night_surcharge_percent BETWEEN 0 AND 100),
+    night_start TIME NOT NULL DEFAULT '22:00',
+    night_end TIME NOT NULL DEFAULT '06:00',
+    airport_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (airport_fee >= 0),
+    effective_from DATE NOT NULL,
+    effective_to DATE,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT check_rate_card_period CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- ============================================
+-- 2. ADD FARE COLUMNS TO BOOKINGS
+-- ============================================
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS distance_km DECIMAL(8,2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS rate_card_id INTEGER REFERENCES rate_cards(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS quoted_fare DECIMAL(10,2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS fare_breakdown JSONB;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS quoted_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS final_fare DECIMAL(10,2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS final_fare_note TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS final_fare_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS final_fare_at TIMESTAMP;
+
+COMMENT ON COLUMN bookings.fare_breakdown IS 'Rate card values and fare lines used for quoted_fare, kept even if the card changes later';
+
+-- ============================================
+-- 3. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_rate_cards_car_type ON rate_cards(LOWER(car_type), effective_from);
+
+-- ============================================
+-- 4. CREATE TRIGGER FUNCTION (auto-update updated_at)
+-- ============================================
+CREATE OR REPLACE FUNCTION update_rate_cards_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 5. CREATE TRIGGER
+-- ============================================
+DROP TRIGGER IF EXISTS trigger_update_rate_cards_updated_at ON rate_cards;
+CREATE TRIGGER trigger_update_rate_cards_updated_at
+    BEFORE UPDATE ON rate_cards
+    FOR EACH ROW
+    EXECUTE FUNCTION update_rate_cards_updated_at();
+
+-- ============================================
+-- 6. ADD PRICING PERMISSIONS TO RBAC
+-- ============================================
+-- Quoting a booking and setting its final fare use bookings.update.
+INSERT INTO permissions (name, description, resource, action) VALUES
+    ('pricing.view', 'View rate cards and calculate quotes', 'pricing', 'view'),
+    ('pricing.manage', 'Create, update and delete rate cards', 'pricing', 'manage')
+ON CONFLICT (name) DO NOTHING;
+
+-- Grant all pricing permissions to superadmin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'superadmin'
+  AND p.resource = 'pricing'
+ON CONFLICT DO NOTHING;
+
+-- Grant all pricing permissions to admin
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'admin'
+  AND p.resource = 'pricing'
+ON CONFLICT DO NOTHING;
+
+-- Grant view to manager and employee
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name IN ('manager', 'employee')
+  AND p.name = 'pricing.view'
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Rate card in effect today per car type
+-- SELECT DISTINCT ON (LOWER(car_type)) car_type, base_fare, per_km, per_hour, effective_from, effective_to
+-- FROM rate_cards
+-- WHERE effective_from <= CURRENT_DATE AND (effective_to IS NULL OR effective_to >= CURRENT_DATE)
+-- ORDER BY LOWER(car_type), effective_from DESC;
+
+-- Quoted against final fares
+-- SELECT id, reference_code, car_type, quoted_fare, final_fare, final_fare - quoted_fare as difference
+-- FROM bookings
+-- WHERE final_fare IS NOT NULL
+-- ORDER BY booking_date DESC;
@@ -0,0 +1,54 @@
+-- ============================================
+-- SOFT DELETE SCHEMA
+-- Complete SQL script for archiving drivers, vehicles, bookings and users
+-- Deleting one of these rows through the admin API only marks it archived
+-- (flag + timestamp + actor). Archived rows are hidden from list endpoints,
+-- can be restored from the trash, and are permanently removed by a
+-- superadmin purge once they are older than TRASH_RETENTION_DAYS.
+-- ============================================
+
+-- ============================================
+-- 1. ADD ARCHIVE COLUMNS
+-- ============================================
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS is_archived BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS is_archived BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS is_archived BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_archived BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+-- Partial indexes: the trash is small and only ever read ordered by archived_at
+CREATE INDEX IF NOT EXISTS idx_drivers_archived ON drivers(archived_at) WHERE is_archived = true;
+CREATE INDEX IF NOT EXISTS idx_vehicles_archived ON vehicles(archived_at) WHERE is_archived = true;
+CREATE INDEX IF NOT EXISTS idx_bookings_archived ON bookings(archived_at) WHERE is_archived = true;
+CREATE INDEX IF NOT EXISTS idx_users_archived ON users(archived_at) WHERE is_archived = true;
+
+-- ============================================
+-- 3. PERMISSIONS
+-- ============================================
+-- Trash listing and restore reuse each resource's <resource>.delete permission;
+-- purging is superadmin-only and enforced by the route, so no new permissions.
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Contents of the driver trash
+-- SELECT id, rick, name, archived_at, archived_by FROM drivers WHERE is_archived = true ORDER BY archived_at DESC;
+
+-- Rows a purge would remove with a 30 day retention
+-- SELECT 'drivers' as resource, COUNT(*) FROM drivers WHERE is_archived = true AND archived_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
+-- UNION ALL
+-- SELECT 'vehicles', COUNT(*) FROM vehicles WHERE is_archived = true AND archived_at < CURRENT_TIMESTAMP - INTERVAL '30 days';
@@ -0,0 +1,103 @@
+-- ============================================
+-- TRAFFIC CHARGES TABLE SCHEMA
+-- Complete SQL script for traffic fine and Salik (toll) imports
+-- Each imported line is resolved to the driver who held the vehicle
+-- at the time of the charge (see vehicle_assignments.sql) and the
+-- per-Rick totals are posted into the monthly finance_records.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE TRAFFIC_CHARGES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS traffic_charges (
+    id SERIAL PRIMARY KEY,
+    charge_type VARCHAR(20) NOT NULL CHECK (charge_type IN ('fine', 'salik')),
+    year VARCHAR(4) NOT NULL,
+    month_name VARCHAR(20) NOT NULL,
+    plate_code VARCHAR(20),
+    plate_no VARCHAR(50),
+    charged_at TIMESTAMP,
+    amount DECIMAL(10,2),
+    reference VARCHAR(100),
+    driver_id INTEGER REFERENCES drivers(id) ON DELETE SET NULL,
+    rick VARCHAR(50),
+    assignment_id INTEGER REFERENCES vehicle_assignments(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'matched' CHECK (status IN ('matched', 'unmatched')),
+    unmatched_reason VARCHAR(255),
+    source_file VARCHAR(255),
+    source_line INTEGER,
+    raw_data JSONB,
+    imported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_traffic_charges_period ON traffic_charges(year, month_name, charge_type);
+CREATE INDEX IF NOT EXISTS idx_traffic_charges_rick ON traffic_charges(rick);
+CREATE INDEX IF NOT EXISTS idx_traffic_charges_status ON traffic_charges(status);
+CREATE INDEX IF NOT EXISTS idx_traffic_charges_plate ON traffic_charges(plate_no, charged_at);
+
+-- Prevent the same charge from being imported twice, matched or not
+-- (re-importing an unmatched line replaces it - see importCharges)
+-- Every key column is COALESCEd: unmatched lines may lack a plate, date or amount
+DROP INDEX IF EXISTS idx_traffic_charges_unique_line;
+DROP INDEX IF EXISTS idx_traffic_charges_unique_charge;
+
+-- Earlier imports kept a new unmatched row per re-import: keep the matched row, else the latest one
+DELETE FROM traffic_charges tc
+USING traffic_charges keep
+WHERE keep.id <> tc.id
+  AND keep.charge_type = tc.charge_type
+  AND COALESCE(keep.plate_code, '') = COALESCE(tc.plate_code, '')
+  AND COALESCE(keep.plate_no, '') = COALESCE(tc.plate_no, '')
+  AND COALESCE(keep.charged_at, '-infinity'::timestamp) = COALESCE(tc.charged_at, '-infinity'::timestamp)
+  AND COALESCE(keep.amount, 0) = COALESCE(tc.amount, 0)
+  AND COALESCE(keep.reference, '') = COALESCE(tc.reference, '')
+  AND tc.status = 'unmatched'
+  AND (keep.status = 'matched' OR keep.id > tc.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_traffic_charges_unique_key
+    ON traffic_charges(
+        charge_type, COALESCE(plate_code, ''), COALESCE(plate_no, ''),
+        COALESCE(charged_at, '-infinity'::timestamp), COALESCE(amount, 0), COALESCE(reference, '')
+    );
+
+-- ============================================
+-- 3. CREATE TRIGGER FUNCTION (auto-update updated_at)
+-- ============================================
+CREATE OR REPLACE FUNCTION update_traffic_charges_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 4. CREATE TRIGGER
+-- ============================================
+DROP TRIGGER IF EXISTS trigger_update_traffic_charges_updated_at ON traffic_charges;
+CREATE TRIGGER trigger_update_traffic_charges_updated_at
+    BEFORE UPDATE ON traffic_charges
+    FOR EACH ROW
+    EXECUTE FUNCTION update_traffic_charges_updated_at();
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Per-Rick totals for a month
+-- SELECT rick, charge_type, COUNT(*) as lines, SUM(amount) as total
+-- FROM traffic_charges
+-- WHERE year = '2025' AND month_name = 'October' AND status = 'matched'
+-- GROUP BY rick, charge_type
+-- ORDER BY rick;
+
+-- Unmatched lines
+-- SELECT plate_code, plate_no, charged_at, amount, unmatched_reason
+-- FROM traffic_charges
+-- WHERE status = 'unmatched'
+-- ORDER BY charged_at;
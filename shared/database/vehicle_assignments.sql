@@ -0,0 +1,142 @@
+-- ============================================
+-- VEHICLE ASSIGNMENTS TABLE SCHEMA
+-- Complete SQL script for driver-to-vehicle assignment history
+-- Each row records which driver held which vehicle from when to when.
+-- An open assignment (assigned_to IS NULL) is the current one.
+-- ============================================
+
+-- ============================================
+-- 1. CREATE VEHICLE_ASSIGNMENTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS vehicle_assignments (
+    id SERIAL PRIMARY KEY,
+    driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE RESTRICT,
+    vehicle_id INTEGER NOT NULL REFERENCES vehicles(id) ON DELETE RESTRICT,
+    assigned_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    assigned_to TIMESTAMP,
+    notes TEXT,
+    assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    unassigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    start_applied BOOLEAN NOT NULL DEFAULT false,
+    end_applied BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT check_assignment_period CHECK (assigned_to IS NULL OR assigned_to > assigned_from)
+);
+
+-- vehicles.rick_no mirrors the current holder and is cleared when the assignment ends
+ALTER TABLE vehicles ALTER COLUMN rick_no DROP NOT NULL;
+
+-- Whether the start / end has been mirrored onto vehicles.rick_no and status yet
+-- (existing rows start unapplied, so the first sync brings every vehicle up to date)
+ALTER TABLE vehicle_assignments ADD COLUMN IF NOT EXISTS start_applied BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE vehicle_assignments ADD COLUMN IF NOT EXISTS end_applied BOOLEAN NOT NULL DEFAULT false;
+
+-- The history outlives trash purges: a driver or vehicle with assignments cannot be purged
+ALTER TABLE vehicle_assignments DROP CONSTRAINT IF EXISTS vehicle_assignments_driver_id_fkey;
+ALTER TABLE vehicle_assignments ADD CONSTRAINT vehicle_assignments_driver_id_fkey
+    FOREIGN KEY (driver_id) REFERENCES drivers(id) ON DELETE RESTRICT;
+ALTER TABLE vehicle_assignments DROP CONSTRAINT IF EXISTS vehicle_assignments_vehicle_id_fkey;
+ALTER TABLE vehicle_assignments ADD CONSTRAINT vehicle_assignments_vehicle_id_fkey
+    FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE RESTRICT;
+
+-- ============================================
+-- 2. CREATE INDEXES (for performance)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_vehicle_assignments_driver_id ON vehicle_assignments(driver_id);
+CREATE INDEX IF NOT EXISTS idx_vehicle_assignments_vehicle_id ON vehicle_assignments(vehicle_id);
+CREATE INDEX IF NOT EXISTS idx_vehicle_assignments_period ON vehicle_assignments(vehicle_id, assigned_from, assigned_to);
+
+-- Only one open (current) assignment per vehicle and per driver
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicle_assignments_open_vehicle ON vehicle_assignments(vehicle_id) WHERE assigned_to IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicle_assignments_open_driver ON vehicle_assignments(driver_id) WHERE assigned_to IS NULL;
+
+-- ============================================
+-- 3. CREATE TRIGGER FUNCTION (auto-update updated_at)
+-- ============================================
+CREATE OR REPLACE FUNCTION update_vehicle_assignments_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 4. CREATE TRIGGER
+-- ============================================
+DROP TRIGGER IF EXISTS trigger_update_vehicle_assignments_updated_at ON vehicle_assignments;
+CREATE TRIGGER trigger_update_vehicle_assignments_updated_at
+    BEFORE UPDATE ON vehicle_assignments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_vehicle_assignments_updated_at();
+
+-- ============================================
+-- 5. BACKFILL FROM EXISTING RICK LINKS (optional)
+-- ============================================
+-- Open an assignment for every vehicle whose rick_no matches a driver,
+-- starting from the vehicle's creation date. Vehicles or drivers that
+-- already have an open assignment are skipped.
+INSERT INTO vehicle_assignments (driver_id, vehicle_id, assigned_from, notes)
+SELECT DISTINCT ON (v.id) d.id, v.id, v.created_at, 'Backfilled from vehicles.rick_no'
+FROM vehicles v
+JOIN drivers d ON d.rick = v.rick_no
+WHERE NOT EXISTS (
+    SELECT 1 FROM vehicle_assignments va
+    WHERE va.assigned_to IS NULL AND (va.vehicle_id = v.id OR va.driver_id = d.id)
+)
+ORDER BY v.id
+ON CONFLICT DO NOTHING;
+
+-- ============================================
+-- 6. USEFUL FUNCTIONS FOR ASSIGNMENT QUERIES
+-- ============================================
+
+-- Function to find the driver who held a plate at a given moment
+CREATE OR REPLACE FUNCTION get_driver_for_plate_at(p_plate_no TEXT, p_at TIMESTAMP)
+RETURNS TABLE (
+    assignment_id INTEGER,
+    driver_id INTEGER,
+    rick VARCHAR(50),
+    driver_name VARCHAR(255),
+    vehicle_id INTEGER,
+    plate_code VARCHAR(20),
+    plate_no VARCHAR(50),
+    assigned_from TIMESTAMP,
+    assigned_to TIMESTAMP
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        va.id,
+        d.id,
+        d.rick,
+        d.name,
+        v.id,
+        v.plate_code,
+        v.plate_no,
+        va.assigned_from,
+        va.assigned_to
+    FROM vehicle_assignments va
+    JOIN vehicles v ON v.id = va.vehicle_id
+    JOIN drivers d ON d.id = va.driver_id
+    WHERE v.plate_no = p_plate_no
+      AND va.assigned_from <= p_at
+      AND (va.assigned_to IS NULL OR va.assigned_to > p_at);
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- VERIFICATION QUERIES (optional - for testing)
+-- ============================================
+
+-- Current assignments
+-- SELECT d.rick, d.name, v.plate_code, v.plate_no, va.assigned_from
+-- FROM vehicle_assignments va
+-- JOIN drivers d ON d.id = va.driver_id
+-- JOIN vehicles v ON v.id = va.vehicle_id
+-- WHERE va.assigned_to IS NULL
+-- ORDER BY d.rick;
+
+-- Who had plate 12345 on 2025-10-01 08:00
+-- SELECT * FROM get_driver_for_plate_at('12345', '2025-10-01 08:00');
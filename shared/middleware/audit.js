@@ -0,0 +1,196 @@
+const { query } = require('../database/connection');
+
+/**
+ * Audit Middleware
+ * Records every successful create/update/delete in audit_logs
+ * with the actor, route, entity and before/after row snapshots
+ */
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Per-user inbox state rather than shared data, so never audited
+const UNAUDITED_ENTITY_TYPES = ['notifications', 'notifications.read-all', 'notifications.preferences'];
+
+// Entity types whose rows can be snapshotted before and after a change
+const SNAPSHOT_TABLES = {
+  drivers: 'drivers',
+  vehicles: 'vehicles',
+  users: 'users',
+  bookings: 'bookings',
+  finances: 'finance_records',
+  payslips: 'payslips',
+  roles: 'roles',
+  'finances.templates': 'finance_upload_templates',
+  customers: 'customers',
+  invoices: 'invoices'
+};
+
+// Keys never stored in snapshots or request bodies
+const SENSITIVE_KEY = /password|token|secret/i;
+
+// Drop sensitive keys from a row or request body
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  return Object.keys(value).reduce((clean, key) => {
+    if (!SENSITIVE_KEY.test(key)) clean[key] = redact(value[key]);
+    return clean;
+  }, {});
+};
+
+// Split /api/admin/finances/templates/3?x=1 into ['finances', 'templates', '3']
+const getRouteSegments = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return path.split('/').filter(Boolean).slice(2);
+};
+
+/**
+ * Work out what a request changes from its route
+ * Leading non-numeric segments name the entity ('drivers', 'finances.templates'),
+ * the first numeric segment is its id and anything after it is a sub-action
+ */
+const resolveEntity = (req) => {
+  const segments = getRouteSegments(req);
+  const idIndex = segments.findIndex(segment => /^\d+$/.test(segment));
+  const typeSegments = idIndex === -1 ? segments : segments.slice(0, idIndex);
+  const entityType = typeSegments.join('.') || 'root';
+
+  let entityIds = [];
+  if (idIndex !== -1) {
+    entityIds = [segments[idIndex]];
+  } else if (req.body && Array.isArray(req.body.ids)) {
+    entityIds = req.body.ids.map(String);
+  }
+
+  return {
+    entityType,
+    entityIds,
+    hasSubAction: idIndex !== -1 && idIndex < segments.length - 1
+  };
+};
+
+const getAction = (method, entity) => {
+  if (method === 'DELETE') return entity.hasSubAction ? 'update' : 'delete';
+  if (method === 'POST' && entity.entityIds.length === 0) return 'create';
+  return 'update';
+};
+
+// Pick the id of a newly created row out of the response body
+const getCreatedId = (body) => {
+  if (!body || typeof body !== 'object') return null;
+  const candidates = [body.data, body.booking, body.data && body.data.payslip];
+  const match = candidates.find(candidate => candidate && typeof candidate === 'object' && candidate.id);
+  return match ? String(match.id) : null;
+};
+
+const loadSnapshot = async (entityType, entityIds) => {
+  const table = SNAPSHOT_TABLES[entityType];
+  if (!table || entityIds.length === 0) return null;
+
+  const result = await query(`SELECT * FROM ${table} WHERE id = ANY($1::int[]) ORDER BY id`, [entityIds.map(id => parseInt(id))]);
+  if (result.rows.length === 0) return null;
+
+  const rows = redact(result.rows);
+  return entityIds.length === 1 ? rows[0] : rows;
+};
+
+// req.ip honours the 'trust proxy' setting, so a client cannot spoof its address with X-Forwarded-For
+const getClientIp = (req) => {
+  return req.ip || (req.socket && req.socket.remoteAddress) || null;
+};
+
+const writeAuditLog = async (req, res, entity, action, before, responseBody) => {
+  let entityIds = entity.entityIds;
+  if (entityIds.length === 0 && action === 'create') {
+    const createdId = getCreatedId(responseBody);
+    if (createdId) entityIds = [createdId];
+  }
+
+  const after = action === 'delete' ? null : await loadSnapshot(entity.entityType, entityIds);
+  const user = req.user || {};
+
+  await query(`
+    INSERT INTO audit_logs (
+      actor_id, actor_username, actor_role, method, route, action,
+      entity_type, entity_id, before_data, after_data, request_body,
+      status_code, ip_address, user_agent
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+  `, [
+    user.id || null,
+    user.username || null,
+    user.role || null,
+    req.method,
+    req.originalUrl.split('?')[0].substring(0, 255),
+    action,
+    entity.entityType,
+    entityIds.length > 0 ? entityIds.join(',').substring(0, 255) : null,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null,
+    req.body && Object.keys(req.body).length > 0 ? JSON.stringify(redact(req.body)) : null,
+    res.statusCode,
+    getClientIp(req),
+    req.headers['user-agent'] || null
+  ]);
+};
+
+/**
+ * Tell the audit log which rows a request changed when its route does not name them
+ * (e.g. a finance upload that adds or replaces a whole month)
+ * @param {Object} res - Express response of the audited request
+ * @param {Object} change - { entityType, entityIds (rows to snapshot after), before (rows as they were, optional) }
+ */
+const setAuditedChange = (res, { entityType, entityIds, before = null }) => {
+  res.locals.auditedChange = { entityType, entityIds: entityIds.map(String), before };
+};
+
+/**
+ * Audit create/update/delete requests handled after this middleware
+ * Only requests that finish with a 2xx/3xx status are logged, and a
+ * failure to write the log never fails the request itself.
+ */
+const auditMutations = () => {
+  return async (req, res, next) => {
+    if (!AUDITED_METHODS.includes(req.method)) return next();
+
+    const entity = resolveEntity(req);
+    if (UNAUDITED_ENTITY_TYPES.includes(entity.entityType)) return next();
+
+    const action = getAction(req.method, entity);
+
+    let before = null;
+    if (action !== 'create') {
+      try {
+        before = await loadSnapshot(entity.entityType, entity.entityIds);
+      } catch (error) {
+        console.error('Error loading audit snapshot:', error);
+      }
+    }
+
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      // A handler that reported its own change overrides what the route resolved to
+      const change = res.locals.auditedChange;
+      const audited = change ? { ...entity, entityType: change.entityType, entityIds: change.entityIds } : entity;
+
+      writeAuditLog(req, res, audited, action, change ? redact(change.before) : before, responseBody).catch(error => {
+        console.error('Error writing audit log:', error);
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditMutations,
+  setAuditedChange
+};
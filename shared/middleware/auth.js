@@ -29,7 +29,7 @@ const authenticate = async (req, res, next) => {
       `SELECT u.id, u.username, u.email, u.role_id, r.name as role_name
        FROM users u
        LEFT JOIN roles r ON u.role_id = r.id
-       WHERE u.id = $1`,
+       WHERE u.id = $1 AND u.is_archived = false`,
       [decoded.userId]
     );
 
@@ -105,7 +105,7 @@ const optionalAuth = async (req, res, next) => {
       `SELECT u.id, u.username, u.email, u.role_id, r.name as role_name
        FROM users u
        LEFT JOIN roles r ON u.role_id = r.id
-       WHERE u.id = $1`,
+       WHERE u.id = $1 AND u.is_archived = false`,
       [decoded.userId]
     );
 
@@ -137,7 +137,25 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Query Token Middleware
+ * EventSource cannot send headers, so streaming endpoints also accept the
+ * same JWT as ?access_token=. It is moved into the Authorization header for
+ * authenticate and masked in the URL so request logs never contain it.
+ */
+const acceptQueryToken = (req, res, next) => {
+  const token = req.query.access_token;
+  if (token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  if (token) {
+    req.originalUrl = req.originalUrl.replace(/([?&]access_token=)[^&]*/, '$1[redacted]');
+  }
+  next();
+};
+
 module.exports = {
   authenticate,
-  optionalAuth
+  optionalAuth,
+  acceptQueryToken
 };
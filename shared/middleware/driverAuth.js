@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+const { query } = require('../database/connection');
+const config = require('../../config');
+
+/**
+ * Driver Authentication Middleware
+ * Verifies a driver app token and attaches the driver to the request.
+ * Driver tokens carry { driverAccountId, type: 'driver', tokenVersion } and are
+ * rejected by the admin authenticate middleware (no userId), and vice versa.
+ */
+const authenticateDriver = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token provided. Please login to access this resource.'
+      });
+    }
+
+    const decoded = jwt.verify(authHeader.substring(7), config.jwt.secret);
+
+    if (decoded.type !== 'driver' || !decoded.driverAccountId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token. Please login again.'
+      });
+    }
+
+    const result = await query(
+      `SELECT a.id as account_id, a.token_version, d.id, d.rick, d.name, d.mobile, d.status
+       FROM driver_accounts a
+       JOIN drivers d ON d.id = a.driver_id
+       WHERE a.id = $1 AND a.is_active = true AND d.is_archived = false`,
+      [decoded.driverAccountId]
+    );
+
+    // A password reset or disabled account bumps token_version and ends old sessions
+    if (result.rows.length === 0 || result.rows[0].token_version !== decoded.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid. Please login again.'
+      });
+    }
+
+    const driver = result.rows[0];
+    req.driver = {
+      id: driver.id,
+      accountId: driver.account_id,
+      rick: driver.rick,
+      name: driver.name,
+      mobile: driver.mobile,
+      status: driver.status
+    };
+
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token. Please login again.'
+      });
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token expired. Please login again.'
+      });
+    }
+
+    console.error('Driver authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication failed',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  authenticateDriver
+};
@@ -0,0 +1,52 @@
+const { sendError } = require('../utils/response');
+
+/**
+ * Rate Limit Middleware
+ * Fixed-window request counter per client IP, kept in memory. Counts are per
+ * server instance, so with several instances the effective limit is multiplied.
+ * Set TRUST_PROXY when running behind a proxy so req.ip is the client's address.
+ */
+
+/**
+ * @param {Object} options - { windowMs, max, message }
+ */
+const rateLimit = ({ windowMs, max, message = 'Too many requests. Please try again later.' }) => {
+  const hits = new Map();
+
+  // Drop finished windows so the map does not grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const key = req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(max - entry.count, 0));
+    res.setHeader('RateLimit-Reset', resetSeconds);
+
+    if (entry.count > max) {
+      res.setHeader('Retry-After', resetSeconds);
+      return sendError(res, message, 429);
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { query } = require('../database/connection');
+const config = require('../../config');
+
+/**
+ * Notification channels
+ * A channel delivers a batch of notifications to their recipients:
+ *   deliver(notifications) -> Promise<{ delivered: Number }>
+ * where each notification is
+ *   { type, title, message, entityType, entityId, data, recipients: [{ id, username, email }] }
+ * Register extra channels with registerChannel(name, channel).
+ */
+
+// In-app inbox: one notifications row per recipient
+const inboxChannel = {
+  deliver: async (notifications) => {
+    let delivered = 0;
+    for (const notification of notifications) {
+      for (const recipient of notification.recipients) {
+        await query(`
+          INSERT INTO notifications (user_id, type, title, message, entity_type, entity_id, data)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [
+          recipient.id,
+          notification.type,
+          notification.title,
+          notification.message || null,
+          notification.entityType || null,
+          notification.entityId || null,
+          notification.data ? JSON.stringify(notification.data) : null
+        ]);
+        delivered++;
+      }
+    }
+    return { delivered };
+  }
+};
+
+// Email over SMTP: one digest email per recipient listing all of their notifications
+let mailTransport = null;
+const emailChannel = {
+  deliver: async (notifications) => {
+    const { host, port, secure, user, password, from } = config.notifications.smtp;
+    if (!host) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    if (!mailTransport) {
+      mailTransport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined
+      });
+    }
+
+    // Group by recipient email so each person gets a single message
+    const byEmail = new Map();
+    notifications.forEach(notification => {
+      notification.recipients.filter(recipient => recipient.email).forEach(recipient => {
+        if (!byEmail.has(recipient.email)) byEmail.set(recipient.email, []);
+        byEmail.get(recipient.email).push(notification);
+      });
+    });
+
+    let delivered = 0;
+    for (const [email, items] of byEmail) {
+      await mailTransport.sendMail({
+        from,
+        to: email,
+        subject: items.length === 1 ? items[0].title : `${items.length} new notifications`,
+        text: items.map(item => `${item.title}\n${item.message || ''}`).join('\n\n')
+      });
+      delivered++;
+    }
+    return { delivered };
+  }
+};
+
+// Webhook: one JSON POST per batch, signed with HMAC-SHA256 when a secret is set
+const webhookChannel = {
+  deliver: async (notifications) => {
+    const { url, secret } = config.notifications.webhook;
+    if (!url) {
+      throw new Error('NOTIFY_WEBHOOK_URL is not configured');
+    }
+
+    const body = JSON.stringify({
+      sent_at: new Date().toISOString(),
+      notifications: notifications.map(({ recipients, ...notification }) => ({
+        ...notification,
+        recipients: recipients.map(recipient => recipient.id)
+      }))
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-Signature-SHA256'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    const response = await fetch(url, { method: 'POST', headers, body });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+    return { delivered: 1 };
+  }
+};
+
+// Local test transport: appends JSON lines to a file and keeps the last batch in memory,
+// so the whole pipeline can be exercised offline
+const testChannel = {
+  lastBatch: [],
+  deliver: async (notifications) => {
+    const filePath = config.notifications.testTransport.path;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const lines = notifications.map(notification => JSON.stringify({
+      logged_at: new Date().toISOString(),
+      ...notification,
+      recipients: notification.recipients.map(recipient => recipient.username || recipient.id)
+    }));
+    await fs.promises.appendFile(filePath, lines.map(line => `${line}\n`).join(''));
+
+    testChannel.lastBatch = notifications;
+    return { delivered: notifications.length };
+  }
+};
+
+const channels = {
+  inbox: inboxChannel,
+  email: emailChannel,
+  webhook: webhookChannel,
+  test: testChannel
+};
+
+/**
+ * Register or replace a channel
+ * @param {string} name - Name used in EXPIRY_CHANNELS
+ * @param {Object} channel - Object with deliver(notifications)
+ */
+const registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+/**
+ * Deliver notifications through the named channels
+ * A failing channel is reported but does not stop the others.
+ * @param {Array<string>} names - Channel names
+ * @param {Array<Object>} notifications
+ * @returns {Object} Per-channel result: { inbox: { delivered: 3 }, email: { error: '...' } }
+ */
+const dispatch = async (names, notifications) => {
+  const results = {};
+  for (const name of names) {
+    const channel = channels[name];
+    if (!channel) {
+      results[name] = { error: `Unknown notification channel: ${name}` };
+      continue;
+    }
+    try {
+      results[name] = await channel.deliver(notifications);
+    } catch (error) {
+      console.error(`Error delivering notifications via ${name}:`, error);
+      results[name] = { error: error.message };
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  registerChannel,
+  dispatch,
+  testChannel
+};
@@ -0,0 +1,108 @@
+const EventEmitter = require('events');
+const { query } = require('../database/connection');
+const { dispatch } = require('./channels');
+
+/**
+ * Domain Events
+ * Controllers publish what happened with emitEvent(); subscribers listen on
+ * domainEvents ('event'). The in-app inbox subscribes here and writes one
+ * notification per user who may see the entity and has not muted the type.
+ */
+
+const domainEvents = new EventEmitter();
+domainEvents.setMaxListeners(0);
+
+// Event types users can receive, with the permission needed to receive them
+const EVENT_TYPES = {
+  'booking.created': { label: 'New booking', permission: 'bookings.view' },
+  'booking.updated': { label: 'Booking updated', permission: 'bookings.view' },
+  'booking.assigned': { label: 'Driver assigned to booking', permission: 'bookings.view' },
+  'booking.status_changed': { label: 'Booking status changed', permission: 'bookings.view' },
+  'booking.deleted': { label: 'Booking deleted', permission: 'bookings.view' },
+  'driver.created': { label: 'New driver', permission: 'drivers.view' },
+  'driver.updated': { label: 'Driver updated', permission: 'drivers.view' },
+  'driver.status_changed': { label: 'Driver status changed', permission: 'drivers.view' },
+  'driver.deleted': { label: 'Driver deleted', permission: 'drivers.view' },
+  'vehicle.created': { label: 'New vehicle', permission: 'vehicles.view' },
+  'vehicle.updated': { label: 'Vehicle updated', permission: 'vehicles.view' },
+  'vehicle.deleted': { label: 'Vehicle deleted', permission: 'vehicles.view' },
+  'payslip.generated': { label: 'Payslips waiting for approval', permission: 'payslips.approve' },
+  'payslip.approved': { label: 'Payslip approved, ready to issue', permission: 'payslips.issue' },
+  'payslip.issued': { label: 'Payslip issued', permission: 'payslips.view' },
+  'payslip.reopened': { label: 'Payslip reopened', permission: 'payslips.approve' },
+  'finance.uploaded': { label: 'Finance upload completed', permission: 'finances.view' },
+  'invoice.issued': { label: 'Invoices issued', permission: 'invoices.view' },
+  'invoice.paid': { label: 'Invoice paid', permission: 'invoices.view' },
+  'document.expiry': { label: 'Document expiring', permission: 'documents.view' }
+};
+
+/**
+ * Find the users who should receive an event type
+ * Users need the type's permission and must not have muted the type.
+ * @param {string} type - Event type
+ * @param {number} excludeUserId - Usually the actor, who does not need to hear about their own change
+ * @returns {Array<Object>} [{ id, username, email }]
+ */
+const findRecipients = async (type, excludeUserId = null) => {
+  const eventType = EVENT_TYPES[type];
+  if (!eventType) return [];
+
+  const result = await query(`
+    SELECT DISTINCT u.id, u.username, u.email
+    FROM users u
+    JOIN role_permissions rp ON rp.role_id = u.role_id
+    JOIN permissions p ON p.id = rp.permission_id
+    WHERE p.name = $1
+      AND u.is_archived = false
+      AND ($3::int IS NULL OR u.id <> $3)
+      AND NOT EXISTS (
+        SELECT 1 FROM notification_preferences np
+        WHERE np.user_id = u.id AND np.event_type = $2 AND np.enabled = false
+      )
+    ORDER BY u.id ASC
+  `, [eventType.permission, type, excludeUserId]);
+  return result.rows;
+};
+
+/**
+ * Publish a domain event
+ * Never throws and never waits for subscribers, so it is safe to call after responding.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} event - { title, message, entityType, entityId, data, actorId }
+ */
+const emitEvent = (type, event) => {
+  try {
+    domainEvents.emit('event', {
+      type,
+      title: event.title || (EVENT_TYPES[type] ? EVENT_TYPES[type].label : type),
+      message: event.message || null,
+      entityType: event.entityType || null,
+      entityId: event.entityId || null,
+      data: event.data || null,
+      actorId: event.actorId || null,
+      occurredAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error emitting ${type} event:`, error);
+  }
+};
+
+// Inbox subscriber
+domainEvents.on('event', (event) => {
+  findRecipients(event.type, event.actorId)
+    .then(recipients => {
+      if (recipients.length === 0) return null;
+      const { actorId, occurredAt, ...notification } = event;
+      return dispatch(['inbox'], [{ ...notification, recipients }]);
+    })
+    .catch(error => {
+      console.error(`Error delivering ${event.type} notifications:`, error);
+    });
+});
+
+module.exports = {
+  domainEvents,
+  EVENT_TYPES,
+  emitEvent,
+  findRecipients
+};
@@ -0,0 +1,260 @@
+const { query, pool } = require('../database/connection');
+const { DOCUMENT_OWNERS } = require('../utils/documentTypes');
+const { dispatch } = require('./channels');
+const { findRecipients } = require('./events');
+const config = require('../../config');
+
+/**
+ * Document Expiry Notifier
+ * Daily job that scans driver and vehicle expiry dates and alerts users holding
+ * documents.view (unless they muted document.expiry) when a document crosses
+ * one of the configured thresholds (days before expiry).
+ * Each (document, expiry date, threshold) is alerted once per channel; a channel
+ * that failed is retried on the next run.
+ */
+
+// Key for pg_try_advisory_lock, so only one server instance runs the check at a time
+const ADVISORY_LOCK_KEY = 'expiry-notifier';
+
+// Display name of an owner row used in alert titles
+const OWNER_NAME_SQL = {
+  driver: "CONCAT(name, ' (', rick, ')')",
+  vehicle: "CONCAT_WS(' ', plate_code, plate_no)"
+};
+
+// Helper function to format a date as YYYY-MM-DD in server local time
+const formatLocalDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).substring(0, 10);
+};
+
+// Thresholds ascending, e.g. [0, 7, 30, 60]
+const getThresholds = () => [...new Set(config.notifications.expiry.thresholds)].sort((a, b) => a - b);
+
+// The tightest threshold a document has crossed: a document 25 days out is at the 30-day mark,
+// an expired one at the smallest threshold
+const getThreshold = (daysLeft, thresholds) => thresholds.find(threshold => daysLeft <= threshold);
+
+/**
+ * Find every tracked expiry date that falls within the largest threshold
+ * @param {string} today - YYYY-MM-DD
+ * @param {number} maxThreshold - Days ahead to look
+ * @returns {Array<Object>} { owner_type, owner_id, owner_name, document_type, expiry_date, days_left }
+ */
+const findExpiringDocuments = async (today, maxThreshold) => {
+  const selects = [];
+  Object.entries(DOCUMENT_OWNERS).forEach(([ownerType, { table, types }]) => {
+    Object.entries(types)
+      .filter(([, typeConfig]) => typeConfig.expiryField)
+      .forEach(([documentType, { expiryField }]) => {
+        selects.push(`
+          SELECT '${ownerType}' as owner_type, id as owner_id, ${OWNER_NAME_SQL[ownerType]} as owner_name,
+            '${documentType}' as document_type, ${expiryField} as expiry_date,
+            (${expiryField} - $1::date) as days_left
+          FROM ${table}
+          WHERE is_archived = false
+            AND ${expiryField} IS NOT NULL
+            AND ${expiryField} <= $1::date + $2::int
+        `);
+      });
+  });
+
+  const result = await query(`
+    ${selects.join(' UNION ALL ')}
+    ORDER BY days_left ASC, owner_type ASC, owner_id ASC
+  `, [today, maxThreshold]);
+
+  return result.rows.map(row => ({
+    ...row,
+    expiry_date: formatLocalDate(row.expiry_date),
+    days_left: parseInt(row.days_left)
+  }));
+};
+
+// Helper function to key an alert by document, expiry date and threshold
+const alertKey = (alert) => `${alert.owner_type}:${alert.owner_id}:${alert.document_type}:${alert.expiry_date}:${alert.threshold_days}`;
+
+// Set pending_channels on each alert to the channels expiry_alerts has no delivery for yet,
+// dropping alerts every channel has already delivered
+const filterUnsent = async (alerts, channels) => {
+  if (alerts.length === 0) return [];
+
+  const result = await query(`
+    SELECT a.owner_type, a.owner_id, a.document_type, a.expiry_date::text as expiry_date, a.threshold_days, a.channels
+    FROM expiry_alerts a
+    JOIN UNNEST($1::text[], $2::int[], $3::text[], $4::date[], $5::int[])
+      AS c(owner_type, owner_id, document_type, expiry_date, threshold_days)
+      ON a.owner_type = c.owner_type AND a.owner_id = c.owner_id AND a.document_type = c.document_type
+      AND a.expiry_date = c.expiry_date AND a.threshold_days = c.threshold_days
+  `, [
+    alerts.map(alert => alert.owner_type),
+    alerts.map(alert => alert.owner_id),
+    alerts.map(alert => alert.document_type),
+    alerts.map(alert => alert.expiry_date),
+    alerts.map(alert => alert.threshold_days)
+  ]);
+
+  const delivered = new Map(result.rows.map(row => [alertKey(row), row.channels || []]));
+  return alerts
+    .map(alert => {
+      const sent = delivered.get(alertKey(alert)) || [];
+      return { ...alert, pending_channels: channels.filter(name => !sent.includes(name)) };
+    })
+    .filter(alert => alert.pending_channels.length > 0);
+};
+
+const buildNotification = (alert, recipients) => {
+  const { label: ownerLabel, types } = DOCUMENT_OWNERS[alert.owner_type];
+  const documentLabel = types[alert.document_type].label;
+  let when;
+  if (alert.days_left < 0) {
+    when = `expired ${-alert.days_left} day${alert.days_left === -1 ? '' : 's'} ago`;
+  } else if (alert.days_left === 0) {
+    when = 'expires today';
+  } else {
+    when = `expires in ${alert.days_left} day${alert.days_left === 1 ? '' : 's'}`;
+  }
+
+  return {
+    type: 'document.expiry',
+    title: `${documentLabel} of ${alert.owner_name} ${when}`,
+    message: `${ownerLabel} ${alert.owner_name}: ${documentLabel} expiry date is ${alert.expiry_date}.`,
+    entityType: `${alert.owner_type}s`,
+    entityId: alert.owner_id,
+    data: {
+      owner_type: alert.owner_type,
+      owner_id: alert.owner_id,
+      document_type: alert.document_type,
+      expiry_date: alert.expiry_date,
+      days_left: alert.days_left,
+      threshold_days: alert.threshold_days
+    },
+    recipients
+  };
+};
+
+/**
+ * Run the expiry check once
+ * @param {Object} options - { today: 'YYYY-MM-DD' (defaults to the local date), dryRun: false }
+ * @returns {Object} { date, thresholds, channels, skipped, alerts, results }
+ */
+const runExpiryCheck = async ({ today = formatLocalDate(new Date()), dryRun = false } = {}) => {
+  const thresholds = getThresholds();
+  const { channels } = config.notifications.expiry;
+  const summary = { date: today, thresholds, channels, dry_run: dryRun, skipped: false, alerts: [], results: {} };
+
+  if (thresholds.length === 0) {
+    return summary;
+  }
+
+  const client = await pool.connect();
+  try {
+    const lockResult = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) as locked', [ADVISORY_LOCK_KEY]);
+    if (!lockResult.rows[0].locked) {
+      summary.skipped = true;
+      return summary;
+    }
+
+    try {
+      const documents = await findExpiringDocuments(today, thresholds[thresholds.length - 1]);
+      const candidates = documents.map(document => ({
+        ...document,
+        threshold_days: getThreshold(document.days_left, thresholds)
+      }));
+      const alerts = await filterUnsent(candidates, channels);
+      summary.alerts = alerts;
+
+      if (dryRun || alerts.length === 0) {
+        return summary;
+      }
+
+      // Each channel only gets the alerts it has not delivered yet
+      const recipients = await findRecipients('document.expiry');
+      const deliveredByAlert = new Map();
+      for (const name of channels) {
+        const batch = alerts.filter(alert => alert.pending_channels.includes(name));
+        if (batch.length === 0) continue;
+
+        const results = await dispatch([name], batch.map(alert => buildNotification(alert, recipients)));
+        summary.results[name] = results[name];
+        if (results[name].error) continue;
+
+        batch.forEach(alert => {
+          const key = alertKey(alert);
+          deliveredByAlert.set(key, [...(deliveredByAlert.get(key) || []), name]);
+        });
+      }
+
+      // Only the channels that delivered are recorded, so the next run retries the ones that failed
+      for (const alert of alerts) {
+        const delivered = deliveredByAlert.get(alertKey(alert));
+        if (!delivered) continue;
+
+        await query(`
+          INSERT INTO expiry_alerts (owner_type, owner_id, document_type, expiry_date, threshold_days, channels)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (owner_type, owner_id, document_type, expiry_date, threshold_days)
+          DO UPDATE SET channels = ARRAY(SELECT DISTINCT UNNEST(expiry_alerts.channels || EXCLUDED.channels))
+        `, [alert.owner_type, alert.owner_id, alert.document_type, alert.expiry_date, alert.threshold_days, delivered]);
+      }
+
+      return summary;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [ADVISORY_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// Milliseconds until the next HH:MM in server local time
+const msUntil = (runAt) => {
+  const [hours, minutes] = runAt.split(':').map(value => parseInt(value) || 0);
+  const now = new Date();
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next - now;
+};
+
+const runScheduled = async () => {
+  try {
+    const summary = await runExpiryCheck();
+    if (summary.skipped) {
+      console.log('⏭️  Expiry check skipped: another instance is running it');
+    } else {
+      console.log(`📅 Expiry check ${summary.date}: ${summary.alerts.length} alert(s) sent`);
+    }
+  } catch (error) {
+    console.error('Error running expiry check:', error);
+  }
+};
+
+/**
+ * Start the daily scheduler
+ * Runs once shortly after start-up (to catch up after downtime; already sent
+ * alerts are skipped) and then every day at config.notifications.expiry.runAt.
+ */
+const startExpiryScheduler = () => {
+  const scheduleNext = () => {
+    const timer = setTimeout(async () => {
+      await runScheduled();
+      scheduleNext();
+    }, msUntil(config.notifications.expiry.runAt));
+    timer.unref();
+  };
+
+  setTimeout(runScheduled, 30 * 1000).unref();
+  scheduleNext();
+  console.log(`📅 Expiry notifier scheduled daily at ${config.notifications.expiry.runAt}`);
+};
+
+module.exports = {
+  runExpiryCheck,
+  startExpiryScheduler
+};
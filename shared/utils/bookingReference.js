@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+/**
+ * Booking reference utilities
+ * References look like BK-7KQ2M9XA: 8 characters from an alphabet without
+ * look-alikes (0/O, 1/I/L) so guests can read them out over the phone.
+ */
+
+const ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const REFERENCE_LENGTH = 8;
+const REFERENCE_CONSTRAINT = 'idx_bookings_reference_code';
+
+const generateBookingReference = () => {
+  let code = '';
+  for (let i = 0; i < REFERENCE_LENGTH; i++) {
+    code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return `BK-${code}`;
+};
+
+// Normalize user input: trim, upper-case and add the BK- prefix if it was left off
+const normalizeBookingReference = (value) => {
+  const code = String(value || '').trim().toUpperCase().replace(/\s+/g, '');
+  return code.startsWith('BK-') ? code : `BK-${code}`;
+};
+
+/**
+ * Run an insert with a fresh reference, retrying on the rare duplicate
+ * @param {Function} insert - async (referenceCode) => result
+ * @param {Object} options - { attempts: maximum attempts, client: transaction client }
+ *   With a client each attempt runs in a savepoint, so a duplicate does not abort the transaction.
+ */
+const insertWithReference = async (insert, { attempts = 5, client = null } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      if (!client) {
+        return await insert(generateBookingReference());
+      }
+      await client.query('SAVEPOINT booking_reference');
+      const result = await insert(generateBookingReference());
+      await client.query('RELEASE SAVEPOINT booking_reference');
+      return result;
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK TO SAVEPOINT booking_reference');
+      }
+      if (error.code !== '23505' || error.constraint !== REFERENCE_CONSTRAINT || attempt >= attempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = {
+  generateBookingReference,
+  normalizeBookingReference,
+  insertWithReference
+};
@@ -0,0 +1,50 @@
+/**
+ * Booking status state machine
+ * pending -> confirmed -> in_progress -> completed; cancel only from pending or confirmed.
+ * Used by the admin status endpoints and the driver app trip updates, so both
+ * follow the same rules and write the same history.
+ */
+
+const BOOKING_TRANSITIONS = {
+  confirm: { from: ['pending'], to: 'confirmed' },
+  start: { from: ['confirmed'], to: 'in_progress' },
+  complete: { from: ['in_progress'], to: 'completed' },
+  cancel: { from: ['pending', 'confirmed'], to: 'cancelled', reasonRequired: true }
+};
+
+/**
+ * Move a booking to the status of an action and record it in booking_status_history
+ * Returns { booking } or { error } when the action is not allowed from the current status
+ * @param {Object} db - Transaction client that holds the booking row lock
+ * @param {Object} booking - Current booking row ({ id, status })
+ * @param {string} action - confirm | start | complete | cancel
+ * @param {Object} actor - { reason, userId, driverId }
+ */
+const applyBookingTransition = async (db, booking, action, { reason = null, userId = null, driverId = null } = {}) => {
+  const transition = BOOKING_TRANSITIONS[action];
+
+  if (!transition.from.includes(booking.status)) {
+    return {
+      error: `Cannot ${action} a booking that is ${booking.status}. Allowed from: ${transition.from.join(', ')}`
+    };
+  }
+
+  const updateResult = await db.query(`
+    UPDATE bookings
+    SET status = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING id, reference_code, guest_name, assigned_driver, assigned_driver_id, status, updated_at
+  `, [transition.to, booking.id]);
+
+  await db.query(`
+    INSERT INTO booking_status_history (booking_id, from_status, to_status, reason, changed_by, changed_by_driver)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [booking.id, booking.status, transition.to, reason ? String(reason).trim() : null, userId, driverId]);
+
+  return { booking: updateResult.rows[0] };
+};
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  applyBookingTransition
+};
@@ -0,0 +1,47 @@
+const config = require('../../config');
+
+/**
+ * Captcha verification for public forms
+ * Providers (SITE_CAPTCHA_PROVIDER):
+ *   none      - no check (default)
+ *   stub      - any non-empty token passes; lets the front end wire the widget before keys exist
+ *   recaptcha - Google reCAPTCHA siteverify
+ *   hcaptcha  - hCaptcha siteverify
+ */
+
+const VERIFY_URLS = {
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+  hcaptcha: 'https://hcaptcha.com/siteverify'
+};
+
+/**
+ * @param {string} token - Token posted by the captcha widget
+ * @param {string} remoteIp - Client IP
+ * @returns {boolean} Whether the captcha passed
+ */
+const verifyCaptcha = async (token, remoteIp) => {
+  const { provider, secret } = config.site.captcha;
+
+  if (provider === 'none') return true;
+  if (!token) return false;
+  if (provider === 'stub') return true;
+
+  const url = VERIFY_URLS[provider];
+  if (!url) {
+    throw new Error(`Unknown captcha provider: ${provider}`);
+  }
+
+  const body = new URLSearchParams({ secret, response: String(token) });
+  if (remoteIp) body.append('remoteip', remoteIp);
+
+  const response = await fetch(url, { method: 'POST', body });
+  if (!response.ok) {
+    throw new Error(`Captcha verification responded with ${response.status}`);
+  }
+  const result = await response.json();
+  return result.success === true;
+};
+
+module.exports = {
+  verifyCaptcha
+};
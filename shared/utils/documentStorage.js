@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+/**
+ * Document storage
+ * Files are written through a small backend interface so local disk can be
+ * swapped for another store without touching the controllers:
+ *   save(key, buffer)       -> Promise<void>
+ *   createReadStream(key)   -> Readable stream
+ *   remove(key)             -> Promise<void>
+ * Each stored document records the backend name it was written with.
+ */
+
+/**
+ * Local disk backend
+ * @param {string} rootDir - Directory all keys are resolved under
+ */
+const createLocalDiskStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Keys are generated by buildStorageKey, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+// Backend factories by name; register more with registerStorageBackend
+const backendFactories = {
+  local: () => createLocalDiskStorage(config.documents.localPath)
+};
+const backends = {};
+
+/**
+ * Register an additional storage backend
+ * @param {string} name - Name stored on each document written with it
+ * @param {Function} factory - Returns an object implementing save/createReadStream/remove
+ */
+const registerStorageBackend = (name, factory) => {
+  backendFactories[name] = factory;
+  delete backends[name];
+};
+
+/**
+ * Get a storage backend
+ * @param {string} name - Backend name, defaults to the configured one
+ */
+const getStorage = (name = config.documents.storage) => {
+  if (!backends[name]) {
+    if (!backendFactories[name]) {
+      throw new Error(`Unknown document storage backend: ${name}`);
+    }
+    backends[name] = backendFactories[name]();
+  }
+  return backends[name];
+};
+
+// Build a unique key such as drivers/12/passport/1718000000000-a1b2c3d4.pdf
+const buildStorageKey = (ownerType, ownerId, documentType, originalName) => {
+  const extension = path.extname(originalName || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const unique = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  return `${ownerType}s/${ownerId}/${documentType}/${unique}${extension}`;
+};
+
+// SHA-256 of a file buffer, stored to detect corrupted or duplicate uploads
+const checksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+module.exports = {
+  createLocalDiskStorage,
+  registerStorageBackend,
+  getStorage,
+  buildStorageKey,
+  checksum
+};
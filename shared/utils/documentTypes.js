@@ -0,0 +1,35 @@
+/**
+ * Driver and vehicle document types
+ * Shared by the document, renewal and expiry notification code
+ */
+
+// Document owners and their document types. expiryField/numberField name the
+// owner columns a new version updates, so the scan and the date stay in step.
+const DOCUMENT_OWNERS = {
+  driver: {
+    table: 'drivers',
+    label: 'Driver',
+    types: {
+      visa: { label: 'Visa', expiryField: 'visa_expiry' },
+      passport: { label: 'Passport', expiryField: 'passport_expiry', numberField: 'passport_no' },
+      emirates_id: { label: 'Emirates ID', numberField: 'eid_no' },
+      daman: { label: 'Daman', expiryField: 'daman_expiry' },
+      driving_licence: { label: 'Driving Licence', expiryField: 'driving_licence_expiry', numberField: 'driving_licence_no' },
+      limo_permit: { label: 'Limo Permit', expiryField: 'limo_permit_expiry' },
+      other: { label: 'Other' }
+    }
+  },
+  vehicle: {
+    table: 'vehicles',
+    label: 'Vehicle',
+    types: {
+      mulkiya: { label: 'Mulkiya', expiryField: 'mulkiya_expiry' },
+      insurance: { label: 'Insurance', expiryField: 'vehicle_insurance_expiry' },
+      other: { label: 'Other' }
+    }
+  }
+};
+
+module.exports = {
+  DOCUMENT_OWNERS
+};
@@ -0,0 +1,149 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Payslip PDF rendering (generated locally with pdfkit)
+ */
+
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 18;
+
+// Column x positions and widths of the CR/DR table
+const COLUMNS = {
+  description: { x: PAGE_MARGIN, width: 275 },
+  debit: { x: PAGE_MARGIN + 275, width: 120 },
+  credit: { x: PAGE_MARGIN + 395, width: 120 }
+};
+
+// Format a money value as 1,234.50
+const formatMoney = (value) => {
+  const amount = parseFloat(value) || 0;
+  return amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+// Format a balance with its side, e.g. "1,234.50 DR" (zero has no side)
+const formatBalance = (value) => {
+  const amount = parseFloat(value) || 0;
+  if (amount === 0) return formatMoney(0);
+  return `${formatMoney(Math.abs(amount))} ${amount > 0 ? 'DR' : 'CR'}`;
+};
+
+const drawCompanyHeader = (doc, company) => {
+  doc.font('Helvetica-Bold').fontSize(18).text(company.name || '', PAGE_MARGIN, PAGE_MARGIN);
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  [company.address, company.phone, company.email].filter(Boolean).forEach(line => doc.text(line));
+  doc.fillColor('#000000');
+
+  doc.moveDown(0.5);
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).stroke();
+  doc.moveDown(0.8);
+};
+
+const drawDetails = (doc, payslip) => {
+  doc.font('Helvetica-Bold').fontSize(14).text(`PAYSLIP - ${payslip.month_name} ${payslip.year}`, { align: 'center' });
+  doc.moveDown(0.8);
+
+  const details = [
+    ['Driver', payslip.driver_name],
+    ['Rick', payslip.rick],
+    ['Plate', payslip.plate],
+    ['Mobile', payslip.mobile_no]
+  ];
+
+  const top = doc.y;
+  details.forEach(([label, value], index) => {
+    const x = index % 2 === 0 ? PAGE_MARGIN : PAGE_MARGIN + 260;
+    const y = top + Math.floor(index / 2) * ROW_HEIGHT;
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}:`, x, y, { width: 60 });
+    doc.font('Helvetica').text(value !== undefined && value !== null && value !== '' ? String(value) : '-', x + 60, y, { width: 190 });
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + Math.ceil(details.length / 2) * ROW_HEIGHT + 10;
+};
+
+const drawTableRow = (doc, cells, { bold = false, shade = false } = {}) => {
+  const y = doc.y;
+  const tableWidth = COLUMNS.credit.x + COLUMNS.credit.width - PAGE_MARGIN;
+
+  if (shade) {
+    doc.rect(PAGE_MARGIN, y - 4, tableWidth, ROW_HEIGHT).fill('#eeeeee');
+    doc.fillColor('#000000');
+  }
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  doc.text(cells[0], COLUMNS.description.x + 4, y, { width: COLUMNS.description.width - 8 });
+  doc.text(cells[1], COLUMNS.debit.x, y, { width: COLUMNS.debit.width - 8, align: 'right' });
+  doc.text(cells[2], COLUMNS.credit.x, y, { width: COLUMNS.credit.width - 8, align: 'right' });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = y + ROW_HEIGHT;
+};
+
+const drawTableHeader = (doc) => {
+  drawTableRow(doc, ['Description', 'Debit (DR)', 'Credit (CR)'], { bold: true, shade: true });
+};
+
+// Start a new page (repeating the table header) when the next row would not fit
+const ensureSpace = (doc, rowsNeeded = 1) => {
+  if (doc.y + rowsNeeded * ROW_HEIGHT > doc.page.height - PAGE_MARGIN - 30) {
+    doc.addPage();
+    doc.y = PAGE_MARGIN;
+    drawTableHeader(doc);
+  }
+};
+
+/**
+ * Render one payslip to a PDF buffer
+ * @param {Object} payslip - { month_name, year, driver_name, rick, plate, mobile_no,
+ *                             lines: [{ label, type: 'DR'|'CR', amount }],
+ *                             openingBalance, closingBalance }
+ * @param {Object} company - { name, address, phone, email }
+ * @returns {Promise<Buffer>}
+ */
+const renderPayslipPdf = (payslip, company = {}) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Payslip ${payslip.rick || ''} ${payslip.month_name} ${payslip.year}` } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawCompanyHeader(doc, company);
+    drawDetails(doc, payslip);
+
+    drawTableHeader(doc);
+    drawTableRow(doc, ['Opening balance', payslip.openingBalance > 0 ? formatMoney(payslip.openingBalance) : '', payslip.openingBalance < 0 ? formatMoney(-payslip.openingBalance) : '']);
+
+    let totalDebit = 0;
+    let totalCredit = 0;
+    (payslip.lines || []).forEach(line => {
+      ensureSpace(doc);
+      const amount = parseFloat(line.amount) || 0;
+      if (line.type === 'CR') {
+        totalCredit += amount;
+        drawTableRow(doc, [line.label, '', formatMoney(amount)]);
+      } else {
+        totalDebit += amount;
+        drawTableRow(doc, [line.label, formatMoney(amount), '']);
+      }
+    });
+
+    ensureSpace(doc, 3);
+    doc.moveTo(PAGE_MARGIN, doc.y - 4).lineTo(COLUMNS.credit.x + COLUMNS.credit.width, doc.y - 4).stroke();
+    drawTableRow(doc, ['Total for the month', formatMoney(totalDebit), formatMoney(totalCredit)], { bold: true });
+    drawTableRow(doc, ['Closing balance', formatBalance(payslip.closingBalance), ''], { bold: true, shade: true });
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#777777')
+      .text(`Generated on ${new Date().toISOString().substring(0, 10)}. This is a computer-generated payslip.`, PAGE_MARGIN, doc.y, { align: 'center' });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  renderPayslipPdf,
+  formatMoney
+};
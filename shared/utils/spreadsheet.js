@@ -0,0 +1,123 @@
+const XLSX = require('xlsx');
+
+/**
+ * Spreadsheet utilities for Excel/CSV uploads
+ */
+
+/**
+ * Parse an uploaded Excel or CSV buffer and return the rows of one sheet
+ * @param {Buffer|Object} buffer - Uploaded file contents, or a workbook already parsed with XLSX.read
+ * @param {Object} options - { sheetName, headerRow, rawText } - headerRow is 1-based; rawText keeps
+ *                           CSV cells as text so day-first dates are not re-interpreted as US dates
+ */
+const readSheetRows = (buffer, { sheetName = null, headerRow = 1, rawText = false } = {}) => {
+  const workbook = Buffer.isBuffer(buffer) ? XLSX.read(buffer, { type: 'buffer', raw: rawText }) : buffer;
+  const name = sheetName || workbook.SheetNames[0];
+  const worksheet = workbook.Sheets[name];
+
+  if (!worksheet) {
+    return { sheetName: name, sheetNames: workbook.SheetNames, rows: [], headers: [] };
+  }
+
+  const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', range: Math.max(parseInt(headerRow) || 1, 1) - 1 });
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+
+  return { sheetName: name, sheetNames: workbook.SheetNames, rows, headers };
+};
+
+// Normalize a header for comparison: "Plate No." -> "plate no"
+const normalizeHeader = (header) => {
+  return String(header)
+    .toLowerCase()
+    .replace(/[_\-./]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Find the first header matching any of the candidate names (case/punctuation insensitive)
+const findColumn = (headers, candidates) => {
+  const normalizedCandidates = candidates.map(normalizeHeader);
+  return headers.find(header => normalizedCandidates.includes(normalizeHeader(header))) || null;
+};
+
+// Parse a money cell such as 1,250.50 or "AED 300" - returns null when not numeric
+const parseAmount = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+
+  const cleaned = String(value).replace(/aed|dhs?|,|\s/gi, '');
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+
+  return parseFloat(cleaned);
+};
+
+const pad = (num) => String(num).padStart(2, '0');
+
+// Parse a time cell ("14:35", "2:35 PM" or an Excel day fraction) into HH:MM:SS
+const parseSpreadsheetTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value === 'number') {
+    const totalSeconds = Math.round((value % 1) * 86400);
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor((totalSeconds % 3600) / 60))}:${pad(totalSeconds % 60)}`;
+  }
+
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const meridiem = match[4] ? match[4].toLowerCase() : null;
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  return `${pad(hours)}:${match[2]}:${match[3] || '00'}`;
+};
+
+/**
+ * Parse a date or date-time cell into a timezone-free "YYYY-MM-DD HH:MM:SS" string
+ * Accepts Excel serial numbers, ISO strings and day-first dates (DD/MM/YYYY as used in the UAE)
+ * Returns null when the value cannot be parsed
+ */
+const parseSpreadsheetDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    if (!parsed) return null;
+    return `${parsed.y}-${pad(parsed.m)}-${pad(parsed.d)} ${pad(parsed.H)}:${pad(parsed.M)}:${pad(Math.floor(parsed.S))}`;
+  }
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  }
+
+  const text = String(value).trim();
+
+  // ISO: 2025-10-12, 2025-10-12 14:35, 2025-10-12T14:35:00
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](.+))?$/);
+  if (match) {
+    const time = match[4] ? parseSpreadsheetTime(match[4].replace(/(\.\d+)?(z|[+-]\d{2}:?\d{2})$/i, '')) : '00:00:00';
+    if (!time) return null;
+    return `${match[1]}-${pad(match[2])}-${pad(match[3])} ${time}`;
+  }
+
+  // Day-first: 12/10/2025, 12-10-2025 14:35, 12.10.2025 2:35 PM
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s+(.+))?$/);
+  if (match) {
+    const time = match[4] ? parseSpreadsheetTime(match[4]) : '00:00:00';
+    if (!time || parseInt(match[2], 10) > 12) return null;
+    return `${match[3]}-${pad(match[2])}-${pad(match[1])} ${time}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  readSheetRows,
+  normalizeHeader,
+  findColumn,
+  parseAmount,
+  parseSpreadsheetTime,
+  parseSpreadsheetDate,
+};
@@ -0,0 +1,227 @@
+const { query } = require('../../shared/database/connection');
+const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../../shared/utils/response');
+const { validateEmail } = require('../../shared/utils/validation');
+const { verifyCaptcha } = require('../../shared/utils/captcha');
+const { generateBookingReference, normalizeBookingReference, insertWithReference } = require('../../shared/utils/bookingReference');
+const { emitEvent } = require('../../shared/notifications/events');
+const config = require('../../config');
+
+/**
+ * Site Booking Controller
+ * Handles bookings submitted by guests on the public website and
+ * the status lookup by booking reference and mobile number
+ */
+
+// Hidden form field real visitors never fill in
+const HONEYPOT_FIELD = 'website';
+
+// Helper function to validate a YYYY-MM-DD date
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(value).getTime());
+
+// Helper function to validate a 24-hour HH:MM time
+const isValidTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value));
+
+// Helper function to validate a phone number: digits with optional +, spaces, dashes and brackets
+const isValidMobile = (value) => /^\+?[0-9][0-9\s()-]{6,19}$/.test(String(value).trim());
+
+// Helper function to keep only the digits of a phone number for comparison
+const mobileDigits = (value) => String(value || '').replace(/\D/g, '');
+
+// Helper function to format a date as YYYY-MM-DD in server local time
+const formatDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).substring(0, 10);
+};
+
+// Trimmed string or '' for missing values
+const clean = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const validateBookingInput = (body) => {
+  const errors = [];
+  const required = {
+    vehicleType: 100,
+    pickupLocation: 500,
+    dropoffLocation: 500,
+    guestName: 255
+  };
+
+  Object.entries(required).forEach(([field, maxLength]) => {
+    const value = clean(body[field]);
+    if (!value) {
+      errors.push(`${field} is required`);
+    } else if (value.length > maxLength) {
+      errors.push(`${field} must be no more than ${maxLength} characters long`);
+    }
+  });
+
+  if (clean(body.guestName) && clean(body.guestName).length < 2) {
+    errors.push('guestName must be at least 2 characters long');
+  }
+
+  if (!clean(body.mobileNumber)) {
+    errors.push('mobileNumber is required');
+  } else if (!isValidMobile(body.mobileNumber)) {
+    errors.push('mobileNumber must be a valid phone number');
+  }
+
+  if (clean(body.emailId) && (!validateEmail(clean(body.emailId)) || clean(body.emailId).length > 255)) {
+    errors.push('emailId must be a valid email address');
+  }
+
+  if (clean(body.specialNote).length > 1000) {
+    errors.push('specialNote must be no more than 1000 characters long');
+  }
+
+  // The pickup must be in the future and not too far ahead
+  if (!isValidDate(body.bookingDate)) {
+    errors.push('bookingDate is required in YYYY-MM-DD format');
+  }
+  if (!isValidTime(body.bookingTime)) {
+    errors.push('bookingTime is required in HH:MM format');
+  }
+  if (isValidDate(body.bookingDate) && isValidTime(body.bookingTime)) {
+    const now = new Date();
+    const pickup = new Date(`${body.bookingDate}T${body.bookingTime}:00`);
+    const latest = new Date(now);
+    latest.setDate(latest.getDate() + config.site.maxDaysAhead);
+
+    if (pickup <= now) {
+      errors.push('The pickup date and time must be in the future');
+    } else if (pickup > latest) {
+      errors.push(`Bookings can be made at most ${config.site.maxDaysAhead} days ahead`);
+    }
+  }
+
+  return errors;
+};
+
+// The fields a guest may see about their own booking
+const toPublicBooking = (row) => ({
+  reference: row.reference_code,
+  status: row.status,
+  car_type: row.car_type,
+  pickup_loc: row.pickup_loc,
+  drop_loc: row.drop_loc,
+  booking_date: formatDate(row.booking_date),
+  booking_time: row.booking_time ? String(row.booking_time).substring(0, 5) : null,
+  guest_name: row.guest_name,
+  driver_assigned: Boolean(row.assigned_driver),
+  created_at: row.created_at
+});
+
+// POST /api/site/bookings - Submit a booking from the public website
+// Expected body: { vehicleType, pickupLocation, dropoffLocation, bookingDate: "2025-05-01", bookingTime: "14:30",
+//   guestName, mobileNumber, emailId, specialNote, captchaToken, website: "" (honeypot, must stay empty) }
+const submitBooking = async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    // Bots fill in every field: answer as if the booking went through so they learn nothing
+    if (clean(body[HONEYPOT_FIELD])) {
+      console.warn(`Honeypot field filled, booking from ${req.ip} discarded`);
+      return sendSuccess(res, {
+        reference: generateBookingReference(),
+        status: 'pending'
+      }, 'Booking received. Keep your reference to check its status.', 201);
+    }
+
+    const errors = validateBookingInput(body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const captchaPassed = await verifyCaptcha(body.captchaToken, req.ip);
+    if (!captchaPassed) {
+      return sendError(res, 'Captcha verification failed. Please try again.', 400);
+    }
+
+    const insertResult = await insertWithReference(referenceCode => query(`
+      INSERT INTO bookings (
+        car_type, pickup_loc, drop_loc, booking_date, booking_time,
+        guest_name, mobile_number, email_id, special_note,
+        status, reference_code, source, submitted_ip
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', $10, 'site', $11)
+      RETURNING *
+    `, [
+      clean(body.vehicleType),
+      clean(body.pickupLocation),
+      clean(body.dropoffLocation),
+      body.bookingDate,
+      body.bookingTime,
+      clean(body.guestName),
+      clean(body.mobileNumber),
+      clean(body.emailId) || null,
+      clean(body.specialNote) || null,
+      referenceCode,
+      req.ip || null
+    ]));
+
+    const booking = insertResult.rows[0];
+
+    sendSuccess(res, toPublicBooking(booking), 'Booking received. Keep your reference to check its status.', 201);
+
+    emitEvent('booking.created', {
+      title: `New website booking ${booking.reference_code} for ${booking.guest_name} on ${body.bookingDate} ${body.bookingTime}`,
+      message: `${booking.pickup_loc} to ${booking.drop_loc} (${booking.car_type})`,
+      entityType: 'bookings',
+      entityId: booking.id,
+      data: {
+        id: booking.id,
+        reference_code: booking.reference_code,
+        source: booking.source,
+        car_type: booking.car_type,
+        pickup_loc: booking.pickup_loc,
+        drop_loc: booking.drop_loc,
+        booking_date: formatDate(booking.booking_date),
+        booking_time: booking.booking_time,
+        guest_name: booking.guest_name,
+        status: booking.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Error submitting website booking:', error);
+    sendError(res, 'Failed to submit booking', 500, error);
+  }
+};
+
+// POST /api/site/bookings/lookup - Check a booking's status
+// Expected body: { reference: "BK-7KQ2M9XA", mobileNumber: "+971 50 123 4567" }
+// A POST keeps the mobile number out of URLs and access logs
+const lookupBooking = async (req, res) => {
+  try {
+    const { reference, mobileNumber } = req.body || {};
+
+    if (!clean(reference) || !clean(mobileNumber)) {
+      return sendValidationError(res, 'reference and mobileNumber are required');
+    }
+
+    const result = await query(`
+      SELECT reference_code, status, car_type, pickup_loc, drop_loc, booking_date, booking_time,
+        guest_name, assigned_driver, created_at
+      FROM bookings
+      WHERE reference_code = $1
+        AND regexp_replace(mobile_number, '[^0-9]', '', 'g') = $2
+        AND is_archived = false
+    `, [normalizeBookingReference(reference), mobileDigits(mobileNumber)]);
+
+    // Same answer for a wrong reference and a wrong number, so neither can be probed
+    if (result.rows.length === 0) {
+      return sendNotFound(res, 'Booking with this reference and mobile number');
+    }
+
+    sendSuccess(res, toPublicBooking(result.rows[0]), 'Booking retrieved successfully');
+
+  } catch (error) {
+    console.error('Error looking up website booking:', error);
+    sendError(res, 'Failed to look up booking', 500, error);
+  }
+};
+
+module.exports = {
+  submitBooking,
+  lookupBooking
+};
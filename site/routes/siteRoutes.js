@@ -1,10 +1,26 @@
 const express = require('express');
 const router = express.Router();
 
-// Site routes will be added here when you create your controllers
-// Example structure:
-// router.get('/posts/featured', publicController.getFeaturedPosts);
-// router.get('/posts/latest', publicController.getLatestPosts);
-// router.post('/comments', commentController.submitComment);
+// Import controllers
+const bookingController = require('../controllers/bookingController');
+
+// Import middleware
+const { rateLimit } = require('../../shared/middleware/rateLimit');
+const config = require('../../config');
+
+const { bookingRateLimit, lookupRateLimit } = config.site;
+
+// Public booking routes (no login; rate limited per client IP)
+router.post('/bookings', rateLimit({
+  windowMs: bookingRateLimit.windowMinutes * 60 * 1000,
+  max: bookingRateLimit.max,
+  message: 'Too many bookings from this address. Please try again later or call us.'
+}), bookingController.submitBooking);
+
+router.post('/bookings/lookup', rateLimit({
+  windowMs: lookupRateLimit.windowMinutes * 60 * 1000,
+  max: lookupRateLimit.max,
+  message: 'Too many lookups from this address. Please try again later.'
+}), bookingController.lookupBooking);
 
 module.exports = router;